@@ -0,0 +1,404 @@
+const config = require('./config');
+const dbManager = require('./database');
+const eventBus = require('./eventBus');
+const { sendMail } = require('./utils/smtp');
+const { validatePattern, execWithTimeout } = require('./utils/regex');
+const logger = require('./utils/logger');
+
+// Where an alert can be sent: an HTTP endpoint, a mail address or a WhatsApp number
+const CHANNEL_TYPES = ['webhook', 'email', 'whatsapp'];
+
+// How often held alerts are checked for the end of their rule's quiet hours
+const HELD_CHECK_INTERVAL_MS = 60000;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * The current time of day as "HH:MM" in the configured timezone
+ */
+function timeOfDay(date) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.cron.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(date);
+}
+
+/**
+ * A bare number in a senders list means a phone number, stored with a "+" (as author_phone)
+ */
+function normalizeSender(sender) {
+  return /^\d+$/.test(sender) ? `+${sender}` : sender;
+}
+
+/**
+ * Checks every newly stored message against the rules in alert_rules. A match is
+ * recorded in alerts (once per rule and message) and sent to the rule's channels,
+ * or held until its quiet hours are over.
+ */
+class AlertManager {
+  constructor() {
+    // Cached alert_rules rows and their compiled patterns, reloaded after every change
+    this.rules = [];
+    this.patterns = new Map();
+    this.client = null;
+    this.timer = null;
+    this.releasing = false;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Load the rules, start checking new messages and release alerts held from before a restart
+   */
+  async start() {
+    await this.load();
+    eventBus.on('message.created', this.handleMessage);
+
+    this.timer = setInterval(() => this.releaseHeld(), HELD_CHECK_INTERVAL_MS);
+    this.timer.unref();
+    this.releaseHeld();
+  }
+
+  async load() {
+    this.rules = await dbManager.getAlertRules();
+    this.patterns = new Map(this.rules.map(rule => [rule.id, new RegExp(rule.pattern, 'i')]));
+    logger.info(`Loaded ${this.rules.length} alert rules`);
+  }
+
+  /**
+   * The WhatsApp client used by whatsapp channels (set once it is ready)
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  /**
+   * Check a complete rule before saving it. Returns an error message, or null if it is valid.
+   */
+  validate(rule) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      return 'name is required';
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      return 'pattern is required';
+    }
+    const invalidPattern = validatePattern(rule.pattern);
+    if (invalidPattern) {
+      return invalidPattern;
+    }
+
+    const isList = value => Array.isArray(value) && value.length > 0
+      && value.every(item => typeof item === 'string' && item.length > 0);
+
+    for (const [field, name] of [['group_ids', 'groupIds'], ['senders', 'senders']]) {
+      if (rule[field] !== null && rule[field] !== undefined && !isList(rule[field])) {
+        return `${name} must be a list of strings, or null for no filter`;
+      }
+    }
+
+    const start = rule.quiet_hours_start ?? null;
+    const end = rule.quiet_hours_end ?? null;
+    if ((start === null) !== (end === null)) {
+      return 'quietHoursStart and quietHoursEnd must be set together';
+    }
+    if (start !== null && (!TIME_OF_DAY.test(start) || !TIME_OF_DAY.test(end) || start === end)) {
+      return 'quiet hours must be two different times as HH:MM';
+    }
+
+    if (!Array.isArray(rule.channels)) {
+      return 'channels must be a list';
+    }
+    for (const channel of rule.channels) {
+      const error = this.validateChannel(channel);
+      if (error) {
+        return error;
+      }
+    }
+
+    if (typeof rule.include_backfill !== 'boolean') {
+      return 'includeBackfill must be true or false';
+    }
+    if (typeof rule.enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+
+    return null;
+  }
+
+  validateChannel(channel) {
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+      return `each channel needs a type of: ${CHANNEL_TYPES.join(', ')}`;
+    }
+
+    switch (channel.type) {
+      case 'webhook': {
+        let url;
+        try {
+          url = new URL(channel.url);
+        } catch (error) {
+          return 'webhook channels need a valid url';
+        }
+        return ['http:', 'https:'].includes(url.protocol) ? null : 'webhook channels must use http or https';
+      }
+      case 'email':
+        return typeof channel.to === 'string' && /^[^\s@<>]+@[^\s@<>]+$/.test(channel.to)
+          ? null
+          : 'email channels need a "to" address';
+      case 'whatsapp':
+        return typeof channel.to === 'string' && /^\+?\d{6,15}$/.test(channel.to)
+          ? null
+          : 'whatsapp channels need a "to" phone number';
+      default:
+        return null;
+    }
+  }
+
+  async create(fields) {
+    const rule = await dbManager.createAlertRule(fields);
+    await this.load();
+    logger.info(`Created alert rule ${rule.id} "${rule.name}" (/${rule.pattern}/i)`);
+    return rule;
+  }
+
+  async update(ruleId, fields) {
+    const rule = await dbManager.updateAlertRule(ruleId, fields);
+    await this.load();
+    return rule;
+  }
+
+  async remove(ruleId) {
+    const removed = await dbManager.deleteAlertRule(ruleId);
+    await this.load();
+    return removed;
+  }
+
+  /**
+   * The text a rule matched in a message, or null if its filters or pattern do not match.
+   * Messages stored by a backfill are only checked by rules that include them.
+   * Throws (code PATTERN_TIMEOUT) if the pattern takes too long on this message.
+   */
+  match(rule, message, backfill = false) {
+    if (!rule.enabled || (backfill && !rule.include_backfill)) {
+      return null;
+    }
+    if (rule.group_ids && !rule.group_ids.includes(message.group_id)) {
+      return null;
+    }
+    if (rule.senders) {
+      const senders = rule.senders.map(normalizeSender);
+      const ids = [message.author_phone, message.author, message.from_number].filter(Boolean);
+      if (!ids.some(id => senders.includes(id))) {
+        return null;
+      }
+    }
+
+    const found = execWithTimeout(this.patterns.get(rule.id), message.message_body || '');
+    return found ? found[0] : null;
+  }
+
+  /**
+   * Whether a rule's quiet hours are on at a given moment. A window such as
+   * 22:00-07:00 runs past midnight.
+   */
+  inQuietHours(rule, date = new Date()) {
+    const start = rule.quiet_hours_start;
+    const end = rule.quiet_hours_end;
+
+    if (!start || !end) {
+      return false;
+    }
+
+    const now = timeOfDay(date);
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  /**
+   * Raise an alert for every rule a new message matches
+   */
+  async handleMessage(event) {
+    const { message, backfill } = event.data;
+
+    for (const rule of this.rules) {
+      try {
+        const matchedText = this.match(rule, message, backfill);
+
+        if (matchedText === null) {
+          continue;
+        }
+
+        const alert = await dbManager.createAlert({
+          rule_id: rule.id,
+          rule_name: rule.name,
+          message_id: message.id,
+          group_id: message.group_id,
+          sender: message.author_phone || message.author || message.from_number,
+          message_body: message.message_body,
+          matched_text: matchedText,
+          message_timestamp: message.timestamp,
+        });
+
+        // The rule already raised an alert for this message
+        if (!alert) {
+          continue;
+        }
+
+        logger.info(`Alert ${alert.id}: rule "${rule.name}" matched message ${message.id} in ${message.group_id}`);
+        eventBus.publish('alert.created', { groupId: alert.group_id, alert });
+
+        if (this.inQuietHours(rule)) {
+          await dbManager.updateAlert(alert.id, { notify_status: 'held' });
+          logger.info(`Alert ${alert.id} held until quiet hours end (${rule.quiet_hours_end})`);
+        } else {
+          await this.notify(alert, rule);
+        }
+      } catch (error) {
+        if (error.code === 'PATTERN_TIMEOUT') {
+          await this.disableSlowRule(rule, message, error);
+        } else {
+          logger.error(`Error raising alert for rule "${rule.name}" on message ${message.id}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Turn off a rule whose pattern ran out of time, so it cannot hold up every message that follows
+   */
+  async disableSlowRule(rule, message, error) {
+    logger.error(`Disabling alert rule ${rule.id} "${rule.name}": ${error.message} on message ${message.id}`);
+
+    try {
+      await this.update(rule.id, { enabled: false });
+    } catch (updateError) {
+      logger.error(`Error disabling alert rule ${rule.id}:`, updateError);
+    }
+  }
+
+  /**
+   * Send held alerts whose rule is out of its quiet hours
+   */
+  async releaseHeld() {
+    if (this.releasing) {
+      return;
+    }
+
+    this.releasing = true;
+
+    try {
+      for (const alert of await dbManager.getHeldAlerts()) {
+        const rule = this.rules.find(candidate => candidate.id === alert.rule_id);
+
+        if (!rule) {
+          // The rule was deleted while the alert waited, so there is nowhere to send it
+          await dbManager.updateAlert(alert.id, { notify_status: 'none' });
+          continue;
+        }
+
+        if (!this.inQuietHours(rule)) {
+          await this.notify(alert, rule);
+        }
+      }
+    } catch (error) {
+      logger.error('Error releasing held alerts:', error);
+    } finally {
+      this.releasing = false;
+    }
+  }
+
+  /**
+   * Send an alert to all of its rule's channels and record how each went.
+   * notify_status is sent when every channel succeeded, failed when any did not,
+   * and none when the rule has no channels.
+   */
+  async notify(alert, rule) {
+    if (rule.channels.length === 0) {
+      return dbManager.updateAlert(alert.id, { notify_status: 'none', notified_at: new Date() });
+    }
+
+    const text = await this.formatAlert(alert);
+
+    const results = await Promise.all(rule.channels.map(async channel => {
+      const target = channel.type === 'webhook' ? channel.url : channel.to;
+
+      try {
+        await this.send(channel, alert, text);
+        return { type: channel.type, target, success: true };
+      } catch (error) {
+        logger.warn(`Alert ${alert.id}: ${channel.type} notification to ${target} failed: ${error.message}`);
+        return { type: channel.type, target, success: false, error: error.message };
+      }
+    }));
+
+    return dbManager.updateAlert(alert.id, {
+      notify_status: results.every(result => result.success) ? 'sent' : 'failed',
+      notify_results: results,
+      notified_at: new Date(),
+    });
+  }
+
+  async send(channel, alert, text) {
+    switch (channel.type) {
+      case 'webhook': {
+        const response = await fetch(channel.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ event: 'alert.created', alert }),
+          signal: AbortSignal.timeout(config.alerts.timeoutMs),
+        });
+        if (response.body) {
+          await response.body.cancel();
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return;
+      }
+
+      case 'email':
+        await sendMail({
+          ...config.alerts.smtp,
+          to: channel.to,
+          subject: `[WhatsApp alert] ${alert.rule_name}: ${alert.matched_text}`,
+          text,
+          timeoutMs: config.alerts.timeoutMs,
+        });
+        return;
+
+      case 'whatsapp':
+        if (!this.client) {
+          throw new Error('WhatsApp client is not ready');
+        }
+        await this.client.sendMessage(`${channel.to.replace(/^\+/, '')}@c.us`, text);
+        return;
+
+      default:
+        throw new Error(`Unknown channel type ${channel.type}`);
+    }
+  }
+
+  /**
+   * Plain-text notification used by the email and WhatsApp channels
+   */
+  async formatAlert(alert) {
+    const group = await dbManager.getGroup(alert.group_id);
+    const sentAt = alert.message_timestamp
+      ? new Date(alert.message_timestamp * 1000).toISOString()
+      : 'unknown';
+
+    return [
+      `Alert "${alert.rule_name}" matched "${alert.matched_text}"`,
+      `Group: ${group ? `${group.name} (${alert.group_id})` : alert.group_id}`,
+      `From: ${alert.sender || 'unknown'}`,
+      `Sent: ${sentAt}`,
+      '',
+      alert.message_body || '',
+    ].join('\n');
+  }
+}
+
+// Export singleton instance
+const alertManager = new AlertManager();
+module.exports = alertManager;
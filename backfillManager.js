@@ -0,0 +1,215 @@
+const config = require('./config');
+const dbManager = require('./database');
+const logger = require('./utils/logger');
+
+class BackfillManager {
+  constructor(messageHandler) {
+    this.messageHandler = messageHandler;
+    this.client = messageHandler.client;
+    // Groups with a backfill running in this process
+    this.running = new Set();
+    // Pending start() calls by group ID
+    this.starting = new Map();
+  }
+
+  /**
+   * Start a backfill for a group, or resume its unfinished one.
+   * Requests that arrive while the job is being looked up or created share it,
+   * so a group never gets two jobs.
+   */
+  start(groupId) {
+    if (!this.starting.has(groupId)) {
+      const starting = this.createOrResume(groupId).finally(() => this.starting.delete(groupId));
+      this.starting.set(groupId, starting);
+    }
+
+    return this.starting.get(groupId);
+  }
+
+  async createOrResume(groupId) {
+    let job = await dbManager.getLatestBackfillJob(groupId);
+
+    if (!job || job.status === 'completed') {
+      const chat = await this.client.getChatById(groupId);
+
+      if (!chat.isGroup) {
+        throw new Error(`Chat ${groupId} is not a group`);
+      }
+
+      // Group row must exist before the job references it
+      await this.messageHandler.loadGroupContext(chat);
+      job = await dbManager.createBackfillJob(groupId, config.backfill.chunkSize);
+      logger.info(`Created backfill job ${job.id} for group: ${groupId}`);
+    }
+
+    if (!this.running.has(groupId)) {
+      this.runInBackground(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Resume backfills that were still running when the process stopped
+   */
+  async resumePending() {
+    const jobs = await dbManager.getBackfillJobsByStatus('in_progress');
+
+    for (const job of jobs) {
+      logger.info(`Resuming backfill job ${job.id} for group: ${job.group_id}`);
+      this.runInBackground(job);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Get the latest backfill job for a group
+   */
+  async getStatus(groupId) {
+    const job = await dbManager.getLatestBackfillJob(groupId);
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      ...job,
+      running: this.running.has(groupId),
+    };
+  }
+
+  runInBackground(job) {
+    this.run(job).catch(error => {
+      logger.error(`Backfill job ${job.id} crashed:`, error);
+    });
+  }
+
+  /**
+   * Walk a group's history backwards in chunks, checkpointing after each one
+   */
+  async run(job) {
+    const groupId = job.group_id;
+    let scrapeId;
+    let messageCount = 0;
+
+    this.running.add(groupId);
+
+    try {
+      // A previous run that never finished leaves its history row open
+      if (job.scrape_id) {
+        await dbManager.endScrapeHistory(job.scrape_id, 'interrupted', 'Process stopped during backfill');
+      }
+
+      const chat = await this.client.getChatById(groupId);
+      await this.messageHandler.loadGroupContext(chat);
+
+      scrapeId = await dbManager.startScrapeHistory(groupId, 'backfill');
+      job = await dbManager.updateBackfillJob(job.id, {
+        status: 'in_progress',
+        scrape_id: scrapeId,
+        error_message: null,
+      });
+
+      let limit = job.fetch_limit;
+      let oldest = job.oldest_message_timestamp
+        ? { id: job.oldest_message_id, timestamp: job.oldest_message_timestamp }
+        : null;
+      let processed = job.messages_processed;
+
+      logger.info(`Backfill started for ${chat.name} (${processed} messages already processed)`);
+
+      while (true) {
+        await this.lockForChunk(groupId);
+
+        let messages;
+        let olderMessages;
+        try {
+          messages = await chat.fetchMessages({ limit });
+
+          // Everything at or after the checkpoint was stored by an earlier chunk
+          olderMessages = messages
+            .filter(msg => !oldest || this.isBeforeCheckpoint(msg, oldest))
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+          // The chunk and the scrape's message count are stored in one transaction
+          const result = await this.messageHandler.processMessages(olderMessages, groupId, scrapeId, { backfill: true });
+          messageCount += result.inserted;
+
+          // Newest first, the checkpoint stops at the first message that failed, so the
+          // next chunk retries it; older ones stored this time are then found as existing
+          const retryIds = new Set([...result.failed, ...result.skipped].map(msg => msg.id._serialized));
+          const firstRetry = olderMessages.findIndex(msg => retryIds.has(msg.id._serialized));
+          const reached = firstRetry === -1 ? olderMessages : olderMessages.slice(0, firstRetry);
+
+          if (reached.length > 0) {
+            const last = reached[reached.length - 1];
+            oldest = { id: last.id._serialized, timestamp: last.timestamp };
+          }
+          processed += reached.length;
+        } finally {
+          this.messageHandler.unlockGroup(groupId);
+        }
+
+        const historyExhausted = messages.length < limit;
+        limit += config.backfill.chunkSize;
+
+        await dbManager.updateBackfillJob(job.id, {
+          fetch_limit: limit,
+          oldest_message_id: oldest ? oldest.id : null,
+          oldest_message_timestamp: oldest ? oldest.timestamp : null,
+          messages_processed: processed,
+        });
+
+        logger.info(`Backfill progress for ${chat.name}: ${processed} messages (${messageCount} new), reached ${oldest ? new Date(oldest.timestamp * 1000).toISOString() : 'n/a'}`);
+
+        if (historyExhausted) {
+          break;
+        }
+
+        // Throttle so the live client stays responsive
+        await this.messageHandler.sleep(config.backfill.chunkDelayMs);
+      }
+
+      await dbManager.endScrapeHistory(scrapeId, 'completed');
+      await dbManager.updateBackfillJob(job.id, {
+        status: 'completed',
+        completed_at: new Date(),
+      });
+
+      logger.info(`Backfill completed for ${chat.name}. Processed ${processed} messages`);
+    } catch (error) {
+      logger.error(`Error backfilling group ${groupId}:`, error);
+
+      if (scrapeId) {
+        await dbManager.endScrapeHistory(scrapeId, 'failed', error.message);
+      }
+      await dbManager.updateBackfillJob(job.id, {
+        status: 'failed',
+        error_message: error.message,
+      });
+    } finally {
+      this.running.delete(groupId);
+    }
+  }
+
+  /**
+   * Check whether a message is older than the backfill checkpoint
+   */
+  isBeforeCheckpoint(msg, oldest) {
+    return msg.timestamp < oldest.timestamp
+      || (msg.timestamp === oldest.timestamp && msg.id._serialized !== oldest.id);
+  }
+
+  /**
+   * Wait until no scrape is using the client, then keep it for one chunk;
+   * queued scrapes of every group wait for the chunk to finish
+   */
+  async lockForChunk(groupId) {
+    while (!this.messageHandler.lockForBackfill(groupId)) {
+      await this.messageHandler.sleep(5000);
+    }
+  }
+}
+
+module.exports = BackfillManager;
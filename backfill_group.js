@@ -0,0 +1,54 @@
+const { apiRequest, baseUrl } = require('./utils/apiClient');
+
+/**
+ * Backfill a group's full message history through the running scraper
+ * Usage: node backfill_group.js <groupId> [--status]
+ */
+
+function printJob(job) {
+    console.log(`Job ID: ${job.id}`);
+    console.log(`Status: ${job.status}${job.running ? ' (running)' : ''}`);
+    console.log(`Messages Processed: ${job.messages_processed}`);
+    if (job.oldest_message_timestamp) {
+        console.log(`Reached: ${new Date(job.oldest_message_timestamp * 1000).toISOString()}`);
+    }
+    if (job.error_message) {
+        console.log(`Error: ${job.error_message}`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const groupId = args.find(arg => !arg.startsWith('--'));
+    const statusOnly = args.includes('--status');
+
+    console.log('\n=== WhatsApp Group History Backfill ===\n');
+
+    if (!groupId || !groupId.includes('@g.us')) {
+        console.log('Usage: node backfill_group.js <groupId> [--status]');
+        console.log('The group ID should end with @g.us');
+        process.exit(1);
+    }
+
+    console.log(`Group ID: ${groupId}`);
+    console.log(`API: ${baseUrl}\n`);
+
+    const encodedId = encodeURIComponent(groupId);
+
+    if (statusOnly) {
+        const result = await apiRequest('GET', `/api/backfill/${encodedId}`);
+        printJob(result.job);
+        return;
+    }
+
+    const result = await apiRequest('POST', `/api/backfill/${encodedId}`);
+
+    console.log(`✓ ${result.message}\n`);
+    printJob(result.job);
+    console.log(`\nCheck progress with: node backfill_group.js ${groupId} --status\n`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+});
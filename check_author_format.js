@@ -1,30 +1,17 @@
-require('dotenv').config();
-const { Pool } = require('pg');
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+const dbManager = require('./database');
 
 async function checkAuthorFormat() {
   try {
     console.log('\nChecking author field formats in database...\n');
 
-    const result = await pool.query(`
-      SELECT
-        author,
-        from_number,
-        author_phone,
-        message_body
-      FROM messages
-      LIMIT 20;
-    `);
+    await dbManager.initialize();
+    const rows = await dbManager.getMessageSample(20);
 
     console.log('=================================');
     console.log('Sample of author fields:');
     console.log('=================================\n');
 
-    result.rows.forEach((row, index) => {
+    rows.forEach((row, index) => {
       console.log(`${index + 1}.`);
       console.log(`   Author: ${row.author}`);
       console.log(`   From Number: ${row.from_number}`);
@@ -33,7 +20,7 @@ async function checkAuthorFormat() {
       console.log('');
     });
 
-    await pool.end();
+    await dbManager.close();
   } catch (error) {
     console.error('Error:', error.message);
     process.exit(1);
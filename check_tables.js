@@ -1,40 +1,39 @@
-require('dotenv').config();
-const { Pool } = require('pg');
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+const dbManager = require('./database');
+const Migrator = require('./migrator');
 
 async function checkTables() {
   try {
     console.log('\nChecking database tables...\n');
 
-    // Check if tables exist
-    const result = await pool.query(`
-      SELECT table_name
-      FROM information_schema.tables
-      WHERE table_schema = 'public'
-      ORDER BY table_name;
-    `);
+    // Tables are listed even while migrations are pending
+    await dbManager.initialize({ requireMigrated: false });
+    const tables = await dbManager.listTables();
 
     console.log('=================================');
     console.log('Existing tables in database:');
     console.log('=================================');
 
-    if (result.rows.length === 0) {
+    if (tables.length === 0) {
       console.log('No tables found!');
     } else {
-      result.rows.forEach((row, index) => {
-        console.log(`${index + 1}. ${row.table_name}`);
+      tables.forEach((table, index) => {
+        console.log(`${index + 1}. ${table}`);
       });
     }
 
+    // Tables are created by migrations, so their status says what should exist
+    const migrations = await new Migrator(dbManager).status();
+    const pending = migrations.filter(m => !m.applied);
+
     console.log('\n=================================');
-    console.log('Expected tables: groups, messages, scrape_history');
+    console.log(`Migrations: ${migrations.length - pending.length} applied, ${pending.length} pending`);
+    pending.forEach(m => console.log(`  pending: ${m.name}`));
+    if (pending.length > 0) {
+      console.log('Run "npm run migrate" to apply them');
+    }
     console.log('=================================\n');
 
-    await pool.end();
+    await dbManager.close();
   } catch (error) {
     console.error('Error checking tables:', error.message);
     process.exit(1);
@@ -31,6 +31,8 @@ module.exports = {
     schedules: {
       scrapeMessages: process.env.CRON_SCHEDULE || '*/5 * * * *',
       cleanOldMessages: '0 2 * * *', // Every day at 2 AM
+      // Check for new groups matching a discovery rule (default: every hour)
+      discoverGroups: process.env.DISCOVERY_SCHEDULE || '0 * * * *',
     },
 
     // Timezone for cron jobs
@@ -39,12 +41,20 @@ module.exports = {
 
   // Database configuration
   database: {
+    // postgres (DATABASE_URL) or sqlite (a local file, no database server needed)
+    driver: process.env.DB_DRIVER || 'postgres',
     url: process.env.DATABASE_URL || '',
+    // TLS for postgres: 'true' (verify certificate), 'no-verify' or 'false'.
+    // Unset leaves it to sslmode in DATABASE_URL, which takes precedence when present.
+    ssl: process.env.DB_SSL,
+    sqlitePath: process.env.SQLITE_PATH || './data/scraper.db',
     // Connection pool settings
     poolSize: parseInt(process.env.DB_POOL_SIZE) || 10,
     maxOverflow: parseInt(process.env.DB_MAX_OVERFLOW) || 20,
-    // Number of days to keep messages (0 = keep forever)
-    retentionDays: parseInt(process.env.RETENTION_DAYS) || 30,
+    // Default number of days to keep messages (0 = keep forever); groups can override it
+    retentionDays: process.env.RETENTION_DAYS ? parseInt(process.env.RETENTION_DAYS) : 30,
+    // Write expired messages to an export file before deleting them
+    archiveBeforeDelete: process.env.RETENTION_ARCHIVE === 'true',
   },
 
   // Scraper configuration
@@ -52,11 +62,85 @@ module.exports = {
     // Number of messages to fetch per scrape
     messageLimit: parseInt(process.env.MESSAGE_LIMIT) || 100,
 
+    // Maximum messages to page back through when catching up to the last scrape cursor
+    maxCatchUpLimit: parseInt(process.env.MAX_CATCH_UP_LIMIT) || 5000,
+
+    // Scrape jobs run at the same time (always one per group); they share one WhatsApp client
+    concurrency: parseInt(process.env.SCRAPE_CONCURRENCY) || 1,
+
     // Whether to scrape media files
     scrapeMedia: process.env.SCRAPE_MEDIA === 'true',
 
-    // Media storage path
-    mediaPath: './data/media',
+    // Store messages from monitored groups as they arrive (cron scrape fills any gaps)
+    liveCapture: process.env.LIVE_CAPTURE !== 'false',
+  },
+
+  // Full-history backfill configuration
+  backfill: {
+    // Messages added to the fetch window per chunk. The client can only fetch the newest
+    // N messages, so every chunk reads the whole window again and a history of H messages
+    // takes about H * H / (2 * chunkSize) reads in all; raise this for very long histories.
+    chunkSize: parseInt(process.env.BACKFILL_CHUNK_SIZE) || 200,
+
+    // Pause between chunks so the live client is not overloaded
+    chunkDelayMs: parseInt(process.env.BACKFILL_DELAY_MS) || 10000,
+  },
+
+  // Media storage configuration
+  storage: {
+    // 'local' (disk) or 's3' (AWS S3 or any S3-compatible service such as MinIO)
+    backend: process.env.STORAGE_BACKEND || 'local',
+
+    local: {
+      basePath: process.env.MEDIA_PATH || './data/media',
+    },
+
+    s3: {
+      bucket: process.env.S3_BUCKET || '',
+      region: process.env.S3_REGION || 'us-east-1',
+      // Leave empty for AWS; set to e.g. http://localhost:9000 for MinIO
+      endpoint: process.env.S3_ENDPOINT || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Prepended to every object key, e.g. "whatsapp/"
+      prefix: process.env.S3_PREFIX || '',
+    },
+
+    // Lifetime of signed download URLs in seconds
+    signedUrlExpiry: parseInt(process.env.SIGNED_URL_EXPIRY) || 900,
+  },
+
+  // Outbound webhook configuration
+  webhooks: {
+    // Attempts per delivery before it is moved to the dead-letter table
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+
+    // Delay before the first retry, doubled after each failed attempt up to retryMaxMs
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 3600000,
+
+    // Time allowed for an endpoint to respond
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  },
+
+  // Alert notification configuration (quiet hours use cron.timezone)
+  alerts: {
+    // Unauthenticated SMTP server for email channels, e.g. a local mail sink such as MailHog or Mailpit
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      from: process.env.SMTP_FROM || 'whatsapp-scraper@localhost',
+    },
+
+    // Time allowed for a webhook or SMTP server to respond
+    timeoutMs: parseInt(process.env.ALERT_TIMEOUT_MS) || 10000,
+  },
+
+  // Live event stream (/api/stream) configuration
+  stream: {
+    // How long events are kept for clients resuming from a cursor
+    retentionHours: parseInt(process.env.STREAM_RETENTION_HOURS) || 24,
   },
 
   // Logging configuration
@@ -0,0 +1,98 @@
+const dbManager = require('./database');
+const logger = require('./utils/logger');
+
+class ContactResolver {
+  constructor() {
+    // WhatsApp ID (LID or @c.us) -> phone number (null while unknown), mirrored from the contacts tables
+    this.phones = new Map();
+    // WhatsApp ID -> last pushname written, to skip redundant writes
+    this.pushnames = new Map();
+  }
+
+  /**
+   * Warm the cache from the contacts tables
+   */
+  async load() {
+    const identities = await dbManager.getContactIdentities();
+
+    for (const identity of identities) {
+      this.phones.set(identity.wa_id, identity.phone);
+    }
+
+    logger.info(`Loaded ${this.phones.size} contact identities`);
+  }
+
+  /**
+   * Get the phone number (with + prefix) known for a WhatsApp ID
+   */
+  resolve(waId) {
+    if (!waId) {
+      return null;
+    }
+
+    if (this.phones.get(waId)) {
+      return this.phones.get(waId);
+    }
+
+    // @c.us IDs are the phone number itself
+    if (waId.endsWith('@c.us')) {
+      return '+' + waId.split('@')[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a set of WhatsApp IDs belong to one person
+   */
+  async learn(waIds, phone = null, pushname = null) {
+    const ids = [...new Set(waIds.filter(Boolean))];
+
+    // The @c.us form is the phone number itself
+    const phoneId = ids.find(id => id.endsWith('@c.us'));
+    const resolvedPhone = phone || (phoneId ? '+' + phoneId.split('@')[0] : null);
+
+    const isKnown = ids.every(id =>
+      this.phones.has(id)
+      && (!resolvedPhone || this.phones.get(id) === resolvedPhone)
+      && (!pushname || this.pushnames.get(id) === pushname)
+    );
+
+    if (ids.length === 0 || isKnown) {
+      return resolvedPhone || ids.map(id => this.resolve(id)).find(Boolean) || null;
+    }
+
+    const contact = await dbManager.upsertContactIdentity(ids, resolvedPhone, pushname);
+
+    for (const id of ids) {
+      this.phones.set(id, contact.phone);
+      if (pushname) {
+        this.pushnames.set(id, pushname);
+      }
+    }
+
+    return contact.phone;
+  }
+
+  /**
+   * Seed identities from stored rosters, then re-resolve stored author phones
+   */
+  async repairAuthorPhones(groupId = null) {
+    const groups = groupId ? [{ id: groupId }] : await dbManager.getAllGroups();
+
+    for (const group of groups) {
+      const participants = await dbManager.getGroupParticipants(group.id, true);
+      for (const participant of participants) {
+        await this.learn([participant.participant_id, participant.lid], participant.phone, participant.display_name);
+      }
+    }
+
+    const updated = await dbManager.repairAuthorPhones(groupId);
+    logger.info(`Repaired author phone on ${updated} messages`);
+    return updated;
+  }
+}
+
+// Export singleton instance
+const contactResolver = new ContactResolver();
+module.exports = contactResolver;
@@ -1,59 +1,103 @@
 const cron = require('node-cron');
 const config = require('./config');
+const groupRegistry = require('./groupRegistry');
+const retentionManager = require('./retentionManager');
 const logger = require('./utils/logger');
 
 class CronScheduler {
-  constructor(messageHandler) {
-    this.messageHandler = messageHandler;
+  constructor(scrapeQueue, groupDiscovery) {
+    this.scrapeQueue = scrapeQueue;
+    this.groupDiscovery = groupDiscovery;
     this.jobs = {};
+    // Scrape task per enabled group: group ID -> { schedule, task } (task is null for an invalid schedule)
+    this.scrapeJobs = new Map();
+    this.syncScrapeJobs = this.syncScrapeJobs.bind(this);
   }
 
   /**
-   * Start the message scraping cron job
+   * Schedule scrapes for every enabled group on its own cron expression,
+   * rescheduling whenever a group's settings change
    */
   startMessageScraper() {
-    const schedule = config.cron.schedules.scrapeMessages;
+    this.syncScrapeJobs();
+    groupRegistry.on('change', this.syncScrapeJobs);
 
-    logger.info(`Setting up message scraper cron job: ${schedule}`);
+    logger.info(`Message scraper cron jobs started for ${this.scrapeJobs.size} groups`);
+  }
 
-    this.jobs.scrapeMessages = cron.schedule(
-      schedule,
-      async () => {
-        logger.info('Cron job triggered: Starting message scrape');
+  /**
+   * Bring the scrape tasks in line with the enabled groups and their schedules
+   */
+  syncScrapeJobs() {
+    const enabled = new Set(groupRegistry.getEnabledIds());
 
-        try {
-          const results = await this.messageHandler.scrapeAllGroups();
+    for (const [groupId, job] of this.scrapeJobs) {
+      if (!enabled.has(groupId)) {
+        if (job.task) {
+          job.task.stop();
+        }
+        this.scrapeJobs.delete(groupId);
+        logger.info(`Stopped scrape schedule for ${groupId}`);
+      }
+    }
 
-          // Log results
-          const summary = results.map(r =>
-            r.success
-              ? `${r.groupName}: ${r.messagesProcessed} messages`
-              : `${r.groupId}: FAILED - ${r.error}`
-          ).join(', ');
+    for (const groupId of enabled) {
+      const schedule = groupRegistry.getSettings(groupId).cron_schedule;
+      const current = this.scrapeJobs.get(groupId);
 
-          logger.info(`Scrape completed: ${summary}`);
-        } catch (error) {
-          logger.error('Cron job failed:', error);
-        }
-      },
-      {
+      if (current && current.schedule === schedule) {
+        continue;
+      }
+
+      if (current && current.task) {
+        current.task.stop();
+      }
+
+      if (!cron.validate(schedule)) {
+        this.scrapeJobs.set(groupId, { schedule, task: null });
+        logger.error(`Invalid cron schedule "${schedule}" for ${groupId}; its scrapes are not scheduled`);
+        continue;
+      }
+
+      const task = cron.schedule(schedule, () => this.scrapeGroup(groupId), {
         scheduled: true,
         timezone: config.cron.timezone,
-      }
-    );
+      });
 
-    logger.info('Message scraper cron job started');
+      this.scrapeJobs.set(groupId, { schedule, task });
+      logger.info(`Scheduled scrapes for ${groupId}: ${schedule}`);
+    }
   }
 
   /**
-   * Start the cleanup cron job for old messages
+   * Queue a scheduled scrape and log its outcome. A scrape already queued
+   * for the group (e.g. a manual one) is reused.
    */
-  startCleanupJob() {
-    if (config.database.retentionDays === 0) {
-      logger.info('Message retention is set to forever, skipping cleanup job');
-      return;
+  async scrapeGroup(groupId) {
+    logger.info(`Cron job triggered: Starting message scrape for ${groupId}`);
+
+    try {
+      const queued = await this.scrapeQueue.enqueue(groupId, 'cron');
+      const job = await this.scrapeQueue.wait(queued.id);
+
+      if (!job) {
+        return;
+      }
+
+      if (job.status === 'completed') {
+        logger.info(`Scrape completed: ${job.result.groupName}: ${job.result.messagesInserted} new, ${job.result.messagesExisting} already stored`);
+      } else {
+        logger.info(`Scrape ${job.status} for ${groupId}${job.error_message ? `: ${job.error_message}` : ''}`);
+      }
+    } catch (error) {
+      logger.error(`Cron job failed for ${groupId}:`, error);
     }
+  }
 
+  /**
+   * Start the cleanup cron job for old messages (groups kept forever are skipped per policy)
+   */
+  startCleanupJob() {
     const schedule = config.cron.schedules.cleanOldMessages;
 
     logger.info(`Setting up cleanup cron job: ${schedule}`);
@@ -64,8 +108,10 @@ class CronScheduler {
         logger.info('Cron job triggered: Cleaning old messages');
 
         try {
-          const deletedCount = this.messageHandler.cleanupOldMessages();
-          logger.info(`Cleanup completed: ${deletedCount} messages deleted`);
+          const results = await retentionManager.run();
+          const deletedCount = results.reduce((sum, r) => sum + (r.messages || 0), 0);
+          const failed = results.filter(r => !r.success).length;
+          logger.info(`Cleanup completed: ${deletedCount} messages deleted${failed ? `, ${failed} groups failed` : ''}`);
         } catch (error) {
           logger.error('Cleanup job failed:', error);
         }
@@ -79,12 +125,39 @@ class CronScheduler {
     logger.info('Cleanup cron job started');
   }
 
+  /**
+   * Start the cron job that enrolls new groups matching a discovery rule
+   */
+  startDiscoveryJob() {
+    const schedule = config.cron.schedules.discoverGroups;
+
+    logger.info(`Setting up group discovery cron job: ${schedule}`);
+
+    this.jobs.discovery = cron.schedule(
+      schedule,
+      async () => {
+        try {
+          await this.groupDiscovery.discover('periodic');
+        } catch (error) {
+          logger.error('Group discovery job failed:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: config.cron.timezone,
+      }
+    );
+
+    logger.info('Group discovery cron job started');
+  }
+
   /**
    * Start all scheduled jobs
    */
   startAll() {
     this.startMessageScraper();
     this.startCleanupJob();
+    this.startDiscoveryJob();
     logger.info('All cron jobs started successfully');
   }
 
@@ -97,6 +170,11 @@ class CronScheduler {
         job.stop();
       }
     });
+
+    groupRegistry.off('change', this.syncScrapeJobs);
+    this.scrapeJobs.forEach(job => job.task && job.task.stop());
+    this.scrapeJobs.clear();
+
     logger.info('All cron jobs stopped');
   }
 
@@ -106,13 +184,22 @@ class CronScheduler {
   getStatus() {
     return {
       scrapeMessages: {
-        schedule: config.cron.schedules.scrapeMessages,
-        running: this.jobs.scrapeMessages ? true : false,
+        defaultSchedule: config.cron.schedules.scrapeMessages,
+        running: this.scrapeJobs.size > 0,
+        groups: [...this.scrapeJobs].map(([groupId, job]) => ({
+          groupId,
+          schedule: job.schedule,
+          scheduled: Boolean(job.task),
+        })),
       },
       cleanup: {
         schedule: config.cron.schedules.cleanOldMessages,
         running: this.jobs.cleanup ? true : false,
-        enabled: config.database.retentionDays > 0,
+        defaultRetentionDays: config.database.retentionDays,
+      },
+      discovery: {
+        schedule: config.cron.schedules.discoverGroups,
+        running: this.jobs.discovery ? true : false,
       },
       timezone: config.cron.timezone,
     };
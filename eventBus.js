@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./utils/logger');
+
+/**
+ * In-process events other parts of the app react to (webhooks, alerts, /api/stream).
+ * Each event is emitted under its type and under 'event', as { id, type, timestamp, data }.
+ *
+ * Event types:
+ *   message.created     - a message stored for the first time ({ message })
+ *   message.edited      - a stored message was edited ({ message, revision })
+ *   message.deleted     - a stored message was deleted for everyone ({ message, revision })
+ *   scrape.completed    - a scrape finished (the scrapeGroup result)
+ *   scrape.failed       - a scrape failed (the scrapeGroup result, with error)
+ *   scrape.job_updated  - a scrape job was queued or changed status ({ groupId, job })
+ *   client.disconnected - the WhatsApp client lost its session ({ reason })
+ *   alert.created       - an alert rule matched a new message ({ groupId, alert })
+ */
+class EventBus extends EventEmitter {
+  publish(type, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+
+    // A failing listener must not break the code that published the event
+    try {
+      this.emit(type, event);
+      this.emit('event', event);
+    } catch (error) {
+      logger.error(`Error handling ${type} event:`, error);
+    }
+
+    return event;
+  }
+}
+
+// Export singleton instance
+const eventBus = new EventBus();
+module.exports = eventBus;
@@ -6,9 +6,10 @@ const logger = require('./utils/logger');
 /**
  * Export messages from database to JSON file
  * Usage: node export_to_json.js [groupId] [outputFile]
+ * beforeTimestamp (Unix seconds) limits a group export to older messages, e.g. for retention archives
  */
 
-async function exportMessagesToJSON(groupId = null, outputFile = null) {
+async function exportMessagesToJSON(groupId = null, outputFile = null, beforeTimestamp = null) {
     try {
         // Default output file name
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -24,63 +25,9 @@ async function exportMessagesToJSON(groupId = null, outputFile = null) {
 
         logger.info(`Starting export to: ${outputPath}`);
 
-        // Build query based on whether groupId is provided
-        let query, params;
-        if (groupId) {
-            query = `
-                SELECT
-                    m.id,
-                    m.group_id,
-                    g.name as group_name,
-                    m.message_body,
-                    m.message_type,
-                    m.author,
-                    m.author_phone,
-                    m.from_number,
-                    m.from_name,
-                    m.timestamp,
-                    m.timestamp_formatted,
-                    m.is_from_me,
-                    m.has_media,
-                    m.media_path,
-                    m.ack,
-                    m.scraped_at
-                FROM messages m
-                LEFT JOIN groups g ON m.group_id = g.id
-                WHERE m.group_id = $1
-                ORDER BY m.timestamp ASC
-            `;
-            params = [groupId];
-        } else {
-            query = `
-                SELECT
-                    m.id,
-                    m.group_id,
-                    g.name as group_name,
-                    m.message_body,
-                    m.message_type,
-                    m.author,
-                    m.author_phone,
-                    m.from_number,
-                    m.from_name,
-                    m.timestamp,
-                    m.timestamp_formatted,
-                    m.is_from_me,
-                    m.has_media,
-                    m.media_path,
-                    m.ack,
-                    m.scraped_at
-                FROM messages m
-                LEFT JOIN groups g ON m.group_id = g.id
-                ORDER BY m.group_id, m.timestamp ASC
-            `;
-            params = [];
-        }
-
-        // Execute query using pool
-        const result = await dbManager.pool.query(query, params);
+        const rows = await dbManager.getMessagesForExport(groupId, beforeTimestamp);
 
-        if (result.rows.length === 0) {
+        if (rows.length === 0) {
             logger.warn('No messages found to export');
             return {
                 success: true,
@@ -94,16 +41,18 @@ async function exportMessagesToJSON(groupId = null, outputFile = null) {
         const exportData = {
             metadata: {
                 exportDate: new Date().toISOString(),
-                totalMessages: result.rows.length,
+                totalMessages: rows.length,
                 groupId: groupId || 'all',
+                beforeTimestamp: beforeTimestamp,
                 databaseColumns: [
                     'id', 'group_id', 'group_name', 'message_body', 'message_type',
                     'author', 'author_phone', 'from_number', 'from_name', 'timestamp',
-                    'timestamp_formatted', 'is_from_me', 'has_media', 'media_path',
-                    'ack', 'scraped_at'
+                    'timestamp_formatted', 'is_from_me', 'has_media', 'media_key',
+                    'ack', 'is_deleted', 'edited_at', 'quoted_message_id', 'mentioned_phones',
+                    'is_forwarded', 'forwarding_score', 'scraped_at'
                 ]
             },
-            messages: result.rows.map(row => ({
+            messages: rows.map(row => ({
                 id: row.id,
                 group_id: row.group_id,
                 group_name: row.group_name,
@@ -117,8 +66,14 @@ async function exportMessagesToJSON(groupId = null, outputFile = null) {
                 timestamp_formatted: row.timestamp_formatted,
                 is_from_me: row.is_from_me,
                 has_media: row.has_media,
-                media_path: row.media_path,
+                media_key: row.media_key,
                 ack: row.ack,
+                is_deleted: row.is_deleted,
+                edited_at: row.edited_at,
+                quoted_message_id: row.quoted_message_id,
+                mentioned_phones: row.mentioned_phones,
+                is_forwarded: row.is_forwarded,
+                forwarding_score: row.forwarding_score,
                 scraped_at: row.scraped_at
             }))
         };
@@ -126,12 +81,12 @@ async function exportMessagesToJSON(groupId = null, outputFile = null) {
         // Write to file
         await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2), 'utf8');
 
-        logger.info(`Successfully exported ${result.rows.length} messages to ${outputPath}`);
+        logger.info(`Successfully exported ${rows.length} messages to ${outputPath}`);
 
         return {
             success: true,
             message: 'Export completed successfully',
-            count: result.rows.length,
+            count: rows.length,
             file: outputPath
         };
 
@@ -144,22 +99,20 @@ async function exportMessagesToJSON(groupId = null, outputFile = null) {
 // Get group statistics
 async function getGroupStats(groupId) {
     try {
-        const query = `
-            SELECT
-                g.name as group_name,
-                COUNT(m.id) as total_messages,
-                COUNT(DISTINCT m.author_phone) as unique_senders,
-                MIN(m.timestamp) as first_message_date,
-                MAX(m.timestamp) as last_message_date,
-                COUNT(CASE WHEN m.has_media THEN 1 END) as media_messages
-            FROM groups g
-            LEFT JOIN messages m ON g.id = m.group_id
-            WHERE g.id = $1
-            GROUP BY g.name
-        `;
-
-        const result = await dbManager.pool.query(query, [groupId]);
-        return result.rows[0] || null;
+        const group = await dbManager.getGroup(groupId);
+        if (!group) {
+            return null;
+        }
+
+        const stats = await dbManager.getGroupStatistics(groupId);
+        return {
+            group_name: group.name,
+            total_messages: stats.total_messages,
+            unique_senders: stats.unique_senders,
+            first_message_date: stats.first_message_timestamp,
+            last_message_date: stats.last_message_timestamp,
+            media_messages: stats.media_messages
+        };
     } catch (error) {
         logger.error('Error getting group stats:', error);
         return null;
@@ -174,13 +127,8 @@ async function main() {
 
     console.log('\n=== WhatsApp Messages JSON Exporter ===\n');
 
-    // Initialize database connection if not already initialized
-    if (!dbManager.pool) {
-        console.log('Initializing database connection...\n');
-        dbManager.initialize();
-        // Wait a moment for connection to be established
-        await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+    console.log('Initializing database connection...\n');
+    await dbManager.initialize();
 
     if (groupId) {
         console.log(`Group ID: ${groupId}`);
@@ -0,0 +1,242 @@
+const dbManager = require('./database');
+const groupRegistry = require('./groupRegistry');
+const contactResolver = require('./contactResolver');
+const logger = require('./utils/logger');
+const { validatePattern, execWithTimeout } = require('./utils/regex');
+
+// What a rule matches: the group name (case-insensitive regex), a list of group IDs,
+// or any group we are added to
+const MATCH_TYPES = ['name_pattern', 'group_ids', 'joined'];
+const ACTIONS = ['include', 'exclude'];
+
+/**
+ * Enrolls groups into monitoring when they match an include rule in discovery_rules
+ * and no exclude rule. Groups that already have a monitored_groups row (including
+ * paused ones) are left alone.
+ */
+class GroupDiscovery {
+  constructor(client) {
+    this.client = client;
+    this.running = false;
+  }
+
+  /**
+   * Check a complete rule before saving it. Returns an error message, or null if it is valid.
+   */
+  validateRule(rule) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      return 'name is required';
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      return `action must be one of: ${ACTIONS.join(', ')}`;
+    }
+    if (!MATCH_TYPES.includes(rule.match_type)) {
+      return `matchType must be one of: ${MATCH_TYPES.join(', ')}`;
+    }
+    if (typeof rule.enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+
+    if (rule.match_type === 'name_pattern') {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        return 'pattern is required for name_pattern rules';
+      }
+      const invalidPattern = validatePattern(rule.pattern);
+      if (invalidPattern) {
+        return invalidPattern;
+      }
+    }
+
+    if (rule.match_type === 'group_ids') {
+      const valid = Array.isArray(rule.group_ids) && rule.group_ids.length > 0
+        && rule.group_ids.every(id => typeof id === 'string' && id.endsWith('@g.us'));
+      if (!valid) {
+        return 'groupIds must be a list of group IDs ending with @g.us';
+      }
+    }
+
+    // Excluding every group we join would only hide the include rules
+    if (rule.match_type === 'joined' && rule.action === 'exclude') {
+      return 'joined rules can only include groups';
+    }
+
+    return null;
+  }
+
+  /**
+   * Enabled rules, oldest first
+   */
+  async getRules() {
+    const rules = await dbManager.getDiscoveryRules();
+    return rules.filter(rule => rule.enabled);
+  }
+
+  /**
+   * The rule deciding a group's fate: the first matching exclude rule, otherwise
+   * the first matching include rule (null if none match). joined rules only match
+   * when we were just added to the group.
+   */
+  match(rules, group, joined = false) {
+    const matches = rule => {
+      switch (rule.match_type) {
+        case 'name_pattern':
+          try {
+            return execWithTimeout(new RegExp(rule.pattern, 'i'), group.name || '') !== null;
+          } catch (error) {
+            // A pattern that runs out of time matches nothing
+            logger.warn(`Discovery rule ${rule.id} "${rule.name}": ${error.message} on group ${group.id}`);
+            return false;
+          }
+        case 'group_ids':
+          return rule.group_ids.includes(group.id);
+        case 'joined':
+          return joined;
+        default:
+          return false;
+      }
+    };
+
+    return rules.find(rule => rule.action === 'exclude' && matches(rule))
+      || rules.find(rule => rule.action === 'include' && matches(rule))
+      || null;
+  }
+
+  /**
+   * The rule behind each group: the one that enrolled it, otherwise the one matching it now.
+   * Returns a Map of group ID -> { id, name, action, enrolled } for groups a rule applies to.
+   */
+  async explain(groups) {
+    const allRules = await dbManager.getDiscoveryRules();
+    const rulesById = new Map(allRules.map(rule => [rule.id, rule]));
+    const rules = allRules.filter(rule => rule.enabled);
+    const explained = new Map();
+
+    for (const group of groups) {
+      const enrolledBy = groupRegistry.getSettings(group.id).discovery_rule_id;
+      const rule = rulesById.get(enrolledBy) || this.match(rules, group);
+
+      if (rule) {
+        explained.set(group.id, {
+          id: rule.id,
+          name: rule.name,
+          action: rule.action,
+          enrolled: rule.id === enrolledBy,
+        });
+      }
+    }
+
+    return explained;
+  }
+
+  /**
+   * Check every group we are in that is not monitored yet against the rules
+   */
+  async discover(trigger = 'periodic') {
+    if (this.running) {
+      logger.info(`Group discovery (${trigger}) skipped: a pass is already running`);
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const rules = await this.getRules();
+      const summary = { trigger, rules: rules.length, checked: 0, excluded: 0, enrolled: [] };
+
+      if (rules.length === 0) {
+        return summary;
+      }
+
+      const chats = await this.client.getChats();
+
+      for (const chat of chats) {
+        const group = { id: chat.id._serialized, name: chat.name };
+
+        if (!chat.isGroup || groupRegistry.has(group.id)) {
+          continue;
+        }
+
+        summary.checked++;
+        const rule = await this.evaluate(group, rules, trigger);
+
+        if (rule && rule.action === 'include') {
+          summary.enrolled.push({ groupId: group.id, groupName: group.name, rule: rule.name });
+        } else if (rule) {
+          summary.excluded++;
+        }
+      }
+
+      logger.info(
+        `Group discovery (${trigger}): checked ${summary.checked} unmonitored groups, ` +
+        `enrolled ${summary.enrolled.length}, excluded ${summary.excluded}`
+      );
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Enroll a group we were just added to if a rule allows it
+   */
+  async handleGroupJoin(notification) {
+    try {
+      if (!this.isOwnJoin(notification)) {
+        return;
+      }
+
+      const chat = await notification.getChat();
+      const group = { id: chat.id._serialized, name: chat.name };
+
+      if (groupRegistry.has(group.id)) {
+        return;
+      }
+
+      await this.evaluate(group, await this.getRules(), 'join', true);
+    } catch (error) {
+      logger.error('Error running group discovery for a joined group:', error);
+    }
+  }
+
+  /**
+   * Whether a group_join notification is about us (we may be listed by LID)
+   */
+  isOwnJoin(notification) {
+    const ownId = this.client.info.wid._serialized;
+    const ownPhone = contactResolver.resolve(ownId);
+
+    return (notification.recipientIds || [])
+      .map(id => (typeof id === 'string' ? id : id._serialized))
+      .some(id => id === ownId || (ownPhone && contactResolver.resolve(id) === ownPhone));
+  }
+
+  /**
+   * Apply the rules to one unmonitored group, enrolling it on an include match.
+   * Returns the deciding rule. Joins are logged at info, passes over every group at debug.
+   */
+  async evaluate(group, rules, trigger, joined = false) {
+    const rule = this.match(rules, group, joined);
+    const level = trigger === 'join' ? 'info' : 'debug';
+    const label = `${group.name} (${group.id})`;
+
+    if (!rule) {
+      logger.log(level, `Discovery (${trigger}): ${label} matches no rule`);
+      return null;
+    }
+
+    if (rule.action === 'exclude') {
+      logger.log(level, `Discovery (${trigger}): ${label} excluded by rule "${rule.name}"`);
+      return rule;
+    }
+
+    await groupRegistry.update(group.id, {
+      enabled: true,
+      discovery_rule_id: rule.id,
+      discovered_at: new Date(),
+    });
+    logger.info(`Discovery (${trigger}): enrolled ${label} via rule "${rule.name}"`);
+    return rule;
+  }
+}
+
+module.exports = GroupDiscovery;
@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const config = require('./config');
+const dbManager = require('./database');
+const logger = require('./utils/logger');
+
+/**
+ * In-memory copy of monitored_groups, resolving each group's settings against
+ * the config defaults. Emits 'change' with the group ID whenever a group is saved
+ * or removed, so CronScheduler can reschedule.
+ */
+class GroupRegistry extends EventEmitter {
+  constructor() {
+    super();
+    // group ID -> monitored_groups row
+    this.groups = new Map();
+  }
+
+  /**
+   * Load the table, first importing MONITORED_GROUPS into it
+   */
+  async load() {
+    await this.importConfiguredGroups();
+
+    const rows = await dbManager.getMonitoredGroups();
+    this.groups = new Map(rows.map(row => [row.group_id, row]));
+    logger.info(`Loaded ${this.groups.size} monitored groups (${this.getEnabledIds().length} enabled)`);
+  }
+
+  /**
+   * Add the groups in MONITORED_GROUPS that have no row yet, enabled, and settle rows
+   * whose enabled is NULL (retention policies carried over by migration 018): enabled
+   * if the group is configured, paused otherwise. Rows that are already enabled or
+   * paused are left alone, so this runs on every start.
+   * @returns {Promise<number>} - How many rows were added or settled
+   */
+  async importConfiguredGroups() {
+    const rows = await dbManager.getMonitoredGroups();
+    const configured = new Set(config.whatsapp.monitoredGroups);
+    let imported = 0;
+
+    for (const row of rows) {
+      if (row.enabled === null) {
+        const enabled = configured.has(row.group_id);
+        await dbManager.saveMonitoredGroup(row.group_id, { enabled });
+        logger.info(`${enabled ? 'Enabled' : 'Paused'} ${row.group_id}, which had a retention policy, from MONITORED_GROUPS`);
+        imported++;
+      }
+    }
+
+    const known = new Set(rows.map(row => row.group_id));
+    for (const groupId of configured) {
+      if (!known.has(groupId)) {
+        await dbManager.saveMonitoredGroup(groupId, { enabled: true });
+        logger.info(`Added ${groupId} from MONITORED_GROUPS to monitored groups`);
+        imported++;
+      }
+    }
+
+    return imported;
+  }
+
+  /**
+   * Check whether a group is scraped and captured live
+   */
+  isMonitored(groupId) {
+    const row = this.groups.get(groupId);
+    return Boolean(row && row.enabled);
+  }
+
+  /**
+   * Check whether a group has settings stored, enabled or paused
+   */
+  has(groupId) {
+    return this.groups.has(groupId);
+  }
+
+  /**
+   * IDs of the enabled groups
+   */
+  getEnabledIds() {
+    return [...this.groups.values()].filter(row => row.enabled).map(row => row.group_id);
+  }
+
+  /**
+   * Effective settings of every group with a row
+   */
+  getAll() {
+    return [...this.groups.keys()].map(groupId => this.getSettings(groupId));
+  }
+
+  /**
+   * A group's settings with config defaults filled in, and which ones it overrides.
+   * Groups without a row are disabled and use the defaults throughout.
+   */
+  getSettings(groupId) {
+    const row = this.groups.get(groupId) || {};
+    const defaults = {
+      cron_schedule: config.cron.schedules.scrapeMessages,
+      message_limit: config.scraper.messageLimit,
+      scrape_media: config.scraper.scrapeMedia,
+      retention_days: config.database.retentionDays,
+      archive_before_delete: config.database.archiveBeforeDelete,
+    };
+
+    const settings = {
+      group_id: groupId,
+      enabled: Boolean(row.enabled),
+      // Set when a discovery rule enrolled the group
+      discovery_rule_id: row.discovery_rule_id || null,
+      discovered_at: row.discovered_at || null,
+      overrides: [],
+    };
+
+    for (const [setting, fallback] of Object.entries(defaults)) {
+      const overridden = row[setting] !== null && row[setting] !== undefined;
+      settings[setting] = overridden ? row[setting] : fallback;
+
+      if (overridden) {
+        settings.overrides.push(setting);
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Check settings before saving them. Returns an error message, or null if they are valid.
+   * null is allowed for everything but enabled and means "use the default".
+   */
+  validate(settings) {
+    const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+    const checks = {
+      enabled: value => typeof value === 'boolean' || 'enabled must be true or false',
+      cron_schedule: value => (typeof value === 'string' && cron.validate(value)) || `"${value}" is not a valid cron expression`,
+      message_limit: value => isWholeNumber(value, 1) || 'message limit must be a whole number above 0',
+      scrape_media: value => typeof value === 'boolean' || 'media setting must be true or false',
+      retention_days: value => isWholeNumber(value, 0) || 'retention days must be a whole number (0 = keep forever)',
+      archive_before_delete: value => typeof value === 'boolean' || 'archive setting must be true or false',
+    };
+
+    for (const [setting, value] of Object.entries(settings)) {
+      if (!checks[setting]) {
+        return `Unknown setting: ${setting}`;
+      }
+      if (value === null && setting !== 'enabled') {
+        continue;
+      }
+
+      const result = checks[setting](value);
+      if (result !== true) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Save some of a group's settings (null reverts one to its default)
+   */
+  async update(groupId, settings) {
+    // A new row only starts scraping when the caller enables it
+    const row = await dbManager.saveMonitoredGroup(
+      groupId,
+      this.groups.has(groupId) ? settings : { enabled: false, ...settings }
+    );
+    this.groups.set(groupId, row);
+    this.emit('change', groupId);
+    return this.getSettings(groupId);
+  }
+
+  /**
+   * Forget a group and its settings
+   */
+  async remove(groupId) {
+    const removed = await dbManager.deleteMonitoredGroup(groupId);
+    this.groups.delete(groupId);
+    this.emit('change', groupId);
+    return removed;
+  }
+}
+
+// Export singleton instance
+const groupRegistry = new GroupRegistry();
+module.exports = groupRegistry;
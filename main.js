@@ -10,6 +10,19 @@ const dbManager = require("./database");
 const logger = require("./utils/logger");
 const MessageHandler = require("./messageHandler");
 const CronScheduler = require("./cronScheduler");
+const contactResolver = require("./contactResolver");
+const BackfillManager = require("./backfillManager");
+const ScrapeQueue = require("./scrapeQueue");
+const GroupDiscovery = require("./groupDiscovery");
+const { getStorage } = require("./storage");
+const { encodeCursor, decodeCursor } = require("./utils/cursor");
+const { toUnixSeconds } = require("./utils/time");
+const retentionManager = require("./retentionManager");
+const groupRegistry = require("./groupRegistry");
+const eventBus = require("./eventBus");
+const webhookManager = require("./webhookManager");
+const alertManager = require("./alertManager");
+const streamManager = require("./streamManager");
 const { exportMessagesToJSON } = require("./export_to_json");
 
 const app = express();
@@ -18,23 +31,171 @@ const PORT = config.server.port;
 // Middleware
 app.use(express.json());
 
+// Query syntaxes accepted by /api/search
+const SEARCH_MODES = ["websearch", "phrase", "prefix", "boolean"];
+
+// Request fields of POST /api/groups/monitored and the monitored_groups settings they set
+const GROUP_SETTING_FIELDS = {
+  cronSchedule: "cron_schedule",
+  messageLimit: "message_limit",
+  scrapeMedia: "scrape_media",
+  retentionDays: "retention_days",
+  archiveBeforeDelete: "archive_before_delete",
+};
+
+// Request fields of the discovery rule endpoints and the discovery_rules columns they set
+const DISCOVERY_RULE_BODY_FIELDS = {
+  name: "name",
+  action: "action",
+  matchType: "match_type",
+  pattern: "pattern",
+  groupIds: "group_ids",
+  enabled: "enabled",
+};
+
+// Request fields of the webhook endpoints and the webhooks columns they set
+const WEBHOOK_BODY_FIELDS = {
+  url: "url",
+  events: "events",
+  groupIds: "group_ids",
+  keywords: "keywords",
+  messageTypes: "message_types",
+  description: "description",
+  secret: "secret",
+  includeBackfill: "include_backfill",
+  enabled: "enabled",
+};
+
+// Request fields of the alert rule endpoints and the alert_rules columns they set
+const ALERT_RULE_BODY_FIELDS = {
+  name: "name",
+  pattern: "pattern",
+  groupIds: "group_ids",
+  senders: "senders",
+  quietHoursStart: "quiet_hours_start",
+  quietHoursEnd: "quiet_hours_end",
+  channels: "channels",
+  includeBackfill: "include_backfill",
+  enabled: "enabled",
+};
+
+// Webhook delivery states, as stored in webhook_deliveries.status
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+// Scrape job states, as stored in scrape_jobs.status
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+
+// Per-group counters summed into /api/scrape-history totals
+const SCRAPE_SUMMARY_TOTALS = [
+  "runs",
+  "completed_runs",
+  "failed_runs",
+  "messages_fetched",
+  "messages_inserted",
+  "messages_duplicate",
+  "messages_failed",
+  "media_downloaded",
+  "media_failed",
+  "runs_at_message_limit",
+];
+
 // ==========================================
 // Helper Functions
 // ==========================================
 
 /**
- * Extract phone number from WhatsApp author ID
- * @param {string} author - WhatsApp author ID (e.g., "162474452119805@lid" or "94772147755@c.us")
- * @returns {string} - Formatted phone number with country code (e.g., "+94772147755")
+ * Add readable fields to a message row for API responses
+ * @param {Object} message - Message row from the database
+ * @param {Object} reactions - Reaction counts keyed by message ID (see getReactionsByMessage)
+ * @returns {Object} - Message with timestamp_readable and reactions
+ */
+function formatMessage(message, reactions = {}) {
+  return {
+    ...message,
+    timestamp_readable: moment(message.timestamp * 1000).format('YYYY-MM-DD HH:mm:ss'),
+    reactions: reactions[message.id] || {},
+  };
+}
+
+/**
+ * Split a comma-separated query parameter into a list
+ * @param {string} value - e.g. "a@g.us,b@g.us"
+ * @returns {Array<string>} - Non-empty trimmed items
+ */
+function splitList(value) {
+  return value ? String(value).split(",").map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Normalize a sender filter; bare phone numbers get the stored "+" prefix
+ * @param {string} sender - Phone number or WhatsApp ID
+ * @returns {string|null}
+ */
+function normalizeSender(sender) {
+  if (!sender) return null;
+
+  // A "+" in a query string arrives as a space
+  const value = String(sender).trim();
+  return /^\d+$/.test(value) ? `+${value}` : value;
+}
+
+/**
+ * Load the edit/deletion history for a list of messages, keyed by message ID
+ * @param {Array} messages - Message rows from the database
+ * @returns {Promise<Object>} - Revisions (oldest first) per message ID
  */
-function formatPhoneNumber(author) {
-  if (!author) return null;
+async function getRevisionsByMessage(messages) {
+  if (messages.length === 0) return {};
 
-  // Extract the number part before @ symbol
-  const numberPart = author.split('@')[0];
+  const revisions = await dbManager.getMessageRevisions(messages.map(m => m.id));
+
+  return revisions.reduce((byMessage, revision) => {
+    (byMessage[revision.message_id] = byMessage[revision.message_id] || []).push(revision);
+    return byMessage;
+  }, {});
+}
+
+/**
+ * Load reaction counts for a list of messages, keyed by message ID
+ * @param {Array} messages - Message rows from the database
+ * @returns {Promise<Object>} - Map of emoji to count per message ID
+ */
+async function getReactionsByMessage(messages) {
+  if (messages.length === 0) return {};
+
+  const summaries = await dbManager.getReactionSummaries(messages.map(m => m.id));
+
+  return summaries.reduce((byMessage, summary) => {
+    byMessage[summary.message_id] = byMessage[summary.message_id] || {};
+    byMessage[summary.message_id][summary.reaction] = summary.count;
+    return byMessage;
+  }, {});
+}
 
-  // Add + prefix for international format
-  return `+${numberPart}`;
+/**
+ * Combine polls and their votes into per-option tallies
+ * @param {Array} polls - Poll rows from the database
+ * @param {Array} votes - Poll vote rows for those polls
+ * @returns {Array} - Polls with vote counts and voter phones per option
+ */
+function buildPollTallies(polls, votes) {
+  return polls.map(poll => {
+    const pollVotes = votes.filter(v => v.message_id === poll.message_id && v.selected_options.length > 0);
+
+    return {
+      ...poll,
+      timestamp_readable: moment(poll.timestamp * 1000).format('YYYY-MM-DD HH:mm:ss'),
+      total_voters: pollVotes.length,
+      options: poll.options.map(option => {
+        const optionVotes = pollVotes.filter(v => v.selected_options.includes(option.localId));
+        return {
+          ...option,
+          votes: optionVotes.length,
+          voters: optionVotes.map(v => v.voter_phone || v.voter_id),
+        };
+      }),
+    };
+  });
 }
 
 // ==========================================
@@ -43,6 +204,9 @@ function formatPhoneNumber(author) {
 let clientReady = false;
 let messageHandler;
 let cronScheduler;
+let backfillManager;
+let scrapeQueue;
+let groupDiscovery;
 let latestQRCode = null; // Store QR code for web display
 
 // Puppeteer configuration based on environment
@@ -96,17 +260,46 @@ async function initializeWhatsAppClient() {
     });
 
     // Client event handlers
-    client.on("ready", () => {
+    client.on("ready", async () => {
       logger.info("WhatsApp client is ready!");
+
+      // Known identities must be loaded before messages are resolved
+      try {
+        await contactResolver.load();
+      } catch (error) {
+        logger.error("Failed to load contact identities:", error);
+      }
+
       clientReady = true;
 
       // Initialize message handler
       messageHandler = new MessageHandler(client);
 
+      // Alert rules with a whatsapp channel send through this client
+      alertManager.setClient(client);
+
+      // Scrapes run through the job queue; pick up jobs queued before a restart
+      scrapeQueue = new ScrapeQueue(messageHandler);
+      scrapeQueue.start().catch(error => {
+        logger.error("Failed to start scrape queue:", error);
+      });
+
+      // Enroll groups matching a discovery rule (again on joins and on a schedule)
+      groupDiscovery = new GroupDiscovery(client);
+      groupDiscovery.discover("startup").catch(error => {
+        logger.error("Failed to run group discovery:", error);
+      });
+
       // Initialize and start cron jobs
-      cronScheduler = new CronScheduler(messageHandler);
+      cronScheduler = new CronScheduler(scrapeQueue, groupDiscovery);
       cronScheduler.startAll();
 
+      // Pick up backfills interrupted by a restart
+      backfillManager = new BackfillManager(messageHandler);
+      backfillManager.resumePending().catch(error => {
+        logger.error("Failed to resume backfill jobs:", error);
+      });
+
       logger.info("System fully initialized");
     });
 
@@ -132,9 +325,57 @@ async function initializeWhatsAppClient() {
       logger.error("Authentication failure:", msg);
     });
 
+    // Live message capture for monitored groups
+    if (config.scraper.liveCapture) {
+      client.on("message", (msg) => {
+        if (messageHandler) messageHandler.handleLiveMessage(msg);
+      });
+
+      // "message" already covers received messages, so only our own are taken from here
+      client.on("message_create", (msg) => {
+        if (messageHandler && msg.fromMe) messageHandler.handleLiveMessage(msg);
+      });
+
+      client.on("message_revoke_everyone", (msg, revokedMsg) => {
+        if (messageHandler) messageHandler.handleMessageRevoke(msg, revokedMsg);
+      });
+
+      client.on("message_edit", (msg, newBody, prevBody) => {
+        if (messageHandler) messageHandler.handleMessageEdit(msg, newBody, prevBody);
+      });
+
+      client.on("message_reaction", (reaction) => {
+        if (messageHandler) messageHandler.handleReaction(reaction);
+      });
+
+      client.on("vote_update", (vote) => {
+        if (messageHandler) messageHandler.handleVote(vote);
+      });
+
+      client.on("group_join", (notification) => {
+        if (messageHandler) messageHandler.handleGroupNotification(notification);
+      });
+
+      client.on("group_leave", (notification) => {
+        if (messageHandler) messageHandler.handleGroupNotification(notification);
+      });
+
+      client.on("group_admin_changed", (notification) => {
+        if (messageHandler) messageHandler.handleGroupNotification(notification);
+      });
+
+      logger.info("Live message capture enabled");
+    }
+
+    // Groups we are added to may match a discovery rule, whether or not live capture is on
+    client.on("group_join", (notification) => {
+      if (groupDiscovery) groupDiscovery.handleGroupJoin(notification);
+    });
+
     client.on("disconnected", (reason) => {
       logger.warn("WhatsApp client disconnected:", reason);
       clientReady = false;
+      eventBus.publish("client.disconnected", { reason });
     });
 
     // Initialize client
@@ -146,9 +387,18 @@ async function initializeWhatsAppClient() {
   }
 }
 
-// Initialize database and start client
-dbManager.initialize();
-initializeWhatsAppClient();
+// Initialize database (refuses to start on an unmigrated schema), load group settings,
+// start webhook delivery, alert rules and the event stream, and start client
+dbManager.initialize()
+  .then(() => groupRegistry.load())
+  .then(() => webhookManager.start())
+  .then(() => alertManager.start())
+  .then(() => streamManager.start())
+  .then(() => initializeWhatsAppClient())
+  .catch((error) => {
+    logger.error('Startup aborted:', error);
+    process.exit(1);
+  });
 
 // ==========================================
 // API Middleware
@@ -275,7 +525,7 @@ app.get("/api/groups", checkClientReady, async (req, res) => {
       count: groups.length,
       groups: groups.map(g => ({
         ...g,
-        isMonitored: config.whatsapp.monitoredGroups.includes(g.id),
+        isMonitored: groupRegistry.isMonitored(g.id),
       })),
     });
   } catch (error) {
@@ -288,257 +538,1716 @@ app.get("/api/groups", checkClientReady, async (req, res) => {
   }
 });
 
-// Get messages from a specific group
-app.get("/api/groups/:groupId/messages", checkClientReady, async (req, res) => {
+// Monitored groups with their effective settings
+app.get("/api/groups/monitored", checkClientReady, async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-
-    const messages = await dbManager.getMessagesByGroup(groupId, limit, offset);
-    const group = await dbManager.getGroup(groupId);
-    const total = await dbManager.getMessageCount(groupId);
+    const names = new Map((await dbManager.getAllGroups()).map(g => [g.id, g.name]));
+    const groups = groupRegistry.getAll().map(settings => ({
+      ...settings,
+      group_name: names.get(settings.group_id) || null,
+    }));
 
     res.json({
       success: true,
-      groupId,
-      groupName: group ? group.name : null,
-      count: messages.length,
-      total: total,
-      messages: messages.map(m => ({
-        ...m,
-        timestamp_readable: moment(parseInt(m.timestamp) * 1000).format('YYYY-MM-DD HH:mm:ss'),
-        author_phone: formatPhoneNumber(m.author),
-      })),
+      count: groups.length,
+      groups,
     });
   } catch (error) {
-    logger.error("Error fetching messages:", error);
+    logger.error("Error fetching monitored groups:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch messages",
+      error: "Failed to fetch monitored groups",
       message: error.message,
     });
   }
 });
 
-// Search messages
-app.get("/api/search", checkClientReady, async (req, res) => {
+// Start monitoring a group, or change a monitored group's settings
+app.post("/api/groups/monitored", checkClientReady, async (req, res) => {
   try {
-    const { groupId, q } = req.query;
+    const { groupId, ...body } = req.body || {};
+
+    if (!groupId) {
+      return res.status(400).json({
+        success: false,
+        error: "groupId is required",
+      });
+    }
+
+    // Only settings present in the body are written; null reverts one to its default.
+    // A new group starts enabled; an existing one keeps its paused/resumed state.
+    const added = !groupRegistry.has(groupId);
+    const settings = added ? { enabled: true } : {};
+    for (const [field, column] of Object.entries(GROUP_SETTING_FIELDS)) {
+      if (body[field] !== undefined) {
+        settings[column] = body[field];
+      }
+    }
 
-    if (!groupId || !q) {
+    const invalid = groupRegistry.validate(settings);
+    if (invalid) {
       return res.status(400).json({
         success: false,
-        error: "groupId and q (search term) are required",
+        error: invalid,
+      });
+    }
+
+    let chat;
+    try {
+      chat = await client.getChatById(groupId);
+    } catch (error) {
+      chat = null;
+    }
+
+    if (!chat || !chat.isGroup) {
+      return res.status(404).json({
+        success: false,
+        error: "No WhatsApp group with this ID",
       });
     }
 
-    const messages = await dbManager.searchMessages(groupId, q);
+    const group = await groupRegistry.update(groupId, settings);
+    logger.info(`${added ? "Now monitoring" : "Updated settings of"} group ${chat.name} (${groupId})`);
 
     res.json({
       success: true,
-      groupId,
-      searchTerm: q,
-      count: messages.length,
-      messages: messages.map(m => ({
-        ...m,
-        timestamp_readable: moment(parseInt(m.timestamp) * 1000).format('YYYY-MM-DD HH:mm:ss'),
-        author_phone: formatPhoneNumber(m.author),
-      })),
+      message: added ? "Group is now monitored" : "Group settings updated",
+      group: { ...group, group_name: chat.name },
     });
   } catch (error) {
-    logger.error("Error searching messages:", error);
+    logger.error("Error saving monitored group:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to search messages",
+      error: "Failed to save monitored group",
       message: error.message,
     });
   }
 });
 
-// Get messages by date range
-app.get("/api/groups/:groupId/messages/range", checkClientReady, async (req, res) => {
+// Pause or resume scraping and live capture of a monitored group
+app.post("/api/groups/monitored/:groupId/:action(pause|resume)", checkClientReady, async (req, res) => {
+  try {
+    const { groupId, action } = req.params;
+
+    if (!groupRegistry.has(groupId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Group is not monitored",
+      });
+    }
+
+    const group = await groupRegistry.update(groupId, { enabled: action === "resume" });
+    logger.info(`${action === "resume" ? "Resumed" : "Paused"} monitoring of group ${groupId}`);
+
+    res.json({
+      success: true,
+      message: action === "resume" ? "Monitoring resumed" : "Monitoring paused",
+      group,
+    });
+  } catch (error) {
+    logger.error("Error updating monitored group:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update monitored group",
+      message: error.message,
+    });
+  }
+});
+
+// Stop monitoring a group and drop its settings (stored messages are kept)
+app.delete("/api/groups/monitored/:groupId", checkClientReady, async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { startDate, endDate } = req.query;
+    const removed = await groupRegistry.remove(groupId);
 
-    if (!startDate || !endDate) {
-      return res.status(400).json({
+    if (!removed) {
+      return res.status(404).json({
         success: false,
-        error: "startDate and endDate are required (ISO format)",
+        error: "Group is not monitored",
       });
     }
 
-    const start = new Date(startDate).getTime();
-    const end = new Date(endDate).getTime();
+    logger.info(`Stopped monitoring group ${groupId}`);
 
-    const messages = await dbManager.getMessagesByDateRange(groupId, start, end);
+    // The startup seed or a discovery pass would add it back
+    let warning;
+    if (config.whatsapp.monitoredGroups.includes(groupId)) {
+      warning = "Group is still listed in MONITORED_GROUPS and will be added again on restart; remove it there or pause it instead";
+    } else {
+      const chat = await client.getChatById(groupId).catch(() => null);
+      const rule = chat && groupDiscovery.match(await groupDiscovery.getRules(), { id: groupId, name: chat.name });
+
+      if (rule && rule.action === "include") {
+        warning = `Group matches discovery rule "${rule.name}" and will be enrolled again; pause it or add an exclude rule instead`;
+      }
+    }
 
     res.json({
       success: true,
+      message: "Group removed from monitoring",
       groupId,
-      dateRange: { startDate, endDate },
-      count: messages.length,
-      messages: messages.map(m => ({
-        ...m,
-        timestamp_readable: moment(parseInt(m.timestamp) * 1000).format('YYYY-MM-DD HH:mm:ss'),
-        author_phone: formatPhoneNumber(m.author),
-      })),
+      warning,
     });
   } catch (error) {
-    logger.error("Error fetching messages by date range:", error);
+    logger.error("Error removing monitored group:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch messages by date range",
+      error: "Failed to remove monitored group",
       message: error.message,
     });
   }
 });
 
-// Get group statistics
-app.get("/api/groups/:groupId/stats", checkClientReady, async (req, res) => {
+// List discovery rules (enabled or not)
+app.get("/api/discovery/rules", checkClientReady, async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const stats = await dbManager.getGroupStatistics(groupId);
-    const group = await dbManager.getGroup(groupId);
+    const rules = await dbManager.getDiscoveryRules();
 
     res.json({
       success: true,
-      groupId,
-      groupName: group ? group.name : null,
-      statistics: {
-        ...stats,
-        first_message_date: stats.first_message_timestamp
-          ? moment(parseInt(stats.first_message_timestamp) * 1000).format('YYYY-MM-DD HH:mm:ss')
-          : null,
-        last_message_date: stats.last_message_timestamp
-          ? moment(parseInt(stats.last_message_timestamp) * 1000).format('YYYY-MM-DD HH:mm:ss')
-          : null,
-      },
+      count: rules.length,
+      rules,
     });
   } catch (error) {
-    logger.error("Error fetching group statistics:", error);
+    logger.error("Error fetching discovery rules:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch group statistics",
+      error: "Failed to fetch discovery rules",
       message: error.message,
     });
   }
 });
 
-// Get scrape history
-app.get("/api/groups/:groupId/scrape-history", checkClientReady, async (req, res) => {
+// Add a discovery rule (checked on the next discovery pass)
+app.post("/api/discovery/rules", checkClientReady, async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const limit = parseInt(req.query.limit) || 10;
+    const body = req.body || {};
+    const rule = { action: "include", enabled: true };
+    for (const [field, column] of Object.entries(DISCOVERY_RULE_BODY_FIELDS)) {
+      if (body[field] !== undefined) {
+        rule[column] = body[field];
+      }
+    }
 
-    const history = await dbManager.getScrapeHistory(groupId, limit);
+    const invalid = groupDiscovery.validateRule(rule);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const created = await dbManager.createDiscoveryRule(rule);
+    logger.info(`Added discovery rule ${created.id} "${created.name}" (${created.action} ${created.match_type})`);
 
     res.json({
       success: true,
-      groupId,
-      count: history.length,
-      history,
+      message: "Discovery rule added",
+      rule: created,
     });
   } catch (error) {
-    logger.error("Error fetching scrape history:", error);
+    logger.error("Error adding discovery rule:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch scrape history",
+      error: "Failed to add discovery rule",
       message: error.message,
     });
   }
 });
 
-// Manual scrape trigger
-app.post("/api/scrape/:groupId", checkClientReady, async (req, res) => {
+// Change a discovery rule; only the fields in the body are updated
+app.put("/api/discovery/rules/:ruleId", checkClientReady, async (req, res) => {
   try {
-    const { groupId } = req.params;
+    const ruleId = parseInt(req.params.ruleId) || 0;
+    const existing = (await dbManager.getDiscoveryRules()).find(rule => rule.id === ruleId);
 
-    if (!messageHandler) {
-      return res.status(503).json({
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        error: "Message handler not initialized yet",
+        error: "Discovery rule not found",
       });
     }
 
-    // Run scrape in background
-    messageHandler.scrapeGroup(groupId).then(result => {
-      logger.info(`Manual scrape completed for ${groupId}:`, result);
-    }).catch(error => {
-      logger.error(`Manual scrape failed for ${groupId}:`, error);
-    });
+    const body = req.body || {};
+    const fields = {};
+    for (const [field, column] of Object.entries(DISCOVERY_RULE_BODY_FIELDS)) {
+      if (body[field] !== undefined) {
+        fields[column] = body[field];
+      }
+    }
+
+    const invalid = groupDiscovery.validateRule({ ...existing, ...fields });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const rule = await dbManager.updateDiscoveryRule(ruleId, fields);
+    logger.info(`Updated discovery rule ${rule.id} "${rule.name}"`);
 
     res.json({
       success: true,
-      message: "Scrape started in background",
-      groupId,
+      message: "Discovery rule updated",
+      rule,
     });
   } catch (error) {
-    logger.error("Error triggering manual scrape:", error);
+    logger.error("Error updating discovery rule:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to trigger scrape",
+      error: "Failed to update discovery rule",
       message: error.message,
     });
   }
 });
 
-// Scrape all monitored groups manually
-app.post("/api/scrape-all", checkClientReady, async (req, res) => {
+// Delete a discovery rule (groups it enrolled stay monitored)
+app.delete("/api/discovery/rules/:ruleId", checkClientReady, async (req, res) => {
   try {
-    if (!messageHandler) {
-      return res.status(503).json({
+    const ruleId = parseInt(req.params.ruleId) || 0;
+    const deleted = await dbManager.deleteDiscoveryRule(ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({
         success: false,
-        error: "Message handler not initialized yet",
+        error: "Discovery rule not found",
       });
     }
 
-    // Run scrape in background
-    messageHandler.scrapeAllGroups().then(results => {
-      logger.info('Manual scrape all completed:', results);
-    }).catch(error => {
-      logger.error('Manual scrape all failed:', error);
+    logger.info(`Deleted discovery rule ${ruleId}`);
+
+    res.json({
+      success: true,
+      message: "Discovery rule deleted",
+      ruleId,
+    });
+  } catch (error) {
+    logger.error("Error deleting discovery rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete discovery rule",
+      message: error.message,
     });
+  }
+});
+
+// Check all unmonitored groups against the discovery rules now
+app.post("/api/discovery/run", checkClientReady, async (req, res) => {
+  try {
+    const summary = await groupDiscovery.discover("manual");
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        error: "Group discovery is already running",
+      });
+    }
 
     res.json({
       success: true,
-      message: "Scrape started for all monitored groups",
-      groups: config.whatsapp.monitoredGroups,
+      ...summary,
     });
   } catch (error) {
-    logger.error("Error triggering scrape all:", error);
+    logger.error("Error running group discovery:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to trigger scrape all",
+      error: "Failed to run group discovery",
       message: error.message,
     });
   }
 });
 
-// List all available chats (for finding group IDs)
-app.get("/api/chats", checkClientReady, async (req, res) => {
+// Get messages from a specific group (keyset pagination with before/after cursors)
+app.get("/api/groups/:groupId/messages", checkClientReady, async (req, res) => {
   try {
-    const chats = await client.getChats();
-    const chatList = chats.map((chat) => ({
-      id: chat.id._serialized,
-      name: chat.name,
-      isGroup: chat.isGroup,
-      unreadCount: chat.unreadCount,
-      timestamp: chat.timestamp,
-      isMonitored: config.whatsapp.monitoredGroups.includes(chat.id._serialized),
-    }));
+    const { groupId } = req.params;
+    const { before, after, authorPhone, type, hasMedia, isFromMe } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const order = req.query.order === "asc" ? "asc" : "desc";
+
+    let messages;
+    let hasMore;
+    let bounds = {};
+
+    if (req.query.offset !== undefined) {
+      // Deprecated: offset paging drifts as new messages arrive
+      messages = await dbManager.getMessagesByGroup(groupId, limit, parseInt(req.query.offset) || 0);
+      hasMore = messages.length === limit;
+    } else {
+      try {
+        bounds = {
+          before: before ? decodeCursor(before, ["timestamp", "id"]) : null,
+          after: after ? decodeCursor(after, ["timestamp", "id"]) : null,
+        };
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      ({ messages, hasMore } = await dbManager.getMessagesPage(groupId, {
+        ...bounds,
+        authorPhone: normalizeSender(authorPhone),
+        messageTypes: splitList(type),
+        hasMedia: hasMedia === undefined ? null : hasMedia === "true",
+        isFromMe: isFromMe === undefined ? null : isFromMe === "true",
+        order,
+        limit,
+      }));
+    }
+
+    const group = await dbManager.getGroup(groupId);
+    const total = await dbManager.getMessageCount(groupId);
+    const revisions = await getRevisionsByMessage(messages);
+    const reactions = await getReactionsByMessage(messages);
+
+    // Cursors for the oldest and newest message of this page (rows arrive in `order`)
+    const ascending = order === "asc" && req.query.offset === undefined;
+    const oldest = ascending ? messages[0] : messages[messages.length - 1];
+    const newest = ascending ? messages[messages.length - 1] : messages[0];
 
     res.json({
       success: true,
-      count: chatList.length,
-      chats: chatList,
+      groupId,
+      groupName: group ? group.name : null,
+      count: messages.length,
+      total: total,
+      pagination: {
+        order,
+        limit,
+        hasMore,
+        before: oldest ? encodeCursor({ timestamp: oldest.timestamp, id: oldest.id }) : null,
+        after: newest ? encodeCursor({ timestamp: newest.timestamp, id: newest.id }) : null,
+      },
+      messages: messages.map(m => ({
+        ...formatMessage(m, reactions),
+        revisions: revisions[m.id] || [],
+      })),
     });
   } catch (error) {
-    logger.error("Error fetching chats:", error);
+    logger.error("Error fetching messages:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch chats",
+      error: "Failed to fetch messages",
+      message: error.message,
+    });
+  }
+});
+
+// Get the reply chain and direct replies of a message
+app.get("/api/messages/:messageId/thread", checkClientReady, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const message = await dbManager.getMessage(messageId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found",
+      });
+    }
+
+    const ancestors = await dbManager.getReplyChain(messageId);
+    const replies = await dbManager.getReplies(messageId);
+    const reactions = await getReactionsByMessage([message, ...ancestors, ...replies]);
+
+    res.json({
+      success: true,
+      messageId,
+      message: formatMessage(message, reactions),
+      ancestors: ancestors.map(m => formatMessage(m, reactions)),
+      replies: replies.map(m => formatMessage(m, reactions)),
+    });
+  } catch (error) {
+    logger.error("Error fetching message thread:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch message thread",
+      message: error.message,
+    });
+  }
+});
+
+// Download the media file of a message (redirects to a signed URL when the backend has one)
+app.get("/api/media/:messageId", checkClientReady, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const media = await dbManager.getMedia(messageId);
+    const storage = media ? getStorage(media.storage_backend) : null;
+
+    if (!media || !(await storage.exists(media.storage_key))) {
+      return res.status(404).json({
+        success: false,
+        error: "Media not found",
+      });
+    }
+
+    const filename = media.original_filename || `${media.sha256}.${media.extension}`;
+    const contentType = media.mimetype || "application/octet-stream";
+
+    // ?stream=true proxies the file through the API even when a signed URL is available
+    if (req.query.stream !== "true") {
+      const signedUrl = await storage.getSignedUrl(media.storage_key, { contentType, filename });
+      if (signedUrl) {
+        return res.redirect(302, signedUrl);
+      }
+    }
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Length", media.size_bytes);
+    res.setHeader("Content-Disposition", `inline; filename="${filename.replace(/"/g, '')}"`);
+
+    const stream = await storage.getStream(media.storage_key);
+    stream
+      .on("error", (error) => {
+        logger.error(`Error streaming media for ${messageId}:`, error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    logger.error("Error fetching media:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch media",
+      message: error.message,
+    });
+  }
+});
+
+// Full-text search across all or selected groups
+app.get("/api/search", checkClientReady, async (req, res) => {
+  try {
+    const { q, groupId, sender, type, startDate, endDate, hasMedia, cursor } = req.query;
+    const mode = req.query.mode || "websearch";
+    const sort = req.query.sort || "relevance";
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: "q (search term) is required",
+      });
+    }
+
+    if (!SEARCH_MODES.includes(mode) || !["relevance", "recent"].includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of ${SEARCH_MODES.join(", ")} and sort one of relevance, recent`,
+      });
+    }
+
+    const start = startDate ? toUnixSeconds(startDate) : null;
+    const end = endDate ? toUnixSeconds(endDate) : null;
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate and endDate must be ISO dates",
+      });
+    }
+
+    let after = null;
+    if (cursor) {
+      try {
+        after = decodeCursor(cursor, sort === "relevance" ? ["rank", "timestamp", "id"] : ["timestamp", "id"]);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    const { messages, hasMore } = await dbManager.searchMessages(q, {
+      groupIds: splitList(groupId),
+      mode,
+      sender: normalizeSender(sender),
+      messageTypes: splitList(type),
+      startTimestamp: start,
+      endTimestamp: end,
+      hasMedia: hasMedia === undefined ? null : hasMedia === "true",
+      sort,
+      limit,
+      cursor: after,
+    });
+    const reactions = await getReactionsByMessage(messages);
+
+    const last = messages[messages.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor(sort === "relevance"
+        ? { rank: last.rank, timestamp: last.timestamp, id: last.id }
+        : { timestamp: last.timestamp, id: last.id })
+      : null;
+
+    res.json({
+      success: true,
+      searchTerm: q,
+      mode,
+      sort,
+      count: messages.length,
+      nextCursor,
+      messages: messages.map(m => formatMessage(m, reactions)),
+    });
+  } catch (error) {
+    // Search text the database could not parse (e.g. a malformed boolean query)
+    if (error.code === "INVALID_SEARCH_QUERY") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid search query",
+        message: error.message,
+      });
+    }
+
+    logger.error("Error searching messages:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to search messages",
+      message: error.message,
+    });
+  }
+});
+
+// Get messages by date range
+app.get("/api/groups/:groupId/messages/range", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate and endDate are required (ISO format)",
+      });
+    }
+
+    // messages.timestamp is in seconds
+    const start = toUnixSeconds(startDate);
+    const end = toUnixSeconds(endDate);
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate and endDate must be ISO dates",
+      });
+    }
+
+    const messages = await dbManager.getMessagesByDateRange(groupId, start, end);
+    const reactions = await getReactionsByMessage(messages);
+
+    res.json({
+      success: true,
+      groupId,
+      dateRange: { startDate, endDate },
+      count: messages.length,
+      messages: messages.map(m => ({
+        ...m,
+        timestamp_readable: moment(m.timestamp * 1000).format('YYYY-MM-DD HH:mm:ss'),
+        reactions: reactions[m.id] || {},
+      })),
+    });
+  } catch (error) {
+    logger.error("Error fetching messages by date range:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch messages by date range",
+      message: error.message,
+    });
+  }
+});
+
+// Get group statistics
+app.get("/api/groups/:groupId/stats", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const stats = await dbManager.getGroupStatistics(groupId);
+    const group = await dbManager.getGroup(groupId);
+
+    res.json({
+      success: true,
+      groupId,
+      groupName: group ? group.name : null,
+      statistics: {
+        ...stats,
+        first_message_date: stats.first_message_timestamp
+          ? moment(stats.first_message_timestamp * 1000).format('YYYY-MM-DD HH:mm:ss')
+          : null,
+        last_message_date: stats.last_message_timestamp
+          ? moment(stats.last_message_timestamp * 1000).format('YYYY-MM-DD HH:mm:ss')
+          : null,
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching group statistics:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch group statistics",
+      message: error.message,
+    });
+  }
+});
+
+// Get current (or all) members of a group
+app.get("/api/groups/:groupId/participants", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    const participants = await dbManager.getGroupParticipants(groupId, includeInactive);
+
+    res.json({
+      success: true,
+      groupId,
+      count: participants.length,
+      participants,
+    });
+  } catch (error) {
+    logger.error("Error fetching participants:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch participants",
+      message: error.message,
+    });
+  }
+});
+
+// Get the membership timeline of a group
+app.get("/api/groups/:groupId/membership", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const events = await dbManager.getMembershipEvents(groupId, limit);
+
+    res.json({
+      success: true,
+      groupId,
+      count: events.length,
+      events: events.map(e => ({
+        ...e,
+        event_date: e.event_timestamp
+          ? moment(e.event_timestamp * 1000).format('YYYY-MM-DD HH:mm:ss')
+          : null,
+      })),
+    });
+  } catch (error) {
+    logger.error("Error fetching membership events:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch membership events",
+      message: error.message,
+    });
+  }
+});
+
+// Get polls with current vote tallies
+app.get("/api/groups/:groupId/polls", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const polls = await dbManager.getPollsByGroup(groupId);
+    const votes = polls.length > 0
+      ? await dbManager.getPollVotes(polls.map(p => p.message_id))
+      : [];
+
+    res.json({
+      success: true,
+      groupId,
+      count: polls.length,
+      polls: buildPollTallies(polls, votes),
+    });
+  } catch (error) {
+    logger.error("Error fetching polls:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch polls",
+      message: error.message,
+    });
+  }
+});
+
+// Get scrape history
+app.get("/api/groups/:groupId/scrape-history", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const history = await dbManager.getScrapeHistory(groupId, limit);
+
+    res.json({
+      success: true,
+      groupId,
+      count: history.length,
+      history,
+    });
+  } catch (error) {
+    logger.error("Error fetching scrape history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape history",
+      message: error.message,
+    });
+  }
+});
+
+// Scrape metrics summed per group, for tuning CRON_SCHEDULE and MESSAGE_LIMIT
+app.get("/api/scrape-history", checkClientReady, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Schedules and page sizes are per group; runs_at_message_limit is counted against each group's own limit
+    const messageLimits = Object.fromEntries(
+      groupRegistry.getAll().map(settings => [settings.group_id, settings.message_limit])
+    );
+    const summary = await dbManager.getScrapeSummary(since, messageLimits, config.scraper.messageLimit);
+
+    const groups = summary.map(group => {
+      const settings = groupRegistry.getSettings(group.group_id);
+      return { ...group, cron_schedule: settings.cron_schedule, message_limit: settings.message_limit };
+    });
+
+    const totals = {};
+    for (const group of groups) {
+      for (const key of SCRAPE_SUMMARY_TOTALS) {
+        totals[key] = (totals[key] || 0) + (group[key] || 0);
+      }
+    }
+
+    res.json({
+      success: true,
+      since: since.toISOString(),
+      totals,
+      groups,
+    });
+  } catch (error) {
+    logger.error("Error fetching scrape summary:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape summary",
+      message: error.message,
+    });
+  }
+});
+
+// Manual scrape trigger
+app.post("/api/scrape/:groupId", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!scrapeQueue) {
+      return res.status(503).json({
+        success: false,
+        error: "Scrape queue not initialized yet",
+      });
+    }
+
+    // Poll GET /api/jobs/:id for the outcome
+    const job = await scrapeQueue.enqueue(groupId, "manual");
+
+    res.json({
+      success: true,
+      message: "Scrape queued",
+      groupId,
+      job,
+    });
+  } catch (error) {
+    logger.error("Error triggering manual scrape:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to trigger scrape",
+      message: error.message,
+    });
+  }
+});
+
+// Scrape all monitored groups manually
+app.post("/api/scrape-all", checkClientReady, async (req, res) => {
+  try {
+    if (!scrapeQueue) {
+      return res.status(503).json({
+        success: false,
+        error: "Scrape queue not initialized yet",
+      });
+    }
+
+    const groups = groupRegistry.getEnabledIds();
+    const jobs = [];
+    for (const groupId of groups) {
+      jobs.push(await scrapeQueue.enqueue(groupId, "manual"));
+    }
+
+    res.json({
+      success: true,
+      message: "Scrape queued for all monitored groups",
+      groups,
+      jobs,
+    });
+  } catch (error) {
+    logger.error("Error triggering scrape all:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to trigger scrape all",
+      message: error.message,
+    });
+  }
+});
+
+// List scrape jobs, newest first
+app.get("/api/jobs", checkClientReady, async (req, res) => {
+  try {
+    const { status, groupId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    const jobs = await dbManager.getScrapeJobs({ status, groupId, limit });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs,
+    });
+  } catch (error) {
+    logger.error("Error fetching scrape jobs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape jobs",
+      message: error.message,
+    });
+  }
+});
+
+// Get one scrape job
+app.get("/api/jobs/:jobId", checkClientReady, async (req, res) => {
+  try {
+    const job = await dbManager.getScrapeJob(parseInt(req.params.jobId) || 0);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    logger.error("Error fetching scrape job:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape job",
+      message: error.message,
+    });
+  }
+});
+
+// Cancel a queued or running scrape job
+app.post("/api/jobs/:jobId/cancel", checkClientReady, async (req, res) => {
+  try {
+    if (!scrapeQueue) {
+      return res.status(503).json({
+        success: false,
+        error: "Scrape queue not initialized yet",
+      });
+    }
+
+    const job = await scrapeQueue.cancel(parseInt(req.params.jobId) || 0);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
+    }
+
+    if (!["cancelled", "running"].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`,
+        job,
+      });
+    }
+
+    // A running job stops at its next checkpoint; poll the job to see it end
+    res.json({
+      success: true,
+      message: job.status === "cancelled" ? "Job cancelled" : "Cancellation requested",
+      job,
+    });
+  } catch (error) {
+    logger.error("Error cancelling scrape job:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel scrape job",
+      message: error.message,
+    });
+  }
+});
+
+// Start (or resume) a full-history backfill for a group
+app.post("/api/backfill/:groupId", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!backfillManager) {
+      return res.status(503).json({
+        success: false,
+        error: "Backfill manager not initialized yet",
+      });
+    }
+
+    const job = await backfillManager.start(groupId);
+
+    res.json({
+      success: true,
+      message: "Backfill started in background",
+      groupId,
+      job,
+    });
+  } catch (error) {
+    logger.error("Error starting backfill:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to start backfill",
+      message: error.message,
+    });
+  }
+});
+
+// Get backfill progress for a group
+app.get("/api/backfill/:groupId", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!backfillManager) {
+      return res.status(503).json({
+        success: false,
+        error: "Backfill manager not initialized yet",
+      });
+    }
+
+    const job = await backfillManager.getStatus(groupId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "No backfill found for this group",
+      });
+    }
+
+    res.json({
+      success: true,
+      groupId,
+      job,
+    });
+  } catch (error) {
+    logger.error("Error fetching backfill status:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch backfill status",
+      message: error.message,
+    });
+  }
+});
+
+// Search known contacts (phone, name or WhatsApp ID)
+app.get("/api/contacts", checkClientReady, async (req, res) => {
+  try {
+    const { q } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const contacts = await dbManager.searchContacts(q || null, limit);
+
+    res.json({
+      success: true,
+      count: contacts.length,
+      contacts,
+    });
+  } catch (error) {
+    logger.error("Error fetching contacts:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch contacts",
+      message: error.message,
+    });
+  }
+});
+
+// Re-resolve stored author phone numbers from the contacts table
+app.post("/api/contacts/repair", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.body;
+
+    const updated = await contactResolver.repairAuthorPhones(groupId || null);
+
+    res.json({
+      success: true,
+      message: "Author phone numbers repaired",
+      groupId: groupId || 'all',
+      messagesUpdated: updated,
+    });
+  } catch (error) {
+    logger.error("Error repairing author phones:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to repair author phones",
+      message: error.message,
+    });
+  }
+});
+
+// List webhooks (secrets are only returned when a webhook is created)
+app.get("/api/webhooks", checkClientReady, async (req, res) => {
+  try {
+    const webhooks = (await dbManager.getWebhooks()).map(({ secret, ...webhook }) => webhook);
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      webhooks,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhooks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhooks",
+      message: error.message,
+    });
+  }
+});
+
+// Register a webhook; the response carries the secret its payloads are signed with
+app.post("/api/webhooks", checkClientReady, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = { include_backfill: false, enabled: true };
+    for (const [field, column] of Object.entries(WEBHOOK_BODY_FIELDS)) {
+      if (body[field] !== undefined) {
+        fields[column] = body[field];
+      }
+    }
+
+    const invalid = webhookManager.validate(fields);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const webhook = await webhookManager.create(fields);
+
+    res.json({
+      success: true,
+      message: "Webhook registered",
+      webhook,
+    });
+  } catch (error) {
+    logger.error("Error registering webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register webhook",
+      message: error.message,
+    });
+  }
+});
+
+// Change a webhook; only the fields in the body are updated (pass secret to rotate it)
+app.put("/api/webhooks/:webhookId", checkClientReady, async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.webhookId) || 0;
+    const existing = (await dbManager.getWebhooks()).find(webhook => webhook.id === webhookId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+
+    const body = req.body || {};
+    const fields = {};
+    for (const [field, column] of Object.entries(WEBHOOK_BODY_FIELDS)) {
+      if (body[field] !== undefined) {
+        fields[column] = body[field];
+      }
+    }
+
+    const invalid = webhookManager.validate({ ...existing, ...fields });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const { secret, ...webhook } = await webhookManager.update(webhookId, fields);
+    logger.info(`Updated webhook ${webhookId}`);
+
+    res.json({
+      success: true,
+      message: "Webhook updated",
+      webhook,
+    });
+  } catch (error) {
+    logger.error("Error updating webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update webhook",
+      message: error.message,
+    });
+  }
+});
+
+// Delete a webhook with its delivery log and dead letters
+app.delete("/api/webhooks/:webhookId", checkClientReady, async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.webhookId) || 0;
+    const removed = await webhookManager.remove(webhookId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+
+    logger.info(`Deleted webhook ${webhookId}`);
+
+    res.json({
+      success: true,
+      message: "Webhook deleted",
+      webhookId,
+    });
+  } catch (error) {
+    logger.error("Error deleting webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook",
+      message: error.message,
+    });
+  }
+});
+
+// Delivery log, newest first
+app.get("/api/webhook-deliveries", checkClientReady, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const webhookId = parseInt(req.query.webhookId) || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+      });
+    }
+
+    const deliveries = await dbManager.getWebhookDeliveries({ webhookId, status, limit });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhook deliveries",
+      message: error.message,
+    });
+  }
+});
+
+// Deliveries that ran out of attempts, newest first
+app.get("/api/webhook-deliveries/dead-letters", checkClientReady, async (req, res) => {
+  try {
+    const webhookId = parseInt(req.query.webhookId) || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const deadLetters = await dbManager.getWebhookDeadLetters({ webhookId, limit });
+
+    res.json({
+      success: true,
+      count: deadLetters.length,
+      deadLetters,
+    });
+  } catch (error) {
+    logger.error("Error fetching webhook dead letters:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhook dead letters",
+      message: error.message,
+    });
+  }
+});
+
+// Send a dead letter again with a fresh set of attempts
+app.post("/api/webhook-deliveries/dead-letters/:deadLetterId/retry", checkClientReady, async (req, res) => {
+  try {
+    const delivery = await webhookManager.retryDeadLetter(parseInt(req.params.deadLetterId) || 0);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Dead letter not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Delivery requeued",
+      delivery,
+    });
+  } catch (error) {
+    logger.error("Error retrying webhook dead letter:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to retry webhook dead letter",
+      message: error.message,
+    });
+  }
+});
+
+// Live events as Server-Sent Events (?groupId=X,Y&type=chat,image&events=...). Resumes after
+// the Last-Event-ID header or ?cursor=. Not behind checkClientReady, so dashboards stay
+// connected while WhatsApp reconnects.
+app.get("/api/stream", async (req, res) => {
+  const { groupId, type, events } = req.query;
+  const filters = {
+    groupIds: splitList(groupId),
+    messageTypes: splitList(type),
+    eventTypes: splitList(events),
+  };
+  const rawCursor = req.get("Last-Event-ID") || req.query.cursor;
+  const cursor = rawCursor === undefined ? null : Number(rawCursor);
+
+  if (cursor !== null && (!Number.isInteger(cursor) || cursor < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: "cursor must be an event ID from the stream",
+    });
+  }
+
+  const invalid = streamManager.validate(filters);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  try {
+    await streamManager.subscribe(res, { cursor, filters });
+  } catch (error) {
+    logger.error("Error starting event stream:", error);
+    res.end();
+  }
+});
+
+// List alert rules
+app.get("/api/alert-rules", checkClientReady, async (req, res) => {
+  try {
+    const rules = await dbManager.getAlertRules();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      rules,
+    });
+  } catch (error) {
+    logger.error("Error fetching alert rules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch alert rules",
+      message: error.message,
+    });
+  }
+});
+
+// Add an alert rule
+app.post("/api/alert-rules", checkClientReady, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = { channels: [], include_backfill: false, enabled: true };
+    for (const [field, column] of Object.entries(ALERT_RULE_BODY_FIELDS)) {
+      if (body[field] !== undefined) {
+        fields[column] = body[field];
+      }
+    }
+
+    const invalid = alertManager.validate(fields);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const rule = await alertManager.create(fields);
+
+    res.json({
+      success: true,
+      message: "Alert rule created",
+      rule,
+    });
+  } catch (error) {
+    logger.error("Error creating alert rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create alert rule",
+      message: error.message,
+    });
+  }
+});
+
+// Change an alert rule; only the fields in the body are updated
+app.put("/api/alert-rules/:ruleId", checkClientReady, async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.ruleId) || 0;
+    const existing = (await dbManager.getAlertRules()).find(rule => rule.id === ruleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Alert rule not found",
+      });
+    }
+
+    const body = req.body || {};
+    const fields = {};
+    for (const [field, column] of Object.entries(ALERT_RULE_BODY_FIELDS)) {
+      if (body[field] !== undefined) {
+        fields[column] = body[field];
+      }
+    }
+
+    const invalid = alertManager.validate({ ...existing, ...fields });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const rule = await alertManager.update(ruleId, fields);
+    logger.info(`Updated alert rule ${ruleId} "${rule.name}"`);
+
+    res.json({
+      success: true,
+      message: "Alert rule updated",
+      rule,
+    });
+  } catch (error) {
+    logger.error("Error updating alert rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update alert rule",
+      message: error.message,
+    });
+  }
+});
+
+// Delete an alert rule (the alerts it raised are kept)
+app.delete("/api/alert-rules/:ruleId", checkClientReady, async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.ruleId) || 0;
+    const removed = await alertManager.remove(ruleId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "Alert rule not found",
+      });
+    }
+
+    logger.info(`Deleted alert rule ${ruleId}`);
+
+    res.json({
+      success: true,
+      message: "Alert rule deleted",
+      ruleId,
+    });
+  } catch (error) {
+    logger.error("Error deleting alert rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete alert rule",
+      message: error.message,
+    });
+  }
+});
+
+// Alerts raised by the rules, newest first
+app.get("/api/alerts", checkClientReady, async (req, res) => {
+  try {
+    const { groupId, acknowledged } = req.query;
+    const ruleId = parseInt(req.query.ruleId) || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (acknowledged !== undefined && !["true", "false"].includes(acknowledged)) {
+      return res.status(400).json({
+        success: false,
+        error: "acknowledged must be true or false",
+      });
+    }
+
+    const alerts = await dbManager.getAlerts({
+      ruleId,
+      groupId: groupId || null,
+      acknowledged: acknowledged === undefined ? null : acknowledged === "true",
+      limit,
+    });
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      alerts,
+    });
+  } catch (error) {
+    logger.error("Error fetching alerts:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch alerts",
+      message: error.message,
+    });
+  }
+});
+
+// Acknowledge an alert, optionally saying who did ({ "by": "..." })
+app.post("/api/alerts/:alertId/acknowledge", checkClientReady, async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.alertId) || 0;
+    const { by } = req.body || {};
+
+    if (by !== undefined && by !== null && typeof by !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "by must be text",
+      });
+    }
+
+    const alert = await dbManager.acknowledgeAlert(alertId, by || null);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: "Alert not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Alert acknowledged",
+      alert,
+    });
+  } catch (error) {
+    logger.error("Error acknowledging alert:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to acknowledge alert",
+      message: error.message,
+    });
+  }
+});
+
+// List all available chats (for finding group IDs)
+app.get("/api/chats", checkClientReady, async (req, res) => {
+  try {
+    const chats = await client.getChats();
+    const discoveryRules = await groupDiscovery.explain(
+      chats.filter(chat => chat.isGroup).map(chat => ({ id: chat.id._serialized, name: chat.name }))
+    );
+    const chatList = chats.map((chat) => ({
+      id: chat.id._serialized,
+      name: chat.name,
+      isGroup: chat.isGroup,
+      unreadCount: chat.unreadCount,
+      timestamp: chat.timestamp,
+      isMonitored: groupRegistry.isMonitored(chat.id._serialized),
+      // Rule that enrolled the group, or that would include/exclude it now
+      discoveryRule: discoveryRules.get(chat.id._serialized) || null,
+    }));
+
+    res.json({
+      success: true,
+      count: chatList.length,
+      chats: chatList,
+    });
+  } catch (error) {
+    logger.error("Error fetching chats:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch chats",
+      message: error.message,
+    });
+  }
+});
+
+// Get effective retention settings per group
+app.get("/api/retention/policies", checkClientReady, async (req, res) => {
+  try {
+    const policies = await retentionManager.getPolicies();
+
+    res.json({
+      success: true,
+      defaultRetentionDays: config.database.retentionDays,
+      count: policies.length,
+      policies,
+    });
+  } catch (error) {
+    logger.error("Error fetching retention policies:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch retention policies",
+      message: error.message,
+    });
+  }
+});
+
+// Set a group's retention policy
+app.put("/api/retention/policies/:groupId", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { retentionDays, archiveBeforeDelete } = req.body || {};
+
+    if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "retentionDays must be a whole number of days (0 = keep forever)",
+      });
+    }
+
+    // archiveBeforeDelete is only written when present (null reverts it to RETENTION_ARCHIVE),
+    // so leaving it out keeps the group's current setting
+    const settings = { retention_days: retentionDays };
+    if (archiveBeforeDelete !== undefined) {
+      settings.archive_before_delete = archiveBeforeDelete;
+    }
+
+    const invalid = groupRegistry.validate(settings);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    if (!await dbManager.getGroup(groupId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Group not found",
+      });
+    }
+
+    // Overrides live in monitored_groups; saving one must not enroll the group
+    if (!groupRegistry.has(groupId)) {
+      return res.status(409).json({
+        success: false,
+        error: "Group is not monitored; add it with POST /api/groups/monitored to give it its own retention policy",
+      });
+    }
+
+    const saved = await groupRegistry.update(groupId, settings);
+
+    res.json({
+      success: true,
+      policy: {
+        group_id: groupId,
+        retention_days: saved.retention_days,
+        archive_before_delete: saved.archive_before_delete,
+      },
+    });
+  } catch (error) {
+    logger.error("Error saving retention policy:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save retention policy",
+      message: error.message,
+    });
+  }
+});
+
+// Remove a group's retention policy (falls back to RETENTION_DAYS)
+app.delete("/api/retention/policies/:groupId", checkClientReady, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const removed = groupRegistry.getSettings(groupId).overrides.includes("retention_days");
+
+    if (removed) {
+      await groupRegistry.update(groupId, { retention_days: null, archive_before_delete: null });
+    }
+
+    res.json({
+      success: true,
+      groupId,
+      removed,
+    });
+  } catch (error) {
+    logger.error("Error deleting retention policy:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete retention policy",
+      message: error.message,
+    });
+  }
+});
+
+// Dry run: what the retention cleanup would delete now
+app.get("/api/retention/preview", checkClientReady, async (req, res) => {
+  try {
+    const groups = await retentionManager.preview(req.query.groupId || null);
+
+    res.json({
+      success: true,
+      count: groups.length,
+      groups,
+    });
+  } catch (error) {
+    logger.error("Error previewing retention cleanup:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to preview retention cleanup",
+      message: error.message,
+    });
+  }
+});
+
+// Run the retention cleanup now (all groups, or body.groupId)
+app.post("/api/retention/run", checkClientReady, async (req, res) => {
+  try {
+    const groupId = req.body && req.body.groupId ? req.body.groupId : null;
+
+    logger.info(`Retention cleanup triggered manually${groupId ? ` for group: ${groupId}` : ''}`);
+
+    const results = await retentionManager.run(groupId);
+
+    res.json({
+      success: true,
+      results,
+    });
+  } catch (error) {
+    logger.error("Error running retention cleanup:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to run retention cleanup",
       message: error.message,
     });
   }
@@ -610,12 +2319,53 @@ app.listen(PORT, () => {
   logger.info(`  GET  /api/qr - WhatsApp QR code for authentication`);
   logger.info(`  GET  /api/chats - List all WhatsApp chats`);
   logger.info(`  GET  /api/groups - List monitored groups`);
-  logger.info(`  GET  /api/groups/:groupId/messages - Get messages from group`);
-  logger.info(`  GET  /api/search?groupId=X&q=keyword - Search messages`);
+  logger.info(`  GET  /api/groups/monitored - Monitored groups with their settings`);
+  logger.info(`  POST /api/groups/monitored - Monitor a group or change its settings`);
+  logger.info(`  POST /api/groups/monitored/:groupId/pause|resume - Pause or resume a group`);
+  logger.info(`  DELETE /api/groups/monitored/:groupId - Stop monitoring a group`);
+  logger.info(`  GET  /api/discovery/rules - List group discovery rules`);
+  logger.info(`  POST /api/discovery/rules - Add a discovery rule`);
+  logger.info(`  PUT  /api/discovery/rules/:ruleId - Change a discovery rule`);
+  logger.info(`  DELETE /api/discovery/rules/:ruleId - Delete a discovery rule`);
+  logger.info(`  POST /api/discovery/run - Check unmonitored groups against the rules now`);
+  logger.info(`  GET  /api/groups/:groupId/messages?before=|after=cursor - Get messages from group`);
+  logger.info(`  GET  /api/messages/:messageId/thread - Get reply chain and replies`);
+  logger.info(`  GET  /api/media/:messageId - Download message media (?stream=true to proxy)`);
+  logger.info(`  GET  /api/search?q=keyword[&groupId=X,Y&mode=websearch|phrase|prefix|boolean] - Full-text search`);
   logger.info(`  GET  /api/groups/:groupId/stats - Get group statistics`);
+  logger.info(`  GET  /api/groups/:groupId/participants - Get group members`);
+  logger.info(`  GET  /api/groups/:groupId/membership - Get membership timeline`);
+  logger.info(`  GET  /api/groups/:groupId/polls - Get polls with vote tallies`);
   logger.info(`  GET  /api/groups/:groupId/scrape-history - Get scrape history`);
-  logger.info(`  POST /api/scrape/:groupId - Manually trigger scrape`);
-  logger.info(`  POST /api/scrape-all - Scrape all monitored groups`);
+  logger.info(`  GET  /api/scrape-history?days=7 - Scrape metrics summary across groups`);
+  logger.info(`  POST /api/scrape/:groupId - Queue a scrape (returns a job)`);
+  logger.info(`  POST /api/scrape-all - Queue scrapes for all monitored groups`);
+  logger.info(`  GET  /api/jobs?status=&groupId= - List scrape jobs`);
+  logger.info(`  GET  /api/jobs/:jobId - Get a scrape job's status and result`);
+  logger.info(`  POST /api/jobs/:jobId/cancel - Cancel a queued or running scrape job`);
+  logger.info(`  POST /api/backfill/:groupId - Backfill full group history`);
+  logger.info(`  GET  /api/backfill/:groupId - Get backfill progress`);
+  logger.info(`  GET  /api/contacts?q=keyword - Search known contacts`);
+  logger.info(`  POST /api/contacts/repair - Re-resolve stored author phones`);
+  logger.info(`  GET  /api/webhooks - List webhooks`);
+  logger.info(`  POST /api/webhooks - Register a webhook`);
+  logger.info(`  PUT  /api/webhooks/:webhookId - Change a webhook`);
+  logger.info(`  DELETE /api/webhooks/:webhookId - Delete a webhook`);
+  logger.info(`  GET  /api/webhook-deliveries?webhookId=&status= - Webhook delivery log`);
+  logger.info(`  GET  /api/webhook-deliveries/dead-letters - Deliveries that ran out of attempts`);
+  logger.info(`  POST /api/webhook-deliveries/dead-letters/:deadLetterId/retry - Send a dead letter again`);
+  logger.info(`  GET  /api/stream?groupId=&type=&events=&cursor= - Live events (Server-Sent Events)`);
+  logger.info(`  GET  /api/alert-rules - List alert rules`);
+  logger.info(`  POST /api/alert-rules - Add an alert rule`);
+  logger.info(`  PUT  /api/alert-rules/:ruleId - Change an alert rule`);
+  logger.info(`  DELETE /api/alert-rules/:ruleId - Delete an alert rule`);
+  logger.info(`  GET  /api/alerts?ruleId=&groupId=&acknowledged= - Alerts raised by the rules`);
+  logger.info(`  POST /api/alerts/:alertId/acknowledge - Acknowledge an alert`);
+  logger.info(`  GET  /api/retention/policies - Get retention settings per group`);
+  logger.info(`  PUT  /api/retention/policies/:groupId - Set a group's retention policy`);
+  logger.info(`  DELETE /api/retention/policies/:groupId - Revert a group to the default retention`);
+  logger.info(`  GET  /api/retention/preview - Dry run of the retention cleanup`);
+  logger.info(`  POST /api/retention/run - Run the retention cleanup now`);
   logger.info(`  POST /api/export/:groupId - Export group messages to JSON`);
   logger.info(`  POST /api/export-all - Export all messages to JSON`);
   logger.info(`  GET  /api/cron/status - Get cron job status`);
@@ -0,0 +1,116 @@
+const { apiRequest, baseUrl } = require('./utils/apiClient');
+
+/**
+ * Manage monitored groups through the running scraper (changes apply immediately)
+ * Usage:
+ *   node manage_groups.js list
+ *   node manage_groups.js add <groupId> [--cron "<expr>"] [--limit N] [--media true|false]
+ *                                       [--retention DAYS] [--archive true|false]
+ *   node manage_groups.js set <groupId> [same options as add]
+ *   node manage_groups.js pause|resume|remove <groupId>
+ * Pass "default" as an option value to go back to the environment default.
+ */
+
+const USAGE = [
+    'Usage:',
+    '  node manage_groups.js list',
+    '  node manage_groups.js add <groupId> [--cron "<expr>"] [--limit N] [--media true|false] [--retention DAYS] [--archive true|false]',
+    '  node manage_groups.js set <groupId> [same options as add]',
+    '  node manage_groups.js pause|resume|remove <groupId>',
+    'Pass "default" as an option value to use the environment default.',
+].join('\n');
+
+// Command line options and how their values are sent to the API
+const OPTIONS = {
+    '--cron': { field: 'cronSchedule', parse: value => value },
+    '--limit': { field: 'messageLimit', parse: value => Number(value) },
+    '--media': { field: 'scrapeMedia', parse: value => value === 'true' },
+    '--retention': { field: 'retentionDays', parse: value => Number(value) },
+    '--archive': { field: 'archiveBeforeDelete', parse: value => value === 'true' },
+};
+
+function parseSettings(args) {
+    const settings = {};
+
+    for (let i = 0; i < args.length; i += 2) {
+        const option = OPTIONS[args[i]];
+
+        if (!option || args[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option: ${args[i]}\n\n${USAGE}`);
+        }
+
+        settings[option.field] = args[i + 1] === 'default' ? null : option.parse(args[i + 1]);
+    }
+
+    return settings;
+}
+
+function printGroup(group) {
+    console.log(`${group.group_name || '(not scraped yet)'}`);
+    console.log(`   ID: ${group.group_id}`);
+    console.log(`   Status: ${group.enabled ? 'enabled' : 'paused'}`);
+    if (group.discovery_rule_id) {
+        console.log(`   Enrolled by discovery rule #${group.discovery_rule_id}`);
+    }
+
+    const overridden = setting => (group.overrides.includes(setting) ? '' : ' (default)');
+    console.log(`   Schedule: ${group.cron_schedule}${overridden('cron_schedule')}`);
+    console.log(`   Message limit: ${group.message_limit}${overridden('message_limit')}`);
+    console.log(`   Media: ${group.scrape_media ? 'downloaded' : 'skipped'}${overridden('scrape_media')}`);
+    console.log(`   Retention: ${group.retention_days === 0 ? 'forever' : `${group.retention_days} days`}${overridden('retention_days')}`);
+    console.log(`   Archive before delete: ${group.archive_before_delete ? 'yes' : 'no'}${overridden('archive_before_delete')}`);
+}
+
+async function main() {
+    const [command, groupId, ...rest] = process.argv.slice(2);
+
+    console.log('\n=== Monitored Groups ===\n');
+    console.log(`API: ${baseUrl}\n`);
+
+    if (command === 'list') {
+        const result = await apiRequest('GET', '/api/groups/monitored');
+
+        if (result.groups.length === 0) {
+            console.log('No monitored groups. Add one with: node manage_groups.js add <groupId>\n');
+            return;
+        }
+
+        result.groups.forEach(group => {
+            printGroup(group);
+            console.log('');
+        });
+        return;
+    }
+
+    if (!['add', 'set', 'pause', 'resume', 'remove'].includes(command) || !groupId || !groupId.includes('@g.us')) {
+        console.log(USAGE);
+        console.log('The group ID should end with @g.us');
+        process.exit(1);
+    }
+
+    const encodedId = encodeURIComponent(groupId);
+    let result;
+
+    if (command === 'add' || command === 'set') {
+        result = await apiRequest('POST', '/api/groups/monitored', { groupId, ...parseSettings(rest) });
+    } else if (command === 'remove') {
+        result = await apiRequest('DELETE', `/api/groups/monitored/${encodedId}`);
+    } else {
+        result = await apiRequest('POST', `/api/groups/monitored/${encodedId}/${command}`);
+    }
+
+    console.log(`✓ ${result.message}\n`);
+
+    if (result.group) {
+        printGroup(result.group);
+        console.log('');
+    }
+    if (result.warning) {
+        console.log(`⚠️  ${result.warning}\n`);
+    }
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+});
@@ -1,28 +1,96 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const config = require('./config');
 const dbManager = require('./database');
+const contactResolver = require('./contactResolver');
+const groupRegistry = require('./groupRegistry');
+const eventBus = require('./eventBus');
 const logger = require('./utils/logger');
-
-class MessageHandler {
+const { getExtension, normalizeMimetype } = require('./utils/mime');
+const { getStorage } = require('./storage');
+
+// Group notification subtypes mapped to membership event types
+const MEMBERSHIP_EVENT_TYPES = {
+  add: 'join',
+  invite: 'join',
+  linked_group_join: 'join',
+  remove: 'leave',
+  leave: 'leave',
+  promote: 'promote',
+  demote: 'demote',
+};
+
+/**
+ * Emits 'unlocked' (groupId) when a group's scrape lock is released
+ */
+class MessageHandler extends EventEmitter {
   constructor(client) {
+    super();
     this.client = client;
-    this.ensureMediaDirectory();
+    // Groups whose roster has been loaded since startup
+    this.loadedGroups = new Set();
+    // Groups locked by a running scrape or backfill chunk (see lockGroup)
+    this.activeScrapes = new Set();
+    // Group whose backfill chunk has the client to itself (see lockForBackfill)
+    this.backfillGroup = null;
+  }
+
+  /**
+   * Take a group's scrape lock. Returns false if a scrape or backfill chunk already holds it.
+   */
+  lockGroup(groupId) {
+    if (this.activeScrapes.has(groupId)) {
+      return false;
+    }
+
+    this.activeScrapes.add(groupId);
+    return true;
+  }
+
+  /**
+   * Take a group's lock for one backfill chunk, which keeps the client to itself:
+   * no scrape of any group starts until the chunk calls unlockGroup.
+   * Returns false while a scrape or another chunk is running.
+   */
+  lockForBackfill(groupId) {
+    if (this.backfillGroup || this.activeScrapes.size > 0) {
+      return false;
+    }
+
+    this.backfillGroup = groupId;
+    this.activeScrapes.add(groupId);
+    return true;
   }
 
-  ensureMediaDirectory() {
-    if (!fs.existsSync(config.scraper.mediaPath)) {
-      fs.mkdirSync(config.scraper.mediaPath, { recursive: true });
-      logger.info(`Created media directory: ${config.scraper.mediaPath}`);
+  unlockGroup(groupId) {
+    if (this.backfillGroup === groupId) {
+      this.backfillGroup = null;
     }
+    this.activeScrapes.delete(groupId);
+    this.emit('unlocked', groupId);
   }
 
   /**
-   * Scrape messages from a specific group
+   * Scrape messages from a specific group.
+   * An aborted signal (job cancellation) stops the scrape at the next message;
+   * what was stored up to then is kept and the cursor advanced past it.
    */
-  async scrapeGroup(groupId) {
+  async scrapeGroup(groupId, { signal = null } = {}) {
     let scrapeId;
-    let messageCount = 0;
+
+    // ScrapeQueue holds jobs back during a backfill chunk, but one claimed just before it started waits here
+    while (this.backfillGroup) {
+      await EventEmitter.once(this, 'unlocked');
+    }
+
+    // Scrapes go through ScrapeQueue, which never runs a group twice; this is the last line of defence
+    if (!this.lockGroup(groupId)) {
+      return {
+        success: false,
+        groupId,
+        error: 'Group is already being scraped',
+      };
+    }
 
     try {
       logger.info(`Starting scrape for group: ${groupId}`);
@@ -34,148 +102,682 @@ class MessageHandler {
         throw new Error(`Chat ${groupId} is not a group`);
       }
 
-      // Build participant map (LID -> phone number)
-      this.participantMap = {};
-      if (chat.participants) {
-        for (const participant of chat.participants) {
-          // participant.id._serialized can be like "94772147755@c.us"
-          // Store the phone number against their LID if they have one
-          const participantId = participant.id._serialized;
-          if (participantId.includes('@c.us')) {
-            const phoneNumber = participantId.split('@')[0];
-            // Try to find their LID by getting their contact
-            try {
-              const contact = await this.client.getContactById(participantId);
-              if (contact && contact.id && contact.id._serialized) {
-                // Map their LID to their phone number
-                this.participantMap[contact.id._serialized] = phoneNumber;
-              }
-            } catch (err) {
-              // If we can't get contact, just store by their c.us ID
-              this.participantMap[participantId] = phoneNumber;
-            }
-          }
-        }
-      }
-
-      logger.info(`Built participant map with ${Object.keys(this.participantMap).length} entries`);
-
-      // Update group information in database FIRST
-      await dbManager.insertGroup({
-        id: chat.id._serialized,
-        name: chat.name,
-        participants_count: chat.participants ? chat.participants.length : 0,
-      });
+      // Build participant map and update group information in database FIRST
+      await this.loadGroupContext(chat);
 
       // Now create scrape history after group exists
       scrapeId = await dbManager.startScrapeHistory(groupId);
 
-      // Fetch messages
-      const messages = await chat.fetchMessages({
-        limit: config.scraper.messageLimit
-      });
+      // Only fetch what arrived since the last successful scrape
+      const cursor = await this.getScrapeCursor(groupId);
+      const messages = await this.fetchMessagesSince(chat, cursor, groupRegistry.getSettings(groupId).message_limit);
 
-      logger.info(`Fetched ${messages.length} messages from ${chat.name}`);
+      logger.info(`Fetched ${messages.length} new messages from ${chat.name}`);
 
-      // Process each message
-      for (const msg of messages) {
-        try {
-          await this.processMessage(msg, groupId);
-          messageCount++;
-        } catch (error) {
-          logger.error(`Error processing message ${msg.id._serialized}:`, error);
-        }
+      // The page is written in one transaction; counts only include messages that were new
+      const result = await this.processMessages(messages, groupId, scrapeId, { signal });
+
+      // Process oldest first; the cursor stops advancing at the first message that failed
+      // or was skipped by a cancellation, so it is retried on the next run
+      const retryIds = new Set([...result.failed, ...result.skipped].map(msg => msg.id._serialized));
+      const firstRetry = messages.findIndex(msg => retryIds.has(msg.id._serialized));
+      const advancedTo = firstRetry === -1 ? messages : messages.slice(0, firstRetry);
+      const lastStored = advancedTo[advancedTo.length - 1];
+      const newCursor = lastStored ? { id: lastStored.id._serialized, timestamp: lastStored.timestamp } : cursor;
+
+      if (newCursor && newCursor !== cursor) {
+        await dbManager.updateScrapeCursor(groupId, newCursor.id, newCursor.timestamp);
+      }
+
+      const cursorRange = {
+        fromId: cursor ? cursor.id : null,
+        fromTimestamp: cursor ? cursor.timestamp : null,
+        toId: newCursor ? newCursor.id : null,
+        toTimestamp: newCursor ? newCursor.timestamp : null,
+      };
+
+      if (result.cancelled) {
+        logger.info(`Scrape cancelled for ${chat.name} after ${result.stored.length} messages`);
+        await dbManager.endScrapeHistory(scrapeId, 'cancelled', null, cursorRange);
+
+        return {
+          success: false,
+          cancelled: true,
+          groupId,
+          groupName: chat.name,
+          scrapeId,
+          messagesProcessed: result.stored.length,
+          error: 'Cancelled',
+        };
       }
 
       // Mark scrape as completed
-      await dbManager.endScrapeHistory(scrapeId, messageCount, 'completed');
+      await dbManager.endScrapeHistory(scrapeId, 'completed', null, cursorRange);
 
-      logger.info(`Scrape completed for ${chat.name}. Processed ${messageCount} messages`);
+      logger.info(`Scrape completed for ${chat.name}. ${result.inserted} new, ${result.existing} already stored, ${result.failed.length} failed`);
 
-      return {
+      const outcome = {
         success: true,
         groupId,
         groupName: chat.name,
-        messagesProcessed: messageCount,
+        scrapeId,
+        messagesProcessed: result.stored.length,
+        messagesInserted: result.inserted,
+        messagesExisting: result.existing,
+        messagesFailed: result.failed.length,
       };
+      eventBus.publish('scrape.completed', outcome);
+      return outcome;
 
     } catch (error) {
       logger.error(`Error scraping group ${groupId}:`, error);
-      await dbManager.endScrapeHistory(scrapeId, messageCount, 'failed', error.message);
+      await dbManager.endScrapeHistory(scrapeId, 'failed', error.message);
 
-      return {
+      const outcome = {
         success: false,
         groupId,
+        scrapeId,
         error: error.message,
       };
+      eventBus.publish('scrape.failed', outcome);
+      return outcome;
+    } finally {
+      this.unlockGroup(groupId);
     }
   }
 
   /**
-   * Scrape all monitored groups
+   * Get the high-water mark of the last scrape for a group
    */
-  async scrapeAllGroups() {
-    const results = [];
+  async getScrapeCursor(groupId) {
+    const cursor = await dbManager.getScrapeCursor(groupId);
 
-    for (const groupId of config.whatsapp.monitoredGroups) {
-      const result = await this.scrapeGroup(groupId);
-      results.push(result);
+    if (cursor) {
+      return {
+        id: cursor.last_message_id,
+        timestamp: cursor.last_message_timestamp,
+      };
+    }
+
+    // No cursor yet - fall back to the newest message already stored
+    const lastTimestamp = await this.getLastMessageTimestamp(groupId);
+    return lastTimestamp > 0 ? { id: null, timestamp: lastTimestamp } : null;
+  }
 
-      // Add a small delay between groups to avoid rate limiting
-      await this.sleep(2000);
+  /**
+   * Check whether a message is newer than the scrape cursor
+   */
+  isAfterCursor(msg, cursor) {
+    if (!cursor) {
+      return true;
     }
 
-    return results;
+    return msg.timestamp > cursor.timestamp
+      || (msg.timestamp === cursor.timestamp && msg.id._serialized !== cursor.id);
   }
 
   /**
-   * Process and store a single message
+   * Fetch all messages newer than the cursor, paging backwards pageSize messages
+   * at a time until it is reached
    */
-  async processMessage(msg, groupId) {
-    // Get contact information
-    const contact = await msg.getContact();
+  async fetchMessagesSince(chat, cursor, pageSize) {
+    let limit = pageSize;
+    let messages;
 
-    // Format timestamp to Date object (convert Unix seconds to milliseconds)
-    const timestampFormatted = new Date(msg.timestamp * 1000);
+    while (true) {
+      messages = await chat.fetchMessages({ limit });
+
+      // First scrape of this group - just take the latest page
+      if (!cursor) {
+        break;
+      }
+
+      const historyExhausted = messages.length < limit;
+      const oldest = messages.reduce((a, b) => (b.timestamp < a.timestamp ? b : a), messages[0]);
+      const reachedCursor = oldest && !this.isAfterCursor(oldest, cursor);
+
+      if (historyExhausted || reachedCursor) {
+        break;
+      }
+
+      if (limit >= config.scraper.maxCatchUpLimit) {
+        logger.warn(`Reached catch-up limit of ${limit} messages for ${chat.name} before the last scrape cursor; older messages may be missing`);
+        break;
+      }
+
+      limit = Math.min(limit + pageSize, config.scraper.maxCatchUpLimit);
+      logger.info(`Cursor not reached for ${chat.name}, paging back to ${limit} messages`);
+    }
+
+    return messages
+      .filter(msg => this.isAfterCursor(msg, cursor))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Build the participant roster (IDs, phone, LID, name, admin flags) for a group chat
+   */
+  async buildParticipantRoster(chat) {
+    const participants = chat.participants || [];
+    const participantIds = participants.map(p => p.id._serialized);
+
+    // Newer library versions can resolve LID/phone pairs for all participants in one call
+    const lidPairs = {};
+    if (participantIds.length > 0 && typeof this.client.getContactLidAndPhone === 'function') {
+      try {
+        const pairs = await this.client.getContactLidAndPhone(participantIds);
+        pairs.forEach((pair, index) => {
+          lidPairs[participantIds[index]] = pair;
+        });
+      } catch (error) {
+        logger.warn(`Could not resolve LIDs for ${chat.name}: ${error.message}`);
+      }
+    }
+
+    const roster = [];
+
+    for (const participant of participants) {
+      // participant.id._serialized can be like "94772147755@c.us" or "162474452119805@lid"
+      const participantId = participant.id._serialized;
+      const pair = lidPairs[participantId] || {};
+
+      let contact = null;
+      try {
+        contact = await this.client.getContactById(participantId);
+      } catch (err) {
+        // Roster entry is still useful without contact details
+      }
+
+      const phoneId = participantId.includes('@c.us') ? participantId : pair.pn;
+
+      roster.push({
+        participant_id: participantId,
+        contact_id: contact && contact.id ? contact.id._serialized : null,
+        phone: phoneId ? '+' + phoneId.split('@')[0] : null,
+        lid: participantId.includes('@lid') ? participantId : (pair.lid || null),
+        display_name: contact ? (contact.pushname || contact.name || null) : null,
+        is_admin: Boolean(participant.isAdmin),
+        is_super_admin: Boolean(participant.isSuperAdmin),
+      });
+    }
+
+    return roster;
+  }
+
+  /**
+   * Refresh the roster, contact identities and group row for a chat
+   */
+  async loadGroupContext(chat) {
+    const groupId = chat.id._serialized;
+    const roster = await this.buildParticipantRoster(chat);
+
+    // Every ID we know for a participant resolves to the same person
+    for (const entry of roster) {
+      await contactResolver.learn(
+        [entry.participant_id, entry.contact_id, entry.lid],
+        entry.phone,
+        entry.display_name
+      );
+    }
+    this.loadedGroups.add(groupId);
+    logger.info(`Loaded ${roster.length} participants for ${chat.name}`);
+
+    await dbManager.insertGroup({
+      id: groupId,
+      name: chat.name,
+      participants_count: chat.participants ? chat.participants.length : 0,
+    });
+
+    const changes = await dbManager.syncGroupParticipants(groupId, roster);
+    if (changes.length > 0) {
+      logger.info(`Roster of ${chat.name} changed: ${changes.map(c => `${c.event_type} ${c.participant_id}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Make sure a group's roster and group row exist before storing live messages
+   */
+  async ensureGroupContext(groupId) {
+    if (this.loadedGroups.has(groupId)) {
+      return;
+    }
+
+    const chat = await this.client.getChatById(groupId);
+    await this.loadGroupContext(chat);
+  }
+
+  /**
+   * Check whether a chat ID is one of the monitored groups
+   */
+  isMonitoredGroup(groupId) {
+    return groupRegistry.isMonitored(groupId);
+  }
+
+  /**
+   * Get the serialized form of a WhatsApp ID that may be a string or a wid/key object
+   */
+  serializeId(id) {
+    return typeof id === 'string' ? id : id._serialized;
+  }
+
+  /**
+   * Resolve the group a message belongs to (own messages carry the group in `to`)
+   */
+  getMessageGroupId(msg) {
+    return msg.fromMe ? msg.to : msg.from;
+  }
+
+  /**
+   * Store a message received through a live client event
+   */
+  async handleLiveMessage(msg) {
+    const groupId = this.getMessageGroupId(msg);
+
+    if (!this.isMonitoredGroup(groupId)) {
+      return;
+    }
+
+    try {
+      await this.ensureGroupContext(groupId);
+      await this.processMessage(msg, groupId);
+      logger.debug(`Live message stored: ${msg.id._serialized}`);
+    } catch (error) {
+      logger.error(`Error storing live message ${msg.id._serialized}:`, error);
+    }
+  }
+
+  /**
+   * Handle a message deleted for everyone
+   */
+  async handleMessageRevoke(msg, revokedMsg) {
+    const groupId = this.getMessageGroupId(msg);
+
+    if (!this.isMonitoredGroup(groupId)) {
+      return;
+    }
+
+    try {
+      await this.ensureGroupContext(groupId);
+
+      // Make sure the original content is stored before marking it deleted;
+      // without it only a deleted placeholder can be stored
+      await this.processMessage(revokedMsg || msg, groupId);
+      await this.announceRevision(await dbManager.recordMessageRevocation(msg.id._serialized, new Date()));
+
+      logger.info(`Message revoked in ${groupId}: ${msg.id._serialized}`);
+    } catch (error) {
+      logger.error(`Error handling revoked message ${msg.id._serialized}:`, error);
+    }
+  }
+
+  /**
+   * Handle an edited message
+   */
+  async handleMessageEdit(msg, newBody, prevBody) {
+    const groupId = this.getMessageGroupId(msg);
+
+    if (!this.isMonitoredGroup(groupId)) {
+      return;
+    }
+
+    try {
+      await this.ensureGroupContext(groupId);
+
+      // If we never saw the original, store it with the pre-edit body so the edit is recorded
+      await this.processMessage(msg, groupId, prevBody !== undefined ? { message_body: prevBody } : {});
+      await this.announceRevision(await dbManager.recordMessageEdit(msg.id._serialized, newBody, this.getEditedAt(msg)));
+
+      logger.info(`Message edited in ${groupId}: ${msg.id._serialized}`);
+    } catch (error) {
+      logger.error(`Error handling edited message ${msg.id._serialized}:`, error);
+    }
+  }
+
+  /**
+   * Handle a reaction being added, changed or removed
+   */
+  async handleReaction(reaction) {
+    const messageId = this.serializeId(reaction.msgId);
+    const groupId = this.serializeId(reaction.msgId.remote);
+
+    if (!this.isMonitoredGroup(groupId)) {
+      return;
+    }
+
+    try {
+      // An empty reaction means the sender removed theirs
+      if (!reaction.reaction) {
+        await dbManager.removeReaction(messageId, reaction.senderId);
+        return;
+      }
+
+      await this.ensureGroupContext(groupId);
+      await dbManager.upsertReaction({
+        message_id: messageId,
+        group_id: groupId,
+        sender_id: reaction.senderId,
+        sender_phone: this.resolveParticipantPhone(reaction.senderId),
+        reaction: reaction.reaction,
+        timestamp: Math.round(reaction.timestamp),
+      });
+    } catch (error) {
+      logger.error(`Error storing reaction on message ${messageId}:`, error);
+    }
+  }
+
+  /**
+   * Handle a poll vote being cast or changed
+   */
+  async handleVote(vote) {
+    const pollMsg = vote.parentMessage;
+
+    if (!pollMsg || !pollMsg.id) {
+      logger.warn(`Poll vote from ${vote.voter} received without its poll message`);
+      return;
+    }
+
+    const groupId = this.getMessageGroupId(pollMsg);
+
+    if (!this.isMonitoredGroup(groupId)) {
+      return;
+    }
+
+    try {
+      await this.ensureGroupContext(groupId);
+
+      // Storing an unseen poll also syncs all of its votes, including this one
+      if (!await dbManager.getPoll(pollMsg.id._serialized)) {
+        await this.processMessage(pollMsg, groupId);
+        return;
+      }
+
+      await this.storePollVote(vote, pollMsg.id._serialized, groupId);
+    } catch (error) {
+      logger.error(`Error storing vote on poll ${pollMsg.id._serialized}:`, error);
+    }
+  }
 
-    // Extract phone number - try multiple sources
-    let authorPhone = null;
+  /**
+   * Handle a group membership notification (join, leave, promote, demote)
+   */
+  async handleGroupNotification(notification) {
+    const groupId = this.serializeId(notification.chatId);
 
-    // FIRST: Try to get from participant map (most reliable for groups)
-    if (msg.author && this.participantMap && this.participantMap[msg.author]) {
-      authorPhone = '+' + this.participantMap[msg.author];
+    if (!this.isMonitoredGroup(groupId)) {
+      return;
     }
-    // SECOND: Try contact's number
-    else if (contact && contact.number) {
-      authorPhone = '+' + contact.number;
+
+    const eventType = MEMBERSHIP_EVENT_TYPES[notification.type];
+    if (!eventType) {
+      return;
     }
-    // THIRD: Try from contact id if it's in @c.us format
-    else if (contact && contact.id && contact.id._serialized) {
-      const contactId = contact.id._serialized;
-      if (contactId.includes('@c.us')) {
-        authorPhone = '+' + contactId.split('@')[0];
+
+    try {
+      // Only load the group when it is new to us; a roster refresh here would
+      // report this same change a second time as a roster difference
+      if (!await dbManager.getGroup(groupId)) {
+        await this.ensureGroupContext(groupId);
       }
-      // Also check participant map with contact id
-      else if (this.participantMap && this.participantMap[contactId]) {
-        authorPhone = '+' + this.participantMap[contactId];
+
+      const actorId = notification.author ? this.serializeId(notification.author) : null;
+      const recipientIds = (notification.recipientIds || []).map(id => this.serializeId(id));
+
+      // A member leaving on their own is only listed as the author
+      const participantIds = recipientIds.length > 0 ? recipientIds : [actorId].filter(Boolean);
+
+      for (const participantId of participantIds) {
+        await dbManager.recordMembershipEvent({
+          group_id: groupId,
+          participant_id: participantId,
+          phone: this.resolveParticipantPhone(participantId),
+          event_type: eventType,
+          subtype: notification.type,
+          actor_id: actorId,
+          source: 'notification',
+          notification_id: this.serializeId(notification.id),
+          event_timestamp: notification.timestamp,
+        });
       }
+
+      logger.info(`Membership ${eventType} in ${groupId}: ${participantIds.join(', ')}`);
+    } catch (error) {
+      logger.error(`Error recording membership change in ${groupId}:`, error);
     }
-    // FOURTH: Check if author field itself is in @c.us format
-    else if (msg.author && msg.author.includes('@c.us')) {
-      authorPhone = '+' + msg.author.split('@')[0];
+  }
+
+  /**
+   * Resolve a participant ID (LID or @c.us) to a phone number using the contacts table
+   */
+  resolveParticipantPhone(participantId) {
+    return contactResolver.resolve(participantId);
+  }
+
+  /**
+   * Resolve the phone number of a message's author, learning new identities on the way
+   */
+  async resolveAuthorPhone(msg, contact) {
+    const contactId = contact && contact.id ? contact.id._serialized : null;
+    const ids = [msg.author, contactId].filter(Boolean);
+
+    // WhatsApp knows the number - link it to every ID the author appeared under
+    if (contact && contact.number) {
+      return contactResolver.learn(ids, '+' + contact.number, contact.pushname);
     }
-    // LAST: Fallback to author field only if it looks like a valid phone number
-    else if (msg.author) {
-      const authorNum = msg.author.split('@')[0];
-      if (/^\d{10,15}$/.test(authorNum)) {
-        authorPhone = '+' + authorNum;
+
+    for (const id of ids) {
+      const phone = contactResolver.resolve(id);
+      if (phone) {
+        return phone;
       }
     }
 
+    // An unresolved LID is not a phone number, so leave it empty
+    return null;
+  }
+
+  /**
+   * Get the mentioned participant IDs of a message and their phone numbers
+   */
+  getMentions(msg) {
+    // Depending on the library version mentions are plain IDs or wid objects
+    const ids = (msg.mentionedIds || []).map(id => this.serializeId(id));
+
+    return {
+      ids,
+      phones: ids.map(id => this.resolveParticipantPhone(id)),
+    };
+  }
+
+  /**
+   * Get the ID of the message this one replies to
+   */
+  async getQuotedMessageId(msg) {
+    if (!msg.hasQuotedMsg) {
+      return null;
+    }
+
+    try {
+      const quotedMsg = await msg.getQuotedMessage();
+      return quotedMsg ? quotedMsg.id._serialized : null;
+    } catch (error) {
+      logger.warn(`Could not load quoted message for ${msg.id._serialized}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get when a message was last edited, if it was
+   */
+  getEditedAt(msg) {
+    return msg.latestEditSenderTimestampMs
+      ? new Date(msg.latestEditSenderTimestampMs)
+      : null;
+  }
+
+  /**
+   * Bring an already stored message in line with its current state (edits, deletions)
+   */
+  async reconcileStoredMessage(msg) {
+    if (msg.type === 'revoked') {
+      await this.announceRevision(await dbManager.recordMessageRevocation(msg.id._serialized, new Date()));
+    } else if (this.getEditedAt(msg)) {
+      await this.announceRevision(await dbManager.recordMessageEdit(msg.id._serialized, msg.body, this.getEditedAt(msg)));
+    }
+  }
+
+  /**
+   * Publish message.edited or message.deleted for a recorded revision, with the
+   * message as now stored (nothing when the record call changed nothing)
+   */
+  async announceRevision(revision) {
+    if (!revision) {
+      return;
+    }
+
+    const message = await dbManager.getMessage(revision.message_id);
+    eventBus.publish(revision.revision_type === 'edit' ? 'message.edited' : 'message.deleted', { message, revision });
+  }
+
+  /**
+   * Process and store a single message (live events)
+   * @returns {Promise<boolean>} - Whether the message was new
+   */
+  async processMessage(msg, groupId, overrides = {}) {
+    const { message, media } = await this.buildMessage(msg, groupId, overrides);
+
+    const inserted = await dbManager.insertMessage(message);
+
+    if (media) {
+      await dbManager.insertMedia(media);
+    }
+
+    if (inserted) {
+      eventBus.publish('message.created', { message });
+    }
+
+    await this.storeMessageDetails(msg, groupId, Boolean(inserted));
+    return Boolean(inserted);
+  }
+
+  /**
+   * Process a page of messages (oldest first for scrapes) and store it in one transaction.
+   * With a scrapeId, the scrape's metrics are updated in the same transaction, and
+   * messages whose details could not be stored afterwards are added to its failed count.
+   * An aborted signal stops before the batch if it is not written yet, otherwise before
+   * the next message's details; the messages left over are returned as skipped.
+   * With backfill set, message.created events are marked so that webhooks and alert
+   * rules which did not opt in to history skip them.
+   * @returns {Promise<Object>} - { stored, failed, skipped, cancelled, inserted, existing,
+   *   mediaDownloaded, mediaFailed }; stored, failed and skipped are lists of messages
+   */
+  async processMessages(messages, groupId, scrapeId = null, { signal = null, backfill = false } = {}) {
+    const built = [];
+    const failed = [];
+
+    for (const msg of messages) {
+      if (signal && signal.aborted) {
+        return {
+          stored: [],
+          failed: [],
+          skipped: messages,
+          cancelled: true,
+          inserted: 0,
+          existing: 0,
+          mediaDownloaded: 0,
+          mediaFailed: 0,
+        };
+      }
+
+      try {
+        built.push({ msg, ...await this.buildMessage(msg, groupId) });
+      } catch (error) {
+        failed.push(msg);
+        logger.error(`Error processing message ${msg.id._serialized}:`, error);
+      }
+    }
+
+    const media = built.filter(entry => entry.media).map(entry => entry.media);
+    const mediaFailed = built.filter(entry => entry.mediaFailed).length;
+    const timestamps = messages.map(msg => msg.timestamp);
+
+    // Nothing here is stored if the batch fails, so the whole page is retried next run
+    const { insertedIds, existing } = await dbManager.insertMessageBatch(
+      built.map(entry => entry.message),
+      {
+        media,
+        scrapeId,
+        metrics: {
+          fetched: messages.length,
+          failed: failed.length,
+          mediaDownloaded: media.length,
+          mediaFailed,
+          oldestTimestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+          newestTimestamp: timestamps.length > 0 ? Math.max(...timestamps) : null,
+        },
+      }
+    );
+    const insertedSet = new Set(insertedIds);
+
+    const stored = [];
+    const skipped = [];
+    let detailFailures = 0;
+    for (const { msg, message } of built) {
+      if (signal && signal.aborted) {
+        skipped.push(msg);
+      } else {
+        try {
+          await this.storeMessageDetails(msg, groupId, insertedSet.has(message.id));
+          stored.push(msg);
+        } catch (error) {
+          failed.push(msg);
+          detailFailures++;
+          logger.error(`Error processing message ${msg.id._serialized}:`, error);
+        }
+      }
+
+      // Announced even if its details failed: the row is committed, so a retry would find it already stored
+      if (insertedSet.has(message.id)) {
+        eventBus.publish('message.created', backfill ? { message, backfill: true } : { message });
+      }
+    }
+
+    if (scrapeId && detailFailures > 0) {
+      await dbManager.addScrapeFailures(scrapeId, detailFailures);
+    }
+
+    return {
+      stored,
+      failed,
+      skipped,
+      cancelled: skipped.length > 0,
+      inserted: insertedIds.length,
+      existing,
+      mediaDownloaded: media.length,
+      mediaFailed,
+    };
+  }
+
+  /**
+   * Build the database row for a message, downloading its media if enabled
+   * @returns {Promise<Object>} - { message, media, mediaFailed } where media is the media row or null
+   */
+  async buildMessage(msg, groupId, overrides = {}) {
+    // Get contact information
+    const contact = await msg.getContact();
+
+    // Format timestamp to Date object (convert Unix seconds to milliseconds)
+    const timestampFormatted = new Date(msg.timestamp * 1000);
+
+    // Resolve the author's phone number through the shared contacts table
+    const authorPhone = await this.resolveAuthorPhone(msg, contact);
+
+    const mentions = this.getMentions(msg);
+
     const messageData = {
       id: msg.id._serialized,
       group_id: groupId,
-      message_body: msg.body,
+      // Polls have no body of their own, so keep the question searchable
+      message_body: msg.type === 'poll_creation' && !msg.body ? msg.pollName : msg.body,
       message_type: msg.type,
       timestamp: msg.timestamp,
       timestamp_formatted: timestampFormatted,
@@ -185,25 +787,135 @@ class MessageHandler {
       author_phone: authorPhone,
       is_from_me: msg.fromMe,
       has_media: msg.hasMedia,
-      media_path: null,
+      media_key: null,
       ack: msg.ack,
+      is_deleted: msg.type === 'revoked',
+      edited_at: this.getEditedAt(msg),
+      quoted_message_id: await this.getQuotedMessageId(msg),
+      mentioned_ids: mentions.ids,
+      mentioned_phones: mentions.phones,
+      is_forwarded: Boolean(msg.isForwarded),
+      forwarding_score: msg.forwardingScore || 0,
+      ...overrides,
     };
 
-    // Handle media if enabled and present
-    if (msg.hasMedia && config.scraper.scrapeMedia) {
+    // Handle media if enabled, present and not already stored
+    let media = null;
+    let mediaFailed = false;
+    if (msg.hasMedia && groupRegistry.getSettings(groupId).scrape_media && !await dbManager.getMedia(messageData.id)) {
       try {
-        messageData.media_path = await this.downloadMedia(msg);
+        const downloaded = await this.downloadMedia(msg);
+        if (downloaded) {
+          media = { ...downloaded, message_id: messageData.id, group_id: groupId };
+          messageData.media_key = media.storage_key;
+        } else {
+          mediaFailed = true;
+        }
       } catch (error) {
+        mediaFailed = true;
         logger.error(`Failed to download media for message ${msg.id._serialized}:`, error);
       }
     }
 
-    // Insert message into database (async)
-    await dbManager.insertMessage(messageData);
+    return { message: messageData, media, mediaFailed };
   }
 
   /**
-   * Download and save media from a message
+   * Store what hangs off a message once its row exists: edits and deletions of
+   * already stored messages, reactions, polls and membership changes
+   */
+  async storeMessageDetails(msg, groupId, inserted) {
+    // Already stored - pick up any edit or deletion since then
+    if (!inserted) {
+      await this.reconcileStoredMessage(msg);
+    }
+
+    if (msg.hasReaction) {
+      await this.storeReactions(msg, groupId);
+    }
+
+    if (msg.type === 'poll_creation') {
+      await this.storePoll(msg, groupId);
+    }
+
+    // Group system messages carry membership changes
+    if (msg.type === 'gp2' && msg._data) {
+      await this.handleGroupNotification({
+        id: msg.id,
+        chatId: groupId,
+        type: msg._data.subtype,
+        author: msg.author,
+        recipientIds: msg._data.recipients || [],
+        timestamp: msg.timestamp,
+      });
+    }
+  }
+
+  /**
+   * Store a poll's question and options, and its current votes where the library supports it
+   */
+  async storePoll(msg, groupId) {
+    try {
+      await dbManager.upsertPoll({
+        message_id: msg.id._serialized,
+        group_id: groupId,
+        question: msg.pollName,
+        options: (msg.pollOptions || []).map(option => ({ localId: option.localId, name: option.name })),
+        allow_multiple: Boolean(msg.allowMultipleAnswers),
+      });
+
+      if (typeof msg.getPollVotes === 'function') {
+        const votes = await msg.getPollVotes();
+        for (const vote of votes) {
+          await this.storePollVote(vote, msg.id._serialized, groupId);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to store poll ${msg.id._serialized}:`, error);
+    }
+  }
+
+  /**
+   * Store a voter's current selection on a poll
+   */
+  async storePollVote(vote, pollMessageId, groupId) {
+    await dbManager.upsertPollVote({
+      message_id: pollMessageId,
+      voter_id: vote.voter,
+      voter_phone: this.resolveParticipantPhone(vote.voter),
+      selected_options: vote.selectedOptions.map(option => option.localId),
+      voted_at: vote.interractedAtTs ? new Date(vote.interractedAtTs) : null,
+    });
+  }
+
+  /**
+   * Replace the stored reactions of a message with its current ones
+   */
+  async storeReactions(msg, groupId) {
+    try {
+      const reactionLists = await msg.getReactions() || [];
+      const reactions = [];
+
+      for (const reactionList of reactionLists) {
+        for (const sender of reactionList.senders) {
+          reactions.push({
+            group_id: groupId,
+            sender_id: sender.senderId,
+            sender_phone: this.resolveParticipantPhone(sender.senderId),
+            reaction: sender.reaction,
+            timestamp: sender.timestamp,
+          });
+        }
+      }
+
+      await dbManager.replaceMessageReactions(msg.id._serialized, reactions);
+    } catch (error) {
+      logger.error(`Failed to store reactions for message ${msg.id._serialized}:`, error);
+    }
+  }
+
+  /**
+   * Download media from a message into content-addressed storage
    */
   async downloadMedia(msg) {
     try {
@@ -213,16 +925,35 @@ class MessageHandler {
         return null;
       }
 
-      const extension = media.mimetype.split('/')[1];
-      const filename = `${msg.id._serialized}.${extension}`;
-      const filepath = path.join(config.scraper.mediaPath, filename);
+      const buffer = Buffer.from(media.data, 'base64');
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const extension = getExtension(media.mimetype, media.filename);
 
-      // Save media file
-      fs.writeFileSync(filepath, media.data, { encoding: 'base64' });
+      const mimetype = normalizeMimetype(media.mimetype);
 
-      logger.info(`Media saved: ${filename}`);
+      // Keys are derived from the hash, so a re-shared image is only stored once
+      const storage = getStorage();
+      const storageKey = `${sha256.slice(0, 2)}/${sha256}.${extension}`;
 
-      return filepath;
+      if (await storage.exists(storageKey)) {
+        logger.info(`Media already stored: ${storageKey}`);
+      } else {
+        await storage.put(storageKey, buffer, { contentType: mimetype });
+        logger.info(`Media saved to ${storage.name} storage: ${storageKey}`);
+      }
+
+      return {
+        sha256,
+        mimetype,
+        extension,
+        size_bytes: buffer.length,
+        original_filename: media.filename || null,
+        duration_seconds: msg.duration ? parseInt(msg.duration) : null,
+        width: msg._data && msg._data.width ? msg._data.width : null,
+        height: msg._data && msg._data.height ? msg._data.height : null,
+        storage_key: storageKey,
+        storage_backend: storage.name,
+      };
     } catch (error) {
       logger.error('Error downloading media:', error);
       return null;
@@ -237,19 +968,6 @@ class MessageHandler {
     return messages.length > 0 ? messages[0].timestamp : 0;
   }
 
-  /**
-   * Clean up old messages based on retention policy
-   */
-  async cleanupOldMessages() {
-    if (config.database.retentionDays > 0) {
-      logger.info(`Cleaning up messages older than ${config.database.retentionDays} days`);
-      const deletedCount = await dbManager.deleteOldMessages(config.database.retentionDays);
-      logger.info(`Deleted ${deletedCount} old messages`);
-      return deletedCount;
-    }
-    return 0;
-  }
-
   /**
    * Utility function for delays
    */
@@ -0,0 +1,59 @@
+const dbManager = require('./database');
+const Migrator = require('./migrator');
+
+/**
+ * Apply, roll back or list schema migrations
+ * Usage: node migrate.js [up [version] | down [steps] | status]
+ */
+
+async function main() {
+    const command = process.argv[2] || 'up';
+    const arg = process.argv[3];
+
+    console.log('\n=== Database Migrations ===\n');
+
+    await dbManager.initialize({ requireMigrated: false });
+    const migrator = new Migrator(dbManager);
+
+    if (command === 'status') {
+        const migrations = await migrator.status();
+
+        for (const migration of migrations) {
+            const state = migration.applied
+                ? `applied ${new Date(migration.applied_at).toISOString()}`
+                : 'pending';
+            console.log(`${migration.applied ? '✓' : '·'} ${migration.name} (${state})`);
+        }
+
+        const pending = migrations.filter(m => !m.applied).length;
+        console.log(`\n${migrations.length - pending} applied, ${pending} pending\n`);
+    } else if (command === 'up') {
+        const applied = await migrator.up(arg ? parseInt(arg) : Infinity);
+
+        if (applied.length === 0) {
+            console.log('✓ Database is up to date\n');
+        } else {
+            applied.forEach(name => console.log(`✓ Applied ${name}`));
+            console.log(`\n✓ Applied ${applied.length} migrations\n`);
+        }
+    } else if (command === 'down') {
+        const rolledBack = await migrator.down(arg ? parseInt(arg) : 1);
+
+        rolledBack.forEach(name => console.log(`✓ Rolled back ${name}`));
+        console.log(`\n✓ Rolled back ${rolledBack.length} migrations\n`);
+    } else {
+        console.log('Usage: node migrate.js [up [version] | down [steps] | status]\n');
+        await dbManager.close();
+        process.exit(1);
+    }
+
+    // Close database connection
+    await dbManager.close();
+
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,60 @@
+// Original schema: groups, messages and scrape_history.
+// Every migration uses IF NOT EXISTS guards, so databases created before migrations
+// existed can run them all and simply get recorded in schema_migrations.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        participants_count INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        message_body TEXT,
+        message_type TEXT,
+        timestamp BIGINT NOT NULL,
+        from_number TEXT,
+        from_name TEXT,
+        author TEXT,
+        is_from_me BOOLEAN DEFAULT FALSE,
+        has_media BOOLEAN DEFAULT FALSE,
+        media_path TEXT,
+        ack INTEGER,
+        scraped_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scrape_history (
+        id SERIAL PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        messages_scraped INTEGER DEFAULT 0,
+        scrape_start TIMESTAMPTZ DEFAULT NOW(),
+        scrape_end TIMESTAMPTZ,
+        status TEXT DEFAULT 'in_progress',
+        error_message TEXT,
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_group_id ON messages(group_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_scrape_history_group_id ON scrape_history(group_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_scrape_history_date ON scrape_history(scrape_start)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS scrape_history');
+    await client.query('DROP TABLE IF EXISTS messages');
+    await client.query('DROP TABLE IF EXISTS groups');
+  },
+};
@@ -0,0 +1,32 @@
+// Readable timestamp and author phone columns (formerly the add_formatted_columns.js script)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS timestamp_formatted TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS author_phone TEXT
+    `);
+
+    // Fill in rows stored before the columns existed.
+    // LID authors are left alone: their phone only comes from the contacts table.
+    await client.query(`
+      UPDATE messages
+      SET
+        timestamp_formatted = COALESCE(timestamp_formatted, to_timestamp(timestamp)),
+        author_phone = COALESCE(author_phone, CASE
+          WHEN author LIKE '%@c.us' THEN '+' || split_part(author, '@', 1)
+          ELSE NULL
+        END)
+      WHERE timestamp_formatted IS NULL OR (author_phone IS NULL AND author LIKE '%@c.us')
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE messages
+        DROP COLUMN IF EXISTS timestamp_formatted,
+        DROP COLUMN IF EXISTS author_phone
+    `);
+  },
+};
@@ -0,0 +1,34 @@
+// Per-group scrape cursor and the cursor range covered by each scrape run
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE scrape_history
+        ADD COLUMN IF NOT EXISTS cursor_from_id TEXT,
+        ADD COLUMN IF NOT EXISTS cursor_from_timestamp BIGINT,
+        ADD COLUMN IF NOT EXISTS cursor_to_id TEXT,
+        ADD COLUMN IF NOT EXISTS cursor_to_timestamp BIGINT
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scrape_cursors (
+        group_id TEXT PRIMARY KEY,
+        last_message_id TEXT,
+        last_message_timestamp BIGINT NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS scrape_cursors');
+    await client.query(`
+      ALTER TABLE scrape_history
+        DROP COLUMN IF EXISTS cursor_from_id,
+        DROP COLUMN IF EXISTS cursor_from_timestamp,
+        DROP COLUMN IF EXISTS cursor_to_id,
+        DROP COLUMN IF EXISTS cursor_to_timestamp
+    `);
+  },
+};
@@ -0,0 +1,36 @@
+// Resumable full-history backfill jobs
+
+module.exports = {
+  async up(client) {
+    // Distinguish regular scrapes from backfill runs
+    await client.query(`
+      ALTER TABLE scrape_history
+        ADD COLUMN IF NOT EXISTS scrape_type TEXT DEFAULT 'incremental'
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id SERIAL PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        status TEXT DEFAULT 'in_progress',
+        fetch_limit INTEGER NOT NULL,
+        oldest_message_id TEXT,
+        oldest_message_timestamp BIGINT,
+        messages_processed INTEGER DEFAULT 0,
+        scrape_id INTEGER,
+        error_message TEXT,
+        started_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        completed_at TIMESTAMPTZ,
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_backfill_jobs_group_id ON backfill_jobs(group_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS backfill_jobs');
+    await client.query('ALTER TABLE scrape_history DROP COLUMN IF EXISTS scrape_type');
+  },
+};
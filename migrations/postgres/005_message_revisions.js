@@ -0,0 +1,35 @@
+// Edit and deletion state of messages, with every revision kept
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id SERIAL PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        revision_type TEXT NOT NULL,
+        previous_body TEXT,
+        new_body TEXT,
+        changed_at TIMESTAMPTZ,
+        recorded_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_message_revisions_message_id ON message_revisions(message_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS message_revisions');
+    await client.query(`
+      ALTER TABLE messages
+        DROP COLUMN IF EXISTS is_deleted,
+        DROP COLUMN IF EXISTS edited_at
+    `);
+  },
+};
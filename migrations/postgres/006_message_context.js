@@ -0,0 +1,27 @@
+// Reply threading, mentions and forwarding info
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS quoted_message_id TEXT,
+        ADD COLUMN IF NOT EXISTS mentioned_ids TEXT[],
+        ADD COLUMN IF NOT EXISTS mentioned_phones TEXT[],
+        ADD COLUMN IF NOT EXISTS is_forwarded BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS forwarding_score INTEGER DEFAULT 0
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_quoted_message_id ON messages(quoted_message_id)');
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE messages
+        DROP COLUMN IF EXISTS quoted_message_id,
+        DROP COLUMN IF EXISTS mentioned_ids,
+        DROP COLUMN IF EXISTS mentioned_phones,
+        DROP COLUMN IF EXISTS is_forwarded,
+        DROP COLUMN IF EXISTS forwarding_score
+    `);
+  },
+};
@@ -0,0 +1,25 @@
+// Reactions (one current reaction per sender per message)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reactions (
+        message_id TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        sender_id TEXT NOT NULL,
+        sender_phone TEXT,
+        reaction TEXT NOT NULL,
+        timestamp BIGINT,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (message_id, sender_id),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reactions_group_id ON reactions(group_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS reactions');
+  },
+};
@@ -0,0 +1,39 @@
+// Polls (one row per poll_creation message) and each voter's current selection
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS polls (
+        message_id TEXT PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        question TEXT,
+        options JSONB NOT NULL,
+        allow_multiple BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        message_id TEXT NOT NULL,
+        voter_id TEXT NOT NULL,
+        voter_phone TEXT,
+        selected_options JSONB NOT NULL,
+        voted_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (message_id, voter_id),
+        FOREIGN KEY (message_id) REFERENCES polls(message_id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_polls_group_id ON polls(group_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS poll_votes');
+    await client.query('DROP TABLE IF EXISTS polls');
+  },
+};
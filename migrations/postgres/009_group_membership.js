@@ -0,0 +1,48 @@
+// Group roster (current and former members) and the membership change timeline
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS group_participants (
+        group_id TEXT NOT NULL,
+        participant_id TEXT NOT NULL,
+        phone TEXT,
+        lid TEXT,
+        display_name TEXT,
+        is_admin BOOLEAN DEFAULT FALSE,
+        is_super_admin BOOLEAN DEFAULT FALSE,
+        is_active BOOLEAN DEFAULT TRUE,
+        first_seen TIMESTAMPTZ DEFAULT NOW(),
+        last_seen TIMESTAMPTZ DEFAULT NOW(),
+        left_at TIMESTAMPTZ,
+        PRIMARY KEY (group_id, participant_id),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS membership_events (
+        id SERIAL PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        participant_id TEXT NOT NULL,
+        phone TEXT,
+        event_type TEXT NOT NULL,
+        subtype TEXT,
+        actor_id TEXT,
+        source TEXT NOT NULL,
+        notification_id TEXT,
+        event_timestamp BIGINT,
+        recorded_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (notification_id, participant_id),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_membership_events_group_id ON membership_events(group_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS membership_events');
+    await client.query('DROP TABLE IF EXISTS group_participants');
+  },
+};
@@ -0,0 +1,47 @@
+// Contacts shared across groups, with every LID/@c.us ID and pushname seen for them
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id SERIAL PRIMARY KEY,
+        phone TEXT UNIQUE,
+        display_name TEXT,
+        first_seen TIMESTAMPTZ DEFAULT NOW(),
+        last_seen TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contact_ids (
+        wa_id TEXT PRIMARY KEY,
+        contact_id INTEGER NOT NULL,
+        id_type TEXT,
+        first_seen TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contact_pushnames (
+        contact_id INTEGER NOT NULL,
+        pushname TEXT NOT NULL,
+        first_seen TIMESTAMPTZ DEFAULT NOW(),
+        last_seen TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (contact_id, pushname),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_contact_ids_contact_id ON contact_ids(contact_id)');
+    // Author phone repair looks messages up by author ID
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_author ON messages(author)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_messages_author');
+    await client.query('DROP TABLE IF EXISTS contact_pushnames');
+    await client.query('DROP TABLE IF EXISTS contact_ids');
+    await client.query('DROP TABLE IF EXISTS contacts');
+  },
+};
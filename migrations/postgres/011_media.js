@@ -0,0 +1,30 @@
+// Media metadata (files are stored once per sha256 and shared between messages)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS media (
+        message_id TEXT PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        sha256 TEXT NOT NULL,
+        mimetype TEXT,
+        extension TEXT,
+        size_bytes BIGINT,
+        original_filename TEXT,
+        duration_seconds INTEGER,
+        width INTEGER,
+        height INTEGER,
+        file_path TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_media_sha256 ON media(sha256)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS media');
+  },
+};
@@ -0,0 +1,44 @@
+// Address media by storage key (relative to the storage backend) instead of a local file path
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'messages' AND column_name = 'media_path'
+        ) THEN
+          ALTER TABLE messages RENAME COLUMN media_path TO media_key;
+          UPDATE messages
+          SET media_key = regexp_replace(media_key, '^([.]/)?data/media/', '')
+          WHERE media_key IS NOT NULL;
+        END IF;
+
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'media' AND column_name = 'file_path'
+        ) THEN
+          ALTER TABLE media RENAME COLUMN file_path TO storage_key;
+          ALTER TABLE media ADD COLUMN storage_backend TEXT NOT NULL DEFAULT 'local';
+          UPDATE media SET storage_key = substr(sha256, 1, 2) || '/' || sha256 || '.' || extension;
+        END IF;
+      END $$
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE messages RENAME COLUMN media_key TO media_path');
+    await client.query(`
+      UPDATE messages SET media_path = 'data/media/' || media_path
+      WHERE media_path IS NOT NULL
+    `);
+
+    await client.query('ALTER TABLE media RENAME COLUMN storage_key TO file_path');
+    await client.query(`
+      UPDATE media SET file_path = 'data/media/' || file_path
+      WHERE storage_backend = 'local'
+    `);
+    await client.query('ALTER TABLE media DROP COLUMN storage_backend');
+  },
+};
@@ -0,0 +1,17 @@
+// Full-text search ('simple' config: no stemming, since groups mix languages)
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+        GENERATED ALWAYS AS (to_tsvector('simple', coalesce(message_body, ''))) STORED
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN(search_vector)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE messages DROP COLUMN IF EXISTS search_vector');
+  },
+};
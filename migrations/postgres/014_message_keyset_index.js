@@ -0,0 +1,11 @@
+// Keyset pagination walks a group's messages by (timestamp, id)
+
+module.exports = {
+  async up(client) {
+    await client.query('CREATE INDEX IF NOT EXISTS idx_messages_group_timestamp_id ON messages(group_id, timestamp, id)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_messages_group_timestamp_id');
+  },
+};
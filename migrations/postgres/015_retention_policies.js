@@ -0,0 +1,19 @@
+// Per-group overrides of RETENTION_DAYS
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        group_id TEXT PRIMARY KEY,
+        retention_days INTEGER NOT NULL,
+        archive_before_delete BOOLEAN DEFAULT FALSE,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS retention_policies');
+  },
+};
@@ -0,0 +1,46 @@
+// Per-run scrape metrics. Runs recorded before this migration keep NULL counters
+// (they were never measured); only their duration can be derived.
+// messages_scraped stays for existing readers and matches messages_inserted from here on.
+
+const COUNTERS = [
+  'messages_fetched',
+  'messages_inserted',
+  'messages_duplicate',
+  'messages_failed',
+  'media_downloaded',
+  'media_failed',
+];
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE scrape_history
+        ${COUNTERS.map(column => `ADD COLUMN IF NOT EXISTS ${column} INTEGER`).join(',\n        ')},
+        ADD COLUMN IF NOT EXISTS duration_ms BIGINT,
+        ADD COLUMN IF NOT EXISTS oldest_message_timestamp BIGINT,
+        ADD COLUMN IF NOT EXISTS newest_message_timestamp BIGINT
+    `);
+
+    // Defaults only apply to new runs, so older rows stay NULL
+    await client.query(`
+      ALTER TABLE scrape_history
+        ${COUNTERS.map(column => `ALTER COLUMN ${column} SET DEFAULT 0`).join(',\n        ')}
+    `);
+
+    await client.query(`
+      UPDATE scrape_history
+      SET duration_ms = (EXTRACT(EPOCH FROM scrape_end - scrape_start) * 1000)::BIGINT
+      WHERE scrape_end IS NOT NULL AND duration_ms IS NULL
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE scrape_history
+        ${COUNTERS.map(column => `DROP COLUMN IF EXISTS ${column}`).join(',\n        ')},
+        DROP COLUMN IF EXISTS duration_ms,
+        DROP COLUMN IF EXISTS oldest_message_timestamp,
+        DROP COLUMN IF EXISTS newest_message_timestamp
+    `);
+  },
+};
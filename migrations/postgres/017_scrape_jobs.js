@@ -0,0 +1,30 @@
+// Persisted scrape job queue. No foreign key on group_id: a manual scrape can be
+// queued for a group that has no row yet (scrapeGroup creates it).
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id SERIAL PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        triggered_by TEXT NOT NULL DEFAULT 'manual',
+        status TEXT NOT NULL DEFAULT 'queued',
+        cancel_requested BOOLEAN DEFAULT FALSE,
+        scrape_id INTEGER,
+        result JSONB,
+        error_message TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_scrape_jobs_group_id ON scrape_jobs(group_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS scrape_jobs');
+  },
+};
@@ -0,0 +1,54 @@
+// Per-group scrape and retention settings, replacing retention_policies.
+// NULL settings fall back to the config defaults (CRON_SCHEDULE, MESSAGE_LIMIT,
+// SCRAPE_MEDIA, RETENTION_DAYS, RETENTION_ARCHIVE). Retention policies are carried
+// over with enabled left NULL; groupRegistry enables those in MONITORED_GROUPS at startup.
+// No foreign key on group_id: a group can be monitored before its first scrape.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS monitored_groups (
+        group_id TEXT PRIMARY KEY,
+        enabled BOOLEAN DEFAULT TRUE,
+        cron_schedule TEXT,
+        message_limit INTEGER,
+        scrape_media BOOLEAN,
+        retention_days INTEGER,
+        archive_before_delete BOOLEAN,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO monitored_groups (group_id, enabled, retention_days, archive_before_delete, updated_at)
+      SELECT group_id, NULL, retention_days, archive_before_delete, updated_at
+      FROM retention_policies
+      ON CONFLICT (group_id) DO NOTHING
+    `);
+
+    await client.query('DROP TABLE IF EXISTS retention_policies');
+  },
+
+  async down(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        group_id TEXT PRIMARY KEY,
+        retention_days INTEGER NOT NULL,
+        archive_before_delete BOOLEAN DEFAULT FALSE,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        FOREIGN KEY (group_id) REFERENCES groups(id)
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO retention_policies (group_id, retention_days, archive_before_delete, updated_at)
+      SELECT mg.group_id, mg.retention_days, COALESCE(mg.archive_before_delete, FALSE), mg.updated_at
+      FROM monitored_groups mg
+      JOIN groups g ON g.id = mg.group_id
+      WHERE mg.retention_days IS NOT NULL
+    `);
+
+    await client.query('DROP TABLE IF EXISTS monitored_groups');
+  },
+};
@@ -0,0 +1,37 @@
+// Rules that enroll groups into monitoring automatically. A rule matches on the
+// group name (name_pattern, a case-insensitive regex), a list of group IDs
+// (group_ids) or any group we are added to (joined); exclude rules win over include
+// rules. monitored_groups records which rule enrolled a group.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS discovery_rules (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        action TEXT NOT NULL DEFAULT 'include',
+        match_type TEXT NOT NULL,
+        pattern TEXT,
+        group_ids JSONB,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE monitored_groups
+        ADD COLUMN IF NOT EXISTS discovery_rule_id INTEGER REFERENCES discovery_rules(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS discovered_at TIMESTAMPTZ
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE monitored_groups
+        DROP COLUMN IF EXISTS discovery_rule_id,
+        DROP COLUMN IF EXISTS discovered_at
+    `);
+    await client.query('DROP TABLE IF EXISTS discovery_rules');
+  },
+};
@@ -0,0 +1,52 @@
+// Alert rules matched against newly stored messages, and the alerts they raised.
+// Alerts keep the rule's name so they stay readable after the rule is deleted.
+// No foreign key on message_id: retention may purge the message but the alert stays.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        pattern TEXT NOT NULL,
+        group_ids JSONB,
+        senders JSONB,
+        quiet_hours_start TEXT,
+        quiet_hours_end TEXT,
+        channels JSONB NOT NULL DEFAULT '[]',
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+        rule_name TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        sender TEXT,
+        message_body TEXT,
+        matched_text TEXT,
+        message_timestamp BIGINT,
+        notify_status TEXT NOT NULL DEFAULT 'pending',
+        notify_results JSONB,
+        notified_at TIMESTAMPTZ,
+        acknowledged_at TIMESTAMPTZ,
+        acknowledged_by TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (rule_id, message_id)
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_alerts_group_id ON alerts(group_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_alerts_notify_status ON alerts(notify_status)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS alerts');
+    await client.query('DROP TABLE IF EXISTS alert_rules');
+  },
+};
@@ -0,0 +1,25 @@
+// Recent events for /api/stream. A row's id is the cursor clients resume from,
+// so they can catch up on what they missed while disconnected; rows older than
+// STREAM_RETENTION_HOURS are pruned.
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stream_events (
+        id SERIAL PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        group_id TEXT,
+        message_type TEXT,
+        data JSONB NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_stream_events_created_at ON stream_events(created_at)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS stream_events');
+  },
+};
@@ -0,0 +1,18 @@
+// Lets a webhook or alert rule opt in to messages stored by a backfill. They are
+// skipped by default so importing a group's history does not replay it to receivers.
+
+const TABLES = ['webhooks', 'alert_rules'];
+
+module.exports = {
+  async up(client) {
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS include_backfill BOOLEAN NOT NULL DEFAULT FALSE`);
+    }
+  },
+
+  async down(client) {
+    for (const table of TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS include_backfill`);
+    }
+  },
+};
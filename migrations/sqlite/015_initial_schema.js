@@ -0,0 +1,270 @@
+// SQLite schema matching postgres migrations 001-015; later migrations keep the same
+// version numbers in both dialects.
+// Booleans are 0/1, timestamps are ISO-8601 text (UTC), arrays and JSONB are JSON text.
+// SQLite migrations are synchronous and get the better-sqlite3 database.
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        participants_count INTEGER,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        message_body TEXT,
+        message_type TEXT,
+        timestamp INTEGER NOT NULL,
+        timestamp_formatted TEXT,
+        from_number TEXT,
+        from_name TEXT,
+        author TEXT,
+        author_phone TEXT,
+        is_from_me INTEGER DEFAULT 0,
+        has_media INTEGER DEFAULT 0,
+        media_key TEXT,
+        ack INTEGER,
+        is_deleted INTEGER DEFAULT 0,
+        edited_at TEXT,
+        quoted_message_id TEXT,
+        mentioned_ids TEXT,
+        mentioned_phones TEXT,
+        is_forwarded INTEGER DEFAULT 0,
+        forwarding_score INTEGER DEFAULT 0,
+        scraped_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_messages_group_id ON messages(group_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_quoted_message_id ON messages(quoted_message_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_author ON messages(author);
+      CREATE INDEX IF NOT EXISTS idx_messages_group_timestamp_id ON messages(group_id, timestamp, id);
+
+      CREATE TABLE IF NOT EXISTS scrape_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        messages_scraped INTEGER DEFAULT 0,
+        scrape_start TEXT DEFAULT ${NOW},
+        scrape_end TEXT,
+        status TEXT DEFAULT 'in_progress',
+        error_message TEXT,
+        cursor_from_id TEXT,
+        cursor_from_timestamp INTEGER,
+        cursor_to_id TEXT,
+        cursor_to_timestamp INTEGER,
+        scrape_type TEXT DEFAULT 'incremental'
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_scrape_history_group_id ON scrape_history(group_id);
+      CREATE INDEX IF NOT EXISTS idx_scrape_history_date ON scrape_history(scrape_start);
+
+      CREATE TABLE IF NOT EXISTS scrape_cursors (
+        group_id TEXT PRIMARY KEY REFERENCES groups(id),
+        last_message_id TEXT,
+        last_message_timestamp INTEGER NOT NULL,
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        status TEXT DEFAULT 'in_progress',
+        fetch_limit INTEGER NOT NULL,
+        oldest_message_id TEXT,
+        oldest_message_timestamp INTEGER,
+        messages_processed INTEGER DEFAULT 0,
+        scrape_id INTEGER,
+        error_message TEXT,
+        started_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW},
+        completed_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_backfill_jobs_group_id ON backfill_jobs(group_id);
+
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        revision_type TEXT NOT NULL,
+        previous_body TEXT,
+        new_body TEXT,
+        changed_at TEXT,
+        recorded_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_message_revisions_message_id ON message_revisions(message_id);
+
+      CREATE TABLE IF NOT EXISTS reactions (
+        message_id TEXT NOT NULL,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        sender_id TEXT NOT NULL,
+        sender_phone TEXT,
+        reaction TEXT NOT NULL,
+        timestamp INTEGER,
+        updated_at TEXT DEFAULT ${NOW},
+        PRIMARY KEY (message_id, sender_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reactions_group_id ON reactions(group_id);
+
+      CREATE TABLE IF NOT EXISTS polls (
+        message_id TEXT PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        question TEXT,
+        options TEXT NOT NULL,
+        allow_multiple INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_polls_group_id ON polls(group_id);
+
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        message_id TEXT NOT NULL REFERENCES polls(message_id) ON DELETE CASCADE,
+        voter_id TEXT NOT NULL,
+        voter_phone TEXT,
+        selected_options TEXT NOT NULL,
+        voted_at TEXT,
+        updated_at TEXT DEFAULT ${NOW},
+        PRIMARY KEY (message_id, voter_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS group_participants (
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        participant_id TEXT NOT NULL,
+        phone TEXT,
+        lid TEXT,
+        display_name TEXT,
+        is_admin INTEGER DEFAULT 0,
+        is_super_admin INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1,
+        first_seen TEXT DEFAULT ${NOW},
+        last_seen TEXT DEFAULT ${NOW},
+        left_at TEXT,
+        PRIMARY KEY (group_id, participant_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS membership_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        participant_id TEXT NOT NULL,
+        phone TEXT,
+        event_type TEXT NOT NULL,
+        subtype TEXT,
+        actor_id TEXT,
+        source TEXT NOT NULL,
+        notification_id TEXT,
+        event_timestamp INTEGER,
+        recorded_at TEXT DEFAULT ${NOW},
+        UNIQUE (notification_id, participant_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_membership_events_group_id ON membership_events(group_id);
+
+      CREATE TABLE IF NOT EXISTS contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE,
+        display_name TEXT,
+        first_seen TEXT DEFAULT ${NOW},
+        last_seen TEXT DEFAULT ${NOW}
+      );
+
+      CREATE TABLE IF NOT EXISTS contact_ids (
+        wa_id TEXT PRIMARY KEY,
+        contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+        id_type TEXT,
+        first_seen TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_contact_ids_contact_id ON contact_ids(contact_id);
+
+      CREATE TABLE IF NOT EXISTS contact_pushnames (
+        contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+        pushname TEXT NOT NULL,
+        first_seen TEXT DEFAULT ${NOW},
+        last_seen TEXT DEFAULT ${NOW},
+        PRIMARY KEY (contact_id, pushname)
+      );
+
+      CREATE TABLE IF NOT EXISTS media (
+        message_id TEXT PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+        group_id TEXT NOT NULL REFERENCES groups(id),
+        sha256 TEXT NOT NULL,
+        mimetype TEXT,
+        extension TEXT,
+        size_bytes INTEGER,
+        original_filename TEXT,
+        duration_seconds INTEGER,
+        width INTEGER,
+        height INTEGER,
+        storage_key TEXT NOT NULL,
+        storage_backend TEXT NOT NULL DEFAULT 'local',
+        created_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_media_sha256 ON media(sha256);
+
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        group_id TEXT PRIMARY KEY REFERENCES groups(id),
+        retention_days INTEGER NOT NULL,
+        archive_before_delete INTEGER DEFAULT 0,
+        updated_at TEXT DEFAULT ${NOW}
+      );
+    `);
+
+    // Full-text index over message bodies, kept in step by triggers.
+    // unicode61 without diacritic folding matches postgres' 'simple' config.
+    // messages has no INTEGER PRIMARY KEY, so after a VACUUM rebuild it with:
+    //   INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        message_body,
+        content = 'messages',
+        content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 0'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, message_body) VALUES (new.rowid, new.message_body);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, message_body) VALUES ('delete', old.rowid, old.message_body);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF message_body ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, message_body) VALUES ('delete', old.rowid, old.message_body);
+        INSERT INTO messages_fts (rowid, message_body) VALUES (new.rowid, new.message_body);
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS messages_fts;
+      DROP TABLE IF EXISTS retention_policies;
+      DROP TABLE IF EXISTS media;
+      DROP TABLE IF EXISTS contact_pushnames;
+      DROP TABLE IF EXISTS contact_ids;
+      DROP TABLE IF EXISTS contacts;
+      DROP TABLE IF EXISTS membership_events;
+      DROP TABLE IF EXISTS group_participants;
+      DROP TABLE IF EXISTS poll_votes;
+      DROP TABLE IF EXISTS polls;
+      DROP TABLE IF EXISTS reactions;
+      DROP TABLE IF EXISTS message_revisions;
+      DROP TABLE IF EXISTS backfill_jobs;
+      DROP TABLE IF EXISTS scrape_cursors;
+      DROP TABLE IF EXISTS scrape_history;
+      DROP TABLE IF EXISTS messages;
+      DROP TABLE IF EXISTS groups;
+    `);
+  },
+};
@@ -0,0 +1,38 @@
+// Per-run scrape metrics, as postgres migration 016. SQLite cannot add a default
+// without applying it to existing rows, so those are reset to NULL afterwards.
+
+const COUNTERS = [
+  'messages_fetched',
+  'messages_inserted',
+  'messages_duplicate',
+  'messages_failed',
+  'media_downloaded',
+  'media_failed',
+];
+
+module.exports = {
+  up(db) {
+    for (const column of COUNTERS) {
+      db.exec(`ALTER TABLE scrape_history ADD COLUMN ${column} INTEGER DEFAULT 0`);
+    }
+    db.exec(`
+      ALTER TABLE scrape_history ADD COLUMN duration_ms INTEGER;
+      ALTER TABLE scrape_history ADD COLUMN oldest_message_timestamp INTEGER;
+      ALTER TABLE scrape_history ADD COLUMN newest_message_timestamp INTEGER;
+    `);
+
+    db.exec(`
+      UPDATE scrape_history
+      SET ${COUNTERS.map(column => `${column} = NULL`).join(', ')},
+          duration_ms = CASE WHEN scrape_end IS NOT NULL
+            THEN CAST(ROUND((julianday(scrape_end) - julianday(scrape_start)) * 86400000) AS INTEGER)
+          END
+    `);
+  },
+
+  down(db) {
+    for (const column of [...COUNTERS, 'duration_ms', 'oldest_message_timestamp', 'newest_message_timestamp']) {
+      db.exec(`ALTER TABLE scrape_history DROP COLUMN ${column}`);
+    }
+  },
+};
@@ -0,0 +1,31 @@
+// Persisted scrape job queue, as postgres migration 017
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        triggered_by TEXT NOT NULL DEFAULT 'manual',
+        status TEXT NOT NULL DEFAULT 'queued',
+        cancel_requested INTEGER DEFAULT 0,
+        scrape_id INTEGER,
+        result TEXT,
+        error_message TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        started_at TEXT,
+        completed_at TEXT,
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status);
+      CREATE INDEX IF NOT EXISTS idx_scrape_jobs_group_id ON scrape_jobs(group_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS scrape_jobs');
+  },
+};
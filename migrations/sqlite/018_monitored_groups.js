@@ -0,0 +1,51 @@
+// Per-group scrape and retention settings replacing retention_policies, as postgres migration 018
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS monitored_groups (
+        group_id TEXT PRIMARY KEY,
+        enabled INTEGER DEFAULT 1,
+        cron_schedule TEXT,
+        message_limit INTEGER,
+        scrape_media INTEGER,
+        retention_days INTEGER,
+        archive_before_delete INTEGER,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      )
+    `);
+
+    // "WHERE true" lets SQLite parse ON CONFLICT after INSERT ... SELECT
+    db.exec(`
+      INSERT INTO monitored_groups (group_id, enabled, retention_days, archive_before_delete, updated_at)
+      SELECT group_id, NULL, retention_days, archive_before_delete, updated_at
+      FROM retention_policies
+      WHERE true
+      ON CONFLICT (group_id) DO NOTHING;
+
+      DROP TABLE IF EXISTS retention_policies;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        group_id TEXT PRIMARY KEY REFERENCES groups(id),
+        retention_days INTEGER NOT NULL,
+        archive_before_delete INTEGER DEFAULT 0,
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      INSERT INTO retention_policies (group_id, retention_days, archive_before_delete, updated_at)
+      SELECT mg.group_id, mg.retention_days, COALESCE(mg.archive_before_delete, 0), mg.updated_at
+      FROM monitored_groups mg
+      JOIN groups g ON g.id = mg.group_id
+      WHERE mg.retention_days IS NOT NULL;
+
+      DROP TABLE IF EXISTS monitored_groups;
+    `);
+  },
+};
@@ -0,0 +1,32 @@
+// Group discovery rules, as postgres migration 019
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS discovery_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        action TEXT NOT NULL DEFAULT 'include',
+        match_type TEXT NOT NULL,
+        pattern TEXT,
+        group_ids TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      ALTER TABLE monitored_groups ADD COLUMN discovery_rule_id INTEGER REFERENCES discovery_rules(id) ON DELETE SET NULL;
+      ALTER TABLE monitored_groups ADD COLUMN discovered_at TEXT;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE monitored_groups DROP COLUMN discovery_rule_id;
+      ALTER TABLE monitored_groups DROP COLUMN discovered_at;
+      DROP TABLE IF EXISTS discovery_rules;
+    `);
+  },
+};
@@ -0,0 +1,52 @@
+// Alert rules and the alerts they raised, as postgres migration 021
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        pattern TEXT NOT NULL,
+        group_ids TEXT,
+        senders TEXT,
+        quiet_hours_start TEXT,
+        quiet_hours_end TEXT,
+        channels TEXT NOT NULL DEFAULT '[]',
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+        rule_name TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        sender TEXT,
+        message_body TEXT,
+        matched_text TEXT,
+        message_timestamp INTEGER,
+        notify_status TEXT NOT NULL DEFAULT 'pending',
+        notify_results TEXT,
+        notified_at TEXT,
+        acknowledged_at TEXT,
+        acknowledged_by TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE (rule_id, message_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alerts_group_id ON alerts(group_id);
+      CREATE INDEX IF NOT EXISTS idx_alerts_notify_status ON alerts(notify_status);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS alerts;
+      DROP TABLE IF EXISTS alert_rules;
+    `);
+  },
+};
@@ -0,0 +1,25 @@
+// Recent events for /api/stream, as postgres migration 022
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS stream_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        group_id TEXT,
+        message_type TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW}
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_stream_events_created_at ON stream_events(created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS stream_events');
+  },
+};
@@ -0,0 +1,17 @@
+// Backfill opt-in for webhooks and alert rules, as postgres migration 023
+
+const TABLES = ['webhooks', 'alert_rules'];
+
+module.exports = {
+  up(db) {
+    for (const table of TABLES) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN include_backfill INTEGER NOT NULL DEFAULT 0`);
+    }
+  },
+
+  down(db) {
+    for (const table of TABLES) {
+      db.exec(`ALTER TABLE ${table} DROP COLUMN include_backfill`);
+    }
+  },
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Applies the migrations of a repository's dialect (migrations/postgres, migrations/sqlite).
+ * The repository supplies locking, bookkeeping and transactions.
+ */
+class Migrator {
+  constructor(repository) {
+    this.repository = repository;
+    this.directory = path.join(MIGRATIONS_DIR, repository.dialect);
+  }
+
+  /**
+   * Load migration files (NNN_name.js exporting up/down) in version order
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+      .map(file => {
+        const migration = require(path.join(this.directory, file));
+
+        return {
+          version: parseInt(file),
+          name: path.basename(file, '.js'),
+          up: migration.up,
+          down: migration.down,
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * List every migration with whether it has been applied (changes nothing)
+   */
+  async status() {
+    const applied = await this.repository.getAppliedMigrations();
+
+    return this.loadMigrations().map(migration => {
+      const row = applied.find(a => a.version === migration.version);
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at : null,
+      };
+    });
+  }
+
+  async getPending() {
+    const migrations = await this.status();
+    return migrations.filter(m => !m.applied);
+  }
+
+  /**
+   * Apply pending migrations up to (and including) a target version
+   */
+  async up(targetVersion = Infinity) {
+    return this.repository.withMigrationLock(async (session) => {
+      const applied = await session.getAppliedVersions();
+      const pending = this.loadMigrations()
+        .filter(m => !applied.includes(m.version) && m.version <= targetVersion);
+
+      for (const migration of pending) {
+        await this.run(session, migration, 'up');
+        logger.info(`Applied migration ${migration.name}`);
+      }
+
+      return pending.map(m => m.name);
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   */
+  async down(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('Rollback steps must be a positive whole number');
+    }
+
+    return this.repository.withMigrationLock(async (session) => {
+      const migrations = this.loadMigrations();
+      const applied = await session.getAppliedVersions();
+      const rollback = applied.slice(-steps).reverse();
+
+      for (const version of rollback) {
+        const migration = migrations.find(m => m.version === version);
+
+        if (!migration) {
+          throw new Error(`Migration file for applied version ${version} not found`);
+        }
+
+        await this.run(session, migration, 'down');
+        logger.info(`Rolled back migration ${migration.name}`);
+      }
+
+      return rollback.map(version => migrations.find(m => m.version === version).name);
+    });
+  }
+
+  /**
+   * Run one step; the repository applies it and its bookkeeping as one transaction
+   */
+  async run(session, migration, direction) {
+    try {
+      await session.run(migration, direction);
+    } catch (error) {
+      logger.error(`Migration ${migration.name} (${direction}) failed:`, error);
+      throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Migrator;
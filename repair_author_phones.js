@@ -0,0 +1,34 @@
+const dbManager = require('./database');
+const contactResolver = require('./contactResolver');
+
+/**
+ * Re-resolve messages.author_phone from the contacts table
+ * Usage: node repair_author_phones.js [groupId]
+ */
+
+async function main() {
+    const groupId = process.argv[2] || null;
+
+    console.log('\n=== Author Phone Repair ===\n');
+
+    // Initialize database connection
+    console.log('Initializing database connection...\n');
+    await dbManager.initialize();
+
+    console.log(groupId ? `Group ID: ${groupId}` : 'Repairing messages in all groups');
+
+    await contactResolver.load();
+    const updated = await contactResolver.repairAuthorPhones(groupId);
+
+    console.log(`\n✓ Updated author phone on ${updated} messages\n`);
+
+    // Close database connection
+    await dbManager.close();
+
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,155 @@
+const { invalidSearchQuery } = require('./repository');
+
+// Operators, words (optionally with :* for a prefix) and anything else, which is a syntax error
+const TOKEN = /\s*(?:<(-|\d+)>|([&|!()])|([^\s&|!()<>:*"]+)(:\*)?|(\S+))/g;
+
+function tokenize(text) {
+  const tokens = [];
+
+  for (const [match, distance, operator, word, prefix, other] of text.trim().matchAll(TOKEN)) {
+    if (distance) {
+      tokens.push({ type: '<->', distance: distance === '-' ? 1 : parseInt(distance, 10), text: match.trim() });
+    } else if (operator) {
+      tokens.push({ type: operator, text: operator });
+    } else if (word) {
+      tokens.push({ type: 'word', word, prefix: Boolean(prefix), text: match.trim() });
+    } else if (other) {
+      throw invalidSearchQuery(`syntax error at "${other}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Full-text search can only leave terms out of a match (a NOT b in SQLite), so each !
+ * must be an operand of an & that has at least one operand which is not negated.
+ * "!a" alone or "a | !b" would match nearly every message and is refused.
+ */
+function checkNegations(node) {
+  switch (node.type) {
+    case 'not':
+      throw invalidSearchQuery('! can only exclude terms from an & with another term, as in "a & !b"');
+    case 'and': {
+      const included = node.operands.filter(operand => operand.type !== 'not');
+      const excluded = node.operands.filter(operand => operand.type === 'not');
+
+      if (included.length === 0) {
+        throw invalidSearchQuery('! can only exclude terms from an & with another term, as in "a & !b"');
+      }
+      included.forEach(checkNegations);
+      excluded.forEach(operand => checkNegations(operand.operand));
+      return;
+    }
+    case 'or':
+      node.operands.forEach(checkNegations);
+      return;
+    default:
+      return;
+  }
+}
+
+/**
+ * Parse to_tsquery syntax (& | ! <-> :* and parentheses) into a tree. Both repositories
+ * check boolean searches with it, so a query either works the same on both or is refused
+ * by both with an INVALID_SEARCH_QUERY error.
+ *
+ * Nodes: { type: 'word', word, prefix }, { type: 'phrase', words } (a <-> b, words only),
+ * { type: 'not', operand }, { type: 'and', operands } and { type: 'or', operands }.
+ * @param {string} text - Query text
+ * @returns {Object|null} - The tree, or null if the text is blank
+ */
+function parseBooleanQuery(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const peek = type => position < tokens.length && tokens[position].type === type;
+
+  function syntaxError() {
+    return invalidSearchQuery(position < tokens.length
+      ? `syntax error at "${tokens[position].text}"`
+      : 'syntax error at the end of the query');
+  }
+
+  // Binding from loosest to tightest: | then & then <-> then !
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek('|')) {
+      position++;
+      operands.push(parseAnd());
+    }
+    return operands.length > 1 ? { type: 'or', operands } : operands[0];
+  }
+
+  function parseAnd() {
+    const operands = [parsePhrase()];
+    while (peek('&')) {
+      position++;
+      operands.push(parsePhrase());
+    }
+    return operands.length > 1 ? { type: 'and', operands } : operands[0];
+  }
+
+  function parsePhrase() {
+    const words = [parseNot()];
+    while (peek('<->')) {
+      const { distance } = tokens[position++];
+      if (distance !== 1) {
+        throw invalidSearchQuery(`<${distance}> is not supported; use <-> for words that follow each other`);
+      }
+      words.push(parseNot());
+    }
+
+    if (words.length === 1) {
+      return words[0];
+    }
+    const isWord = (node, index) => node.type === 'word' && (!node.prefix || index === words.length - 1);
+    if (!words.every(isWord)) {
+      throw invalidSearchQuery('<-> can only join single words, with :* on the last one only');
+    }
+    return { type: 'phrase', words };
+  }
+
+  function parseNot() {
+    if (!peek('!')) {
+      return parsePrimary();
+    }
+
+    position++;
+    const operand = parseNot();
+    // !!a is just a
+    return operand.type === 'not' ? operand.operand : { type: 'not', operand };
+  }
+
+  function parsePrimary() {
+    if (peek('word')) {
+      const { word, prefix } = tokens[position++];
+      return { type: 'word', word, prefix };
+    }
+    if (!peek('(')) {
+      throw syntaxError();
+    }
+
+    position++;
+    const node = parseOr();
+    if (!peek(')')) {
+      throw syntaxError();
+    }
+    position++;
+    return node;
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw syntaxError();
+  }
+
+  checkNegations(tree);
+  return tree;
+}
+
+module.exports = { parseBooleanQuery };
@@ -0,0 +1,22 @@
+const config = require('../config');
+
+/**
+ * Create the repository for a database driver.
+ * Drivers are required lazily so a SQLite install never loads pg and vice versa.
+ */
+function createRepository(driver = config.database.driver) {
+  switch (driver) {
+    case 'postgres': {
+      const PostgresRepository = require('./postgresRepository');
+      return new PostgresRepository();
+    }
+    case 'sqlite': {
+      const SqliteRepository = require('./sqliteRepository');
+      return new SqliteRepository();
+    }
+    default:
+      throw new Error(`Unknown database driver: ${driver}`);
+  }
+}
+
+module.exports = { createRepository };
@@ -0,0 +1,2778 @@
+const { Pool, types } = require('pg');
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  Repository,
+  DATA_TABLES,
+  MESSAGE_COLUMNS,
+  MEDIA_COLUMNS,
+  MONITORED_GROUP_SETTINGS,
+  DISCOVERY_RULE_FIELDS,
+  WEBHOOK_FIELDS,
+  ALERT_RULE_FIELDS,
+  invalidSearchQuery,
+} = require('./repository');
+const { parseBooleanQuery } = require('./booleanQuery');
+
+// messages.search_vector is only used inside queries; keep its text form out of result rows
+const TSVECTOR_OID = 3614;
+types.setTypeParser(TSVECTOR_OID, () => undefined);
+
+// BIGINT (Unix timestamps, counters, COUNT(*)) comes back as a number, as it does from
+// SQLite. Every value stored in one fits well within Number.MAX_SAFE_INTEGER.
+const INT8_OID = 20;
+types.setTypeParser(INT8_OID, value => parseInt(value, 10));
+
+// Search modes mapped to the function that parses the query text
+const TSQUERY_PARSERS = {
+  websearch: 'websearch_to_tsquery',
+  phrase: 'phraseto_tsquery',
+  prefix: 'to_tsquery',
+  boolean: 'to_tsquery',
+};
+
+// JSONB columns holding lists; pg would send a JS array as a postgres array, so they go as JSON text
+const JSON_LIST_COLUMNS = new Set([
+  'group_ids', 'events', 'keywords', 'message_types', 'senders', 'channels', 'notify_results',
+]);
+
+// Rows per multi-row INSERT, keeping statements under pg's 65535 bind parameters
+const BATCH_ROWS = 1000;
+
+// Advisory lock key so two processes never migrate at the same time
+const MIGRATION_LOCK_ID = 48151623;
+
+/**
+ * Map DB_SSL to pg's ssl option; unset leaves it to sslmode in DATABASE_URL
+ */
+function sslOptions(setting) {
+  switch (setting) {
+    case 'true':
+      return { rejectUnauthorized: true };
+    case 'no-verify':
+      return { rejectUnauthorized: false };
+    case 'false':
+      return false;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Placeholders for a multi-row VALUES list: ($1, $2), ($3, $4), ...
+ */
+function valuesPlaceholders(rowCount, columnCount) {
+  return Array.from({ length: rowCount }, (_, row) =>
+    `(${Array.from({ length: columnCount }, (_, column) => `$${row * columnCount + column + 1}`).join(', ')})`
+  ).join(', ');
+}
+
+function jsonParam(column, value) {
+  return JSON_LIST_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value;
+}
+
+function chunkRows(rows, size) {
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) {
+    chunks.push(rows.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Add a batch's counts to a scrape run and widen its message timestamp window.
+ * Runs on the batch's client so it commits with the batch.
+ */
+async function addScrapeMetrics(client, scrapeId, metrics) {
+  await client.query(
+    `UPDATE scrape_history
+     SET messages_scraped = messages_scraped + $1,
+         messages_inserted = messages_inserted + $1,
+         messages_duplicate = messages_duplicate + $2,
+         messages_fetched = messages_fetched + $3,
+         messages_failed = messages_failed + $4,
+         media_downloaded = media_downloaded + $5,
+         media_failed = media_failed + $6,
+         oldest_message_timestamp = LEAST(oldest_message_timestamp, $7::BIGINT),
+         newest_message_timestamp = GREATEST(newest_message_timestamp, $8::BIGINT)
+     WHERE id = $9`,
+    [
+      metrics.inserted || 0,
+      metrics.duplicate || 0,
+      metrics.fetched || 0,
+      metrics.failed || 0,
+      metrics.mediaDownloaded || 0,
+      metrics.mediaFailed || 0,
+      metrics.oldestTimestamp || null,
+      metrics.newestTimestamp || null,
+      scrapeId
+    ]
+  );
+}
+
+class PostgresRepository extends Repository {
+  constructor() {
+    super();
+    this.dialect = 'postgres';
+    this.pool = null;
+  }
+
+  /**
+   * Connect and, unless told otherwise, refuse to run against an unmigrated schema
+   */
+  async initialize({ requireMigrated = true } = {}) {
+    try {
+      if (!config.database.url) {
+        throw new Error('DATABASE_URL is required. Please set it in your .env file.');
+      }
+
+      // Create PostgreSQL connection pool
+      this.pool = new Pool({
+        connectionString: config.database.url,
+        max: config.database.poolSize,
+        idleTimeoutMillis: 30000,
+        connectionTimeoutMillis: 10000,
+        ssl: sslOptions(config.database.ssl),
+      });
+
+      // Test connection
+      const result = await this.pool.query('SELECT NOW()');
+      logger.info(`Database connected successfully at: ${result.rows[0].now}`);
+
+      if (requireMigrated) {
+        await this.assertMigrated();
+      }
+
+      return this.pool;
+    } catch (error) {
+      logger.error('Failed to initialize database:', error);
+      throw error;
+    }
+  }
+
+  // Group operations
+  async insertGroup(groupData) {
+    const client = await this.pool.connect();
+    try {
+      const query = `
+        INSERT INTO groups (id, name, participants_count, updated_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (id)
+        DO UPDATE SET
+          name = EXCLUDED.name,
+          participants_count = EXCLUDED.participants_count,
+          updated_at = NOW()
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        groupData.id,
+        groupData.name,
+        groupData.participants_count
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error inserting group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getGroup(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM groups WHERE id = $1',
+        [groupId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getAllGroups() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM groups ORDER BY updated_at DESC'
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting all groups:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Message operations
+  async insertMessage(messageData) {
+    const client = await this.pool.connect();
+    try {
+      const query = `
+        INSERT INTO messages (
+          id, group_id, message_body, message_type, timestamp, timestamp_formatted,
+          from_number, from_name, author, author_phone, is_from_me, has_media,
+          media_key, ack, is_deleted, edited_at, quoted_message_id, mentioned_ids,
+          mentioned_phones, is_forwarded, forwarding_score
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+          $17, $18, $19, $20, $21)
+        ON CONFLICT (id) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        messageData.id,
+        messageData.group_id,
+        messageData.message_body,
+        messageData.message_type,
+        messageData.timestamp,
+        messageData.timestamp_formatted,
+        messageData.from_number,
+        messageData.from_name,
+        messageData.author,
+        messageData.author_phone,
+        messageData.is_from_me,
+        messageData.has_media,
+        messageData.media_key,
+        messageData.ack,
+        messageData.is_deleted,
+        messageData.edited_at,
+        messageData.quoted_message_id,
+        messageData.mentioned_ids,
+        messageData.mentioned_phones,
+        messageData.is_forwarded,
+        messageData.forwarding_score
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error inserting message:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert a page of messages and their media rows in one transaction, skipping messages
+   * that are already stored. With a scrapeId, that run's counters (see addScrapeMetrics)
+   * move forward in the same transaction. Returns the IDs that were new.
+   */
+  async insertMessageBatch(messages, { media = [], scrapeId = null, metrics = {} } = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const insertedIds = [];
+      for (const chunk of chunkRows(messages, BATCH_ROWS)) {
+        const result = await client.query(
+          `INSERT INTO messages (${MESSAGE_COLUMNS.join(', ')})
+           VALUES ${valuesPlaceholders(chunk.length, MESSAGE_COLUMNS.length)}
+           ON CONFLICT (id) DO NOTHING
+           RETURNING id`,
+          chunk.flatMap(message => MESSAGE_COLUMNS.map(column => message[column]))
+        );
+        insertedIds.push(...result.rows.map(row => row.id));
+      }
+
+      for (const chunk of chunkRows(media, BATCH_ROWS)) {
+        await client.query(
+          `INSERT INTO media (${MEDIA_COLUMNS.join(', ')})
+           VALUES ${valuesPlaceholders(chunk.length, MEDIA_COLUMNS.length)}
+           ON CONFLICT (message_id) DO NOTHING`,
+          chunk.flatMap(row => MEDIA_COLUMNS.map(column => row[column]))
+        );
+      }
+
+      if (scrapeId) {
+        await addScrapeMetrics(client, scrapeId, {
+          ...metrics,
+          inserted: insertedIds.length,
+          duplicate: messages.length - insertedIds.length,
+        });
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        insertedIds,
+        existing: messages.length - insertedIds.length,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error inserting message batch:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordMessageEdit(messageId, newBody, editedAt) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT message_body FROM messages WHERE id = $1 FOR UPDATE',
+        [messageId]
+      );
+
+      // Unknown message or body already up to date
+      if (current.rows.length === 0 || current.rows[0].message_body === newBody) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const revision = await client.query(
+        `INSERT INTO message_revisions (message_id, revision_type, previous_body, new_body, changed_at)
+         VALUES ($1, 'edit', $2, $3, $4)
+         RETURNING *`,
+        [messageId, current.rows[0].message_body, newBody, editedAt]
+      );
+
+      await client.query(
+        'UPDATE messages SET message_body = $1, edited_at = $2 WHERE id = $3',
+        [newBody, editedAt, messageId]
+      );
+
+      await client.query('COMMIT');
+      return revision.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error recording message edit:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordMessageRevocation(messageId, revokedAt) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT message_body, is_deleted FROM messages WHERE id = $1 FOR UPDATE',
+        [messageId]
+      );
+
+      // Unknown message or already marked as deleted
+      if (current.rows.length === 0 || current.rows[0].is_deleted) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // The last known body is kept on the message for review
+      const revision = await client.query(
+        `INSERT INTO message_revisions (message_id, revision_type, previous_body, new_body, changed_at)
+         VALUES ($1, 'revoke', $2, NULL, $3)
+         RETURNING *`,
+        [messageId, current.rows[0].message_body, revokedAt]
+      );
+
+      await client.query(
+        'UPDATE messages SET is_deleted = TRUE WHERE id = $1',
+        [messageId]
+      );
+
+      await client.query('COMMIT');
+      return revision.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error recording message revocation:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessageRevisions(messageIds) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM message_revisions
+         WHERE message_id = ANY($1)
+         ORDER BY recorded_at ASC, id ASC`,
+        [messageIds]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting message revisions:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessage(messageId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM messages WHERE id = $1',
+        [messageId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting message:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getReplyChain(messageId) {
+    const client = await this.pool.connect();
+    try {
+      // Walk up the quoted messages, returned root first
+      const result = await client.query(
+        `WITH RECURSIVE chain AS (
+           SELECT m.*, 0 AS depth FROM messages m WHERE m.id = $1
+           UNION ALL
+           SELECT parent.*, chain.depth + 1
+           FROM messages parent
+           JOIN chain ON parent.id = chain.quoted_message_id
+           WHERE chain.depth < 100
+         )
+         SELECT * FROM chain
+         WHERE depth > 0
+         ORDER BY depth DESC`,
+        [messageId]
+      );
+      return result.rows.map(({ depth, ...row }) => row);
+    } catch (error) {
+      logger.error('Error getting reply chain:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getReplies(messageId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM messages
+         WHERE quoted_message_id = $1
+         ORDER BY timestamp ASC`,
+        [messageId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting replies:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessagesByGroup(groupId, limit = 100, offset = 0) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM messages
+         WHERE group_id = $1
+         ORDER BY timestamp DESC
+         LIMIT $2 OFFSET $3`,
+        [groupId, limit, offset]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting messages by group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Keyset page of a group's messages, ordered by (timestamp, id).
+   * before/after are { timestamp, id } bounds (exclusive); order picks which end is returned first.
+   */
+  async getMessagesPage(groupId, options = {}) {
+    const {
+      before = null,
+      after = null,
+      authorPhone = null,
+      messageTypes = [],
+      hasMedia = null,
+      isFromMe = null,
+      order = 'desc',
+      limit = 100,
+    } = options;
+
+    const params = [groupId];
+    const conditions = ['group_id = $1'];
+
+    if (before) {
+      params.push(before.timestamp, before.id);
+      conditions.push(`(timestamp, id) < ($${params.length - 1}::bigint, $${params.length})`);
+    }
+    if (after) {
+      params.push(after.timestamp, after.id);
+      conditions.push(`(timestamp, id) > ($${params.length - 1}::bigint, $${params.length})`);
+    }
+    if (authorPhone) {
+      params.push(authorPhone);
+      conditions.push(`author_phone = $${params.length}`);
+    }
+    if (messageTypes.length > 0) {
+      params.push(messageTypes);
+      conditions.push(`message_type = ANY($${params.length})`);
+    }
+    if (hasMedia !== null) {
+      params.push(hasMedia);
+      conditions.push(`has_media = $${params.length}`);
+    }
+    if (isFromMe !== null) {
+      params.push(isFromMe);
+      conditions.push(`is_from_me = $${params.length}`);
+    }
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    params.push(limit + 1);
+
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM messages
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY timestamp ${direction}, id ${direction}
+         LIMIT $${params.length}`,
+        params
+      );
+
+      return {
+        messages: result.rows.slice(0, limit),
+        hasMore: result.rows.length > limit,
+      };
+    } catch (error) {
+      logger.error('Error getting messages page:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessagesByDateRange(groupId, startDate, endDate) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM messages
+         WHERE group_id = $1 AND timestamp >= $2 AND timestamp <= $3
+         ORDER BY timestamp DESC`,
+        [groupId, startDate, endDate]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting messages by date range:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessageCount(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT COUNT(*) as count FROM messages WHERE group_id = $1',
+        [groupId]
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      logger.error('Error getting message count:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Full-text search across groups, ranked by relevance or recency.
+   * Returns one page of messages plus whether more follow the last one.
+   */
+  async searchMessages(searchTerm, options = {}) {
+    const {
+      groupIds = [],
+      mode = 'websearch',
+      sender = null,
+      messageTypes = [],
+      startTimestamp = null,
+      endTimestamp = null,
+      hasMedia = null,
+      sort = 'relevance',
+      limit = 20,
+      cursor = null,
+    } = options;
+
+    let queryText = searchTerm;
+    if (mode === 'prefix') {
+      // Every word must match as a prefix: "inv rep" -> "inv:* & rep:*"
+      queryText = searchTerm
+        .split(/[^\p{L}\p{M}\p{N}_]+/u)
+        .filter(Boolean)
+        .map(word => `${word}:*`)
+        .join(' & ');
+    }
+
+    // to_tsquery accepts more than SQLite can search for (e.g. "!a" on its own), so boolean
+    // queries are checked as SQLite checks them, and blank ones match nothing on either
+    if (mode === 'boolean' && !parseBooleanQuery(searchTerm)) {
+      return { messages: [], hasMore: false };
+    }
+
+    const params = [queryText];
+    const conditions = ['m.search_vector @@ q.query'];
+    const rank = 'ts_rank_cd(m.search_vector, q.query)::float8';
+
+    if (groupIds.length > 0) {
+      params.push(groupIds);
+      conditions.push(`m.group_id = ANY($${params.length})`);
+    }
+    if (sender) {
+      params.push(sender);
+      conditions.push(`(m.author_phone = $${params.length} OR m.author = $${params.length})`);
+    }
+    if (messageTypes.length > 0) {
+      params.push(messageTypes);
+      conditions.push(`m.message_type = ANY($${params.length})`);
+    }
+    if (startTimestamp !== null) {
+      params.push(startTimestamp);
+      conditions.push(`m.timestamp >= $${params.length}`);
+    }
+    if (endTimestamp !== null) {
+      params.push(endTimestamp);
+      conditions.push(`m.timestamp <= $${params.length}`);
+    }
+    if (hasMedia !== null) {
+      params.push(hasMedia);
+      conditions.push(`m.has_media = $${params.length}`);
+    }
+
+    // Keyset pagination: continue strictly after the last row of the previous page
+    if (cursor && sort === 'relevance') {
+      params.push(cursor.rank, cursor.timestamp, cursor.id);
+      const n = params.length;
+      conditions.push(`(${rank}, m.timestamp, m.id) < ($${n - 2}::float8, $${n - 1}::bigint, $${n})`);
+    } else if (cursor) {
+      params.push(cursor.timestamp, cursor.id);
+      const n = params.length;
+      conditions.push(`(m.timestamp, m.id) < ($${n - 1}::bigint, $${n})`);
+    }
+
+    const orderBy = sort === 'relevance'
+      ? 'rank DESC, timestamp DESC, id DESC'
+      : 'timestamp DESC, id DESC';
+
+    params.push(limit + 1);
+
+    const client = await this.pool.connect();
+    try {
+      // Snippets are only built for the rows of the page
+      const result = await client.query(
+        `WITH q AS (SELECT ${TSQUERY_PARSERS[mode]}('simple', $1) AS query)
+         SELECT page.*, g.name AS group_name,
+           ts_headline('simple', coalesce(page.message_body, ''), q.query,
+             'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MinWords=5, MaxWords=20') AS snippet
+         FROM (
+           SELECT m.*, ${rank} AS rank
+           FROM messages m, q
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY ${orderBy}
+           LIMIT $${params.length}
+         ) page
+         CROSS JOIN q
+         LEFT JOIN groups g ON g.id = page.group_id
+         ORDER BY ${orderBy}`,
+        params
+      );
+
+      return {
+        messages: result.rows.slice(0, limit),
+        hasMore: result.rows.length > limit,
+      };
+    } catch (error) {
+      // Malformed boolean queries are rejected by to_tsquery
+      if (error.code === '42601') {
+        throw invalidSearchQuery(error.message);
+      }
+
+      logger.error('Error searching messages:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Media operations
+  async insertMedia(mediaData) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO media (
+           message_id, group_id, sha256, mimetype, extension, size_bytes, original_filename,
+           duration_seconds, width, height, storage_key, storage_backend
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (message_id) DO NOTHING
+         RETURNING *`,
+        [
+          mediaData.message_id,
+          mediaData.group_id,
+          mediaData.sha256,
+          mediaData.mimetype,
+          mediaData.extension,
+          mediaData.size_bytes,
+          mediaData.original_filename,
+          mediaData.duration_seconds,
+          mediaData.width,
+          mediaData.height,
+          mediaData.storage_key,
+          mediaData.storage_backend
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error inserting media:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMedia(messageId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM media WHERE message_id = $1',
+        [messageId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting media:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Reaction operations
+  async upsertReaction(reactionData) {
+    const client = await this.pool.connect();
+    try {
+      // Ignore updates older than the stored reaction
+      const result = await client.query(
+        `INSERT INTO reactions (message_id, group_id, sender_id, sender_phone, reaction, timestamp, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (message_id, sender_id)
+         DO UPDATE SET
+           sender_phone = EXCLUDED.sender_phone,
+           reaction = EXCLUDED.reaction,
+           timestamp = EXCLUDED.timestamp,
+           updated_at = NOW()
+         WHERE reactions.timestamp IS NULL OR reactions.timestamp <= EXCLUDED.timestamp
+         RETURNING *`,
+        [
+          reactionData.message_id,
+          reactionData.group_id,
+          reactionData.sender_id,
+          reactionData.sender_phone,
+          reactionData.reaction,
+          reactionData.timestamp
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error upserting reaction:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async removeReaction(messageId, senderId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'DELETE FROM reactions WHERE message_id = $1 AND sender_id = $2',
+        [messageId, senderId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error removing reaction:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async replaceMessageReactions(messageId, reactions) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM reactions WHERE message_id = $1', [messageId]);
+
+      for (const reaction of reactions) {
+        await client.query(
+          `INSERT INTO reactions (message_id, group_id, sender_id, sender_phone, reaction, timestamp)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (message_id, sender_id) DO NOTHING`,
+          [
+            messageId,
+            reaction.group_id,
+            reaction.sender_id,
+            reaction.sender_phone,
+            reaction.reaction,
+            reaction.timestamp
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error replacing message reactions:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getReactionSummaries(messageIds) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT message_id, reaction, COUNT(*) AS count
+         FROM reactions
+         WHERE message_id = ANY($1)
+         GROUP BY message_id, reaction
+         ORDER BY count DESC`,
+        [messageIds]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting reaction summaries:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Poll operations
+  async upsertPoll(pollData) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO polls (message_id, group_id, question, options, allow_multiple, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (message_id)
+         DO UPDATE SET
+           question = EXCLUDED.question,
+           options = EXCLUDED.options,
+           allow_multiple = EXCLUDED.allow_multiple,
+           updated_at = NOW()
+         RETURNING *`,
+        [
+          pollData.message_id,
+          pollData.group_id,
+          pollData.question,
+          JSON.stringify(pollData.options),
+          pollData.allow_multiple
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error upserting poll:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getPoll(messageId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM polls WHERE message_id = $1',
+        [messageId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting poll:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async upsertPollVote(voteData) {
+    const client = await this.pool.connect();
+    try {
+      // Ignore votes older than the stored selection
+      const result = await client.query(
+        `INSERT INTO poll_votes (message_id, voter_id, voter_phone, selected_options, voted_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (message_id, voter_id)
+         DO UPDATE SET
+           voter_phone = EXCLUDED.voter_phone,
+           selected_options = EXCLUDED.selected_options,
+           voted_at = EXCLUDED.voted_at,
+           updated_at = NOW()
+         WHERE poll_votes.voted_at IS NULL OR poll_votes.voted_at <= EXCLUDED.voted_at
+         RETURNING *`,
+        [
+          voteData.message_id,
+          voteData.voter_id,
+          voteData.voter_phone,
+          JSON.stringify(voteData.selected_options),
+          voteData.voted_at
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error upserting poll vote:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getPollsByGroup(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT p.*, m.timestamp, m.author_phone, m.from_name
+         FROM polls p
+         JOIN messages m ON m.id = p.message_id
+         WHERE p.group_id = $1
+         ORDER BY m.timestamp DESC`,
+        [groupId]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting polls by group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getPollVotes(messageIds) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM poll_votes WHERE message_id = ANY($1)',
+        [messageIds]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting poll votes:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Participant operations
+  async syncGroupParticipants(groupId, roster) {
+    // An empty roster means the chat had no participant data, not that everyone left
+    if (roster.length === 0) {
+      return [];
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT participant_id, phone, is_admin, is_active FROM group_participants WHERE group_id = $1',
+        [groupId]
+      );
+      const previous = {};
+      existing.rows.forEach(row => {
+        previous[row.participant_id] = row;
+      });
+
+      // The first roster of a group is a snapshot, not a series of joins
+      const initialSnapshot = existing.rows.length === 0;
+      const changes = [];
+
+      for (const entry of roster) {
+        await client.query(
+          `INSERT INTO group_participants (
+             group_id, participant_id, phone, lid, display_name, is_admin, is_super_admin
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (group_id, participant_id)
+           DO UPDATE SET
+             phone = COALESCE(EXCLUDED.phone, group_participants.phone),
+             lid = COALESCE(EXCLUDED.lid, group_participants.lid),
+             display_name = COALESCE(EXCLUDED.display_name, group_participants.display_name),
+             is_admin = EXCLUDED.is_admin,
+             is_super_admin = EXCLUDED.is_super_admin,
+             is_active = TRUE,
+             last_seen = NOW(),
+             left_at = NULL`,
+          [
+            groupId,
+            entry.participant_id,
+            entry.phone,
+            entry.lid,
+            entry.display_name,
+            entry.is_admin,
+            entry.is_super_admin
+          ]
+        );
+
+        const before = previous[entry.participant_id];
+        if (initialSnapshot) {
+          continue;
+        }
+        if (!before || !before.is_active) {
+          changes.push({ participant_id: entry.participant_id, phone: entry.phone, event_type: 'join' });
+        } else if (before.is_admin !== entry.is_admin) {
+          changes.push({
+            participant_id: entry.participant_id,
+            phone: entry.phone,
+            event_type: entry.is_admin ? 'promote' : 'demote',
+          });
+        }
+      }
+
+      const currentIds = new Set(roster.map(entry => entry.participant_id));
+      for (const row of existing.rows) {
+        if (row.is_active && !currentIds.has(row.participant_id)) {
+          await client.query(
+            `UPDATE group_participants
+             SET is_active = FALSE, left_at = NOW()
+             WHERE group_id = $1 AND participant_id = $2`,
+            [groupId, row.participant_id]
+          );
+          changes.push({ participant_id: row.participant_id, phone: row.phone, event_type: 'leave' });
+        }
+      }
+
+      // Changes noticed between roster snapshots (missed notifications)
+      for (const change of changes) {
+        await client.query(
+          `INSERT INTO membership_events (group_id, participant_id, phone, event_type, source, event_timestamp)
+           VALUES ($1, $2, $3, $4, 'roster', EXTRACT(EPOCH FROM NOW())::BIGINT)`,
+          [groupId, change.participant_id, change.phone, change.event_type]
+        );
+      }
+
+      await client.query('COMMIT');
+      return changes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error syncing group participants:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordMembershipEvent(eventData) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO membership_events (
+           group_id, participant_id, phone, event_type, subtype, actor_id, source,
+           notification_id, event_timestamp
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (notification_id, participant_id) DO NOTHING
+         RETURNING *`,
+        [
+          eventData.group_id,
+          eventData.participant_id,
+          eventData.phone,
+          eventData.event_type,
+          eventData.subtype,
+          eventData.actor_id,
+          eventData.source,
+          eventData.notification_id,
+          eventData.event_timestamp
+        ]
+      );
+
+      // Already recorded from the other source (event vs. system message)
+      if (result.rows.length === 0) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      // Keep the roster in step so the next snapshot doesn't report it again
+      if (eventData.event_type === 'join') {
+        await client.query(
+          `INSERT INTO group_participants (group_id, participant_id, phone)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (group_id, participant_id)
+           DO UPDATE SET is_active = TRUE, left_at = NULL, last_seen = NOW()`,
+          [eventData.group_id, eventData.participant_id, eventData.phone]
+        );
+      } else if (eventData.event_type === 'leave') {
+        await client.query(
+          `UPDATE group_participants
+           SET is_active = FALSE, left_at = NOW()
+           WHERE group_id = $1 AND participant_id = $2`,
+          [eventData.group_id, eventData.participant_id]
+        );
+      } else {
+        await client.query(
+          `UPDATE group_participants
+           SET is_admin = $3, last_seen = NOW()
+           WHERE group_id = $1 AND participant_id = $2`,
+          [eventData.group_id, eventData.participant_id, eventData.event_type === 'promote']
+        );
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error recording membership event:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getGroupParticipants(groupId, includeInactive = false) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM group_participants
+         WHERE group_id = $1 AND (is_active = TRUE OR $2)
+         ORDER BY is_super_admin DESC, is_admin DESC, display_name ASC NULLS LAST`,
+        [groupId, includeInactive]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting group participants:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMembershipEvents(groupId, limit = 100) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM membership_events
+         WHERE group_id = $1
+         ORDER BY event_timestamp DESC, id DESC
+         LIMIT $2`,
+        [groupId, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting membership events:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Contact operations
+  async upsertContactIdentity(waIds, phone, pushname) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Every contact already holding one of these IDs or this phone is the same person
+      const matches = await client.query(
+        `SELECT DISTINCT c.id, c.phone
+         FROM contacts c
+         LEFT JOIN contact_ids ci ON ci.contact_id = c.id
+         WHERE ci.wa_id = ANY($1) OR ($2::TEXT IS NOT NULL AND c.phone = $2)
+         ORDER BY c.id`,
+        [waIds, phone]
+      );
+
+      let target = matches.rows.find(row => phone && row.phone === phone)
+        || matches.rows.find(row => row.phone)
+        || matches.rows[0];
+
+      if (!target) {
+        const created = await client.query(
+          'INSERT INTO contacts (phone, display_name) VALUES ($1, $2) RETURNING id, phone',
+          [phone, pushname]
+        );
+        target = created.rows[0];
+      }
+
+      // Merge duplicates into the target contact
+      const duplicateIds = matches.rows.map(row => row.id).filter(id => id !== target.id);
+      if (duplicateIds.length > 0) {
+        await client.query(
+          'UPDATE contact_ids SET contact_id = $1 WHERE contact_id = ANY($2)',
+          [target.id, duplicateIds]
+        );
+        await client.query(
+          `INSERT INTO contact_pushnames (contact_id, pushname, first_seen, last_seen)
+           SELECT $1, pushname, first_seen, last_seen FROM contact_pushnames WHERE contact_id = ANY($2)
+           ON CONFLICT (contact_id, pushname) DO NOTHING`,
+          [target.id, duplicateIds]
+        );
+        await client.query('DELETE FROM contacts WHERE id = ANY($1)', [duplicateIds]);
+      }
+
+      const updated = await client.query(
+        `UPDATE contacts
+         SET phone = COALESCE(phone, $2),
+             display_name = COALESCE($3, display_name),
+             last_seen = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [target.id, phone, pushname]
+      );
+
+      for (const waId of waIds) {
+        await client.query(
+          `INSERT INTO contact_ids (wa_id, contact_id, id_type)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (wa_id) DO UPDATE SET contact_id = EXCLUDED.contact_id`,
+          [waId, target.id, waId.split('@')[1] || null]
+        );
+      }
+
+      if (pushname) {
+        await client.query(
+          `INSERT INTO contact_pushnames (contact_id, pushname)
+           VALUES ($1, $2)
+           ON CONFLICT (contact_id, pushname) DO UPDATE SET last_seen = NOW()`,
+          [target.id, pushname]
+        );
+      }
+
+      await client.query('COMMIT');
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error upserting contact identity:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getContactIdentities() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ci.wa_id, c.phone
+         FROM contact_ids ci
+         JOIN contacts c ON c.id = ci.contact_id`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting contact identities:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async searchContacts(searchTerm = null, limit = 100) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT c.*,
+           (SELECT ARRAY_AGG(ci.wa_id ORDER BY ci.wa_id) FROM contact_ids ci WHERE ci.contact_id = c.id) AS wa_ids,
+           (SELECT JSON_AGG(json_build_object(
+              'pushname', cp.pushname, 'first_seen', cp.first_seen, 'last_seen', cp.last_seen
+            ) ORDER BY cp.first_seen) FROM contact_pushnames cp WHERE cp.contact_id = c.id) AS pushnames
+         FROM contacts c
+         WHERE $1::TEXT IS NULL
+           OR c.phone ILIKE $2
+           OR c.display_name ILIKE $2
+           OR EXISTS (SELECT 1 FROM contact_ids ci WHERE ci.contact_id = c.id AND ci.wa_id ILIKE $2)
+         ORDER BY c.last_seen DESC
+         LIMIT $3`,
+        [searchTerm, `%${searchTerm}%`, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error searching contacts:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async repairAuthorPhones(groupId = null) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE messages m
+         SET author_phone = c.phone
+         FROM contact_ids ci
+         JOIN contacts c ON c.id = ci.contact_id
+         WHERE ci.wa_id = m.author
+           AND c.phone IS NOT NULL
+           AND m.author_phone IS DISTINCT FROM c.phone
+           AND ($1::TEXT IS NULL OR m.group_id = $1)`,
+        [groupId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error repairing author phones:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Scrape history operations
+  async startScrapeHistory(groupId, scrapeType = 'incremental') {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO scrape_history (group_id, status, scrape_type)
+         VALUES ($1, 'in_progress', $2)
+         RETURNING id`,
+        [groupId, scrapeType]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error starting scrape history:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count messages that were stored but whose details (edits, reactions, polls) failed,
+   * which insertMessageBatch could not know about when it updated the run
+   */
+  async addScrapeFailures(scrapeId, count) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        'UPDATE scrape_history SET messages_failed = messages_failed + $1 WHERE id = $2',
+        [count, scrapeId]
+      );
+    } catch (error) {
+      logger.error('Error counting scrape failures:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close a scrape run. Message counts are kept up to date by insertMessageBatch.
+   */
+  async endScrapeHistory(scrapeId, status = 'completed', errorMessage = null, cursorRange = {}) {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `UPDATE scrape_history
+         SET scrape_end = NOW(),
+             duration_ms = (EXTRACT(EPOCH FROM NOW() - scrape_start) * 1000)::BIGINT,
+             status = $1,
+             error_message = $2,
+             cursor_from_id = $3,
+             cursor_from_timestamp = $4,
+             cursor_to_id = $5,
+             cursor_to_timestamp = $6
+         WHERE id = $7`,
+        [
+          status,
+          errorMessage,
+          cursorRange.fromId || null,
+          cursorRange.fromTimestamp || null,
+          cursorRange.toId || null,
+          cursorRange.toTimestamp || null,
+          scrapeId
+        ]
+      );
+    } catch (error) {
+      logger.error('Error ending scrape history:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getScrapeHistory(groupId, limit = 10) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM scrape_history
+         WHERE group_id = $1
+         ORDER BY scrape_start DESC
+         LIMIT $2`,
+        [groupId, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting scrape history:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Scrape totals per group for runs started since the given date.
+   * runs_at_message_limit counts incremental runs that fetched a full page or more:
+   * messageLimits maps group IDs to their limit, other groups use defaultMessageLimit.
+   */
+  async getScrapeSummary(since, messageLimits, defaultMessageLimit) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT
+           sh.group_id,
+           g.name AS group_name,
+           COUNT(*) AS runs,
+           COUNT(*) FILTER (WHERE sh.status = 'completed') AS completed_runs,
+           COUNT(*) FILTER (WHERE sh.status = 'failed') AS failed_runs,
+           COALESCE(SUM(sh.messages_fetched), 0)::BIGINT AS messages_fetched,
+           COALESCE(SUM(sh.messages_inserted), 0)::BIGINT AS messages_inserted,
+           COALESCE(SUM(sh.messages_duplicate), 0)::BIGINT AS messages_duplicate,
+           COALESCE(SUM(sh.messages_failed), 0)::BIGINT AS messages_failed,
+           COALESCE(SUM(sh.media_downloaded), 0)::BIGINT AS media_downloaded,
+           COALESCE(SUM(sh.media_failed), 0)::BIGINT AS media_failed,
+           MAX(sh.messages_fetched) AS max_messages_fetched,
+           COUNT(*) FILTER (WHERE sh.scrape_type = 'incremental' AND sh.messages_fetched >= COALESCE(limits.value::int, $2)) AS runs_at_message_limit,
+           ROUND(AVG(sh.duration_ms))::BIGINT AS avg_duration_ms,
+           MAX(sh.duration_ms) AS max_duration_ms,
+           MAX(sh.scrape_start) AS last_scrape
+         FROM scrape_history sh
+         LEFT JOIN groups g ON g.id = sh.group_id
+         LEFT JOIN jsonb_each_text($3::jsonb) limits ON limits.key = sh.group_id
+         WHERE sh.scrape_start >= $1
+         GROUP BY sh.group_id, g.name
+         ORDER BY g.name`,
+        [since, defaultMessageLimit, JSON.stringify(messageLimits)]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting scrape summary:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getLatestScrape(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM scrape_history
+         WHERE group_id = $1
+         ORDER BY scrape_start DESC
+         LIMIT 1`,
+        [groupId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting latest scrape:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Scrape cursor operations
+  async getScrapeCursor(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM scrape_cursors WHERE group_id = $1',
+        [groupId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting scrape cursor:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateScrapeCursor(groupId, messageId, timestamp) {
+    const client = await this.pool.connect();
+    try {
+      // Never move the cursor backwards
+      await client.query(
+        `INSERT INTO scrape_cursors (group_id, last_message_id, last_message_timestamp, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (group_id)
+         DO UPDATE SET
+           last_message_id = EXCLUDED.last_message_id,
+           last_message_timestamp = EXCLUDED.last_message_timestamp,
+           updated_at = NOW()
+         WHERE scrape_cursors.last_message_timestamp <= EXCLUDED.last_message_timestamp`,
+        [groupId, messageId, timestamp]
+      );
+    } catch (error) {
+      logger.error('Error updating scrape cursor:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Backfill job operations
+  async createBackfillJob(groupId, fetchLimit) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO backfill_jobs (group_id, fetch_limit)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [groupId, fetchLimit]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating backfill job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getLatestBackfillJob(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM backfill_jobs
+         WHERE group_id = $1
+         ORDER BY started_at DESC
+         LIMIT 1`,
+        [groupId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting latest backfill job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getBackfillJobsByStatus(status) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM backfill_jobs WHERE status = $1 ORDER BY started_at ASC',
+        [status]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting backfill jobs:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateBackfillJob(jobId, fields) {
+    const client = await this.pool.connect();
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await client.query(
+        `UPDATE backfill_jobs
+         SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => fields[column]), jobId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating backfill job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Scrape job operations
+  async createScrapeJob(groupId, triggeredBy = 'manual') {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO scrape_jobs (group_id, triggered_by)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [groupId, triggeredBy]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating scrape job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getScrapeJob(jobId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM scrape_jobs WHERE id = $1', [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting scrape job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Most recent jobs first, optionally filtered by status and group
+   */
+  async getScrapeJobs({ status = null, groupId = null, limit = 50 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (groupId) {
+        params.push(groupId);
+        conditions.push(`group_id = $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await client.query(
+        `SELECT * FROM scrape_jobs
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting scrape jobs:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queued jobs in the order they were requested
+   */
+  async getQueuedScrapeJobs() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        "SELECT * FROM scrape_jobs WHERE status = 'queued' ORDER BY id ASC"
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting queued scrape jobs:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a job. With expectedStatus, only a job still in that status is changed
+   * and null is returned otherwise, so two callers cannot both move the same job on.
+   */
+  async updateScrapeJob(jobId, fields, expectedStatus = null) {
+    const client = await this.pool.connect();
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+      const params = [...columns.map(column => fields[column]), jobId];
+
+      if (expectedStatus) {
+        params.push(expectedStatus);
+      }
+
+      const result = await client.query(
+        `UPDATE scrape_jobs
+         SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE id = $${columns.length + 1}
+         ${expectedStatus ? `AND status = $${columns.length + 2}` : ''}
+         RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating scrape job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Put jobs left running by a stopped process back in the queue
+   * (or cancel them if that was requested). Returns the requeued jobs.
+   */
+  async requeueRunningScrapeJobs() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(
+        `UPDATE scrape_jobs
+         SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+         WHERE status = 'running' AND cancel_requested = TRUE`
+      );
+      const result = await client.query(
+        `UPDATE scrape_jobs
+         SET status = 'queued', started_at = NULL, updated_at = NOW()
+         WHERE status = 'running'
+         RETURNING *`
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error requeueing scrape jobs:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Monitored group operations
+  async getMonitoredGroups() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM monitored_groups ORDER BY created_at ASC');
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting monitored groups:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMonitoredGroup(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM monitored_groups WHERE group_id = $1', [groupId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting monitored group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create or update a group's settings. Only the given settings are written;
+   * a new row takes the table defaults for the rest.
+   */
+  async saveMonitoredGroup(groupId, settings) {
+    const client = await this.pool.connect();
+    try {
+      const columns = Object.keys(settings).filter(column => MONITORED_GROUP_SETTINGS.includes(column));
+      const placeholders = columns.map((_, index) => `$${index + 2}`);
+      const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+
+      const result = await client.query(
+        `INSERT INTO monitored_groups (group_id${columns.map(column => `, ${column}`).join('')})
+         VALUES ($1${placeholders.map(placeholder => `, ${placeholder}`).join('')})
+         ON CONFLICT (group_id) DO UPDATE SET
+           ${[...updates, 'updated_at = NOW()'].join(', ')}
+         RETURNING *`,
+        [groupId, ...columns.map(column => settings[column])]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error saving monitored group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteMonitoredGroup(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'DELETE FROM monitored_groups WHERE group_id = $1',
+        [groupId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting monitored group:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Discovery rule operations
+  async getDiscoveryRules() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM discovery_rules ORDER BY id ASC');
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting discovery rules:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createDiscoveryRule(rule) {
+    const client = await this.pool.connect();
+    try {
+      const columns = DISCOVERY_RULE_FIELDS.filter(column => rule[column] !== undefined);
+
+      const result = await client.query(
+        `INSERT INTO discovery_rules (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => jsonParam(column, rule[column]))
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating discovery rule:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateDiscoveryRule(ruleId, fields) {
+    const client = await this.pool.connect();
+    try {
+      const columns = DISCOVERY_RULE_FIELDS.filter(column => fields[column] !== undefined);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await client.query(
+        `UPDATE discovery_rules
+         SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => jsonParam(column, fields[column])), ruleId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating discovery rule:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a rule. Groups it enrolled stay monitored (their discovery_rule_id is cleared).
+   */
+  async deleteDiscoveryRule(ruleId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('DELETE FROM discovery_rules WHERE id = $1', [ruleId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting discovery rule:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Webhook operations
+  async getWebhooks() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM webhooks ORDER BY id ASC');
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting webhooks:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createWebhook(webhook) {
+    const client = await this.pool.connect();
+    try {
+      const columns = WEBHOOK_FIELDS.filter(column => webhook[column] !== undefined);
+
+      const result = await client.query(
+        `INSERT INTO webhooks (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => jsonParam(column, webhook[column]))
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateWebhook(webhookId, fields) {
+    const client = await this.pool.connect();
+    try {
+      const columns = WEBHOOK_FIELDS.filter(column => fields[column] !== undefined);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await client.query(
+        `UPDATE webhooks
+         SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => jsonParam(column, fields[column])), webhookId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating webhook:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a webhook with its delivery log and dead letters
+   */
+  async deleteWebhook(webhookId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('DELETE FROM webhooks WHERE id = $1', [webhookId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting webhook:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createWebhookDelivery(webhookId, eventType, payload) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [webhookId, eventType, JSON.stringify(payload)]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating webhook delivery:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due, oldest first and at most perWebhook
+   * per webhook, with their webhook's URL and secret. Deliveries of disabled webhooks
+   * wait until it is enabled again.
+   */
+  async getDueWebhookDeliveries(perWebhook = 10) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT * FROM (
+           SELECT d.*, w.url, w.secret,
+             ROW_NUMBER() OVER (PARTITION BY d.webhook_id ORDER BY d.next_attempt_at, d.id) AS queue_position
+           FROM webhook_deliveries d
+           JOIN webhooks w ON w.id = d.webhook_id
+           WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.enabled = TRUE
+         ) due
+         WHERE queue_position <= $1
+         ORDER BY next_attempt_at ASC, id ASC`,
+        [perWebhook]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting due webhook deliveries:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateWebhookDelivery(deliveryId, fields) {
+    const client = await this.pool.connect();
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await client.query(
+        `UPDATE webhook_deliveries
+         SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => fields[column]), deliveryId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating webhook delivery:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Most recent deliveries first, optionally filtered by webhook and status
+   */
+  async getWebhookDeliveries({ webhookId = null, status = null, limit = 50 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (webhookId) {
+        params.push(webhookId);
+        conditions.push(`webhook_id = $${params.length}`);
+      }
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await client.query(
+        `SELECT * FROM webhook_deliveries
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting webhook deliveries:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark a delivery as failed for good and copy it to webhook_dead_letters
+   */
+  async deadLetterWebhookDelivery(deliveryId, fields) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const delivery = await client.query(
+        `UPDATE webhook_deliveries
+         SET status = 'failed', attempts = $1, last_status_code = $2, last_error = $3, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [fields.attempts, fields.last_status_code, fields.last_error, deliveryId]
+      );
+
+      const deadLetter = await client.query(
+        `INSERT INTO webhook_dead_letters
+           (delivery_id, webhook_id, event_type, payload, attempts, last_status_code, last_error)
+         SELECT id, webhook_id, event_type, payload, attempts, last_status_code, last_error
+         FROM webhook_deliveries
+         WHERE id = $1
+         RETURNING *`,
+        [deliveryId]
+      );
+
+      await client.query('COMMIT');
+      return delivery.rows[0] ? deadLetter.rows[0] : null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error dead-lettering webhook delivery:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getWebhookDeadLetters({ webhookId = null, limit = 50 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const params = webhookId ? [webhookId, limit] : [limit];
+
+      const result = await client.query(
+        `SELECT * FROM webhook_dead_letters
+         ${webhookId ? 'WHERE webhook_id = $1' : ''}
+         ORDER BY id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting webhook dead letters:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Put a dead letter's delivery back in the queue with a fresh set of attempts.
+   * Returns the requeued delivery, or null if the dead letter does not exist.
+   */
+  async retryWebhookDeadLetter(deadLetterId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const deadLetter = await client.query(
+        'DELETE FROM webhook_dead_letters WHERE id = $1 RETURNING delivery_id',
+        [deadLetterId]
+      );
+
+      if (deadLetter.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const delivery = await client.query(
+        `UPDATE webhook_deliveries
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [deadLetter.rows[0].delivery_id]
+      );
+
+      await client.query('COMMIT');
+      return delivery.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error retrying webhook dead letter:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Alert operations
+  async getAlertRules() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM alert_rules ORDER BY id ASC');
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting alert rules:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createAlertRule(rule) {
+    const client = await this.pool.connect();
+    try {
+      const columns = ALERT_RULE_FIELDS.filter(column => rule[column] !== undefined);
+
+      const result = await client.query(
+        `INSERT INTO alert_rules (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => jsonParam(column, rule[column]))
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating alert rule:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateAlertRule(ruleId, fields) {
+    const client = await this.pool.connect();
+    try {
+      const columns = ALERT_RULE_FIELDS.filter(column => fields[column] !== undefined);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await client.query(
+        `UPDATE alert_rules
+         SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => jsonParam(column, fields[column])), ruleId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating alert rule:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a rule. Its alerts are kept (their rule_id is cleared, rule_name stays).
+   */
+  async deleteAlertRule(ruleId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('DELETE FROM alert_rules WHERE id = $1', [ruleId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting alert rule:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a rule match. Returns null if the rule already raised an alert for the message.
+   */
+  async createAlert(alert) {
+    const client = await this.pool.connect();
+    try {
+      const columns = Object.keys(alert);
+
+      const result = await client.query(
+        `INSERT INTO alerts (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         ON CONFLICT (rule_id, message_id) DO NOTHING
+         RETURNING *`,
+        columns.map(column => jsonParam(column, alert[column]))
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating alert:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async updateAlert(alertId, fields) {
+    const client = await this.pool.connect();
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+      const result = await client.query(
+        `UPDATE alerts
+         SET ${assignments.join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => jsonParam(column, fields[column])), alertId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating alert:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Most recent alerts first, optionally filtered by rule, group and whether they were acknowledged
+   */
+  async getAlerts({ ruleId = null, groupId = null, acknowledged = null, limit = 50 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (ruleId) {
+        params.push(ruleId);
+        conditions.push(`rule_id = $${params.length}`);
+      }
+      if (groupId) {
+        params.push(groupId);
+        conditions.push(`group_id = $${params.length}`);
+      }
+      if (acknowledged !== null) {
+        conditions.push(`acknowledged_at IS ${acknowledged ? 'NOT NULL' : 'NULL'}`);
+      }
+      params.push(limit);
+
+      const result = await client.query(
+        `SELECT * FROM alerts
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting alerts:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Alerts whose notifications wait for their rule's quiet hours to end, oldest first
+   */
+  async getHeldAlerts() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        "SELECT * FROM alerts WHERE notify_status = 'held' ORDER BY id ASC"
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting held alerts:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark an alert as seen. Acknowledging it again keeps the first acknowledgement.
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy = null) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE alerts
+         SET acknowledged_by = CASE WHEN acknowledged_at IS NULL THEN $1 ELSE acknowledged_by END,
+             acknowledged_at = COALESCE(acknowledged_at, NOW())
+         WHERE id = $2
+         RETURNING *`,
+        [acknowledgedBy, alertId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error acknowledging alert:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Stream operations
+  async insertStreamEvent(event) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO stream_events (event_id, event_type, group_id, message_type, data)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [event.event_id, event.event_type, event.group_id, event.message_type, JSON.stringify(event.data)]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error inserting stream event:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stream events after a cursor, oldest first. Empty filter lists match everything;
+   * message type filters only apply to message events (message.*).
+   */
+  async getStreamEvents({ after = 0, groupIds = [], messageTypes = [], eventTypes = [], limit = 500 } = {}) {
+    const client = await this.pool.connect();
+    try {
+      const conditions = ['id > $1'];
+      const params = [after];
+
+      if (groupIds.length > 0) {
+        params.push(groupIds);
+        conditions.push(`group_id = ANY($${params.length})`);
+      }
+      if (messageTypes.length > 0) {
+        params.push(messageTypes);
+        conditions.push(`(event_type NOT LIKE 'message.%' OR message_type = ANY($${params.length}))`);
+      }
+      if (eventTypes.length > 0) {
+        params.push(eventTypes);
+        conditions.push(`event_type = ANY($${params.length})`);
+      }
+      params.push(limit);
+
+      const result = await client.query(
+        `SELECT * FROM stream_events
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id ASC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting stream events:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * IDs of the oldest and newest stream events still kept ({ oldest, latest }, null when there are none)
+   */
+  async getStreamEventBounds() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('SELECT MIN(id) AS oldest, MAX(id) AS latest FROM stream_events');
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error getting stream event bounds:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async pruneStreamEvents(before) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query('DELETE FROM stream_events WHERE created_at < $1', [before]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error pruning stream events:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Retention operations
+  /**
+   * Count what purgeMessagesBefore would remove, without deleting anything.
+   * media_files only counts files no remaining message still uses.
+   */
+  async getRetentionPreview(groupId, cutoffTimestamp) {
+    const client = await this.pool.connect();
+    try {
+      const messages = await client.query(
+        `SELECT
+           COUNT(*) AS messages,
+           COUNT(*) FILTER (WHERE has_media = TRUE) AS media_messages,
+           MIN(timestamp) AS oldest_timestamp,
+           MAX(timestamp) AS newest_timestamp
+         FROM messages
+         WHERE group_id = $1 AND timestamp < $2`,
+        [groupId, cutoffTimestamp]
+      );
+
+      const media = await client.query(
+        `SELECT COUNT(DISTINCT (md.storage_backend, md.storage_key)) AS media_files
+         FROM media md
+         JOIN messages m ON m.id = md.message_id
+         WHERE m.group_id = $1 AND m.timestamp < $2
+           AND NOT EXISTS (
+             SELECT 1 FROM media other
+             JOIN messages om ON om.id = other.message_id
+             WHERE other.storage_key = md.storage_key
+               AND other.storage_backend = md.storage_backend
+               AND NOT (om.group_id = $1 AND om.timestamp < $2)
+           )`,
+        [groupId, cutoffTimestamp]
+      );
+
+      const history = await client.query(
+        `SELECT COUNT(*) AS scrape_history
+         FROM scrape_history
+         WHERE group_id = $1 AND scrape_start < to_timestamp($2) AND status <> 'in_progress'`,
+        [groupId, cutoffTimestamp]
+      );
+
+      return {
+        ...messages.rows[0],
+        media_files: media.rows[0].media_files,
+        scrape_history: history.rows[0].scrape_history,
+      };
+    } catch (error) {
+      logger.error('Error previewing retention cleanup:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a group's messages older than a Unix-seconds cutoff, with their reactions,
+   * revisions, polls and media rows, plus scrape_history from the same period.
+   * Returns the media files that no remaining message references.
+   */
+  async purgeMessagesBefore(groupId, cutoffTimestamp) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const media = await client.query(
+        `SELECT DISTINCT md.storage_key, md.storage_backend
+         FROM media md
+         JOIN messages m ON m.id = md.message_id
+         WHERE m.group_id = $1 AND m.timestamp < $2`,
+        [groupId, cutoffTimestamp]
+      );
+
+      // Reactions are keyed by message ID without a foreign key, so they don't cascade
+      const reactions = await client.query(
+        `DELETE FROM reactions r
+         USING messages m
+         WHERE r.message_id = m.id AND m.group_id = $1 AND m.timestamp < $2`,
+        [groupId, cutoffTimestamp]
+      );
+
+      const messages = await client.query(
+        'DELETE FROM messages WHERE group_id = $1 AND timestamp < $2',
+        [groupId, cutoffTimestamp]
+      );
+
+      const history = await client.query(
+        `DELETE FROM scrape_history
+         WHERE group_id = $1 AND scrape_start < to_timestamp($2) AND status <> 'in_progress'`,
+        [groupId, cutoffTimestamp]
+      );
+
+      // Files are shared by hash, so only those with no media rows left can go
+      const orphaned = await client.query(
+        `SELECT k.storage_key, k.storage_backend
+         FROM unnest($1::text[], $2::text[]) AS k(storage_key, storage_backend)
+         WHERE NOT EXISTS (
+           SELECT 1 FROM media
+           WHERE media.storage_key = k.storage_key AND media.storage_backend = k.storage_backend
+         )`,
+        [media.rows.map(r => r.storage_key), media.rows.map(r => r.storage_backend)]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        messages: messages.rowCount,
+        reactions: reactions.rowCount,
+        scrapeHistory: history.rowCount,
+        orphanedMedia: orphaned.rows,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error purging old messages:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Statistics
+  async getGroupStatistics(groupId) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT
+          COUNT(*) as total_messages,
+          COUNT(*) FILTER (WHERE has_media = TRUE) as media_messages,
+          MIN(timestamp) as first_message_timestamp,
+          MAX(timestamp) as last_message_timestamp,
+          COUNT(DISTINCT from_number) as unique_senders
+         FROM messages
+         WHERE group_id = $1`,
+        [groupId]
+      );
+
+      const mostReacted = await client.query(
+        `SELECT m.id, m.message_body, m.author_phone, m.timestamp, COUNT(r.sender_id) AS reaction_count
+         FROM messages m
+         JOIN reactions r ON r.message_id = m.id
+         WHERE m.group_id = $1
+         GROUP BY m.id
+         ORDER BY reaction_count DESC, m.timestamp DESC
+         LIMIT 5`,
+        [groupId]
+      );
+
+      return {
+        ...result.rows[0],
+        most_reacted_messages: mostReacted.rows,
+      };
+    } catch (error) {
+      logger.error('Error getting group statistics:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Export and maintenance operations
+  async getMessagesForExport(groupId = null, beforeTimestamp = null) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT
+           m.id, m.group_id, g.name AS group_name, m.message_body, m.message_type,
+           m.author, m.author_phone, m.from_number, m.from_name, m.timestamp,
+           m.timestamp_formatted, m.is_from_me, m.has_media, m.media_key, m.ack,
+           m.is_deleted, m.edited_at, m.quoted_message_id, m.mentioned_phones,
+           m.is_forwarded, m.forwarding_score, m.scraped_at
+         FROM messages m
+         LEFT JOIN groups g ON m.group_id = g.id
+         WHERE ($1::TEXT IS NULL OR m.group_id = $1)
+           AND ($2::BIGINT IS NULL OR m.timestamp < $2)
+         ORDER BY m.group_id, m.timestamp ASC`,
+        [groupId, beforeTimestamp]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting messages for export:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMessageSample(limit = 20) {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM messages LIMIT $1',
+        [limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting message sample:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listTables() {
+    const client = await this.pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public'
+         ORDER BY table_name`
+      );
+      return result.rows.map(row => row.table_name);
+    } catch (error) {
+      logger.error('Error listing tables:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete every row of every data table (the schema and migration history stay)
+   */
+  async clearAllData() {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const deleted = {};
+      for (const table of DATA_TABLES) {
+        const result = await client.query(`DELETE FROM ${table}`);
+        deleted[table] = result.rowCount;
+      }
+
+      await client.query('COMMIT');
+      return deleted;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error clearing database:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Migration operations (used by Migrator)
+  async getAppliedMigrations() {
+    const client = await this.pool.connect();
+    try {
+      // Read-only: a database that was never migrated has no schema_migrations yet
+      const table = await client.query("SELECT to_regclass('schema_migrations') AS name");
+      if (!table.rows[0].name) {
+        return [];
+      }
+
+      const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+      return result.rows;
+    } catch (error) {
+      logger.error('Error reading applied migrations:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Hold the migration lock (and make sure schema_migrations exists) while running fn.
+   * fn gets a session that reads applied versions and runs steps on the locked connection.
+   */
+  async withMigrationLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMPTZ DEFAULT NOW()
+          )
+        `);
+
+        return await fn({
+          getAppliedVersions: async () => {
+            const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+            return result.rows.map(row => row.version);
+          },
+          run: (migration, direction) => this.runMigration(client, migration, direction),
+        });
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run a migration step and its schema_migrations bookkeeping as one transaction
+   */
+  async runMigration(client, migration, direction) {
+    try {
+      await client.query('BEGIN');
+      await migration[direction](client);
+
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      logger.info('Database connection pool closed');
+    }
+  }
+}
+
+module.exports = PostgresRepository;
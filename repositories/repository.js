@@ -0,0 +1,98 @@
+const Migrator = require('../migrator');
+
+// Every table holding scraped data, children before the tables they reference
+const DATA_TABLES = [
+  'poll_votes',
+  'polls',
+  'media',
+  'message_revisions',
+  'reactions',
+  'messages',
+  'membership_events',
+  'group_participants',
+  'contact_pushnames',
+  'contact_ids',
+  'contacts',
+  'scrape_cursors',
+  'backfill_jobs',
+  'scrape_history',
+  'scrape_jobs',
+  'alerts',
+  'stream_events',
+  'webhook_dead_letters',
+  'webhook_deliveries',
+  'groups',
+];
+
+// Per-group settings in monitored_groups; NULL means the config default
+const MONITORED_GROUP_SETTINGS = [
+  'enabled', 'cron_schedule', 'message_limit', 'scrape_media', 'retention_days', 'archive_before_delete',
+  'discovery_rule_id', 'discovered_at',
+];
+
+// Columns of discovery_rules that can be set when creating or updating a rule
+const DISCOVERY_RULE_FIELDS = ['name', 'action', 'match_type', 'pattern', 'group_ids', 'enabled'];
+
+// Columns of webhooks that can be set when creating or updating a webhook
+const WEBHOOK_FIELDS = [
+  'url', 'secret', 'description', 'events', 'group_ids', 'keywords', 'message_types', 'include_backfill', 'enabled',
+];
+
+// Columns of alert_rules that can be set when creating or updating a rule
+const ALERT_RULE_FIELDS = [
+  'name', 'pattern', 'group_ids', 'senders', 'quiet_hours_start', 'quiet_hours_end', 'channels', 'include_backfill',
+  'enabled',
+];
+
+// Columns written by the batch insert paths
+const MESSAGE_COLUMNS = [
+  'id', 'group_id', 'message_body', 'message_type', 'timestamp', 'timestamp_formatted',
+  'from_number', 'from_name', 'author', 'author_phone', 'is_from_me', 'has_media',
+  'media_key', 'ack', 'is_deleted', 'edited_at', 'quoted_message_id', 'mentioned_ids',
+  'mentioned_phones', 'is_forwarded', 'forwarding_score',
+];
+const MEDIA_COLUMNS = [
+  'message_id', 'group_id', 'sha256', 'mimetype', 'extension', 'size_bytes', 'original_filename',
+  'duration_seconds', 'width', 'height', 'storage_key', 'storage_backend',
+];
+
+/**
+ * Error for search text the database cannot parse (reported to API clients as a 400)
+ */
+function invalidSearchQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEARCH_QUERY';
+  return error;
+}
+
+/**
+ * Base of the storage repositories. Callers only use the async methods the
+ * implementations share (PostgresRepository, SqliteRepository), never a pool or handle.
+ */
+class Repository {
+  /**
+   * Refuse to run against a schema with pending migrations
+   */
+  async assertMigrated() {
+    const pending = await new Migrator(this).getPending();
+
+    if (pending.length > 0) {
+      throw new Error(
+        `Database schema is out of date (${pending.length} pending migrations: ${pending.map(m => m.name).join(', ')}). ` +
+        'Run "npm run migrate" first.'
+      );
+    }
+  }
+}
+
+module.exports = {
+  Repository,
+  DATA_TABLES,
+  MESSAGE_COLUMNS,
+  MEDIA_COLUMNS,
+  MONITORED_GROUP_SETTINGS,
+  DISCOVERY_RULE_FIELDS,
+  WEBHOOK_FIELDS,
+  ALERT_RULE_FIELDS,
+  invalidSearchQuery,
+};
@@ -0,0 +1,2403 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  Repository,
+  DATA_TABLES,
+  MESSAGE_COLUMNS,
+  MEDIA_COLUMNS,
+  MONITORED_GROUP_SETTINGS,
+  DISCOVERY_RULE_FIELDS,
+  WEBHOOK_FIELDS,
+  ALERT_RULE_FIELDS,
+  invalidSearchQuery,
+} = require('./repository');
+const { parseBooleanQuery } = require('./booleanQuery');
+
+// Timestamps are stored as ISO-8601 text in UTC, the same form Date#toISOString produces
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Columns stored as 0/1 or JSON text, converted back so rows match the postgres ones
+const BOOLEAN_COLUMNS = new Set([
+  'is_from_me', 'has_media', 'is_deleted', 'is_forwarded', 'allow_multiple',
+  'is_admin', 'is_super_admin', 'is_active', 'archive_before_delete', 'cancel_requested',
+  'enabled', 'scrape_media', 'include_backfill',
+]);
+const JSON_COLUMNS = new Set([
+  'mentioned_ids', 'mentioned_phones', 'options', 'selected_options', 'wa_ids', 'pushnames',
+  'result', 'group_ids', 'events', 'keywords', 'message_types', 'payload', 'senders', 'channels',
+  'notify_results', 'data',
+]);
+
+/**
+ * Convert a query parameter to a value SQLite can bind
+ */
+function toParam(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+}
+
+function fromRow(row) {
+  for (const column of Object.keys(row)) {
+    if (row[column] === null) continue;
+
+    if (BOOLEAN_COLUMNS.has(column)) {
+      row[column] = row[column] === 1;
+    } else if (JSON_COLUMNS.has(column)) {
+      row[column] = JSON.parse(row[column]);
+    }
+  }
+  return row;
+}
+
+/**
+ * Quote text as an FTS5 string, so operators and punctuation in it are never parsed
+ */
+function ftsString(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function hasWords(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * Translate websearch syntax ("quoted phrase", or, -excluded) to an FTS5 query
+ */
+function websearchToFts(text) {
+  const groups = [];
+  const excluded = [];
+  let orNext = false;
+
+  for (const [, negate, phrase, word] of text.matchAll(/(-)?(?:"([^"]*)"?|([^\s"]+))/g)) {
+    if (!negate && word && word.toLowerCase() === 'or') {
+      orNext = groups.length > 0;
+      continue;
+    }
+
+    const term = phrase !== undefined ? phrase : word;
+    if (!hasWords(term)) continue;
+
+    if (negate) {
+      excluded.push(ftsString(term));
+    } else if (orNext) {
+      groups[groups.length - 1].push(ftsString(term));
+    } else {
+      groups.push([ftsString(term)]);
+    }
+    orNext = false;
+  }
+
+  if (groups.length === 0) return '';
+
+  const query = groups.map(terms => (terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0])).join(' AND ');
+  return excluded.length > 0 ? `(${query}) NOT (${excluded.join(' OR ')})` : query;
+}
+
+/**
+ * Write a parsed boolean query (see parseBooleanQuery) as an FTS5 query.
+ * Negated operands of an & become one NOT (...) after the others: a & !b & c -> ("a" AND "c") NOT ("b").
+ */
+function booleanTreeToFts(node) {
+  switch (node.type) {
+    case 'word':
+      return `${ftsString(node.word)}${node.prefix ? '*' : ''}`;
+    case 'phrase': {
+      const last = node.words[node.words.length - 1];
+      return `${ftsString(node.words.map(word => word.word).join(' '))}${last.prefix ? '*' : ''}`;
+    }
+    case 'or':
+      return `(${node.operands.map(booleanTreeToFts).join(' OR ')})`;
+    case 'and': {
+      const included = node.operands.filter(operand => operand.type !== 'not').map(booleanTreeToFts);
+      const excluded = node.operands.filter(operand => operand.type === 'not').map(operand => booleanTreeToFts(operand.operand));
+      return excluded.length > 0
+        ? `(${included.join(' AND ')}) NOT (${excluded.join(' OR ')})`
+        : `(${included.join(' AND ')})`;
+    }
+    default:
+      throw new Error(`Unknown boolean query node ${node.type}`);
+  }
+}
+
+/**
+ * Translate to_tsquery syntax (& | ! <-> :* and parentheses) to an FTS5 query
+ */
+function booleanToFts(text) {
+  const tree = parseBooleanQuery(text);
+  return tree ? booleanTreeToFts(tree) : '';
+}
+
+// Search modes mapped to the translation of the query text
+const FTS_QUERY_BUILDERS = {
+  websearch: websearchToFts,
+  phrase: text => (hasWords(text) ? ftsString(text) : ''),
+  // Every word must match as a prefix: "inv rep" -> "inv"* AND "rep"*
+  prefix: text => text
+    .split(/[^\p{L}\p{M}\p{N}_]+/u)
+    .filter(Boolean)
+    .map(word => `${ftsString(word)}*`)
+    .join(' AND '),
+  boolean: booleanToFts,
+};
+
+/**
+ * Repository on a local SQLite file (better-sqlite3), for development and small
+ * deployments without a database server. Same methods and row shapes as PostgresRepository.
+ */
+class SqliteRepository extends Repository {
+  constructor() {
+    super();
+    this.dialect = 'sqlite';
+    this.db = null;
+    this.statements = new Map();
+  }
+
+  /**
+   * Open the database file and, unless told otherwise, refuse to run against an unmigrated schema
+   */
+  async initialize({ requireMigrated = true } = {}) {
+    try {
+      const filename = config.database.sqlitePath;
+      if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+      }
+
+      this.db = new Database(filename);
+      // WAL lets the API read while the scraper writes; cascades need foreign keys on
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this.db.pragma('busy_timeout = 5000');
+      logger.info(`SQLite database opened: ${filename}`);
+
+      if (requireMigrated) {
+        await this.assertMigrated();
+      }
+
+      return this.db;
+    } catch (error) {
+      logger.error('Failed to initialize database:', error);
+      throw error;
+    }
+  }
+
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  all(sql, params = []) {
+    return this.statement(sql).all(params.map(toParam)).map(fromRow);
+  }
+
+  get(sql, params = []) {
+    const row = this.statement(sql).get(params.map(toParam));
+    return row ? fromRow(row) : null;
+  }
+
+  run(sql, params = []) {
+    return this.statement(sql).run(params.map(toParam));
+  }
+
+  /**
+   * Run fn in a write transaction (taken up front, like SELECT ... FOR UPDATE)
+   */
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  // Group operations
+  async insertGroup(groupData) {
+    try {
+      return this.get(
+        `INSERT INTO groups (id, name, participants_count, updated_at)
+         VALUES (?, ?, ?, ${NOW})
+         ON CONFLICT (id)
+         DO UPDATE SET
+           name = excluded.name,
+           participants_count = excluded.participants_count,
+           updated_at = ${NOW}
+         RETURNING *`,
+        [groupData.id, groupData.name, groupData.participants_count]
+      );
+    } catch (error) {
+      logger.error('Error inserting group:', error);
+      throw error;
+    }
+  }
+
+  async getGroup(groupId) {
+    try {
+      return this.get('SELECT * FROM groups WHERE id = ?', [groupId]);
+    } catch (error) {
+      logger.error('Error getting group:', error);
+      throw error;
+    }
+  }
+
+  async getAllGroups() {
+    try {
+      return this.all('SELECT * FROM groups ORDER BY updated_at DESC');
+    } catch (error) {
+      logger.error('Error getting all groups:', error);
+      throw error;
+    }
+  }
+
+  // Message operations
+  async insertMessage(messageData) {
+    try {
+      return this.get(
+        `INSERT INTO messages (
+           id, group_id, message_body, message_type, timestamp, timestamp_formatted,
+           from_number, from_name, author, author_phone, is_from_me, has_media,
+           media_key, ack, is_deleted, edited_at, quoted_message_id, mentioned_ids,
+           mentioned_phones, is_forwarded, forwarding_score
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING *`,
+        [
+          messageData.id,
+          messageData.group_id,
+          messageData.message_body,
+          messageData.message_type,
+          messageData.timestamp,
+          messageData.timestamp_formatted,
+          messageData.from_number,
+          messageData.from_name,
+          messageData.author,
+          messageData.author_phone,
+          messageData.is_from_me,
+          messageData.has_media,
+          messageData.media_key,
+          messageData.ack,
+          messageData.is_deleted,
+          messageData.edited_at,
+          messageData.quoted_message_id,
+          messageData.mentioned_ids,
+          messageData.mentioned_phones,
+          messageData.is_forwarded,
+          messageData.forwarding_score
+        ]
+      );
+    } catch (error) {
+      logger.error('Error inserting message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a page of messages and their media rows in one transaction, skipping messages
+   * that are already stored. With a scrapeId, that run's messages_scraped count moves
+   * forward in the same transaction. Returns the IDs that were new.
+   * Rows go in one at a time: there are no round trips to save, and a single commit is the cost that matters.
+   */
+  async insertMessageBatch(messages, { media = [], scrapeId = null, metrics = {} } = {}) {
+    try {
+      return this.transaction(() => {
+        const insertedIds = [];
+        for (const message of messages) {
+          const row = this.get(
+            `INSERT INTO messages (${MESSAGE_COLUMNS.join(', ')})
+             VALUES (${MESSAGE_COLUMNS.map(() => '?').join(', ')})
+             ON CONFLICT (id) DO NOTHING
+             RETURNING id`,
+            MESSAGE_COLUMNS.map(column => message[column])
+          );
+          if (row) {
+            insertedIds.push(row.id);
+          }
+        }
+
+        for (const row of media) {
+          this.run(
+            `INSERT INTO media (${MEDIA_COLUMNS.join(', ')})
+             VALUES (${MEDIA_COLUMNS.map(() => '?').join(', ')})
+             ON CONFLICT (message_id) DO NOTHING`,
+            MEDIA_COLUMNS.map(column => row[column])
+          );
+        }
+
+        if (scrapeId) {
+          this.addScrapeMetrics(scrapeId, {
+            ...metrics,
+            inserted: insertedIds.length,
+            duplicate: messages.length - insertedIds.length,
+          });
+        }
+
+        return {
+          insertedIds,
+          existing: messages.length - insertedIds.length,
+        };
+      });
+    } catch (error) {
+      logger.error('Error inserting message batch:', error);
+      throw error;
+    }
+  }
+
+  async recordMessageEdit(messageId, newBody, editedAt) {
+    try {
+      return this.transaction(() => {
+        const current = this.get('SELECT message_body FROM messages WHERE id = ?', [messageId]);
+
+        // Unknown message or body already up to date
+        if (!current || current.message_body === newBody) {
+          return null;
+        }
+
+        const revision = this.get(
+          `INSERT INTO message_revisions (message_id, revision_type, previous_body, new_body, changed_at)
+           VALUES (?, 'edit', ?, ?, ?)
+           RETURNING *`,
+          [messageId, current.message_body, newBody, editedAt]
+        );
+
+        this.run(
+          'UPDATE messages SET message_body = ?, edited_at = ? WHERE id = ?',
+          [newBody, editedAt, messageId]
+        );
+
+        return revision;
+      });
+    } catch (error) {
+      logger.error('Error recording message edit:', error);
+      throw error;
+    }
+  }
+
+  async recordMessageRevocation(messageId, revokedAt) {
+    try {
+      return this.transaction(() => {
+        const current = this.get('SELECT message_body, is_deleted FROM messages WHERE id = ?', [messageId]);
+
+        // Unknown message or already marked as deleted
+        if (!current || current.is_deleted) {
+          return null;
+        }
+
+        // The last known body is kept on the message for review
+        const revision = this.get(
+          `INSERT INTO message_revisions (message_id, revision_type, previous_body, new_body, changed_at)
+           VALUES (?, 'revoke', ?, NULL, ?)
+           RETURNING *`,
+          [messageId, current.message_body, revokedAt]
+        );
+
+        this.run('UPDATE messages SET is_deleted = 1 WHERE id = ?', [messageId]);
+
+        return revision;
+      });
+    } catch (error) {
+      logger.error('Error recording message revocation:', error);
+      throw error;
+    }
+  }
+
+  async getMessageRevisions(messageIds) {
+    try {
+      return this.all(
+        `SELECT * FROM message_revisions
+         WHERE message_id IN (SELECT value FROM json_each(?))
+         ORDER BY recorded_at ASC, id ASC`,
+        [messageIds]
+      );
+    } catch (error) {
+      logger.error('Error getting message revisions:', error);
+      throw error;
+    }
+  }
+
+  async getMessage(messageId) {
+    try {
+      return this.get('SELECT * FROM messages WHERE id = ?', [messageId]);
+    } catch (error) {
+      logger.error('Error getting message:', error);
+      throw error;
+    }
+  }
+
+  async getReplyChain(messageId) {
+    try {
+      // Walk up the quoted messages, returned root first
+      const rows = this.all(
+        `WITH RECURSIVE chain AS (
+           SELECT m.*, 0 AS depth FROM messages m WHERE m.id = ?
+           UNION ALL
+           SELECT parent.*, chain.depth + 1
+           FROM messages parent
+           JOIN chain ON parent.id = chain.quoted_message_id
+           WHERE chain.depth < 100
+         )
+         SELECT * FROM chain
+         WHERE depth > 0
+         ORDER BY depth DESC`,
+        [messageId]
+      );
+      return rows.map(({ depth, ...row }) => row);
+    } catch (error) {
+      logger.error('Error getting reply chain:', error);
+      throw error;
+    }
+  }
+
+  async getReplies(messageId) {
+    try {
+      return this.all(
+        `SELECT * FROM messages
+         WHERE quoted_message_id = ?
+         ORDER BY timestamp ASC`,
+        [messageId]
+      );
+    } catch (error) {
+      logger.error('Error getting replies:', error);
+      throw error;
+    }
+  }
+
+  async getMessagesByGroup(groupId, limit = 100, offset = 0) {
+    try {
+      return this.all(
+        `SELECT * FROM messages
+         WHERE group_id = ?
+         ORDER BY timestamp DESC
+         LIMIT ? OFFSET ?`,
+        [groupId, limit, offset]
+      );
+    } catch (error) {
+      logger.error('Error getting messages by group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keyset page of a group's messages, ordered by (timestamp, id).
+   * before/after are { timestamp, id } bounds (exclusive); order picks which end is returned first.
+   */
+  async getMessagesPage(groupId, options = {}) {
+    const {
+      before = null,
+      after = null,
+      authorPhone = null,
+      messageTypes = [],
+      hasMedia = null,
+      isFromMe = null,
+      order = 'desc',
+      limit = 100,
+    } = options;
+
+    const params = [groupId];
+    const conditions = ['group_id = ?'];
+
+    if (before) {
+      params.push(before.timestamp, before.id);
+      conditions.push('(timestamp, id) < (?, ?)');
+    }
+    if (after) {
+      params.push(after.timestamp, after.id);
+      conditions.push('(timestamp, id) > (?, ?)');
+    }
+    if (authorPhone) {
+      params.push(authorPhone);
+      conditions.push('author_phone = ?');
+    }
+    if (messageTypes.length > 0) {
+      params.push(messageTypes);
+      conditions.push('message_type IN (SELECT value FROM json_each(?))');
+    }
+    if (hasMedia !== null) {
+      params.push(hasMedia);
+      conditions.push('has_media = ?');
+    }
+    if (isFromMe !== null) {
+      params.push(isFromMe);
+      conditions.push('is_from_me = ?');
+    }
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    params.push(limit + 1);
+
+    try {
+      const rows = this.all(
+        `SELECT * FROM messages
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY timestamp ${direction}, id ${direction}
+         LIMIT ?`,
+        params
+      );
+
+      return {
+        messages: rows.slice(0, limit),
+        hasMore: rows.length > limit,
+      };
+    } catch (error) {
+      logger.error('Error getting messages page:', error);
+      throw error;
+    }
+  }
+
+  async getMessagesByDateRange(groupId, startDate, endDate) {
+    try {
+      return this.all(
+        `SELECT * FROM messages
+         WHERE group_id = ? AND timestamp >= ? AND timestamp <= ?
+         ORDER BY timestamp DESC`,
+        [groupId, startDate, endDate]
+      );
+    } catch (error) {
+      logger.error('Error getting messages by date range:', error);
+      throw error;
+    }
+  }
+
+  async getMessageCount(groupId) {
+    try {
+      return this.get('SELECT COUNT(*) AS count FROM messages WHERE group_id = ?', [groupId]).count;
+    } catch (error) {
+      logger.error('Error getting message count:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Full-text search across groups, ranked by relevance (bm25) or recency.
+   * Returns one page of messages plus whether more follow the last one.
+   */
+  async searchMessages(searchTerm, options = {}) {
+    const {
+      groupIds = [],
+      mode = 'websearch',
+      sender = null,
+      messageTypes = [],
+      startTimestamp = null,
+      endTimestamp = null,
+      hasMedia = null,
+      sort = 'relevance',
+      limit = 20,
+      cursor = null,
+    } = options;
+
+    const matchQuery = FTS_QUERY_BUILDERS[mode](searchTerm);
+
+    // Nothing searchable left (e.g. only punctuation), which postgres also matches to no rows
+    if (!matchQuery) {
+      return { messages: [], hasMore: false };
+    }
+
+    const params = [matchQuery];
+    const conditions = ['messages_fts MATCH ?'];
+    // bm25 is lower for better matches; negated so higher ranks first, as with ts_rank_cd
+    const rank = '-bm25(messages_fts)';
+
+    if (groupIds.length > 0) {
+      params.push(groupIds);
+      conditions.push('m.group_id IN (SELECT value FROM json_each(?))');
+    }
+    if (sender) {
+      params.push(sender, sender);
+      conditions.push('(m.author_phone = ? OR m.author = ?)');
+    }
+    if (messageTypes.length > 0) {
+      params.push(messageTypes);
+      conditions.push('m.message_type IN (SELECT value FROM json_each(?))');
+    }
+    if (startTimestamp !== null) {
+      params.push(startTimestamp);
+      conditions.push('m.timestamp >= ?');
+    }
+    if (endTimestamp !== null) {
+      params.push(endTimestamp);
+      conditions.push('m.timestamp <= ?');
+    }
+    if (hasMedia !== null) {
+      params.push(hasMedia);
+      conditions.push('m.has_media = ?');
+    }
+
+    // Keyset pagination: continue strictly after the last row of the previous page
+    if (cursor && sort === 'relevance') {
+      params.push(cursor.rank, cursor.timestamp, cursor.id);
+      conditions.push(`(${rank}, m.timestamp, m.id) < (?, ?, ?)`);
+    } else if (cursor) {
+      params.push(cursor.timestamp, cursor.id);
+      conditions.push('(m.timestamp, m.id) < (?, ?)');
+    }
+
+    const orderBy = sort === 'relevance'
+      ? `${rank} DESC, m.timestamp DESC, m.id DESC`
+      : 'm.timestamp DESC, m.id DESC';
+
+    params.push(limit + 1);
+
+    try {
+      const rows = this.all(
+        `SELECT m.*, g.name AS group_name, ${rank} AS rank,
+           snippet(messages_fts, 0, '<mark>', '</mark>', '...', 20) AS snippet
+         FROM messages_fts
+         JOIN messages m ON m.rowid = messages_fts.rowid
+         LEFT JOIN groups g ON g.id = m.group_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${orderBy}
+         LIMIT ?`,
+        params
+      );
+
+      return {
+        messages: rows.slice(0, limit),
+        hasMore: rows.length > limit,
+      };
+    } catch (error) {
+      // Malformed boolean queries are rejected by the FTS5 parser
+      if (error.message.startsWith('fts5:')) {
+        throw invalidSearchQuery(error.message);
+      }
+
+      logger.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+
+  // Media operations
+  async insertMedia(mediaData) {
+    try {
+      return this.get(
+        `INSERT INTO media (
+           message_id, group_id, sha256, mimetype, extension, size_bytes, original_filename,
+           duration_seconds, width, height, storage_key, storage_backend
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (message_id) DO NOTHING
+         RETURNING *`,
+        [
+          mediaData.message_id,
+          mediaData.group_id,
+          mediaData.sha256,
+          mediaData.mimetype,
+          mediaData.extension,
+          mediaData.size_bytes,
+          mediaData.original_filename,
+          mediaData.duration_seconds,
+          mediaData.width,
+          mediaData.height,
+          mediaData.storage_key,
+          mediaData.storage_backend
+        ]
+      );
+    } catch (error) {
+      logger.error('Error inserting media:', error);
+      throw error;
+    }
+  }
+
+  async getMedia(messageId) {
+    try {
+      return this.get('SELECT * FROM media WHERE message_id = ?', [messageId]);
+    } catch (error) {
+      logger.error('Error getting media:', error);
+      throw error;
+    }
+  }
+
+  // Reaction operations
+  async upsertReaction(reactionData) {
+    try {
+      // Ignore updates older than the stored reaction
+      return this.get(
+        `INSERT INTO reactions (message_id, group_id, sender_id, sender_phone, reaction, timestamp, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ${NOW})
+         ON CONFLICT (message_id, sender_id)
+         DO UPDATE SET
+           sender_phone = excluded.sender_phone,
+           reaction = excluded.reaction,
+           timestamp = excluded.timestamp,
+           updated_at = ${NOW}
+         WHERE reactions.timestamp IS NULL OR reactions.timestamp <= excluded.timestamp
+         RETURNING *`,
+        [
+          reactionData.message_id,
+          reactionData.group_id,
+          reactionData.sender_id,
+          reactionData.sender_phone,
+          reactionData.reaction,
+          reactionData.timestamp
+        ]
+      );
+    } catch (error) {
+      logger.error('Error upserting reaction:', error);
+      throw error;
+    }
+  }
+
+  async removeReaction(messageId, senderId) {
+    try {
+      return this.run(
+        'DELETE FROM reactions WHERE message_id = ? AND sender_id = ?',
+        [messageId, senderId]
+      ).changes;
+    } catch (error) {
+      logger.error('Error removing reaction:', error);
+      throw error;
+    }
+  }
+
+  async replaceMessageReactions(messageId, reactions) {
+    try {
+      this.transaction(() => {
+        this.run('DELETE FROM reactions WHERE message_id = ?', [messageId]);
+
+        for (const reaction of reactions) {
+          this.run(
+            `INSERT INTO reactions (message_id, group_id, sender_id, sender_phone, reaction, timestamp)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (message_id, sender_id) DO NOTHING`,
+            [
+              messageId,
+              reaction.group_id,
+              reaction.sender_id,
+              reaction.sender_phone,
+              reaction.reaction,
+              reaction.timestamp
+            ]
+          );
+        }
+      });
+    } catch (error) {
+      logger.error('Error replacing message reactions:', error);
+      throw error;
+    }
+  }
+
+  async getReactionSummaries(messageIds) {
+    try {
+      return this.all(
+        `SELECT message_id, reaction, COUNT(*) AS count
+         FROM reactions
+         WHERE message_id IN (SELECT value FROM json_each(?))
+         GROUP BY message_id, reaction
+         ORDER BY count DESC`,
+        [messageIds]
+      );
+    } catch (error) {
+      logger.error('Error getting reaction summaries:', error);
+      throw error;
+    }
+  }
+
+  // Poll operations
+  async upsertPoll(pollData) {
+    try {
+      return this.get(
+        `INSERT INTO polls (message_id, group_id, question, options, allow_multiple, updated_at)
+         VALUES (?, ?, ?, ?, ?, ${NOW})
+         ON CONFLICT (message_id)
+         DO UPDATE SET
+           question = excluded.question,
+           options = excluded.options,
+           allow_multiple = excluded.allow_multiple,
+           updated_at = ${NOW}
+         RETURNING *`,
+        [
+          pollData.message_id,
+          pollData.group_id,
+          pollData.question,
+          JSON.stringify(pollData.options),
+          pollData.allow_multiple
+        ]
+      );
+    } catch (error) {
+      logger.error('Error upserting poll:', error);
+      throw error;
+    }
+  }
+
+  async getPoll(messageId) {
+    try {
+      return this.get('SELECT * FROM polls WHERE message_id = ?', [messageId]);
+    } catch (error) {
+      logger.error('Error getting poll:', error);
+      throw error;
+    }
+  }
+
+  async upsertPollVote(voteData) {
+    try {
+      // Ignore votes older than the stored selection
+      return this.get(
+        `INSERT INTO poll_votes (message_id, voter_id, voter_phone, selected_options, voted_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ${NOW})
+         ON CONFLICT (message_id, voter_id)
+         DO UPDATE SET
+           voter_phone = excluded.voter_phone,
+           selected_options = excluded.selected_options,
+           voted_at = excluded.voted_at,
+           updated_at = ${NOW}
+         WHERE poll_votes.voted_at IS NULL OR poll_votes.voted_at <= excluded.voted_at
+         RETURNING *`,
+        [
+          voteData.message_id,
+          voteData.voter_id,
+          voteData.voter_phone,
+          JSON.stringify(voteData.selected_options),
+          voteData.voted_at
+        ]
+      );
+    } catch (error) {
+      logger.error('Error upserting poll vote:', error);
+      throw error;
+    }
+  }
+
+  async getPollsByGroup(groupId) {
+    try {
+      return this.all(
+        `SELECT p.*, m.timestamp, m.author_phone, m.from_name
+         FROM polls p
+         JOIN messages m ON m.id = p.message_id
+         WHERE p.group_id = ?
+         ORDER BY m.timestamp DESC`,
+        [groupId]
+      );
+    } catch (error) {
+      logger.error('Error getting polls by group:', error);
+      throw error;
+    }
+  }
+
+  async getPollVotes(messageIds) {
+    try {
+      return this.all(
+        'SELECT * FROM poll_votes WHERE message_id IN (SELECT value FROM json_each(?))',
+        [messageIds]
+      );
+    } catch (error) {
+      logger.error('Error getting poll votes:', error);
+      throw error;
+    }
+  }
+
+  // Participant operations
+  async syncGroupParticipants(groupId, roster) {
+    // An empty roster means the chat had no participant data, not that everyone left
+    if (roster.length === 0) {
+      return [];
+    }
+
+    try {
+      return this.transaction(() => {
+        const existing = this.all(
+          'SELECT participant_id, phone, is_admin, is_active FROM group_participants WHERE group_id = ?',
+          [groupId]
+        );
+        const previous = {};
+        existing.forEach(row => {
+          previous[row.participant_id] = row;
+        });
+
+        // The first roster of a group is a snapshot, not a series of joins
+        const initialSnapshot = existing.length === 0;
+        const changes = [];
+
+        for (const entry of roster) {
+          this.run(
+            `INSERT INTO group_participants (
+               group_id, participant_id, phone, lid, display_name, is_admin, is_super_admin
+             ) VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (group_id, participant_id)
+             DO UPDATE SET
+               phone = COALESCE(excluded.phone, group_participants.phone),
+               lid = COALESCE(excluded.lid, group_participants.lid),
+               display_name = COALESCE(excluded.display_name, group_participants.display_name),
+               is_admin = excluded.is_admin,
+               is_super_admin = excluded.is_super_admin,
+               is_active = 1,
+               last_seen = ${NOW},
+               left_at = NULL`,
+            [
+              groupId,
+              entry.participant_id,
+              entry.phone,
+              entry.lid,
+              entry.display_name,
+              entry.is_admin,
+              entry.is_super_admin
+            ]
+          );
+
+          const before = previous[entry.participant_id];
+          if (initialSnapshot) {
+            continue;
+          }
+          if (!before || !before.is_active) {
+            changes.push({ participant_id: entry.participant_id, phone: entry.phone, event_type: 'join' });
+          } else if (before.is_admin !== entry.is_admin) {
+            changes.push({
+              participant_id: entry.participant_id,
+              phone: entry.phone,
+              event_type: entry.is_admin ? 'promote' : 'demote',
+            });
+          }
+        }
+
+        const currentIds = new Set(roster.map(entry => entry.participant_id));
+        for (const row of existing) {
+          if (row.is_active && !currentIds.has(row.participant_id)) {
+            this.run(
+              `UPDATE group_participants
+               SET is_active = 0, left_at = ${NOW}
+               WHERE group_id = ? AND participant_id = ?`,
+              [groupId, row.participant_id]
+            );
+            changes.push({ participant_id: row.participant_id, phone: row.phone, event_type: 'leave' });
+          }
+        }
+
+        // Changes noticed between roster snapshots (missed notifications)
+        for (const change of changes) {
+          this.run(
+            `INSERT INTO membership_events (group_id, participant_id, phone, event_type, source, event_timestamp)
+             VALUES (?, ?, ?, ?, 'roster', unixepoch())`,
+            [groupId, change.participant_id, change.phone, change.event_type]
+          );
+        }
+
+        return changes;
+      });
+    } catch (error) {
+      logger.error('Error syncing group participants:', error);
+      throw error;
+    }
+  }
+
+  async recordMembershipEvent(eventData) {
+    try {
+      return this.transaction(() => {
+        const event = this.get(
+          `INSERT INTO membership_events (
+             group_id, participant_id, phone, event_type, subtype, actor_id, source,
+             notification_id, event_timestamp
+           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (notification_id, participant_id) DO NOTHING
+           RETURNING *`,
+          [
+            eventData.group_id,
+            eventData.participant_id,
+            eventData.phone,
+            eventData.event_type,
+            eventData.subtype,
+            eventData.actor_id,
+            eventData.source,
+            eventData.notification_id,
+            eventData.event_timestamp
+          ]
+        );
+
+        // Already recorded from the other source (event vs. system message)
+        if (!event) {
+          return null;
+        }
+
+        // Keep the roster in step so the next snapshot doesn't report it again
+        if (eventData.event_type === 'join') {
+          this.run(
+            `INSERT INTO group_participants (group_id, participant_id, phone)
+             VALUES (?, ?, ?)
+             ON CONFLICT (group_id, participant_id)
+             DO UPDATE SET is_active = 1, left_at = NULL, last_seen = ${NOW}`,
+            [eventData.group_id, eventData.participant_id, eventData.phone]
+          );
+        } else if (eventData.event_type === 'leave') {
+          this.run(
+            `UPDATE group_participants
+             SET is_active = 0, left_at = ${NOW}
+             WHERE group_id = ? AND participant_id = ?`,
+            [eventData.group_id, eventData.participant_id]
+          );
+        } else {
+          this.run(
+            `UPDATE group_participants
+             SET is_admin = ?, last_seen = ${NOW}
+             WHERE group_id = ? AND participant_id = ?`,
+            [eventData.event_type === 'promote', eventData.group_id, eventData.participant_id]
+          );
+        }
+
+        return event;
+      });
+    } catch (error) {
+      logger.error('Error recording membership event:', error);
+      throw error;
+    }
+  }
+
+  async getGroupParticipants(groupId, includeInactive = false) {
+    try {
+      return this.all(
+        `SELECT * FROM group_participants
+         WHERE group_id = ? AND (is_active = 1 OR ?)
+         ORDER BY is_super_admin DESC, is_admin DESC, display_name ASC NULLS LAST`,
+        [groupId, includeInactive]
+      );
+    } catch (error) {
+      logger.error('Error getting group participants:', error);
+      throw error;
+    }
+  }
+
+  async getMembershipEvents(groupId, limit = 100) {
+    try {
+      return this.all(
+        `SELECT * FROM membership_events
+         WHERE group_id = ?
+         ORDER BY event_timestamp DESC, id DESC
+         LIMIT ?`,
+        [groupId, limit]
+      );
+    } catch (error) {
+      logger.error('Error getting membership events:', error);
+      throw error;
+    }
+  }
+
+  // Contact operations
+  async upsertContactIdentity(waIds, phone, pushname) {
+    try {
+      return this.transaction(() => {
+        // Every contact already holding one of these IDs or this phone is the same person
+        const matches = this.all(
+          `SELECT DISTINCT c.id, c.phone
+           FROM contacts c
+           LEFT JOIN contact_ids ci ON ci.contact_id = c.id
+           WHERE ci.wa_id IN (SELECT value FROM json_each(?)) OR (? IS NOT NULL AND c.phone = ?)
+           ORDER BY c.id`,
+          [waIds, phone, phone]
+        );
+
+        let target = matches.find(row => phone && row.phone === phone)
+          || matches.find(row => row.phone)
+          || matches[0];
+
+        if (!target) {
+          target = this.get(
+            'INSERT INTO contacts (phone, display_name) VALUES (?, ?) RETURNING id, phone',
+            [phone, pushname]
+          );
+        }
+
+        // Merge duplicates into the target contact
+        const duplicateIds = matches.map(row => row.id).filter(id => id !== target.id);
+        if (duplicateIds.length > 0) {
+          this.run(
+            'UPDATE contact_ids SET contact_id = ? WHERE contact_id IN (SELECT value FROM json_each(?))',
+            [target.id, duplicateIds]
+          );
+          this.run(
+            `INSERT INTO contact_pushnames (contact_id, pushname, first_seen, last_seen)
+             SELECT ?, pushname, first_seen, last_seen FROM contact_pushnames
+             WHERE contact_id IN (SELECT value FROM json_each(?))
+             ON CONFLICT (contact_id, pushname) DO NOTHING`,
+            [target.id, duplicateIds]
+          );
+          this.run('DELETE FROM contacts WHERE id IN (SELECT value FROM json_each(?))', [duplicateIds]);
+        }
+
+        const updated = this.get(
+          `UPDATE contacts
+           SET phone = COALESCE(phone, ?),
+               display_name = COALESCE(?, display_name),
+               last_seen = ${NOW}
+           WHERE id = ?
+           RETURNING *`,
+          [phone, pushname, target.id]
+        );
+
+        for (const waId of waIds) {
+          this.run(
+            `INSERT INTO contact_ids (wa_id, contact_id, id_type)
+             VALUES (?, ?, ?)
+             ON CONFLICT (wa_id) DO UPDATE SET contact_id = excluded.contact_id`,
+            [waId, target.id, waId.split('@')[1] || null]
+          );
+        }
+
+        if (pushname) {
+          this.run(
+            `INSERT INTO contact_pushnames (contact_id, pushname)
+             VALUES (?, ?)
+             ON CONFLICT (contact_id, pushname) DO UPDATE SET last_seen = ${NOW}`,
+            [target.id, pushname]
+          );
+        }
+
+        return updated;
+      });
+    } catch (error) {
+      logger.error('Error upserting contact identity:', error);
+      throw error;
+    }
+  }
+
+  async getContactIdentities() {
+    try {
+      return this.all(
+        `SELECT ci.wa_id, c.phone
+         FROM contact_ids ci
+         JOIN contacts c ON c.id = ci.contact_id`
+      );
+    } catch (error) {
+      logger.error('Error getting contact identities:', error);
+      throw error;
+    }
+  }
+
+  async searchContacts(searchTerm = null, limit = 100) {
+    try {
+      // LIKE is case-insensitive for ASCII, like ILIKE; empty lists are NULL as with ARRAY_AGG
+      return this.all(
+        `SELECT c.*,
+           (SELECT CASE WHEN COUNT(*) > 0 THEN json_group_array(ci.wa_id ORDER BY ci.wa_id) END
+            FROM contact_ids ci WHERE ci.contact_id = c.id) AS wa_ids,
+           (SELECT CASE WHEN COUNT(*) > 0 THEN json_group_array(json_object(
+              'pushname', cp.pushname, 'first_seen', cp.first_seen, 'last_seen', cp.last_seen
+            ) ORDER BY cp.first_seen) END
+            FROM contact_pushnames cp WHERE cp.contact_id = c.id) AS pushnames
+         FROM contacts c
+         WHERE ? IS NULL
+           OR c.phone LIKE ?
+           OR c.display_name LIKE ?
+           OR EXISTS (SELECT 1 FROM contact_ids ci WHERE ci.contact_id = c.id AND ci.wa_id LIKE ?)
+         ORDER BY c.last_seen DESC
+         LIMIT ?`,
+        [searchTerm, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, limit]
+      );
+    } catch (error) {
+      logger.error('Error searching contacts:', error);
+      throw error;
+    }
+  }
+
+  async repairAuthorPhones(groupId = null) {
+    try {
+      return this.run(
+        `UPDATE messages AS m
+         SET author_phone = c.phone
+         FROM contact_ids ci
+         JOIN contacts c ON c.id = ci.contact_id
+         WHERE ci.wa_id = m.author
+           AND c.phone IS NOT NULL
+           AND m.author_phone IS NOT c.phone
+           AND (? IS NULL OR m.group_id = ?)`,
+        [groupId, groupId]
+      ).changes;
+    } catch (error) {
+      logger.error('Error repairing author phones:', error);
+      throw error;
+    }
+  }
+
+  // Scrape history operations
+  async startScrapeHistory(groupId, scrapeType = 'incremental') {
+    try {
+      return this.get(
+        `INSERT INTO scrape_history (group_id, status, scrape_type)
+         VALUES (?, 'in_progress', ?)
+         RETURNING id`,
+        [groupId, scrapeType]
+      ).id;
+    } catch (error) {
+      logger.error('Error starting scrape history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a batch's counts to a scrape run and widen its message timestamp window.
+   * Synchronous so it runs inside insertMessageBatch's transaction.
+   */
+  addScrapeMetrics(scrapeId, metrics) {
+    const inserted = metrics.inserted || 0;
+    const oldest = metrics.oldestTimestamp || null;
+    const newest = metrics.newestTimestamp || null;
+
+    // Multi-argument min()/max() return NULL if any argument is NULL
+    this.run(
+      `UPDATE scrape_history
+       SET messages_scraped = messages_scraped + ?,
+           messages_inserted = messages_inserted + ?,
+           messages_duplicate = messages_duplicate + ?,
+           messages_fetched = messages_fetched + ?,
+           messages_failed = messages_failed + ?,
+           media_downloaded = media_downloaded + ?,
+           media_failed = media_failed + ?,
+           oldest_message_timestamp = COALESCE(min(oldest_message_timestamp, ?), oldest_message_timestamp, ?),
+           newest_message_timestamp = COALESCE(max(newest_message_timestamp, ?), newest_message_timestamp, ?)
+       WHERE id = ?`,
+      [
+        inserted,
+        inserted,
+        metrics.duplicate || 0,
+        metrics.fetched || 0,
+        metrics.failed || 0,
+        metrics.mediaDownloaded || 0,
+        metrics.mediaFailed || 0,
+        oldest,
+        oldest,
+        newest,
+        newest,
+        scrapeId
+      ]
+    );
+  }
+
+  /**
+   * Count messages that were stored but whose details (edits, reactions, polls) failed,
+   * which insertMessageBatch could not know about when it updated the run
+   */
+  async addScrapeFailures(scrapeId, count) {
+    try {
+      this.run(
+        'UPDATE scrape_history SET messages_failed = messages_failed + ? WHERE id = ?',
+        [count, scrapeId]
+      );
+    } catch (error) {
+      logger.error('Error counting scrape failures:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a scrape run. Message counts are kept up to date by insertMessageBatch.
+   */
+  async endScrapeHistory(scrapeId, status = 'completed', errorMessage = null, cursorRange = {}) {
+    try {
+      this.run(
+        `UPDATE scrape_history
+         SET scrape_end = ${NOW},
+             duration_ms = CAST(ROUND((julianday('now') - julianday(scrape_start)) * 86400000) AS INTEGER),
+             status = ?,
+             error_message = ?,
+             cursor_from_id = ?,
+             cursor_from_timestamp = ?,
+             cursor_to_id = ?,
+             cursor_to_timestamp = ?
+         WHERE id = ?`,
+        [
+          status,
+          errorMessage,
+          cursorRange.fromId || null,
+          cursorRange.fromTimestamp || null,
+          cursorRange.toId || null,
+          cursorRange.toTimestamp || null,
+          scrapeId
+        ]
+      );
+    } catch (error) {
+      logger.error('Error ending scrape history:', error);
+      throw error;
+    }
+  }
+
+  async getScrapeHistory(groupId, limit = 10) {
+    try {
+      return this.all(
+        `SELECT * FROM scrape_history
+         WHERE group_id = ?
+         ORDER BY scrape_start DESC
+         LIMIT ?`,
+        [groupId, limit]
+      );
+    } catch (error) {
+      logger.error('Error getting scrape history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scrape totals per group for runs started since the given date.
+   * runs_at_message_limit counts incremental runs that fetched a full page or more:
+   * messageLimits maps group IDs to their limit, other groups use defaultMessageLimit.
+   */
+  async getScrapeSummary(since, messageLimits, defaultMessageLimit) {
+    try {
+      return this.all(
+        `SELECT
+           sh.group_id,
+           g.name AS group_name,
+           COUNT(*) AS runs,
+           COUNT(*) FILTER (WHERE sh.status = 'completed') AS completed_runs,
+           COUNT(*) FILTER (WHERE sh.status = 'failed') AS failed_runs,
+           COALESCE(SUM(sh.messages_fetched), 0) AS messages_fetched,
+           COALESCE(SUM(sh.messages_inserted), 0) AS messages_inserted,
+           COALESCE(SUM(sh.messages_duplicate), 0) AS messages_duplicate,
+           COALESCE(SUM(sh.messages_failed), 0) AS messages_failed,
+           COALESCE(SUM(sh.media_downloaded), 0) AS media_downloaded,
+           COALESCE(SUM(sh.media_failed), 0) AS media_failed,
+           MAX(sh.messages_fetched) AS max_messages_fetched,
+           COUNT(*) FILTER (WHERE sh.scrape_type = 'incremental' AND sh.messages_fetched >= COALESCE(limits.value, ?)) AS runs_at_message_limit,
+           CAST(ROUND(AVG(sh.duration_ms)) AS INTEGER) AS avg_duration_ms,
+           MAX(sh.duration_ms) AS max_duration_ms,
+           MAX(sh.scrape_start) AS last_scrape
+         FROM scrape_history sh
+         LEFT JOIN groups g ON g.id = sh.group_id
+         LEFT JOIN json_each(?) limits ON limits.key = sh.group_id
+         WHERE sh.scrape_start >= ?
+         GROUP BY sh.group_id, g.name
+         ORDER BY g.name`,
+        [defaultMessageLimit, messageLimits, since]
+      );
+    } catch (error) {
+      logger.error('Error getting scrape summary:', error);
+      throw error;
+    }
+  }
+
+  async getLatestScrape(groupId) {
+    try {
+      return this.get(
+        `SELECT * FROM scrape_history
+         WHERE group_id = ?
+         ORDER BY scrape_start DESC
+         LIMIT 1`,
+        [groupId]
+      );
+    } catch (error) {
+      logger.error('Error getting latest scrape:', error);
+      throw error;
+    }
+  }
+
+  // Scrape cursor operations
+  async getScrapeCursor(groupId) {
+    try {
+      return this.get('SELECT * FROM scrape_cursors WHERE group_id = ?', [groupId]);
+    } catch (error) {
+      logger.error('Error getting scrape cursor:', error);
+      throw error;
+    }
+  }
+
+  async updateScrapeCursor(groupId, messageId, timestamp) {
+    try {
+      // Never move the cursor backwards
+      this.run(
+        `INSERT INTO scrape_cursors (group_id, last_message_id, last_message_timestamp, updated_at)
+         VALUES (?, ?, ?, ${NOW})
+         ON CONFLICT (group_id)
+         DO UPDATE SET
+           last_message_id = excluded.last_message_id,
+           last_message_timestamp = excluded.last_message_timestamp,
+           updated_at = ${NOW}
+         WHERE scrape_cursors.last_message_timestamp <= excluded.last_message_timestamp`,
+        [groupId, messageId, timestamp]
+      );
+    } catch (error) {
+      logger.error('Error updating scrape cursor:', error);
+      throw error;
+    }
+  }
+
+  // Backfill job operations
+  async createBackfillJob(groupId, fetchLimit) {
+    try {
+      return this.get(
+        `INSERT INTO backfill_jobs (group_id, fetch_limit)
+         VALUES (?, ?)
+         RETURNING *`,
+        [groupId, fetchLimit]
+      );
+    } catch (error) {
+      logger.error('Error creating backfill job:', error);
+      throw error;
+    }
+  }
+
+  async getLatestBackfillJob(groupId) {
+    try {
+      return this.get(
+        `SELECT * FROM backfill_jobs
+         WHERE group_id = ?
+         ORDER BY started_at DESC
+         LIMIT 1`,
+        [groupId]
+      );
+    } catch (error) {
+      logger.error('Error getting latest backfill job:', error);
+      throw error;
+    }
+  }
+
+  async getBackfillJobsByStatus(status) {
+    try {
+      return this.all('SELECT * FROM backfill_jobs WHERE status = ? ORDER BY started_at ASC', [status]);
+    } catch (error) {
+      logger.error('Error getting backfill jobs:', error);
+      throw error;
+    }
+  }
+
+  async updateBackfillJob(jobId, fields) {
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      return this.get(
+        `UPDATE backfill_jobs
+         SET ${assignments.join(', ')}, updated_at = ${NOW}
+         WHERE id = ?
+         RETURNING *`,
+        [...columns.map(column => fields[column]), jobId]
+      );
+    } catch (error) {
+      logger.error('Error updating backfill job:', error);
+      throw error;
+    }
+  }
+
+  // Scrape job operations
+  async createScrapeJob(groupId, triggeredBy = 'manual') {
+    try {
+      return this.get(
+        `INSERT INTO scrape_jobs (group_id, triggered_by)
+         VALUES (?, ?)
+         RETURNING *`,
+        [groupId, triggeredBy]
+      );
+    } catch (error) {
+      logger.error('Error creating scrape job:', error);
+      throw error;
+    }
+  }
+
+  async getScrapeJob(jobId) {
+    try {
+      return this.get('SELECT * FROM scrape_jobs WHERE id = ?', [jobId]);
+    } catch (error) {
+      logger.error('Error getting scrape job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent jobs first, optionally filtered by status and group
+   */
+  async getScrapeJobs({ status = null, groupId = null, limit = 50 } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (groupId) {
+        conditions.push('group_id = ?');
+        params.push(groupId);
+      }
+
+      return this.all(
+        `SELECT * FROM scrape_jobs
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+    } catch (error) {
+      logger.error('Error getting scrape jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queued jobs in the order they were requested
+   */
+  async getQueuedScrapeJobs() {
+    try {
+      return this.all("SELECT * FROM scrape_jobs WHERE status = 'queued' ORDER BY id ASC");
+    } catch (error) {
+      logger.error('Error getting queued scrape jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a job. With expectedStatus, only a job still in that status is changed
+   * and null is returned otherwise, so two callers cannot both move the same job on.
+   */
+  async updateScrapeJob(jobId, fields, expectedStatus = null) {
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map(column => `${column} = ?`);
+      const params = [...columns.map(column => fields[column]), jobId];
+
+      if (expectedStatus) {
+        params.push(expectedStatus);
+      }
+
+      return this.get(
+        `UPDATE scrape_jobs
+         SET ${assignments.join(', ')}, updated_at = ${NOW}
+         WHERE id = ?
+         ${expectedStatus ? 'AND status = ?' : ''}
+         RETURNING *`,
+        params
+      );
+    } catch (error) {
+      logger.error('Error updating scrape job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put jobs left running by a stopped process back in the queue
+   * (or cancel them if that was requested). Returns the requeued jobs.
+   */
+  async requeueRunningScrapeJobs() {
+    try {
+      return this.transaction(() => {
+        this.run(
+          `UPDATE scrape_jobs
+           SET status = 'cancelled', completed_at = ${NOW}, updated_at = ${NOW}
+           WHERE status = 'running' AND cancel_requested = 1`
+        );
+        return this.all(
+          `UPDATE scrape_jobs
+           SET status = 'queued', started_at = NULL, updated_at = ${NOW}
+           WHERE status = 'running'
+           RETURNING *`
+        );
+      });
+    } catch (error) {
+      logger.error('Error requeueing scrape jobs:', error);
+      throw error;
+    }
+  }
+
+  // Monitored group operations
+  async getMonitoredGroups() {
+    try {
+      return this.all('SELECT * FROM monitored_groups ORDER BY created_at ASC');
+    } catch (error) {
+      logger.error('Error getting monitored groups:', error);
+      throw error;
+    }
+  }
+
+  async getMonitoredGroup(groupId) {
+    try {
+      return this.get('SELECT * FROM monitored_groups WHERE group_id = ?', [groupId]);
+    } catch (error) {
+      logger.error('Error getting monitored group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a group's settings. Only the given settings are written;
+   * a new row takes the table defaults for the rest.
+   */
+  async saveMonitoredGroup(groupId, settings) {
+    try {
+      const columns = Object.keys(settings).filter(column => MONITORED_GROUP_SETTINGS.includes(column));
+      const updates = columns.map(column => `${column} = excluded.${column}`);
+
+      return this.get(
+        `INSERT INTO monitored_groups (group_id${columns.map(column => `, ${column}`).join('')})
+         VALUES (?${columns.map(() => ', ?').join('')})
+         ON CONFLICT (group_id) DO UPDATE SET
+           ${[...updates, `updated_at = ${NOW}`].join(', ')}
+         RETURNING *`,
+        [groupId, ...columns.map(column => settings[column])]
+      );
+    } catch (error) {
+      logger.error('Error saving monitored group:', error);
+      throw error;
+    }
+  }
+
+  async deleteMonitoredGroup(groupId) {
+    try {
+      return this.run('DELETE FROM monitored_groups WHERE group_id = ?', [groupId]).changes > 0;
+    } catch (error) {
+      logger.error('Error deleting monitored group:', error);
+      throw error;
+    }
+  }
+
+  // Discovery rule operations
+  async getDiscoveryRules() {
+    try {
+      return this.all('SELECT * FROM discovery_rules ORDER BY id ASC');
+    } catch (error) {
+      logger.error('Error getting discovery rules:', error);
+      throw error;
+    }
+  }
+
+  async createDiscoveryRule(rule) {
+    try {
+      const columns = DISCOVERY_RULE_FIELDS.filter(column => rule[column] !== undefined);
+
+      return this.get(
+        `INSERT INTO discovery_rules (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})
+         RETURNING *`,
+        columns.map(column => rule[column])
+      );
+    } catch (error) {
+      logger.error('Error creating discovery rule:', error);
+      throw error;
+    }
+  }
+
+  async updateDiscoveryRule(ruleId, fields) {
+    try {
+      const columns = DISCOVERY_RULE_FIELDS.filter(column => fields[column] !== undefined);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      return this.get(
+        `UPDATE discovery_rules
+         SET ${[...assignments, `updated_at = ${NOW}`].join(', ')}
+         WHERE id = ?
+         RETURNING *`,
+        [...columns.map(column => fields[column]), ruleId]
+      );
+    } catch (error) {
+      logger.error('Error updating discovery rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule. Groups it enrolled stay monitored (their discovery_rule_id is cleared).
+   */
+  async deleteDiscoveryRule(ruleId) {
+    try {
+      return this.run('DELETE FROM discovery_rules WHERE id = ?', [ruleId]).changes > 0;
+    } catch (error) {
+      logger.error('Error deleting discovery rule:', error);
+      throw error;
+    }
+  }
+
+  // Webhook operations
+  async getWebhooks() {
+    try {
+      return this.all('SELECT * FROM webhooks ORDER BY id ASC');
+    } catch (error) {
+      logger.error('Error getting webhooks:', error);
+      throw error;
+    }
+  }
+
+  async createWebhook(webhook) {
+    try {
+      const columns = WEBHOOK_FIELDS.filter(column => webhook[column] !== undefined);
+
+      return this.get(
+        `INSERT INTO webhooks (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})
+         RETURNING *`,
+        columns.map(column => webhook[column])
+      );
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  async updateWebhook(webhookId, fields) {
+    try {
+      const columns = WEBHOOK_FIELDS.filter(column => fields[column] !== undefined);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      return this.get(
+        `UPDATE webhooks
+         SET ${[...assignments, `updated_at = ${NOW}`].join(', ')}
+         WHERE id = ?
+         RETURNING *`,
+        [...columns.map(column => fields[column]), webhookId]
+      );
+    } catch (error) {
+      logger.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook with its delivery log and dead letters
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      return this.run('DELETE FROM webhooks WHERE id = ?', [webhookId]).changes > 0;
+    } catch (error) {
+      logger.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  async createWebhookDelivery(webhookId, eventType, payload) {
+    try {
+      return this.get(
+        `INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+         VALUES (?, ?, ?)
+         RETURNING *`,
+        [webhookId, eventType, payload]
+      );
+    } catch (error) {
+      logger.error('Error creating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due, oldest first and at most perWebhook
+   * per webhook, with their webhook's URL and secret. Deliveries of disabled webhooks
+   * wait until it is enabled again.
+   */
+  async getDueWebhookDeliveries(perWebhook = 10) {
+    try {
+      return this.all(
+        `SELECT * FROM (
+           SELECT d.*, w.url, w.secret,
+             ROW_NUMBER() OVER (PARTITION BY d.webhook_id ORDER BY d.next_attempt_at, d.id) AS queue_position
+           FROM webhook_deliveries d
+           JOIN webhooks w ON w.id = d.webhook_id
+           WHERE d.status = 'pending' AND d.next_attempt_at <= ${NOW} AND w.enabled = 1
+         ) due
+         WHERE queue_position <= ?
+         ORDER BY next_attempt_at ASC, id ASC`,
+        [perWebhook]
+      );
+    } catch (error) {
+      logger.error('Error getting due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  async updateWebhookDelivery(deliveryId, fields) {
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      return this.get(
+        `UPDATE webhook_deliveries
+         SET ${[...assignments, `updated_at = ${NOW}`].join(', ')}
+         WHERE id = ?
+         RETURNING *`,
+        [...columns.map(column => fields[column]), deliveryId]
+      );
+    } catch (error) {
+      logger.error('Error updating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent deliveries first, optionally filtered by webhook and status
+   */
+  async getWebhookDeliveries({ webhookId = null, status = null, limit = 50 } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (webhookId) {
+        conditions.push('webhook_id = ?');
+        params.push(webhookId);
+      }
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+
+      return this.all(
+        `SELECT * FROM webhook_deliveries
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+    } catch (error) {
+      logger.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a delivery as failed for good and copy it to webhook_dead_letters
+   */
+  async deadLetterWebhookDelivery(deliveryId, fields) {
+    try {
+      return this.transaction(() => {
+        const delivery = this.get(
+          `UPDATE webhook_deliveries
+           SET status = 'failed', attempts = ?, last_status_code = ?, last_error = ?, updated_at = ${NOW}
+           WHERE id = ?
+           RETURNING *`,
+          [fields.attempts, fields.last_status_code, fields.last_error, deliveryId]
+        );
+
+        if (!delivery) {
+          return null;
+        }
+
+        return this.get(
+          `INSERT INTO webhook_dead_letters
+             (delivery_id, webhook_id, event_type, payload, attempts, last_status_code, last_error)
+           SELECT id, webhook_id, event_type, payload, attempts, last_status_code, last_error
+           FROM webhook_deliveries
+           WHERE id = ?
+           RETURNING *`,
+          [deliveryId]
+        );
+      });
+    } catch (error) {
+      logger.error('Error dead-lettering webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  async getWebhookDeadLetters({ webhookId = null, limit = 50 } = {}) {
+    try {
+      return this.all(
+        `SELECT * FROM webhook_dead_letters
+         ${webhookId ? 'WHERE webhook_id = ?' : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        webhookId ? [webhookId, limit] : [limit]
+      );
+    } catch (error) {
+      logger.error('Error getting webhook dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a dead letter's delivery back in the queue with a fresh set of attempts.
+   * Returns the requeued delivery, or null if the dead letter does not exist.
+   */
+  async retryWebhookDeadLetter(deadLetterId) {
+    try {
+      return this.transaction(() => {
+        const deadLetter = this.get(
+          'DELETE FROM webhook_dead_letters WHERE id = ? RETURNING delivery_id',
+          [deadLetterId]
+        );
+
+        if (!deadLetter) {
+          return null;
+        }
+
+        return this.get(
+          `UPDATE webhook_deliveries
+           SET status = 'pending', attempts = 0, next_attempt_at = ${NOW}, updated_at = ${NOW}
+           WHERE id = ?
+           RETURNING *`,
+          [deadLetter.delivery_id]
+        );
+      });
+    } catch (error) {
+      logger.error('Error retrying webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  // Alert operations
+  async getAlertRules() {
+    try {
+      return this.all('SELECT * FROM alert_rules ORDER BY id ASC');
+    } catch (error) {
+      logger.error('Error getting alert rules:', error);
+      throw error;
+    }
+  }
+
+  async createAlertRule(rule) {
+    try {
+      const columns = ALERT_RULE_FIELDS.filter(column => rule[column] !== undefined);
+
+      return this.get(
+        `INSERT INTO alert_rules (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})
+         RETURNING *`,
+        columns.map(column => rule[column])
+      );
+    } catch (error) {
+      logger.error('Error creating alert rule:', error);
+      throw error;
+    }
+  }
+
+  async updateAlertRule(ruleId, fields) {
+    try {
+      const columns = ALERT_RULE_FIELDS.filter(column => fields[column] !== undefined);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      return this.get(
+        `UPDATE alert_rules
+         SET ${[...assignments, `updated_at = ${NOW}`].join(', ')}
+         WHERE id = ?
+         RETURNING *`,
+        [...columns.map(column => fields[column]), ruleId]
+      );
+    } catch (error) {
+      logger.error('Error updating alert rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule. Its alerts are kept (their rule_id is cleared, rule_name stays).
+   */
+  async deleteAlertRule(ruleId) {
+    try {
+      return this.run('DELETE FROM alert_rules WHERE id = ?', [ruleId]).changes > 0;
+    } catch (error) {
+      logger.error('Error deleting alert rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a rule match. Returns null if the rule already raised an alert for the message.
+   */
+  async createAlert(alert) {
+    try {
+      const columns = Object.keys(alert);
+
+      return this.get(
+        `INSERT INTO alerts (${columns.join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})
+         ON CONFLICT (rule_id, message_id) DO NOTHING
+         RETURNING *`,
+        columns.map(column => alert[column])
+      );
+    } catch (error) {
+      logger.error('Error creating alert:', error);
+      throw error;
+    }
+  }
+
+  async updateAlert(alertId, fields) {
+    try {
+      const columns = Object.keys(fields);
+
+      return this.get(
+        `UPDATE alerts
+         SET ${columns.map(column => `${column} = ?`).join(', ')}
+         WHERE id = ?
+         RETURNING *`,
+        [...columns.map(column => fields[column]), alertId]
+      );
+    } catch (error) {
+      logger.error('Error updating alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent alerts first, optionally filtered by rule, group and whether they were acknowledged
+   */
+  async getAlerts({ ruleId = null, groupId = null, acknowledged = null, limit = 50 } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (ruleId) {
+        conditions.push('rule_id = ?');
+        params.push(ruleId);
+      }
+      if (groupId) {
+        conditions.push('group_id = ?');
+        params.push(groupId);
+      }
+      if (acknowledged !== null) {
+        conditions.push(`acknowledged_at IS ${acknowledged ? 'NOT NULL' : 'NULL'}`);
+      }
+
+      return this.all(
+        `SELECT * FROM alerts
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+    } catch (error) {
+      logger.error('Error getting alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Alerts whose notifications wait for their rule's quiet hours to end, oldest first
+   */
+  async getHeldAlerts() {
+    try {
+      return this.all("SELECT * FROM alerts WHERE notify_status = 'held' ORDER BY id ASC");
+    } catch (error) {
+      logger.error('Error getting held alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an alert as seen. Acknowledging it again keeps the first acknowledgement.
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy = null) {
+    try {
+      return this.get(
+        `UPDATE alerts
+         SET acknowledged_by = CASE WHEN acknowledged_at IS NULL THEN ? ELSE acknowledged_by END,
+             acknowledged_at = COALESCE(acknowledged_at, ${NOW})
+         WHERE id = ?
+         RETURNING *`,
+        [acknowledgedBy, alertId]
+      );
+    } catch (error) {
+      logger.error('Error acknowledging alert:', error);
+      throw error;
+    }
+  }
+
+  // Stream operations
+  async insertStreamEvent(event) {
+    try {
+      return this.get(
+        `INSERT INTO stream_events (event_id, event_type, group_id, message_type, data)
+         VALUES (?, ?, ?, ?, ?)
+         RETURNING *`,
+        [event.event_id, event.event_type, event.group_id, event.message_type, event.data]
+      );
+    } catch (error) {
+      logger.error('Error inserting stream event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream events after a cursor, oldest first. Empty filter lists match everything;
+   * message type filters only apply to message events (message.*).
+   */
+  async getStreamEvents({ after = 0, groupIds = [], messageTypes = [], eventTypes = [], limit = 500 } = {}) {
+    try {
+      const conditions = ['id > ?'];
+      const params = [after];
+      const placeholders = values => values.map(() => '?').join(', ');
+
+      if (groupIds.length > 0) {
+        conditions.push(`group_id IN (${placeholders(groupIds)})`);
+        params.push(...groupIds);
+      }
+      if (messageTypes.length > 0) {
+        conditions.push(`(event_type NOT LIKE 'message.%' OR message_type IN (${placeholders(messageTypes)}))`);
+        params.push(...messageTypes);
+      }
+      if (eventTypes.length > 0) {
+        conditions.push(`event_type IN (${placeholders(eventTypes)})`);
+        params.push(...eventTypes);
+      }
+
+      return this.all(
+        `SELECT * FROM stream_events
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id ASC
+         LIMIT ?`,
+        [...params, limit]
+      );
+    } catch (error) {
+      logger.error('Error getting stream events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of the oldest and newest stream events still kept ({ oldest, latest }, null when there are none)
+   */
+  async getStreamEventBounds() {
+    try {
+      return this.get('SELECT MIN(id) AS oldest, MAX(id) AS latest FROM stream_events');
+    } catch (error) {
+      logger.error('Error getting stream event bounds:', error);
+      throw error;
+    }
+  }
+
+  async pruneStreamEvents(before) {
+    try {
+      return this.run('DELETE FROM stream_events WHERE created_at < ?', [before]).changes;
+    } catch (error) {
+      logger.error('Error pruning stream events:', error);
+      throw error;
+    }
+  }
+
+  // Retention operations
+  /**
+   * Count what purgeMessagesBefore would remove, without deleting anything.
+   * media_files only counts files no remaining message still uses.
+   */
+  async getRetentionPreview(groupId, cutoffTimestamp) {
+    try {
+      const messages = this.get(
+        `SELECT
+           COUNT(*) AS messages,
+           COUNT(*) FILTER (WHERE has_media = 1) AS media_messages,
+           MIN(timestamp) AS oldest_timestamp,
+           MAX(timestamp) AS newest_timestamp
+         FROM messages
+         WHERE group_id = ? AND timestamp < ?`,
+        [groupId, cutoffTimestamp]
+      );
+
+      const media = this.get(
+        `SELECT COUNT(DISTINCT md.storage_backend || '|' || md.storage_key) AS media_files
+         FROM media md
+         JOIN messages m ON m.id = md.message_id
+         WHERE m.group_id = ? AND m.timestamp < ?
+           AND NOT EXISTS (
+             SELECT 1 FROM media other
+             JOIN messages om ON om.id = other.message_id
+             WHERE other.storage_key = md.storage_key
+               AND other.storage_backend = md.storage_backend
+               AND NOT (om.group_id = ? AND om.timestamp < ?)
+           )`,
+        [groupId, cutoffTimestamp, groupId, cutoffTimestamp]
+      );
+
+      const history = this.get(
+        `SELECT COUNT(*) AS scrape_history
+         FROM scrape_history
+         WHERE group_id = ? AND scrape_start < strftime('%Y-%m-%dT%H:%M:%fZ', ?, 'unixepoch')
+           AND status <> 'in_progress'`,
+        [groupId, cutoffTimestamp]
+      );
+
+      return {
+        ...messages,
+        media_files: media.media_files,
+        scrape_history: history.scrape_history,
+      };
+    } catch (error) {
+      logger.error('Error previewing retention cleanup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a group's messages older than a Unix-seconds cutoff, with their reactions,
+   * revisions, polls and media rows, plus scrape_history from the same period.
+   * Returns the media files that no remaining message references.
+   */
+  async purgeMessagesBefore(groupId, cutoffTimestamp) {
+    try {
+      return this.transaction(() => {
+        const media = this.all(
+          `SELECT DISTINCT md.storage_key, md.storage_backend
+           FROM media md
+           JOIN messages m ON m.id = md.message_id
+           WHERE m.group_id = ? AND m.timestamp < ?`,
+          [groupId, cutoffTimestamp]
+        );
+
+        // Reactions are keyed by message ID without a foreign key, so they don't cascade
+        const reactions = this.run(
+          `DELETE FROM reactions
+           WHERE message_id IN (SELECT id FROM messages WHERE group_id = ? AND timestamp < ?)`,
+          [groupId, cutoffTimestamp]
+        );
+
+        const messages = this.run(
+          'DELETE FROM messages WHERE group_id = ? AND timestamp < ?',
+          [groupId, cutoffTimestamp]
+        );
+
+        const history = this.run(
+          `DELETE FROM scrape_history
+           WHERE group_id = ? AND scrape_start < strftime('%Y-%m-%dT%H:%M:%fZ', ?, 'unixepoch')
+             AND status <> 'in_progress'`,
+          [groupId, cutoffTimestamp]
+        );
+
+        // Files are shared by hash, so only those with no media rows left can go
+        const orphaned = media.filter(file => !this.get(
+          'SELECT 1 AS found FROM media WHERE storage_key = ? AND storage_backend = ?',
+          [file.storage_key, file.storage_backend]
+        ));
+
+        return {
+          messages: messages.changes,
+          reactions: reactions.changes,
+          scrapeHistory: history.changes,
+          orphanedMedia: orphaned,
+        };
+      });
+    } catch (error) {
+      logger.error('Error purging old messages:', error);
+      throw error;
+    }
+  }
+
+  // Statistics
+  async getGroupStatistics(groupId) {
+    try {
+      const totals = this.get(
+        `SELECT
+          COUNT(*) as total_messages,
+          COUNT(*) FILTER (WHERE has_media = 1) as media_messages,
+          MIN(timestamp) as first_message_timestamp,
+          MAX(timestamp) as last_message_timestamp,
+          COUNT(DISTINCT from_number) as unique_senders
+         FROM messages
+         WHERE group_id = ?`,
+        [groupId]
+      );
+
+      const mostReacted = this.all(
+        `SELECT m.id, m.message_body, m.author_phone, m.timestamp, COUNT(r.sender_id) AS reaction_count
+         FROM messages m
+         JOIN reactions r ON r.message_id = m.id
+         WHERE m.group_id = ?
+         GROUP BY m.id
+         ORDER BY reaction_count DESC, m.timestamp DESC
+         LIMIT 5`,
+        [groupId]
+      );
+
+      return {
+        ...totals,
+        most_reacted_messages: mostReacted,
+      };
+    } catch (error) {
+      logger.error('Error getting group statistics:', error);
+      throw error;
+    }
+  }
+
+  // Export and maintenance operations
+  async getMessagesForExport(groupId = null, beforeTimestamp = null) {
+    try {
+      return this.all(
+        `SELECT
+           m.id, m.group_id, g.name AS group_name, m.message_body, m.message_type,
+           m.author, m.author_phone, m.from_number, m.from_name, m.timestamp,
+           m.timestamp_formatted, m.is_from_me, m.has_media, m.media_key, m.ack,
+           m.is_deleted, m.edited_at, m.quoted_message_id, m.mentioned_phones,
+           m.is_forwarded, m.forwarding_score, m.scraped_at
+         FROM messages m
+         LEFT JOIN groups g ON m.group_id = g.id
+         WHERE (? IS NULL OR m.group_id = ?)
+           AND (? IS NULL OR m.timestamp < ?)
+         ORDER BY m.group_id, m.timestamp ASC`,
+        [groupId, groupId, beforeTimestamp, beforeTimestamp]
+      );
+    } catch (error) {
+      logger.error('Error getting messages for export:', error);
+      throw error;
+    }
+  }
+
+  async getMessageSample(limit = 20) {
+    try {
+      return this.all('SELECT * FROM messages LIMIT ?', [limit]);
+    } catch (error) {
+      logger.error('Error getting message sample:', error);
+      throw error;
+    }
+  }
+
+  async listTables() {
+    try {
+      // FTS5 keeps its data in shadow tables; only the virtual table itself is listed
+      return this.all(
+        `SELECT name FROM pragma_table_list
+         WHERE schema = 'main' AND type IN ('table', 'virtual') AND name NOT LIKE 'sqlite_%'
+         ORDER BY name`
+      ).map(row => row.name);
+    } catch (error) {
+      logger.error('Error listing tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every row of every data table (the schema and migration history stay)
+   */
+  async clearAllData() {
+    try {
+      return this.transaction(() => {
+        const deleted = {};
+        for (const table of DATA_TABLES) {
+          deleted[table] = this.run(`DELETE FROM ${table}`).changes;
+        }
+        return deleted;
+      });
+    } catch (error) {
+      logger.error('Error clearing database:', error);
+      throw error;
+    }
+  }
+
+  // Migration operations (used by Migrator)
+  async getAppliedMigrations() {
+    try {
+      // Read-only: a database that was never migrated has no schema_migrations yet
+      const table = this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+      return table ? this.all('SELECT * FROM schema_migrations ORDER BY version') : [];
+    } catch (error) {
+      logger.error('Error reading applied migrations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure schema_migrations exists while running fn. SQLite allows one writer at a
+   * time and each step is its own write transaction, so no separate lock is needed.
+   */
+  async withMigrationLock(fn) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT (${NOW})
+      )
+    `);
+
+    return fn({
+      getAppliedVersions: async () => this.all('SELECT version FROM schema_migrations ORDER BY version')
+        .map(row => row.version),
+      run: async (migration, direction) => this.runMigration(migration, direction),
+    });
+  }
+
+  /**
+   * Run a (synchronous) migration step and its schema_migrations bookkeeping as one transaction
+   */
+  runMigration(migration, direction) {
+    this.transaction(() => {
+      migration[direction](this.db);
+
+      if (direction === 'up') {
+        this.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } else {
+        this.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+
+    // Migrations change the schema under cached statements
+    this.statements.clear();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      logger.info('Database connection closed');
+    }
+  }
+}
+
+module.exports = SqliteRepository;
@@ -0,0 +1,126 @@
+const path = require('path');
+const dbManager = require('./database');
+const groupRegistry = require('./groupRegistry');
+const logger = require('./utils/logger');
+const { getStorage } = require('./storage');
+const { exportMessagesToJSON } = require('./export_to_json');
+const { daysAgoInSeconds } = require('./utils/time');
+
+class RetentionManager {
+  /**
+   * Effective retention settings of stored groups (their monitored_groups settings, or the config default)
+   */
+  async getPolicies(groupId = null) {
+    const groups = await dbManager.getAllGroups();
+
+    return groups
+      .filter(group => !groupId || group.id === groupId)
+      .map(group => {
+        const settings = groupRegistry.getSettings(group.id);
+
+        return {
+          group_id: group.id,
+          group_name: group.name,
+          retention_days: settings.retention_days,
+          archive_before_delete: settings.archive_before_delete,
+          source: settings.overrides.includes('retention_days') ? 'policy' : 'default',
+        };
+      });
+  }
+
+  /**
+   * Show what a cleanup would delete right now, without deleting anything
+   */
+  async preview(groupId = null) {
+    const policies = await this.getPolicies(groupId);
+    const results = [];
+
+    for (const policy of policies) {
+      // 0 days means keep forever
+      if (policy.retention_days === 0) {
+        results.push({ ...policy, cutoff_timestamp: null });
+        continue;
+      }
+
+      const cutoff = daysAgoInSeconds(policy.retention_days);
+      const counts = await dbManager.getRetentionPreview(policy.group_id, cutoff);
+      results.push({ ...policy, cutoff_timestamp: cutoff, ...counts });
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete expired messages group by group, archiving them first where the policy asks
+   */
+  async run(groupId = null) {
+    const policies = await this.getPolicies(groupId);
+    const results = [];
+
+    for (const policy of policies) {
+      if (policy.retention_days === 0) {
+        continue;
+      }
+
+      try {
+        const cutoff = daysAgoInSeconds(policy.retention_days);
+        let archiveFile = null;
+
+        // A failed archive throws, so nothing is deleted without its copy
+        if (policy.archive_before_delete) {
+          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+          const outputFile = path.join(__dirname, 'exports', `retention_${policy.group_id.split('@')[0]}_${timestamp}.json`);
+          const archive = await exportMessagesToJSON(policy.group_id, outputFile, cutoff);
+          archiveFile = archive.file;
+        }
+
+        const purged = await dbManager.purgeMessagesBefore(policy.group_id, cutoff);
+        const mediaFiles = await this.deleteMediaFiles(purged.orphanedMedia);
+
+        logger.info(`Retention cleanup for ${policy.group_name || policy.group_id}: ${purged.messages} messages, ${mediaFiles} media files, ${purged.scrapeHistory} scrape history rows deleted`);
+
+        results.push({
+          group_id: policy.group_id,
+          success: true,
+          cutoff_timestamp: cutoff,
+          messages: purged.messages,
+          reactions: purged.reactions,
+          scrape_history: purged.scrapeHistory,
+          media_files: mediaFiles,
+          archive_file: archiveFile,
+        });
+      } catch (error) {
+        logger.error(`Retention cleanup failed for group ${policy.group_id}:`, error);
+        results.push({
+          group_id: policy.group_id,
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove media files from storage, returning how many were deleted
+   */
+  async deleteMediaFiles(files) {
+    let deleted = 0;
+
+    for (const file of files) {
+      try {
+        await getStorage(file.storage_backend).delete(file.storage_key);
+        deleted++;
+      } catch (error) {
+        logger.warn(`Failed to delete media file ${file.storage_key}: ${error.message}`);
+      }
+    }
+
+    return deleted;
+  }
+}
+
+// Export singleton instance
+const retentionManager = new RetentionManager();
+module.exports = retentionManager;
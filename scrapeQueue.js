@@ -0,0 +1,241 @@
+const config = require('./config');
+const dbManager = require('./database');
+const eventBus = require('./eventBus');
+const logger = require('./utils/logger');
+
+// Pause after each job so back-to-back scrapes do not trip rate limiting
+const JOB_DELAY_MS = 2000;
+
+// Job statuses that will not change any more
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Scrape jobs run one group at a time (per-group lock) and at most
+ * SCRAPE_CONCURRENCY at once. Jobs live in scrape_jobs, so the queue
+ * survives restarts.
+ */
+class ScrapeQueue {
+  constructor(messageHandler) {
+    this.messageHandler = messageHandler;
+    // Running jobs by ID, with the controller used to cancel them
+    this.running = new Map();
+    // Callbacks waiting for a job to finish, by job ID
+    this.waiters = new Map();
+    this.pumping = false;
+    this.pumpAgain = false;
+    // Pending enqueue() calls by group ID
+    this.enqueuing = new Map();
+
+    // Jobs held back by claimNext because a backfill chunk held the client can start now
+    this.messageHandler.on('unlocked', () => this.pump());
+  }
+
+  /**
+   * Requeue jobs interrupted by a restart and start working through the queue
+   */
+  async start() {
+    const requeued = await dbManager.requeueRunningScrapeJobs();
+
+    for (const job of requeued) {
+      logger.info(`Requeued scrape job ${job.id} for group: ${job.group_id}`);
+      this.publish(job);
+    }
+
+    this.pump();
+    return requeued.length;
+  }
+
+  /**
+   * Queue a scrape for a group. A job already waiting for that group is
+   * returned instead of queueing a second one. Requests that arrive while
+   * the job is being looked up or created share it, so a cron run and a
+   * manual trigger at the same moment cannot both create one.
+   */
+  enqueue(groupId, triggeredBy = 'manual') {
+    if (!this.enqueuing.has(groupId)) {
+      const enqueuing = this.createOrReuse(groupId, triggeredBy).finally(() => this.enqueuing.delete(groupId));
+      this.enqueuing.set(groupId, enqueuing);
+    }
+
+    return this.enqueuing.get(groupId);
+  }
+
+  async createOrReuse(groupId, triggeredBy) {
+    const [queued] = await dbManager.getScrapeJobs({ status: 'queued', groupId, limit: 1 });
+
+    if (queued) {
+      return queued;
+    }
+
+    const job = await dbManager.createScrapeJob(groupId, triggeredBy);
+    logger.info(`Queued scrape job ${job.id} for group: ${groupId} (${triggeredBy})`);
+    this.publish(job);
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled at once; a running job stops at its
+   * next message. Returns the job, or null if it does not exist.
+   */
+  async cancel(jobId) {
+    const cancelled = await dbManager.updateScrapeJob(jobId, {
+      status: 'cancelled',
+      cancel_requested: true,
+      completed_at: new Date(),
+    }, 'queued');
+
+    if (cancelled) {
+      logger.info(`Cancelled queued scrape job ${jobId}`);
+      this.publish(cancelled);
+      this.notify(cancelled.id, cancelled);
+      return cancelled;
+    }
+
+    const job = await dbManager.updateScrapeJob(jobId, { cancel_requested: true }, 'running');
+
+    if (job) {
+      logger.info(`Cancellation requested for running scrape job ${jobId}`);
+      const entry = this.running.get(job.id);
+      if (entry) {
+        entry.controller.abort();
+      }
+      return job;
+    }
+
+    return dbManager.getScrapeJob(jobId);
+  }
+
+  /**
+   * Resolve with the job once it has finished (null if it does not exist)
+   */
+  wait(jobId) {
+    return new Promise((resolve, reject) => {
+      const waiters = this.waiters.get(jobId) || [];
+      waiters.push(resolve);
+      this.waiters.set(jobId, waiters);
+
+      // It may have finished before the waiter was registered
+      dbManager.getScrapeJob(jobId).then(job => {
+        if (!job || FINISHED_STATUSES.includes(job.status)) {
+          this.notify(jobId, job);
+        }
+      }).catch(reject);
+    });
+  }
+
+  /**
+   * Start queued jobs while there is capacity and a group that is not locked
+   */
+  async pump() {
+    if (this.pumping) {
+      this.pumpAgain = true;
+      return;
+    }
+
+    this.pumping = true;
+
+    try {
+      do {
+        this.pumpAgain = false;
+
+        while (this.running.size < config.scraper.concurrency) {
+          const job = await this.claimNext();
+
+          if (!job) {
+            break;
+          }
+
+          this.runInBackground(job);
+        }
+      } while (this.pumpAgain);
+    } catch (error) {
+      logger.error('Error starting scrape jobs:', error);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Mark the oldest queued job for an unlocked group as running.
+   * Nothing starts while a backfill chunk is using the client.
+   */
+  async claimNext() {
+    if (this.messageHandler.backfillGroup) {
+      return null;
+    }
+
+    const lockedGroups = new Set([...this.running.values()].map(entry => entry.groupId));
+    const queued = await dbManager.getQueuedScrapeJobs();
+
+    for (const candidate of queued) {
+      if (lockedGroups.has(candidate.group_id) || this.messageHandler.activeScrapes.has(candidate.group_id)) {
+        continue;
+      }
+
+      const job = await dbManager.updateScrapeJob(candidate.id, { started_at: new Date(), status: 'running' }, 'queued');
+
+      // Cancelled in the meantime - try the next one
+      if (job) {
+        this.running.set(job.id, { groupId: job.group_id, controller: new AbortController() });
+        this.publish(job);
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  runInBackground(job) {
+    this.run(job).catch(error => {
+      logger.error(`Scrape job ${job.id} crashed:`, error);
+    }).finally(async () => {
+      this.running.delete(job.id);
+      await this.messageHandler.sleep(JOB_DELAY_MS);
+      this.pump();
+    });
+  }
+
+  /**
+   * Run one scrape job and record its outcome
+   */
+  async run(job) {
+    const { controller } = this.running.get(job.id);
+    logger.info(`Starting scrape job ${job.id} for group: ${job.group_id}`);
+
+    let fields;
+    try {
+      const result = await this.messageHandler.scrapeGroup(job.group_id, { signal: controller.signal });
+
+      fields = {
+        status: result.cancelled ? 'cancelled' : result.success ? 'completed' : 'failed',
+        scrape_id: result.scrapeId || null,
+        result,
+        error_message: result.success ? null : result.error,
+      };
+    } catch (error) {
+      fields = { status: 'failed', error_message: error.message };
+    }
+
+    const finished = await dbManager.updateScrapeJob(job.id, { ...fields, completed_at: new Date() });
+    logger.info(`Scrape job ${job.id} ${finished.status}`);
+    this.publish(finished);
+    this.notify(job.id, finished);
+  }
+
+  /**
+   * Announce a job's current state (queued, running or finished)
+   */
+  publish(job) {
+    eventBus.publish('scrape.job_updated', { groupId: job.group_id, job });
+  }
+
+  notify(jobId, job) {
+    const waiters = this.waiters.get(jobId) || [];
+    this.waiters.delete(jobId);
+    waiters.forEach(resolve => resolve(job));
+  }
+}
+
+module.exports = ScrapeQueue;
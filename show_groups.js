@@ -1,6 +1,6 @@
 const fs = require('fs');
 
-// Read the chats file
+// Read the chats file (a saved /api/chats response: curl http://localhost:3000/api/chats > all_chats.json)
 const chatsData = JSON.parse(fs.readFileSync('all_chats.json', 'utf8'));
 
 // Filter only groups
@@ -15,9 +15,19 @@ groups.forEach((group, index) => {
   console.log(`${index + 1}. ${group.name}`);
   console.log(`   ID: ${group.id}`);
   console.log(`   Unread: ${group.unreadCount}`);
+  if (group.isMonitored) {
+    console.log(`   Monitored: yes`);
+  }
+  // Present in files saved since discovery rules were added
+  if (group.discoveryRule) {
+    const rule = group.discoveryRule;
+    const decision = rule.enrolled ? 'enrolled by' : rule.action === 'exclude' ? 'excluded by' : 'matches';
+    console.log(`   Discovery: ${decision} rule "${rule.name}" (#${rule.id})`);
+  }
   console.log('');
 });
 
 console.log(`\n========================================`);
 console.log(`To monitor a group, copy its ID`);
+console.log(`or add a discovery rule (POST /api/discovery/rules)`);
 console.log(`========================================\n`);
@@ -0,0 +1,35 @@
+const config = require('../config');
+const LocalStorage = require('./localStorage');
+
+// Backend name -> adapter, created on first use
+const backends = new Map();
+
+/**
+ * Create a storage adapter for a backend name
+ */
+function createStorage(backend) {
+  switch (backend) {
+    case 'local':
+      return new LocalStorage(config.storage.local);
+    case 's3': {
+      // Required lazily so local-only installs never load the AWS SDK
+      const S3Storage = require('./s3Storage');
+      return new S3Storage({ ...config.storage.s3, signedUrlExpiry: config.storage.signedUrlExpiry });
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Get the adapter for a backend (defaults to the configured one).
+ * Media rows record their backend, so files written before a switch stay readable.
+ */
+function getStorage(backend = config.storage.backend) {
+  if (!backends.has(backend)) {
+    backends.set(backend, createStorage(backend));
+  }
+  return backends.get(backend);
+}
+
+module.exports = { getStorage };
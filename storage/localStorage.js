@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class LocalStorage {
+  constructor(options) {
+    this.name = 'local';
+    this.basePath = path.resolve(options.basePath);
+
+    if (!fs.existsSync(this.basePath)) {
+      fs.mkdirSync(this.basePath, { recursive: true });
+      logger.info(`Created media directory: ${this.basePath}`);
+    }
+  }
+
+  /**
+   * Map a storage key to a file path, refusing keys that escape the base directory
+   */
+  resolvePath(key) {
+    const filepath = path.resolve(this.basePath, key);
+
+    if (!filepath.startsWith(this.basePath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filepath;
+  }
+
+  async put(key, buffer) {
+    const filepath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.promises.writeFile(filepath, buffer);
+  }
+
+  async exists(key) {
+    return fs.existsSync(this.resolvePath(key));
+  }
+
+  async getStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  /**
+   * Files on disk have no URL of their own, so they are always streamed
+   */
+  async getSignedUrl() {
+    return null;
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,93 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+class S3Storage {
+  constructor(options) {
+    if (!options.bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage backend');
+    }
+
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix;
+    this.signedUrlExpiry = options.signedUrlExpiry;
+
+    // Without explicit keys the SDK falls back to its default credential chain
+    const credentials = options.accessKeyId && options.secretAccessKey
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined;
+
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      // MinIO and most self-hosted services need path-style URLs
+      forcePathStyle: options.forcePathStyle,
+      credentials,
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: contentType,
+    }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async getStream(key) {
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+    }));
+    return result.Body;
+  }
+
+  /**
+   * Create a time-limited download URL so clients fetch straight from the bucket
+   */
+  async getSignedUrl(key, { contentType, filename } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ResponseContentType: contentType,
+      ResponseContentDisposition: filename ? `inline; filename="${filename.replace(/"/g, '')}"` : undefined,
+    });
+
+    return getSignedUrl(this.client, command, { expiresIn: this.signedUrlExpiry });
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+    }));
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,245 @@
+const config = require('./config');
+const dbManager = require('./database');
+const eventBus = require('./eventBus');
+const logger = require('./utils/logger');
+
+// Events sent to /api/stream clients (see eventBus)
+const STREAM_EVENTS = ['message.created', 'message.edited', 'message.deleted', 'scrape.job_updated'];
+
+// Comment line sent to idle connections so proxies do not close them
+const HEARTBEAT_MS = 25000;
+
+// How often events older than STREAM_RETENTION_HOURS are removed
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Stored events sent per query while a client catches up from its cursor
+const REPLAY_PAGE_SIZE = 500;
+
+// Unsent output a client may have queued before it is disconnected. It can
+// reconnect with its last event ID and catch up at its own pace.
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Pushes events to /api/stream clients as Server-Sent Events. Every event is
+ * stored in stream_events first; its row ID is the SSE event ID, so a client
+ * that reconnects with Last-Event-ID (or ?cursor=) is sent what it missed.
+ */
+class StreamManager {
+  constructor() {
+    this.subscribers = new Set();
+    // Events are stored one at a time so IDs reach clients in order
+    this.saving = Promise.resolve();
+    this.heartbeat = null;
+    this.pruneTimer = null;
+    this.handleEvent = this.handleEvent.bind(this);
+  }
+
+  start() {
+    eventBus.on('event', this.handleEvent);
+
+    this.heartbeat = setInterval(() => {
+      for (const subscriber of this.subscribers) {
+        subscriber.res.write(': ping\n\n');
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+    this.prune();
+  }
+
+  /**
+   * Check stream filters. Returns an error message, or null if they are valid.
+   */
+  validate(filters) {
+    const unknown = (filters.eventTypes || []).filter(type => !STREAM_EVENTS.includes(type));
+
+    if (unknown.length > 0) {
+      return `events must be a list of: ${STREAM_EVENTS.join(', ')}`;
+    }
+    return null;
+  }
+
+  handleEvent(event) {
+    if (!STREAM_EVENTS.includes(event.type)) {
+      return;
+    }
+
+    this.saving = this.saving
+      .then(() => this.save(event))
+      .catch(error => logger.error(`Error streaming ${event.type} event:`, error));
+  }
+
+  async save(event) {
+    const { message } = event.data;
+
+    const row = await dbManager.insertStreamEvent({
+      event_id: event.id,
+      event_type: event.type,
+      group_id: message ? message.group_id : event.data.groupId || null,
+      message_type: message ? message.message_type : null,
+      data: event.data,
+    });
+
+    for (const subscriber of this.subscribers) {
+      this.deliver(subscriber, row);
+    }
+  }
+
+  /**
+   * Whether a stored event passes a client's filters (the same rules as getStreamEvents).
+   * Message type filters only apply to message events; scrape job events pass them.
+   */
+  matches(filters, row) {
+    const { groupIds = [], messageTypes = [], eventTypes = [] } = filters;
+
+    if (groupIds.length > 0 && !groupIds.includes(row.group_id)) {
+      return false;
+    }
+    if (messageTypes.length > 0 && row.event_type.startsWith('message.') && !messageTypes.includes(row.message_type)) {
+      return false;
+    }
+    if (eventTypes.length > 0 && !eventTypes.includes(row.event_type)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Start streaming to a client. With a cursor, stored events after it are sent
+   * first; without one, only events from now on.
+   * @param {Object} res - Express response, already set up for text/event-stream
+   * @param {Object} options - { cursor (number or null), filters: { groupIds, messageTypes, eventTypes } }
+   */
+  async subscribe(res, { cursor = null, filters = {} } = {}) {
+    const bounds = await dbManager.getStreamEventBounds();
+    const start = cursor === null ? bounds.latest || 0 : cursor;
+
+    // New events wait in the backlog while stored ones are replayed
+    const subscriber = { res, filters, cursor: start, replaying: true, backlog: [], overflowed: false, closed: false };
+    this.subscribers.add(subscriber);
+    res.on('close', () => {
+      subscriber.closed = true;
+      this.subscribers.delete(subscriber);
+    });
+
+    res.write('retry: 5000\n\n');
+    // Gives clients that connected without a cursor a position to resume from
+    res.write(`id: ${start}\nevent: ready\ndata: ${JSON.stringify({ cursor: start })}\n\n`);
+
+    // Some of what the client missed has been pruned; it should reload through the REST API
+    if (cursor !== null && bounds.oldest !== null && bounds.oldest > cursor + 1) {
+      res.write(`event: cursor.expired\ndata: ${JSON.stringify({ cursor, oldest: bounds.oldest })}\n\n`);
+    }
+
+    try {
+      // Replay again if the backlog filled up and dropped events in the meantime
+      do {
+        subscriber.overflowed = false;
+
+        let page;
+        do {
+          page = await dbManager.getStreamEvents({ after: subscriber.cursor, ...filters, limit: REPLAY_PAGE_SIZE });
+
+          for (const row of page) {
+            // Let a slow client take what it has been sent before queueing more
+            if (!this.write(subscriber, row) && !subscriber.closed) {
+              await this.drained(res);
+            }
+            if (subscriber.closed) {
+              break;
+            }
+          }
+        } while (page.length === REPLAY_PAGE_SIZE && !subscriber.closed);
+      } while (subscriber.overflowed && !subscriber.closed);
+    } finally {
+      subscriber.replaying = false;
+      subscriber.backlog.splice(0).forEach(row => this.deliver(subscriber, row));
+    }
+  }
+
+  deliver(subscriber, row) {
+    if (subscriber.replaying) {
+      // Past a page's worth, the events are read back from stream_events instead
+      if (subscriber.backlog.length < REPLAY_PAGE_SIZE) {
+        subscriber.backlog.push(row);
+      } else {
+        subscriber.backlog = [];
+        subscriber.overflowed = true;
+      }
+      return;
+    }
+
+    // Skip what the replay already sent and what the filters leave out
+    if (row.id <= subscriber.cursor || !this.matches(subscriber.filters, row)) {
+      return;
+    }
+
+    this.write(subscriber, row);
+  }
+
+  /**
+   * Send one event. Returns false when the client is not keeping up (the caller
+   * should wait for 'drain'); a client that falls more than MAX_BUFFERED_BYTES
+   * behind is disconnected.
+   */
+  write(subscriber, row) {
+    if (subscriber.closed) {
+      return false;
+    }
+
+    const event = {
+      cursor: row.id,
+      id: row.event_id,
+      type: row.event_type,
+      timestamp: row.created_at,
+      data: row.data,
+    };
+
+    const { res } = subscriber;
+    const flushed = res.write(`id: ${row.id}\nevent: ${row.event_type}\ndata: ${JSON.stringify(event)}\n\n`);
+    subscriber.cursor = row.id;
+
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      logger.warn(`Disconnecting a stream client at cursor ${subscriber.cursor}: more than ${MAX_BUFFERED_BYTES} bytes waiting to be sent`);
+      subscriber.closed = true;
+      this.subscribers.delete(subscriber);
+      res.destroy();
+      return false;
+    }
+    return flushed;
+  }
+
+  /**
+   * Resolve once a response has flushed its queued output, or has closed
+   */
+  drained(res) {
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+
+  async prune() {
+    try {
+      const before = new Date(Date.now() - config.stream.retentionHours * 60 * 60 * 1000);
+      const removed = await dbManager.pruneStreamEvents(before);
+
+      if (removed > 0) {
+        logger.info(`Pruned ${removed} stream events older than ${config.stream.retentionHours}h`);
+      }
+    } catch (error) {
+      logger.error('Error pruning stream events:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const streamManager = new StreamManager();
+module.exports = streamManager;
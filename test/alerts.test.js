@@ -0,0 +1,165 @@
+// Quiet hours are read in this timezone
+process.env.TIMEZONE = 'UTC';
+
+const { GROUP_ID, AUTHOR_ID, T, setupDatabase, clearSettings } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const alertManager = require('../alertManager');
+const { validatePattern, execWithTimeout } = require('../utils/regex');
+
+function rule(fields = {}) {
+  return {
+    name: 'Urgent',
+    pattern: 'urgent|ticket #\\d+',
+    group_ids: null,
+    senders: null,
+    quiet_hours_start: null,
+    quiet_hours_end: null,
+    channels: [],
+    include_backfill: false,
+    enabled: true,
+    ...fields,
+  };
+}
+
+function message(id, body, fields = {}) {
+  return {
+    id,
+    group_id: GROUP_ID,
+    message_body: body,
+    author: AUTHOR_ID,
+    author_phone: '+94771234567',
+    timestamp: T,
+    ...fields,
+  };
+}
+
+const created = (msg, backfill) => ({ data: backfill ? { message: msg, backfill } : { message: msg } });
+
+// "HH:MM" in UTC, minutes from now
+function clock(minutes) {
+  return new Date(Date.now() + minutes * 60000).toISOString().slice(11, 16);
+}
+
+describe('pattern time limits', () => {
+  it('refuses patterns that are too long or do not compile', () => {
+    assert.equal(validatePattern('urgent'), null);
+    assert.equal(validatePattern('a'.repeat(201)), 'pattern must be at most 200 characters');
+    assert.match(validatePattern('[a-'), /^Invalid pattern/);
+  });
+
+  it('stops a match that backtracks for too long', () => {
+    assert.equal(execWithTimeout(/ticket #(\d+)/i, 'see ticket #42')[1], '42');
+    assert.equal(execWithTimeout(/urgent/i, 'nothing here'), null);
+
+    assert.throws(() => execWithTimeout(/(a+)+$/, `${'a'.repeat(40)}!`), { code: 'PATTERN_TIMEOUT' });
+  });
+});
+
+describe('alert rules', () => {
+  it('checks a rule before it is saved', () => {
+    assert.equal(alertManager.validate(rule()), null);
+    assert.equal(alertManager.validate(rule({ quiet_hours_start: '22:00', quiet_hours_end: '07:00' })), null);
+
+    assert.equal(alertManager.validate(rule({ quiet_hours_start: '22:00' })), 'quietHoursStart and quietHoursEnd must be set together');
+    assert.equal(
+      alertManager.validate(rule({ quiet_hours_start: '24:00', quiet_hours_end: '07:00' })),
+      'quiet hours must be two different times as HH:MM'
+    );
+    assert.equal(alertManager.validate(rule({ senders: [] })), 'senders must be a list of strings, or null for no filter');
+    assert.equal(alertManager.validate(rule({ channels: [{ type: 'sms' }] })), 'each channel needs a type of: webhook, email, whatsapp');
+    assert.equal(alertManager.validate(rule({ channels: [{ type: 'email', to: 'ops' }] })), 'email channels need a "to" address');
+    assert.equal(
+      alertManager.validate(rule({ channels: [{ type: 'whatsapp', to: '+94 77' }] })),
+      'whatsapp channels need a "to" phone number'
+    );
+  });
+
+  it('has quiet hours that can run past midnight', () => {
+    const overnight = rule({ quiet_hours_start: '22:00', quiet_hours_end: '07:00' });
+    const lunch = rule({ quiet_hours_start: '12:00', quiet_hours_end: '13:00' });
+
+    assert.equal(alertManager.inQuietHours(overnight, new Date('2024-01-01T23:30:00Z')), true);
+    assert.equal(alertManager.inQuietHours(overnight, new Date('2024-01-01T06:59:00Z')), true);
+    assert.equal(alertManager.inQuietHours(overnight, new Date('2024-01-01T07:00:00Z')), false);
+    assert.equal(alertManager.inQuietHours(lunch, new Date('2024-01-01T12:30:00Z')), true);
+    assert.equal(alertManager.inQuietHours(lunch, new Date('2024-01-01T13:00:00Z')), false);
+    assert.equal(alertManager.inQuietHours(rule(), new Date('2024-01-01T12:30:00Z')), false);
+  });
+});
+
+describe('alerts', () => {
+  const sent = [];
+
+  before(async () => {
+    await setupDatabase();
+    alertManager.setClient({ sendMessage: async (to, text) => sent.push({ to, text }) });
+  });
+
+  after(async () => {
+    alertManager.setClient(null);
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await clearSettings();
+    await alertManager.load();
+    sent.length = 0;
+  });
+
+  it('raises one alert per rule and message and notifies its channels', async () => {
+    await alertManager.create(rule({ channels: [{ type: 'whatsapp', to: '+94770000009' }] }));
+
+    await alertManager.handleMessage(created(message('m1', 'URGENT: server down')));
+    await alertManager.handleMessage(created(message('m1', 'URGENT: server down')));
+    await alertManager.handleMessage(created(message('m2', 'lunch?')));
+
+    const alerts = await dbManager.getAlerts();
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].matched_text, 'URGENT');
+    assert.equal(alerts[0].sender, '+94771234567');
+    assert.equal(alerts[0].notify_status, 'sent');
+    assert.deepEqual(sent.map(entry => entry.to), ['94770000009@c.us']);
+    assert.match(sent[0].text, /Alert "Urgent" matched "URGENT"/);
+  });
+
+  it('filters by group, sender and backfill', async () => {
+    await alertManager.create(rule({ group_ids: [GROUP_ID], senders: ['94771234567'] }));
+
+    await alertManager.handleMessage(created(message('m1', 'urgent', { group_id: 'other@g.us' })));
+    await alertManager.handleMessage(created(message('m2', 'urgent', { author_phone: '+94770000000', author: 'x@c.us' })));
+    await alertManager.handleMessage(created(message('m3', 'urgent'), true));
+    await alertManager.handleMessage(created(message('m4', 'urgent')));
+
+    assert.deepEqual((await dbManager.getAlerts()).map(alert => alert.message_id), ['m4']);
+  });
+
+  it('holds alerts during quiet hours and sends them once they end', async () => {
+    const quiet = await alertManager.create(rule({
+      quiet_hours_start: clock(-60),
+      quiet_hours_end: clock(60),
+      channels: [{ type: 'whatsapp', to: '+94770000009' }],
+    }));
+
+    await alertManager.handleMessage(created(message('m1', 'urgent')));
+    assert.equal((await dbManager.getAlerts())[0].notify_status, 'held');
+    assert.equal(sent.length, 0);
+
+    await alertManager.update(quiet.id, { quiet_hours_start: clock(60), quiet_hours_end: clock(120) });
+    await alertManager.releaseHeld();
+    assert.equal((await dbManager.getAlerts())[0].notify_status, 'sent');
+    assert.equal(sent.length, 1);
+  });
+
+  it('turns off a rule whose pattern runs too long', async () => {
+    const slow = await alertManager.create(rule({ pattern: '(a+)+$' }));
+
+    await alertManager.handleMessage(created(message('m1', `${'a'.repeat(40)}!`)));
+
+    assert.deepEqual(await dbManager.getAlerts(), []);
+    assert.equal(alertManager.rules.find(candidate => candidate.id === slow.id).enabled, false);
+  });
+});
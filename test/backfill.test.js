@@ -0,0 +1,127 @@
+process.env.BACKFILL_CHUNK_SIZE = '2';
+process.env.BACKFILL_DELAY_MS = '1';
+
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+const BackfillManager = require('../backfillManager');
+const ScrapeQueue = require('../scrapeQueue');
+
+const OTHER_GROUP_ID = '94770000001-1600000001@g.us';
+
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), 'timed out');
+}
+
+describe('backfill', () => {
+  let history;
+  let handler;
+  let manager;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+
+    history = [];
+    for (let n = 1; n <= 5; n++) {
+      history.push(fakeMessage(`m${n}`, T + n));
+    }
+    handler = new MessageHandler(fakeClient(fakeChat(history)));
+    manager = new BackfillManager(handler);
+  });
+
+  it('compares messages with the checkpoint by timestamp, then ID', () => {
+    const oldest = { id: 'm3', timestamp: T + 3 };
+
+    assert.equal(manager.isBeforeCheckpoint(fakeMessage('m2', T + 2), oldest), true);
+    assert.equal(manager.isBeforeCheckpoint(fakeMessage('m9', T + 3), oldest), true);
+    assert.equal(manager.isBeforeCheckpoint(fakeMessage('m3', T + 3), oldest), false);
+    assert.equal(manager.isBeforeCheckpoint(fakeMessage('m4', T + 4), oldest), false);
+  });
+
+  it('walks the whole history back in chunks', async () => {
+    const job = await manager.start(GROUP_ID);
+    await waitFor(() => !manager.running.has(GROUP_ID));
+
+    const finished = await dbManager.getLatestBackfillJob(GROUP_ID);
+    assert.equal(finished.id, job.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.messages_processed, 5);
+    assert.equal(finished.oldest_message_id, 'm1');
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 5);
+  });
+
+  it('creates one job when started twice at once', async () => {
+    const [first, second] = await Promise.all([manager.start(GROUP_ID), manager.start(GROUP_ID)]);
+    await waitFor(() => !manager.running.has(GROUP_ID));
+
+    assert.equal(first.id, second.id);
+    assert.equal((await dbManager.getBackfillJobsByStatus('in_progress')).length, 0);
+    assert.equal((await dbManager.getLatestBackfillJob(GROUP_ID)).id, first.id);
+  });
+
+  it('keeps the checkpoint before a message that failed so the next chunk retries it', async () => {
+    let attempts = 0;
+    const getContact = history[1].getContact;
+    history[1].getContact = async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw new Error('contact lookup failed');
+      }
+      return getContact();
+    };
+
+    await manager.start(GROUP_ID);
+    await waitFor(() => !manager.running.has(GROUP_ID));
+
+    assert.equal(attempts, 2);
+    assert.ok(await dbManager.getMessage('m2'));
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 5);
+    assert.equal((await dbManager.getLatestBackfillJob(GROUP_ID)).messages_processed, 5);
+  });
+
+  it('holds back queued scrapes of every group while a chunk has the client', async () => {
+    const queue = new ScrapeQueue(handler);
+
+    assert.equal(handler.lockForBackfill(OTHER_GROUP_ID), true);
+    assert.equal(handler.lockForBackfill(GROUP_ID), false);
+
+    const job = await queue.enqueue(GROUP_ID);
+    assert.equal(await queue.claimNext(), null);
+    assert.equal((await dbManager.getScrapeJob(job.id)).status, 'queued');
+
+    // Unlocking starts the queue again
+    handler.unlockGroup(OTHER_GROUP_ID);
+    assert.equal((await queue.wait(job.id)).status, 'completed');
+  });
+
+  it('makes a scrape that already started wait for the chunk', async () => {
+    assert.equal(handler.lockForBackfill(OTHER_GROUP_ID), true);
+
+    let scraped = false;
+    const scrape = handler.scrapeGroup(GROUP_ID).then(result => {
+      scraped = true;
+      return result;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(scraped, false);
+
+    handler.unlockGroup(OTHER_GROUP_ID);
+    assert.equal((await scrape).success, true);
+  });
+});
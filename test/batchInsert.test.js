@@ -0,0 +1,72 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const eventBus = require('../eventBus');
+const MessageHandler = require('../messageHandler');
+
+describe('batched message inserts', () => {
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    handler = new MessageHandler(fakeClient(fakeChat()));
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+  });
+
+  it('counts messages that were already stored apart from new ones', async () => {
+    const first = await handler.processMessages([fakeMessage('m1', T), fakeMessage('m2', T + 1)], GROUP_ID);
+    const second = await handler.processMessages([fakeMessage('m2', T + 1), fakeMessage('m3', T + 2)], GROUP_ID);
+
+    assert.equal(first.inserted, 2);
+    assert.equal(first.existing, 0);
+    assert.equal(second.inserted, 1);
+    assert.equal(second.existing, 1);
+    assert.equal(second.stored.length, 2);
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 3);
+  });
+
+  it('announces only the messages that were new', async () => {
+    await handler.processMessages([fakeMessage('m1', T)], GROUP_ID);
+
+    const created = [];
+    const listener = event => created.push(event.data.message.id);
+    eventBus.on('message.created', listener);
+    try {
+      await handler.processMessages([fakeMessage('m1', T), fakeMessage('m2', T + 1)], GROUP_ID);
+    } finally {
+      eventBus.off('message.created', listener);
+    }
+
+    assert.deepEqual(created, ['m2']);
+  });
+
+  it('writes a page and its scrape counts together', async () => {
+    const scrapeId = await dbManager.startScrapeHistory(GROUP_ID);
+
+    await handler.processMessages([fakeMessage('m1', T), fakeMessage('m2', T + 1)], GROUP_ID, scrapeId);
+    await handler.processMessages([fakeMessage('m2', T + 1)], GROUP_ID, scrapeId);
+
+    const [history] = await dbManager.getScrapeHistory(GROUP_ID, 1);
+    assert.equal(history.messages_fetched, 3);
+    assert.equal(history.messages_inserted, 2);
+    assert.equal(history.messages_duplicate, 1);
+  });
+
+  it('stores nothing from a page when one of its rows fails', async () => {
+    const built = await handler.buildMessage(fakeMessage('m1', T), GROUP_ID);
+    const orphan = await handler.buildMessage(fakeMessage('m2', T + 1), 'unknown@g.us');
+
+    await assert.rejects(dbManager.insertMessageBatch([built.message, orphan.message]), /FOREIGN KEY/);
+    assert.equal(await dbManager.getMessage('m1'), null);
+  });
+});
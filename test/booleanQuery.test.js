@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBooleanQuery } = require('../repositories/booleanQuery');
+
+const word = (text, prefix = false) => ({ type: 'word', word: text, prefix });
+
+describe('boolean query parser', () => {
+  it('binds ! tighter than <->, <-> tighter than & and & tighter than |', () => {
+    assert.deepEqual(parseBooleanQuery('a | b & !c'), {
+      type: 'or',
+      operands: [word('a'), { type: 'and', operands: [word('b'), { type: 'not', operand: word('c') }] }],
+    });
+    assert.deepEqual(parseBooleanQuery('a <-> b:* & c'), {
+      type: 'and',
+      operands: [{ type: 'phrase', words: [word('a'), word('b', true)] }, word('c')],
+    });
+  });
+
+  it('keeps parentheses and drops double negation', () => {
+    assert.deepEqual(parseBooleanQuery('(a | b) & !!c'), {
+      type: 'and',
+      operands: [{ type: 'or', operands: [word('a'), word('b')] }, word('c')],
+    });
+  });
+
+  it('accepts a leading ! when the & has another term', () => {
+    assert.deepEqual(parseBooleanQuery('!a & b'), {
+      type: 'and',
+      operands: [{ type: 'not', operand: word('a') }, word('b')],
+    });
+  });
+
+  it('returns null for blank text', () => {
+    assert.equal(parseBooleanQuery(''), null);
+    assert.equal(parseBooleanQuery('   '), null);
+  });
+
+  it('refuses what one of the drivers could not run the same way', () => {
+    const refusals = {
+      '!a': /can only exclude terms/,
+      'a | !b': /can only exclude terms/,
+      '!a & !b': /can only exclude terms/,
+      'a <2> b': /<2> is not supported/,
+      'a:* <-> b': /<-> can only join single words/,
+      '!a <-> b': /<-> can only join single words/,
+      '(a | b) <-> c': /<-> can only join single words/,
+      'a b': /syntax error at "b"/,
+      'a & (b': /syntax error at the end of the query/,
+      'a "b"': /syntax error at ""b""/,
+    };
+
+    for (const [text, message] of Object.entries(refusals)) {
+      assert.throws(() => parseBooleanQuery(text), { code: 'INVALID_SEARCH_QUERY', message }, text);
+    }
+  });
+});
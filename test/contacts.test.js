@@ -0,0 +1,79 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const contactResolver = require('../contactResolver');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+const LID = '201234567890123@lid';
+const PHONE_ID = '94775555555@c.us';
+
+describe('contact identities', () => {
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    contactResolver.phones.clear();
+    contactResolver.pushnames.clear();
+  });
+
+  it('resolves a LID to the phone number it was seen with', async () => {
+    assert.equal(contactResolver.resolve(LID), null);
+    assert.equal(contactResolver.resolve(PHONE_ID), '+94775555555');
+
+    assert.equal(await contactResolver.learn([LID, PHONE_ID], null, 'Dan'), '+94775555555');
+    assert.equal(contactResolver.resolve(LID), '+94775555555');
+  });
+
+  it('merges contacts that turn out to be the same person', async () => {
+    await contactResolver.learn([LID], null, 'Dan');
+    await contactResolver.learn([PHONE_ID], null, 'Daniel');
+    await contactResolver.learn([LID, PHONE_ID]);
+
+    const [contact, ...others] = await dbManager.searchContacts('Dan');
+    assert.equal(others.length, 0);
+    assert.equal(contact.phone, '+94775555555');
+    assert.deepEqual(contact.wa_ids, [LID, PHONE_ID].sort());
+    assert.deepEqual(contact.pushnames.map(entry => entry.pushname).sort(), ['Dan', 'Daniel']);
+  });
+
+  it('loads what earlier runs learned', async () => {
+    await contactResolver.learn([LID, PHONE_ID]);
+    contactResolver.phones.clear();
+
+    await contactResolver.load();
+    assert.equal(contactResolver.resolve(LID), '+94775555555');
+  });
+
+  it('fills in author phones of messages stored before the LID was known', async () => {
+    const handler = new MessageHandler(fakeClient(fakeChat()));
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+    await handler.processMessages([fakeMessage('m1', T, {
+      author: LID,
+      getContact: async () => ({ id: { _serialized: LID }, pushname: 'Dan' }),
+    })], GROUP_ID);
+    assert.equal((await dbManager.getMessage('m1')).author_phone, null);
+
+    await dbManager.syncGroupParticipants(GROUP_ID, [{
+      participant_id: LID,
+      contact_id: null,
+      phone: '+94775555555',
+      lid: LID,
+      display_name: 'Dan',
+      is_admin: false,
+      is_super_admin: false,
+    }]);
+
+    assert.equal(await contactResolver.repairAuthorPhones(GROUP_ID), 1);
+    assert.equal((await dbManager.getMessage('m1')).author_phone, '+94775555555');
+  });
+});
@@ -0,0 +1,122 @@
+const { GROUP_ID, setupDatabase, clearSettings } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const GroupDiscovery = require('../groupDiscovery');
+
+const OWN_ID = '94779999999@c.us';
+const PROJECT_ID = '94770000001-1600000001@g.us';
+const ARCHIVE_ID = '94770000002-1600000002@g.us';
+
+function rule(fields) {
+  return { name: 'rule', action: 'include', match_type: 'name_pattern', enabled: true, ...fields };
+}
+
+function chat(id, name, fields = {}) {
+  return { id: { _serialized: id }, name, isGroup: true, ...fields };
+}
+
+describe('discovery rules', () => {
+  const discovery = new GroupDiscovery(null);
+
+  it('checks a rule before it is saved', () => {
+    assert.equal(discovery.validateRule(rule({ pattern: ' - MavIntel$' })), null);
+    assert.equal(discovery.validateRule(rule({ match_type: 'group_ids', group_ids: [GROUP_ID] })), null);
+
+    assert.equal(discovery.validateRule(rule({ name: ' ', pattern: 'x' })), 'name is required');
+    assert.equal(discovery.validateRule(rule({ action: 'watch', pattern: 'x' })), 'action must be one of: include, exclude');
+    assert.equal(discovery.validateRule(rule({})), 'pattern is required for name_pattern rules');
+    assert.match(discovery.validateRule(rule({ pattern: '(' })), /^Invalid pattern/);
+    assert.equal(
+      discovery.validateRule(rule({ match_type: 'group_ids', group_ids: ['94771234567@c.us'] })),
+      'groupIds must be a list of group IDs ending with @g.us'
+    );
+    assert.equal(discovery.validateRule(rule({ action: 'exclude', match_type: 'joined' })), 'joined rules can only include groups');
+  });
+
+  it('lets exclude rules win, and only matches joined rules on a join', () => {
+    const rules = [
+      rule({ id: 1, pattern: 'mavintel' }),
+      rule({ id: 2, action: 'exclude', pattern: 'archive' }),
+      rule({ id: 3, match_type: 'joined' }),
+    ];
+
+    assert.equal(discovery.match(rules, { id: PROJECT_ID, name: 'Alpha - MavIntel' }).id, 1);
+    assert.equal(discovery.match(rules, { id: ARCHIVE_ID, name: 'Archive - MavIntel' }).id, 2);
+    assert.equal(discovery.match(rules, { id: GROUP_ID, name: 'Family' }), null);
+    assert.equal(discovery.match(rules, { id: GROUP_ID, name: 'Family' }, true).id, 3);
+  });
+});
+
+describe('discovery passes', () => {
+  const chats = [
+    chat(PROJECT_ID, 'Alpha - MavIntel'),
+    chat(ARCHIVE_ID, 'Archive - MavIntel'),
+    chat(GROUP_ID, 'Family'),
+    chat('94771234567@c.us', 'Alpha - MavIntel', { isGroup: false }),
+  ];
+  const client = { getChats: async () => chats, info: { wid: { _serialized: OWN_ID } } };
+  let discovery;
+
+  before(async () => {
+    await setupDatabase();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await clearSettings();
+    await groupRegistry.load();
+    discovery = new GroupDiscovery(client);
+
+    await dbManager.createDiscoveryRule(rule({ name: 'MavIntel projects', pattern: ' - MavIntel$' }));
+    await dbManager.createDiscoveryRule(rule({ name: 'No archives', action: 'exclude', pattern: '^Archive' }));
+  });
+
+  it('enrolls unmonitored groups that an include rule matches', async () => {
+    const summary = await discovery.discover('startup');
+
+    assert.equal(summary.checked, 3);
+    assert.equal(summary.excluded, 1);
+    assert.deepEqual(summary.enrolled.map(entry => [entry.groupId, entry.rule]), [[PROJECT_ID, 'MavIntel projects']]);
+    assert.deepEqual(groupRegistry.getEnabledIds(), [PROJECT_ID]);
+    assert.ok(groupRegistry.getSettings(PROJECT_ID).discovery_rule_id);
+  });
+
+  it('leaves groups that already have settings alone, even paused ones', async () => {
+    await groupRegistry.update(PROJECT_ID, { enabled: false });
+
+    const summary = await discovery.discover('periodic');
+
+    assert.equal(summary.checked, 2);
+    assert.deepEqual(summary.enrolled, []);
+    assert.equal(groupRegistry.isMonitored(PROJECT_ID), false);
+  });
+
+  it('explains which rule applies to each group', async () => {
+    await discovery.discover('startup');
+
+    const explained = await discovery.explain(chats.map(c => ({ id: c.id._serialized, name: c.name })));
+
+    assert.equal(explained.get(PROJECT_ID).name, 'MavIntel projects');
+    assert.equal(explained.get(PROJECT_ID).enrolled, true);
+    assert.equal(explained.get(ARCHIVE_ID).action, 'exclude');
+    assert.equal(explained.has(GROUP_ID), false);
+  });
+
+  it('enrolls a group we are added to when a joined rule exists', async () => {
+    await dbManager.createDiscoveryRule(rule({ name: 'Anything I join', match_type: 'joined' }));
+    const notification = { recipientIds: [OWN_ID], getChat: async () => chat(GROUP_ID, 'Family') };
+
+    await discovery.handleGroupJoin({ ...notification, recipientIds: ['94771234567@c.us'] });
+    assert.equal(groupRegistry.has(GROUP_ID), false);
+
+    await discovery.handleGroupJoin(notification);
+    assert.equal(groupRegistry.isMonitored(GROUP_ID), true);
+  });
+});
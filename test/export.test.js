@@ -0,0 +1,63 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dbManager = require('../database');
+const MessageHandler = require('../messageHandler');
+const { createRepository } = require('../repositories');
+const { exportMessagesToJSON, getGroupStats } = require('../export_to_json');
+
+describe('repository drivers', () => {
+  it('creates the repository of the configured driver', () => {
+    assert.equal(dbManager.dialect, 'sqlite');
+    assert.equal(createRepository('sqlite').dialect, 'sqlite');
+    assert.throws(() => createRepository('mysql'), /Unknown database driver: mysql/);
+  });
+});
+
+describe('JSON export', () => {
+  const exportPath = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-export-'));
+
+  before(async () => {
+    await setupDatabase();
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+
+    const handler = new MessageHandler(fakeClient(fakeChat()));
+    await handler.processMessages([fakeMessage('m1', T), fakeMessage('m2', T + 1), fakeMessage('m3', T + 2)], GROUP_ID);
+  });
+
+  after(async () => {
+    await dbManager.close();
+    fs.rmSync(exportPath, { recursive: true, force: true });
+  });
+
+  it('writes a group\'s messages through the repository', async () => {
+    const file = path.join(exportPath, 'group.json');
+
+    const result = await exportMessagesToJSON(GROUP_ID, file);
+
+    assert.deepEqual(result, { success: true, message: 'Export completed successfully', count: 3, file });
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(data.metadata.groupId, GROUP_ID);
+    assert.deepEqual(data.messages.map(row => row.id).sort(), ['m1', 'm2', 'm3']);
+    assert.equal(data.messages[0].group_name, 'Test group');
+  });
+
+  it('limits an export to messages before a timestamp', async () => {
+    const result = await exportMessagesToJSON(GROUP_ID, path.join(exportPath, 'older.json'), T + 1);
+
+    assert.equal(result.count, 1);
+  });
+
+  it('reports group statistics', async () => {
+    const stats = await getGroupStats(GROUP_ID);
+
+    assert.equal(stats.group_name, 'Test group');
+    assert.equal(Number(stats.total_messages), 3);
+    assert.equal(Number(stats.unique_senders), 1);
+    assert.equal(await getGroupStats('unknown@g.us'), null);
+  });
+});
@@ -0,0 +1,58 @@
+const { GROUP_ID } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const Migrator = require('../migrator');
+
+const CONFIGURED_ID = '94770000001-1600000001@g.us';
+const RETAINED_ID = '94770000002-1600000002@g.us';
+
+describe('MONITORED_GROUPS import', () => {
+  before(async () => {
+    config.whatsapp.monitoredGroups = [GROUP_ID, CONFIGURED_ID];
+
+    // A database from before monitored_groups, with two retention policies
+    await dbManager.initialize({ requireMigrated: false });
+    const migrator = new Migrator(dbManager);
+    await migrator.up(17);
+    for (const groupId of [GROUP_ID, RETAINED_ID]) {
+      dbManager.run('INSERT INTO groups (id, name) VALUES (?, ?)', [groupId, groupId]);
+      dbManager.run('INSERT INTO retention_policies (group_id, retention_days) VALUES (?, ?)', [groupId, 30]);
+    }
+    await migrator.up();
+  });
+
+  after(async () => {
+    config.whatsapp.monitoredGroups = [];
+    await dbManager.close();
+  });
+
+  it('carries retention policies over without deciding which groups are enabled', async () => {
+    const rows = await dbManager.getMonitoredGroups();
+
+    assert.deepEqual(rows.map(row => [row.group_id, row.enabled, row.retention_days]).sort(), [
+      [GROUP_ID, null, 30],
+      [RETAINED_ID, null, 30],
+    ]);
+  });
+
+  it('enables configured groups and pauses the rest at startup', async () => {
+    await groupRegistry.load();
+
+    assert.deepEqual(groupRegistry.getEnabledIds().sort(), [GROUP_ID, CONFIGURED_ID].sort());
+    assert.equal(groupRegistry.has(RETAINED_ID), true);
+    assert.equal(groupRegistry.isMonitored(RETAINED_ID), false);
+    assert.equal(groupRegistry.getSettings(GROUP_ID).retention_days, 30);
+  });
+
+  it('leaves settled groups alone when run again', async () => {
+    await groupRegistry.update(CONFIGURED_ID, { enabled: false });
+
+    assert.equal(await groupRegistry.importConfiguredGroups(), 0);
+    await groupRegistry.load();
+    assert.equal(groupRegistry.isMonitored(CONFIGURED_ID), false);
+  });
+});
@@ -0,0 +1,80 @@
+const { GROUP_ID, setupDatabase, clearSettings } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+
+describe('monitored group management', () => {
+  before(async () => {
+    await setupDatabase();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await clearSettings();
+    await groupRegistry.load();
+  });
+
+  it('checks settings before they are saved', () => {
+    assert.equal(groupRegistry.validate({ enabled: true, cron_schedule: '*/5 * * * *', message_limit: 50 }), null);
+    assert.equal(groupRegistry.validate({ message_limit: null, retention_days: 0 }), null);
+
+    assert.equal(groupRegistry.validate({ enabled: null }), 'enabled must be true or false');
+    assert.equal(groupRegistry.validate({ cron_schedule: 'often' }), '"often" is not a valid cron expression');
+    assert.equal(groupRegistry.validate({ message_limit: 0 }), 'message limit must be a whole number above 0');
+    assert.equal(groupRegistry.validate({ retention_days: 1.5 }), 'retention days must be a whole number (0 = keep forever)');
+    assert.equal(groupRegistry.validate({ scrape_media: 'yes' }), 'media setting must be true or false');
+    assert.equal(groupRegistry.validate({ group_name: 'x' }), 'Unknown setting: group_name');
+  });
+
+  it('only starts monitoring a new group when it is enabled', async () => {
+    await groupRegistry.update(GROUP_ID, { message_limit: 50 });
+    assert.equal(groupRegistry.has(GROUP_ID), true);
+    assert.equal(groupRegistry.isMonitored(GROUP_ID), false);
+
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+    assert.equal(groupRegistry.isMonitored(GROUP_ID), true);
+    assert.equal(groupRegistry.getSettings(GROUP_ID).message_limit, 50);
+  });
+
+  it('pauses and resumes a group without losing its settings', async () => {
+    await groupRegistry.update(GROUP_ID, { enabled: true, scrape_media: true });
+
+    await groupRegistry.update(GROUP_ID, { enabled: false });
+    assert.deepEqual(groupRegistry.getEnabledIds(), []);
+
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+    assert.deepEqual(groupRegistry.getEnabledIds(), [GROUP_ID]);
+    assert.equal(groupRegistry.getSettings(GROUP_ID).scrape_media, true);
+  });
+
+  it('announces every change so schedules can follow it', async () => {
+    const changes = [];
+    const listener = groupId => changes.push(groupId);
+    groupRegistry.on('change', listener);
+    try {
+      await groupRegistry.update(GROUP_ID, { enabled: true });
+      await groupRegistry.remove(GROUP_ID);
+    } finally {
+      groupRegistry.off('change', listener);
+    }
+
+    assert.deepEqual(changes, [GROUP_ID, GROUP_ID]);
+  });
+
+  it('keeps changes across restarts and forgets removed groups', async () => {
+    await groupRegistry.update(GROUP_ID, { enabled: true, message_limit: 25 });
+    await groupRegistry.load();
+    assert.equal(groupRegistry.getSettings(GROUP_ID).message_limit, 25);
+
+    assert.equal(await groupRegistry.remove(GROUP_ID), true);
+    assert.equal(await groupRegistry.remove(GROUP_ID), false);
+    await groupRegistry.load();
+    assert.equal(groupRegistry.has(GROUP_ID), false);
+  });
+});
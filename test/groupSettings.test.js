@@ -0,0 +1,80 @@
+const { GROUP_ID, setupDatabase, clearSettings } = require('./helpers');
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const CronScheduler = require('../cronScheduler');
+
+const OTHER_GROUP_ID = '94770000001-1600000001@g.us';
+
+describe('per-group settings', () => {
+  let scheduler;
+
+  before(async () => {
+    await setupDatabase();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await clearSettings();
+    await groupRegistry.load();
+
+    scheduler = new CronScheduler({ enqueue: async () => null }, null);
+    scheduler.startMessageScraper();
+  });
+
+  // No task may outlive its test, or the process would not exit
+  afterEach(() => {
+    scheduler.stopAll();
+  });
+
+  it('fills in config defaults and lists what a group overrides', async () => {
+    await groupRegistry.update(GROUP_ID, { enabled: true, message_limit: 500, cron_schedule: '*/5 * * * *' });
+
+    const settings = groupRegistry.getSettings(GROUP_ID);
+    assert.equal(settings.enabled, true);
+    assert.equal(settings.message_limit, 500);
+    assert.equal(settings.cron_schedule, '*/5 * * * *');
+    assert.equal(settings.scrape_media, config.scraper.scrapeMedia);
+    assert.equal(settings.retention_days, config.database.retentionDays);
+    assert.deepEqual(settings.overrides.sort(), ['cron_schedule', 'message_limit']);
+
+    await groupRegistry.update(GROUP_ID, { message_limit: null });
+    assert.equal(groupRegistry.getSettings(GROUP_ID).message_limit, config.scraper.messageLimit);
+  });
+
+  it('treats groups without a row as disabled with default settings', () => {
+    const settings = groupRegistry.getSettings(OTHER_GROUP_ID);
+
+    assert.equal(settings.enabled, false);
+    assert.deepEqual(settings.overrides, []);
+    assert.equal(groupRegistry.isMonitored(OTHER_GROUP_ID), false);
+  });
+
+  it('schedules each enabled group on its own expression', async () => {
+    await groupRegistry.update(GROUP_ID, { enabled: true, cron_schedule: '*/5 * * * *' });
+    await groupRegistry.update(OTHER_GROUP_ID, { enabled: true });
+
+    assert.deepEqual([...scheduler.scrapeJobs.keys()].sort(), [GROUP_ID, OTHER_GROUP_ID].sort());
+    assert.equal(scheduler.scrapeJobs.get(GROUP_ID).schedule, '*/5 * * * *');
+    assert.equal(scheduler.scrapeJobs.get(OTHER_GROUP_ID).schedule, config.cron.schedules.scrapeMessages);
+  });
+
+  it('reschedules a group when its schedule changes and drops it when paused', async () => {
+    await groupRegistry.update(GROUP_ID, { enabled: true, cron_schedule: '*/5 * * * *' });
+    const { task } = scheduler.scrapeJobs.get(GROUP_ID);
+
+    await groupRegistry.update(GROUP_ID, { cron_schedule: '0 6 * * *' });
+    assert.equal(scheduler.scrapeJobs.get(GROUP_ID).schedule, '0 6 * * *');
+    assert.notEqual(scheduler.scrapeJobs.get(GROUP_ID).task, task);
+
+    await groupRegistry.update(GROUP_ID, { enabled: false });
+    assert.equal(scheduler.scrapeJobs.has(GROUP_ID), false);
+  });
+});
@@ -0,0 +1,102 @@
+// Shared set-up for the tests: an in-memory SQLite database and stand-ins for the
+// whatsapp-web.js objects the scraper reads. Require this before any app module,
+// because config is read (and the database singleton created) on first require.
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.MONITORED_GROUPS = '';
+
+const dbManager = require('../database');
+const Migrator = require('../migrator');
+const logger = require('../utils/logger');
+
+// Tests provoke errors on purpose; set LOG_LEVEL to see the log
+logger.silent = !process.env.LOG_LEVEL;
+
+const GROUP_ID = '94770000000-1600000000@g.us';
+const AUTHOR_ID = '94771234567@c.us';
+const T = 1700000000;
+
+/**
+ * Open the in-memory database and apply every migration
+ */
+async function setupDatabase() {
+  await dbManager.initialize({ requireMigrated: false });
+  await new Migrator(dbManager).up();
+  return dbManager;
+}
+
+/**
+ * Delete the settings tables that clearAllData keeps: monitored groups, discovery
+ * rules, webhooks and alert rules. Reload any manager that caches them afterwards.
+ */
+async function clearSettings() {
+  for (const row of await dbManager.getMonitoredGroups()) {
+    await dbManager.deleteMonitoredGroup(row.group_id);
+  }
+  for (const rule of await dbManager.getDiscoveryRules()) {
+    await dbManager.deleteDiscoveryRule(rule.id);
+  }
+  for (const webhook of await dbManager.getWebhooks()) {
+    await dbManager.deleteWebhook(webhook.id);
+  }
+  for (const rule of await dbManager.getAlertRules()) {
+    await dbManager.deleteAlertRule(rule.id);
+  }
+}
+
+/**
+ * A group message as whatsapp-web.js delivers it
+ */
+function fakeMessage(id, timestamp, fields = {}) {
+  return {
+    id: { _serialized: id },
+    body: `message ${id}`,
+    type: 'chat',
+    timestamp,
+    from: GROUP_ID,
+    to: '94779999999@c.us',
+    author: AUTHOR_ID,
+    fromMe: false,
+    hasMedia: false,
+    ack: 1,
+    hasQuotedMsg: false,
+    mentionedIds: [],
+    getContact: async () => ({ id: { _serialized: AUTHOR_ID }, number: '94771234567', pushname: 'Alice' }),
+    ...fields,
+  };
+}
+
+/**
+ * A group chat whose history is `messages` (oldest first); fetchMessages returns the newest `limit`
+ */
+function fakeChat(messages = [], fields = {}) {
+  return {
+    id: { _serialized: GROUP_ID },
+    name: 'Test group',
+    isGroup: true,
+    participants: [{ id: { _serialized: AUTHOR_ID }, isAdmin: false, isSuperAdmin: false }],
+    fetchMessages: async ({ limit }) => messages.slice(-limit),
+    ...fields,
+  };
+}
+
+/**
+ * A client that knows one chat
+ */
+function fakeClient(chat) {
+  return {
+    getChatById: async () => chat,
+    getContactById: async id => ({ id: { _serialized: id }, number: id.split('@')[0], pushname: 'Alice' }),
+  };
+}
+
+module.exports = {
+  GROUP_ID,
+  AUTHOR_ID,
+  T,
+  setupDatabase,
+  clearSettings,
+  fakeMessage,
+  fakeChat,
+  fakeClient,
+};
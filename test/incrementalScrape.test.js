@@ -0,0 +1,115 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+describe('incremental scraping', () => {
+  let history;
+  let chat;
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await groupRegistry.update(GROUP_ID, { enabled: true, message_limit: 2 });
+
+    history = [];
+    chat = fakeChat(history);
+    handler = new MessageHandler(fakeClient(chat));
+  });
+
+  function post(count) {
+    for (let i = 0; i < count; i++) {
+      const n = history.length + 1;
+      history.push(fakeMessage(`m${n}`, T + n));
+    }
+  }
+
+  it('compares messages with the cursor by timestamp, then ID', () => {
+    const cursor = { id: 'm2', timestamp: T + 2 };
+
+    assert.equal(handler.isAfterCursor(fakeMessage('m1', T + 1), cursor), false);
+    assert.equal(handler.isAfterCursor(fakeMessage('m2', T + 2), cursor), false);
+    assert.equal(handler.isAfterCursor(fakeMessage('m9', T + 2), cursor), true);
+    assert.equal(handler.isAfterCursor(fakeMessage('m3', T + 3), cursor), true);
+    assert.equal(handler.isAfterCursor(fakeMessage('m1', T + 1), null), true);
+  });
+
+  it('pages back until it reaches the cursor and returns the new messages oldest first', async () => {
+    post(7);
+    const limits = [];
+    const fetchMessages = chat.fetchMessages;
+    chat.fetchMessages = options => {
+      limits.push(options.limit);
+      return fetchMessages(options);
+    };
+
+    const messages = await handler.fetchMessagesSince(chat, { id: 'm2', timestamp: T + 2 }, 2);
+
+    assert.deepEqual(limits, [2, 4, 6]);
+    assert.deepEqual(messages.map(msg => msg.id._serialized), ['m3', 'm4', 'm5', 'm6', 'm7']);
+  });
+
+  it('only takes the latest page on the first scrape', async () => {
+    post(5);
+
+    const result = await handler.scrapeGroup(GROUP_ID);
+
+    assert.equal(result.success, true);
+    assert.equal(result.messagesInserted, 2);
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 2);
+
+    const cursor = await dbManager.getScrapeCursor(GROUP_ID);
+    assert.equal(cursor.last_message_id, 'm5');
+    assert.equal(cursor.last_message_timestamp, T + 5);
+  });
+
+  it('stores only what arrived since the last scrape and records the range covered', async () => {
+    post(2);
+    await handler.scrapeGroup(GROUP_ID);
+    post(3);
+
+    const result = await handler.scrapeGroup(GROUP_ID);
+
+    assert.equal(result.messagesInserted, 3);
+    assert.equal(result.messagesExisting, 0);
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 5);
+
+    const [latest] = await dbManager.getScrapeHistory(GROUP_ID, 1);
+    assert.equal(latest.cursor_from_id, 'm2');
+    assert.equal(latest.cursor_to_id, 'm5');
+    assert.equal(latest.cursor_to_timestamp, T + 5);
+  });
+
+  it('stops the cursor before a message that failed so the next run retries it', async () => {
+    post(2);
+    await handler.scrapeGroup(GROUP_ID);
+    post(3);
+    history[3].getContact = async () => {
+      throw new Error('contact lookup failed');
+    };
+
+    const result = await handler.scrapeGroup(GROUP_ID);
+
+    assert.equal(result.messagesFailed, 1);
+    assert.equal((await dbManager.getScrapeCursor(GROUP_ID)).last_message_id, 'm3');
+
+    history[3] = fakeMessage('m4', T + 4);
+    const retry = await handler.scrapeGroup(GROUP_ID);
+
+    assert.equal(retry.messagesInserted, 1);
+    assert.equal(retry.messagesExisting, 1);
+    assert.equal((await dbManager.getScrapeCursor(GROUP_ID)).last_message_id, 'm5');
+  });
+});
@@ -0,0 +1,57 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+const OTHER_GROUP_ID = '94770000001-1600000001@g.us';
+
+describe('live capture', () => {
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(() => {
+    handler = new MessageHandler(fakeClient(fakeChat()));
+  });
+
+  it('stores messages from monitored groups along with the group row', async () => {
+    await handler.handleLiveMessage(fakeMessage('live-1', T));
+
+    const stored = await dbManager.getMessage('live-1');
+    assert.equal(stored.group_id, GROUP_ID);
+    assert.equal(stored.author_phone, '+94771234567');
+    assert.equal((await dbManager.getGroup(GROUP_ID)).name, 'Test group');
+  });
+
+  it('ignores groups that are not monitored', async () => {
+    await handler.handleLiveMessage(fakeMessage('live-2', T, { from: OTHER_GROUP_ID }));
+
+    assert.equal(await dbManager.getMessage('live-2'), null);
+  });
+
+  it('files own messages under the group they were sent to', async () => {
+    const msg = fakeMessage('live-3', T, { fromMe: true, from: '94779999999@c.us', to: GROUP_ID });
+    assert.equal(handler.getMessageGroupId(msg), GROUP_ID);
+
+    await handler.handleLiveMessage(msg);
+    assert.equal((await dbManager.getMessage('live-3')).is_from_me, true);
+  });
+
+  it('stores a message only once when it arrives live and again in a scrape', async () => {
+    const msg = fakeMessage('live-4', T + 1);
+
+    assert.equal(await handler.processMessage(msg, GROUP_ID), true);
+    assert.equal(await handler.processMessage(msg, GROUP_ID), false);
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mediaPath = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-media-'));
+process.env.MEDIA_PATH = mediaPath;
+
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+const { getExtension, normalizeMimetype } = require('../utils/mime');
+
+const IMAGE = Buffer.from('not really a jpeg');
+
+function imageMessage(id, timestamp, fields = {}) {
+  return fakeMessage(id, timestamp, {
+    type: 'image',
+    body: '',
+    hasMedia: true,
+    downloadMedia: async () => ({ data: IMAGE.toString('base64'), mimetype: 'image/jpeg', filename: null }),
+    ...fields,
+  });
+}
+
+describe('mime types', () => {
+  it('drops parameters and case from mimetypes', () => {
+    assert.equal(normalizeMimetype('audio/ogg; codecs=opus'), 'audio/ogg');
+    assert.equal(normalizeMimetype('Image/JPEG'), 'image/jpeg');
+    assert.equal(normalizeMimetype(undefined), 'application/octet-stream');
+  });
+
+  it('picks an extension from the mimetype, then the filename, then the subtype', () => {
+    assert.equal(getExtension('audio/ogg; codecs=opus'), 'ogg');
+    assert.equal(getExtension('application/octet-stream', 'Report.Final.KEY'), 'key');
+    assert.equal(getExtension('application/x-rar'), 'xrar');
+    assert.equal(getExtension('application/octet-stream', 'photo.../../x'), 'x');
+    assert.equal(getExtension('application/vnd.some-extremely-long-subtype'), 'bin');
+  });
+});
+
+describe('media pipeline', () => {
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true, scrape_media: true });
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+    handler = new MessageHandler(fakeClient(fakeChat()));
+  });
+
+  after(async () => {
+    await dbManager.close();
+    fs.rmSync(mediaPath, { recursive: true, force: true });
+  });
+
+  it('stores media under its content hash, once for every message that shares it', async () => {
+    const result = await handler.processMessages([imageMessage('m1', T), imageMessage('m2', T + 1)], GROUP_ID);
+    assert.equal(result.mediaDownloaded, 2);
+
+    const sha256 = crypto.createHash('sha256').update(IMAGE).digest('hex');
+    const key = `${sha256.slice(0, 2)}/${sha256}.jpg`;
+
+    const media = await dbManager.getMedia('m1');
+    assert.equal(media.sha256, sha256);
+    assert.equal(media.storage_key, key);
+    assert.equal(media.storage_backend, 'local');
+    assert.equal(media.mimetype, 'image/jpeg');
+    assert.equal(media.size_bytes, IMAGE.length);
+    assert.equal((await dbManager.getMedia('m2')).storage_key, key);
+    assert.equal((await dbManager.getMessage('m1')).media_key, key);
+
+    assert.deepEqual(fs.readdirSync(path.join(mediaPath, sha256.slice(0, 2))), [`${sha256}.jpg`]);
+  });
+
+  it('does not download media again for a message that has it', async () => {
+    let downloads = 0;
+    const msg = imageMessage('m1', T, {
+      downloadMedia: async () => {
+        downloads++;
+        return null;
+      },
+    });
+
+    const result = await handler.processMessages([msg], GROUP_ID);
+
+    assert.equal(downloads, 0);
+    assert.equal(result.mediaFailed, 0);
+  });
+
+  it('counts a download that failed and stores the message without media', async () => {
+    const result = await handler.processMessages([imageMessage('m3', T + 2, {
+      downloadMedia: async () => {
+        throw new Error('media expired');
+      },
+    })], GROUP_ID);
+
+    assert.equal(result.mediaFailed, 1);
+    assert.equal(result.inserted, 1);
+    assert.equal(await dbManager.getMedia('m3'), null);
+  });
+});
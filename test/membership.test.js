@@ -0,0 +1,120 @@
+const { GROUP_ID, AUTHOR_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+const BOB = '94772222222@c.us';
+const CAROL = '94773333333@c.us';
+
+function member(id, isAdmin = false) {
+  return { id: { _serialized: id }, isAdmin, isSuperAdmin: false };
+}
+
+describe('roster and membership', () => {
+  let chat;
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    chat = fakeChat([], { participants: [member(AUTHOR_ID, true), member(BOB)] });
+    handler = new MessageHandler(fakeClient(chat));
+    await handler.loadGroupContext(chat);
+  });
+
+  async function activeMembers() {
+    const rows = await dbManager.getGroupParticipants(GROUP_ID);
+    return rows.map(row => row.participant_id).sort();
+  }
+
+  async function timeline() {
+    const events = await dbManager.getMembershipEvents(GROUP_ID);
+    return events.map(event => `${event.event_type} ${event.participant_id} (${event.source})`).sort();
+  }
+
+  it('takes the first roster as a snapshot without membership events', async () => {
+    assert.deepEqual(await activeMembers(), [AUTHOR_ID, BOB].sort());
+    assert.deepEqual(await timeline(), []);
+
+    const [admin] = await dbManager.getGroupParticipants(GROUP_ID);
+    assert.equal(admin.participant_id, AUTHOR_ID);
+    assert.equal(admin.is_admin, true);
+    assert.equal(admin.phone, '+94771234567');
+  });
+
+  it('records joins, leaves and promotions found between roster snapshots', async () => {
+    chat.participants = [member(AUTHOR_ID, true), member(CAROL, true)];
+    await handler.loadGroupContext(chat);
+
+    assert.deepEqual(await activeMembers(), [AUTHOR_ID, CAROL].sort());
+    assert.deepEqual(await timeline(), [`join ${CAROL} (roster)`, `leave ${BOB} (roster)`]);
+
+    const all = await dbManager.getGroupParticipants(GROUP_ID, true);
+    const bob = all.find(row => row.participant_id === BOB);
+    assert.equal(bob.is_active, false);
+    assert.ok(bob.left_at);
+
+    chat.participants = [member(AUTHOR_ID, true), member(CAROL, false)];
+    await handler.loadGroupContext(chat);
+    assert.ok((await timeline()).includes(`demote ${CAROL} (roster)`));
+  });
+
+  it('records notifications once and keeps the roster in step with them', async () => {
+    const notification = {
+      id: { _serialized: 'notification-1' },
+      chatId: GROUP_ID,
+      type: 'add',
+      author: AUTHOR_ID,
+      recipientIds: [CAROL],
+      timestamp: T,
+    };
+
+    await handler.handleGroupNotification(notification);
+    await handler.handleGroupNotification(notification);
+
+    assert.deepEqual(await timeline(), [`join ${CAROL} (notification)`]);
+    assert.deepEqual(await activeMembers(), [AUTHOR_ID, BOB, CAROL].sort());
+
+    // The next roster refresh already knows about Carol
+    chat.participants.push(member(CAROL));
+    await handler.loadGroupContext(chat);
+    assert.equal((await timeline()).length, 1);
+  });
+
+  it('takes a member who left on their own from the notification author', async () => {
+    await handler.handleGroupNotification({
+      id: { _serialized: 'notification-2' },
+      chatId: GROUP_ID,
+      type: 'leave',
+      author: BOB,
+      recipientIds: [],
+      timestamp: T,
+    });
+
+    assert.deepEqual(await timeline(), [`leave ${BOB} (notification)`]);
+    assert.deepEqual(await activeMembers(), [AUTHOR_ID]);
+  });
+
+  it('reads membership changes from group system messages in a scrape', async () => {
+    await handler.processMessages([fakeMessage('gp2-1', T, {
+      type: 'gp2',
+      body: '',
+      author: AUTHOR_ID,
+      _data: { subtype: 'remove', recipients: [BOB] },
+    })], GROUP_ID);
+
+    assert.deepEqual(await timeline(), [`leave ${BOB} (notification)`]);
+  });
+});
@@ -0,0 +1,79 @@
+require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('../database');
+const Migrator = require('../migrator');
+
+const tables = () => dbManager.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").map(row => row.name);
+
+describe('schema migrations', () => {
+  let migrator;
+
+  before(async () => {
+    await dbManager.initialize({ requireMigrated: false });
+    migrator = new Migrator(dbManager);
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  it('refuses to start against an unmigrated database', async () => {
+    assert.equal((await migrator.getPending()).length, migrator.loadMigrations().length);
+    await assert.rejects(dbManager.assertMigrated(), /Database schema is out of date .* Run "npm run migrate" first/);
+  });
+
+  it('applies every migration in version order, then has nothing left to do', async () => {
+    const names = migrator.loadMigrations().map(m => m.name);
+
+    assert.deepEqual(await migrator.up(), names);
+    assert.deepEqual(await migrator.getPending(), []);
+    assert.ok((await migrator.status()).every(m => m.applied && m.applied_at));
+    await dbManager.assertMigrated();
+
+    assert.deepEqual(await migrator.up(), []);
+  });
+
+  it('rolls back the latest migrations and applies them again', async () => {
+    const names = migrator.loadMigrations().map(m => m.name);
+    const latest = names.slice(-2);
+
+    assert.deepEqual(await migrator.down(2), [...latest].reverse());
+    assert.deepEqual((await migrator.getPending()).map(m => m.name), latest);
+    assert.deepEqual(await migrator.up(), latest);
+  });
+
+  it('rolls back to an empty schema', async () => {
+    const count = migrator.loadMigrations().length;
+
+    await migrator.down(count);
+
+    assert.deepEqual(tables(), ['schema_migrations']);
+    assert.equal((await migrator.getPending()).length, count);
+  });
+
+  it('stops at a target version', async () => {
+    const [first, second] = migrator.loadMigrations();
+
+    assert.deepEqual(await migrator.up(first.version), [first.name]);
+    assert.equal((await migrator.getPending())[0].name, second.name);
+    await migrator.up();
+  });
+
+  it('only rolls back a positive whole number of steps', async () => {
+    await assert.rejects(migrator.down(0), /positive whole number/);
+    await assert.rejects(migrator.down(1.5), /positive whole number/);
+  });
+
+  it('ends both dialects on the same version', () => {
+    const latest = dialect => fs.readdirSync(path.join(__dirname, '..', 'migrations', dialect))
+      .map(file => parseInt(file))
+      .sort((a, b) => a - b)
+      .pop();
+
+    assert.equal(latest('sqlite'), latest('postgres'));
+  });
+});
@@ -0,0 +1,79 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const MessageHandler = require('../messageHandler');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+describe('pagination cursors', () => {
+  it('round-trips the sort key of a row', () => {
+    const cursor = encodeCursor({ timestamp: T, id: 'm1' });
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor, ['timestamp', 'id']), { timestamp: T, id: 'm1' });
+  });
+
+  it('refuses cursors that are not ours or lack a sort key', () => {
+    assert.throws(() => decodeCursor('not a cursor', ['timestamp', 'id']), /Invalid cursor/);
+    assert.throws(() => decodeCursor(encodeCursor(null), ['timestamp']), /Invalid cursor/);
+    assert.throws(() => decodeCursor(encodeCursor({ timestamp: T }), ['timestamp', 'id']), /Invalid cursor/);
+  });
+});
+
+describe('messages pages', () => {
+  before(async () => {
+    await setupDatabase();
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+
+    const handler = new MessageHandler(fakeClient(fakeChat()));
+    await handler.processMessages([
+      fakeMessage('m1', T),
+      fakeMessage('m2', T + 1, { type: 'image', hasMedia: true }),
+      fakeMessage('m3', T + 2, { fromMe: true }),
+      fakeMessage('m4', T + 3, {
+        author: '94772222222@c.us',
+        getContact: async () => ({ id: { _serialized: '94772222222@c.us' }, number: '94772222222', pushname: 'Bob' }),
+      }),
+      fakeMessage('m5', T + 4),
+    ], GROUP_ID);
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  it('walks back through a group with the cursor of each page', async () => {
+    const seen = [];
+    let before = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await dbManager.getMessagesPage(GROUP_ID, { before, limit: 2 });
+      seen.push(page.messages.map(row => row.id));
+
+      const oldest = page.messages[page.messages.length - 1];
+      before = decodeCursor(encodeCursor({ timestamp: oldest.timestamp, id: oldest.id }), ['timestamp', 'id']);
+      hasMore = page.hasMore;
+    }
+
+    assert.deepEqual(seen, [['m5', 'm4'], ['m3', 'm2'], ['m1']]);
+  });
+
+  it('reads forward from a cursor in ascending order', async () => {
+    const page = await dbManager.getMessagesPage(GROUP_ID, { after: { timestamp: T + 2, id: 'm3' }, order: 'asc' });
+
+    assert.deepEqual(page.messages.map(row => row.id), ['m4', 'm5']);
+    assert.equal(page.hasMore, false);
+  });
+
+  it('filters by author, type, media and own messages', async () => {
+    const ids = async options => (await dbManager.getMessagesPage(GROUP_ID, options)).messages.map(row => row.id);
+
+    assert.deepEqual(await ids({ authorPhone: '+94772222222' }), ['m4']);
+    assert.deepEqual(await ids({ messageTypes: ['image'] }), ['m2']);
+    assert.deepEqual(await ids({ hasMedia: true }), ['m2']);
+    assert.deepEqual(await ids({ isFromMe: true }), ['m3']);
+    assert.deepEqual(await ids({ isFromMe: false, hasMedia: false, messageTypes: ['chat'] }), ['m5', 'm4', 'm1']);
+  });
+});
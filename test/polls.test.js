@@ -0,0 +1,83 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+const BOB = '94772222222@c.us';
+const CAROL = '94773333333@c.us';
+
+function poll(votes = []) {
+  return fakeMessage('poll-1', T, {
+    type: 'poll_creation',
+    body: '',
+    pollName: 'Lunch?',
+    pollOptions: [{ localId: 0, name: 'Rice' }, { localId: 1, name: 'Noodles' }],
+    allowMultipleAnswers: false,
+    getPollVotes: async () => votes,
+  });
+}
+
+function vote(voter, selected, at, parentMessage = poll()) {
+  return {
+    voter,
+    selectedOptions: selected.map(localId => ({ localId })),
+    interractedAtTs: at * 1000,
+    parentMessage,
+  };
+}
+
+describe('polls', () => {
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    handler = new MessageHandler(fakeClient(fakeChat()));
+  });
+
+  async function selections() {
+    const votes = await dbManager.getPollVotes(['poll-1']);
+    return Object.fromEntries(votes.map(row => [row.voter_id, row.selected_options]));
+  }
+
+  it('stores the question, options and the votes cast so far', async () => {
+    await handler.handleLiveMessage(poll([vote(BOB, [0], T + 1)]));
+
+    const [stored] = await dbManager.getPollsByGroup(GROUP_ID);
+    assert.equal(stored.question, 'Lunch?');
+    assert.deepEqual(stored.options, [{ localId: 0, name: 'Rice' }, { localId: 1, name: 'Noodles' }]);
+    assert.equal(stored.allow_multiple, false);
+    assert.equal((await dbManager.getMessage('poll-1')).message_body, 'Lunch?');
+    assert.deepEqual(await selections(), { [BOB]: [0] });
+  });
+
+  it('keeps each voter\'s latest selection', async () => {
+    await handler.handleLiveMessage(poll());
+
+    await handler.handleVote(vote(BOB, [0], T + 1));
+    await handler.handleVote(vote(CAROL, [1], T + 2));
+    await handler.handleVote(vote(BOB, [1], T + 3));
+    await handler.handleVote(vote(CAROL, [0], T + 1));
+
+    assert.deepEqual(await selections(), { [BOB]: [1], [CAROL]: [1] });
+  });
+
+  it('stores an unseen poll along with its votes when a vote arrives first', async () => {
+    await handler.handleVote(vote(CAROL, [1], T + 2, poll([vote(CAROL, [1], T + 2)])));
+
+    assert.ok(await dbManager.getPoll('poll-1'));
+    assert.deepEqual(await selections(), { [CAROL]: [1] });
+  });
+});
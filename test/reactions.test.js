@@ -0,0 +1,85 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+const BOB = '94772222222@c.us';
+const CAROL = '94773333333@c.us';
+
+function reaction(senderId, emoji, timestamp) {
+  return {
+    msgId: { _serialized: 'm1', remote: GROUP_ID },
+    senderId,
+    reaction: emoji,
+    timestamp,
+  };
+}
+
+describe('reactions', () => {
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    handler = new MessageHandler(fakeClient(fakeChat()));
+    await handler.handleLiveMessage(fakeMessage('m1', T));
+  });
+
+  async function summary() {
+    const rows = await dbManager.getReactionSummaries(['m1']);
+    return Object.fromEntries(rows.map(row => [row.reaction, row.count]));
+  }
+
+  it('counts one reaction per sender, keeping the latest', async () => {
+    await handler.handleReaction(reaction(BOB, '👍', T + 1));
+    await handler.handleReaction(reaction(CAROL, '👍', T + 2));
+    await handler.handleReaction(reaction(BOB, '❤️', T + 3));
+
+    assert.deepEqual(await summary(), { '👍': 1, '❤️': 1 });
+  });
+
+  it('ignores a reaction older than the one stored', async () => {
+    await handler.handleReaction(reaction(BOB, '❤️', T + 3));
+    await handler.handleReaction(reaction(BOB, '👍', T + 1));
+
+    assert.deepEqual(await summary(), { '❤️': 1 });
+  });
+
+  it('removes a reaction when the sender clears it', async () => {
+    await handler.handleReaction(reaction(BOB, '👍', T + 1));
+    await handler.handleReaction(reaction(BOB, '', T + 2));
+
+    assert.deepEqual(await summary(), {});
+  });
+
+  it('replaces the stored reactions with the current ones when a message is scraped', async () => {
+    await handler.handleReaction(reaction(BOB, '👍', T + 1));
+
+    await handler.processMessages([fakeMessage('m1', T, {
+      hasReaction: true,
+      getReactions: async () => [
+        { id: '😂', senders: [{ senderId: CAROL, reaction: '😂', timestamp: T + 5 }] },
+      ],
+    })], GROUP_ID);
+
+    assert.deepEqual(await summary(), { '😂': 1 });
+  });
+
+  it('skips reactions in groups that are not monitored', async () => {
+    await handler.handleReaction({ ...reaction(BOB, '👍', T + 1), msgId: { _serialized: 'm1', remote: 'other@g.us' } });
+
+    assert.deepEqual(await summary(), {});
+  });
+});
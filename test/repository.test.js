@@ -0,0 +1,263 @@
+// One suite for both storage repositories, so the two drivers return the same rows.
+// SQLite runs in memory. PostgreSQL only runs with TEST_DATABASE_URL set, and the
+// data tables of that database are cleared, so point it at a scratch database.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const Migrator = require('../migrator');
+const { createRepository } = require('../repositories');
+
+const DRIVERS = [
+  {
+    driver: 'sqlite',
+    settings: { sqlitePath: ':memory:' },
+  },
+  {
+    driver: 'postgres',
+    settings: { url: process.env.TEST_DATABASE_URL },
+    skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against PostgreSQL',
+  },
+];
+
+const GROUP_ID = '94770000000-1600000000@g.us';
+const OTHER_GROUP_ID = '94770000001-1600000001@g.us';
+const T = 1700000000;
+
+function message(id, timestamp, fields = {}) {
+  return {
+    id,
+    group_id: GROUP_ID,
+    message_body: `message ${id}`,
+    message_type: 'chat',
+    timestamp,
+    timestamp_formatted: new Date(timestamp * 1000),
+    from_number: GROUP_ID,
+    from_name: 'Alice',
+    author: '94771234567@c.us',
+    author_phone: '+94771234567',
+    is_from_me: false,
+    has_media: false,
+    media_key: null,
+    ack: 1,
+    is_deleted: false,
+    edited_at: null,
+    quoted_message_id: null,
+    mentioned_ids: [],
+    mentioned_phones: [],
+    is_forwarded: false,
+    forwarding_score: 0,
+    ...fields,
+  };
+}
+
+for (const { driver, settings, skip } of DRIVERS) {
+  describe(`${driver} repository`, { skip }, () => {
+    let repository;
+
+    before(async () => {
+      Object.assign(config.database, settings);
+      repository = createRepository(driver);
+      await repository.initialize({ requireMigrated: false });
+      await new Migrator(repository).up();
+    });
+
+    after(async () => {
+      await repository.close();
+    });
+
+    beforeEach(async () => {
+      await repository.clearAllData();
+      await repository.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 2 });
+      await repository.insertGroup({ id: OTHER_GROUP_ID, name: 'Other group', participants_count: 3 });
+    });
+
+    it('stores a batch once and counts it against its scrape', async () => {
+      const scrapeId = await repository.startScrapeHistory(GROUP_ID);
+
+      const first = await repository.insertMessageBatch(
+        [message('m1', T), message('m2', T + 1)],
+        { scrapeId, metrics: { fetched: 3, failed: 1, oldestTimestamp: T, newestTimestamp: T + 1 } }
+      );
+      assert.deepEqual([...first.insertedIds].sort(), ['m1', 'm2']);
+      assert.equal(first.existing, 0);
+
+      const second = await repository.insertMessageBatch(
+        [message('m2', T + 1), message('m3', T + 2)],
+        { scrapeId, metrics: { fetched: 2, oldestTimestamp: T + 1, newestTimestamp: T + 2 } }
+      );
+      assert.deepEqual(second.insertedIds, ['m3']);
+      assert.equal(second.existing, 1);
+
+      await repository.addScrapeFailures(scrapeId, 2);
+      await repository.endScrapeHistory(scrapeId, 'completed', null, { toId: 'm3', toTimestamp: T + 2 });
+
+      const [history] = await repository.getScrapeHistory(GROUP_ID, 1);
+      assert.equal(history.status, 'completed');
+      assert.equal(history.messages_fetched, 5);
+      assert.equal(history.messages_inserted, 3);
+      assert.equal(history.messages_duplicate, 1);
+      assert.equal(history.messages_failed, 3);
+      assert.equal(history.oldest_message_timestamp, T);
+      assert.equal(history.newest_message_timestamp, T + 2);
+      assert.equal(history.cursor_to_timestamp, T + 2);
+      assert.equal(typeof history.duration_ms, 'number');
+    });
+
+    it('returns BIGINT columns as numbers', async () => {
+      await repository.insertMessageBatch([message('m1', T), message('m2', T + 1)]);
+      await repository.updateScrapeCursor(GROUP_ID, 'm2', T + 1);
+
+      assert.equal((await repository.getMessage('m1')).timestamp, T);
+      assert.equal((await repository.getScrapeCursor(GROUP_ID)).last_message_timestamp, T + 1);
+      assert.equal(await repository.getMessageCount(GROUP_ID), 2);
+
+      const job = await repository.createBackfillJob(GROUP_ID, 200);
+      const updated = await repository.updateBackfillJob(job.id, {
+        oldest_message_id: 'm1',
+        oldest_message_timestamp: T,
+      });
+      assert.equal(updated.oldest_message_timestamp, T);
+
+      const preview = await repository.getRetentionPreview(GROUP_ID, T + 1);
+      assert.equal(preview.messages, 1);
+      assert.equal(preview.media_messages, 0);
+      assert.equal(preview.oldest_timestamp, T);
+      assert.equal(preview.scrape_history, 0);
+    });
+
+    it('never moves the scrape cursor backwards', async () => {
+      await repository.updateScrapeCursor(GROUP_ID, 'm2', T + 1);
+      await repository.updateScrapeCursor(GROUP_ID, 'm1', T);
+
+      const cursor = await repository.getScrapeCursor(GROUP_ID);
+      assert.equal(cursor.last_message_id, 'm2');
+      assert.equal(cursor.last_message_timestamp, T + 1);
+    });
+
+    it('pages through messages by timestamp and ID', async () => {
+      // m2 and m3 share a timestamp, so the ID breaks the tie
+      await repository.insertMessageBatch([message('m1', T), message('m3', T + 1), message('m2', T + 1)]);
+
+      const first = await repository.getMessagesPage(GROUP_ID, { order: 'asc', limit: 2 });
+      assert.deepEqual(first.messages.map(row => row.id), ['m1', 'm2']);
+      assert.equal(first.hasMore, true);
+
+      const last = first.messages[first.messages.length - 1];
+      const second = await repository.getMessagesPage(GROUP_ID, {
+        order: 'asc',
+        limit: 2,
+        after: { timestamp: last.timestamp, id: last.id },
+      });
+      assert.deepEqual(second.messages.map(row => row.id), ['m3']);
+      assert.equal(second.hasMore, false);
+    });
+
+    it('summarises scrapes against each group\'s message limit', async () => {
+      for (const groupId of [GROUP_ID, OTHER_GROUP_ID]) {
+        const scrapeId = await repository.startScrapeHistory(groupId);
+        await repository.insertMessageBatch([], { scrapeId, metrics: { fetched: 60 } });
+        await repository.endScrapeHistory(scrapeId, 'completed');
+      }
+
+      const summary = await repository.getScrapeSummary(new Date(Date.now() - 60 * 60 * 1000), { [GROUP_ID]: 50 }, 100);
+      const byGroup = Object.fromEntries(summary.map(row => [row.group_id, row]));
+
+      assert.equal(byGroup[GROUP_ID].runs, 1);
+      assert.equal(byGroup[GROUP_ID].messages_fetched, 60);
+      assert.equal(byGroup[GROUP_ID].runs_at_message_limit, 1);
+      assert.equal(byGroup[OTHER_GROUP_ID].runs_at_message_limit, 0);
+      assert.equal(typeof byGroup[GROUP_ID].avg_duration_ms, 'number');
+    });
+
+    it('applies stream message type filters to message events only', async () => {
+      const events = [
+        { event_type: 'message.created', message_type: 'chat' },
+        { event_type: 'message.created', message_type: 'image' },
+        { event_type: 'scrape.job_updated', message_type: null },
+      ];
+      for (const [index, event] of events.entries()) {
+        await repository.insertStreamEvent({
+          event_id: `event-${index}`,
+          group_id: GROUP_ID,
+          data: { index },
+          ...event,
+        });
+      }
+
+      const rows = await repository.getStreamEvents({ messageTypes: ['chat'] });
+      assert.deepEqual(rows.map(row => row.event_id), ['event-0', 'event-2']);
+      assert.deepEqual(rows[0].data, { index: 0 });
+
+      const bounds = await repository.getStreamEventBounds();
+      assert.equal(bounds.latest - bounds.oldest, 2);
+    });
+
+    describe('search', () => {
+      beforeEach(async () => {
+        await repository.insertMessageBatch([
+          message('s1', T, { message_body: 'apple pie for dessert' }),
+          message('s2', T + 1, { message_body: 'apple and banana smoothie' }),
+          message('s3', T + 2, { message_body: 'cherry pie' }),
+          message('s4', T + 3, { message_body: 'pie made from apples' }),
+        ]);
+      });
+
+      async function search(text, mode) {
+        const { messages } = await repository.searchMessages(text, { mode, sort: 'recent' });
+        return messages.map(row => row.id).sort();
+      }
+
+      it('runs websearch queries', async () => {
+        assert.deepEqual(await search('apple -banana', 'websearch'), ['s1']);
+        assert.deepEqual(await search('"cherry pie" or banana', 'websearch'), ['s2', 's3']);
+      });
+
+      it('reads loose websearch input the same way on both drivers', async () => {
+        assert.deepEqual(await search('or apple -"apple pie"', 'websearch'), ['s2']);
+        assert.deepEqual(await search('"cherry pie', 'websearch'), ['s3']);
+        assert.deepEqual(await search('apple & pie!', 'websearch'), ['s1']);
+        assert.deepEqual(await search('-- ""', 'websearch'), []);
+      });
+
+      it('runs boolean queries with exclusions, phrases and prefixes', async () => {
+        assert.deepEqual(await search('apple & !banana', 'boolean'), ['s1']);
+        assert.deepEqual(await search('!banana & apple', 'boolean'), ['s1']);
+        assert.deepEqual(await search('pie & !(cherry | apple)', 'boolean'), ['s4']);
+        assert.deepEqual(await search('apple <-> pie', 'boolean'), ['s1']);
+        assert.deepEqual(await search('appl:* & pie', 'boolean'), ['s1', 's4']);
+        assert.deepEqual(await search('banana | cherry', 'boolean'), ['s2', 's3']);
+        assert.deepEqual(await search('  ', 'boolean'), []);
+      });
+
+      it('refuses boolean queries it cannot run the same way on both drivers', async () => {
+        for (const text of ['!banana', 'pie | !banana', 'apple <2> pie', '(apple | cherry) <-> pie', 'apple pie', 'apple &']) {
+          await assert.rejects(search(text, 'boolean'), { code: 'INVALID_SEARCH_QUERY' }, text);
+        }
+      });
+    });
+
+    it('round-trips webhook lists and flags', async () => {
+      const webhook = await repository.createWebhook({
+        url: 'https://example.com/hook',
+        secret: 'a'.repeat(32),
+        events: ['message.created', 'scrape.failed'],
+        group_ids: null,
+        keywords: ['urgent'],
+        include_backfill: true,
+        enabled: false,
+      });
+
+      try {
+        assert.deepEqual(webhook.events, ['message.created', 'scrape.failed']);
+        assert.equal(webhook.group_ids, null);
+        assert.deepEqual(webhook.keywords, ['urgent']);
+        assert.equal(webhook.include_backfill, true);
+        assert.equal(webhook.enabled, false);
+      } finally {
+        await repository.deleteWebhook(webhook.id);
+      }
+    });
+  });
+}
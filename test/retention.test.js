@@ -0,0 +1,94 @@
+const { GROUP_ID, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const retentionManager = require('../retentionManager');
+const MessageHandler = require('../messageHandler');
+const { toUnixSeconds, daysAgoInSeconds } = require('../utils/time');
+
+const DAY = 24 * 60 * 60;
+
+describe('timestamp units', () => {
+  it('converts dates, ISO strings and milliseconds to Unix seconds', () => {
+    assert.equal(toUnixSeconds(new Date('2024-01-01T00:00:00Z')), 1704067200);
+    assert.equal(toUnixSeconds('2024-01-01T00:00:00.999Z'), 1704067200);
+    assert.equal(toUnixSeconds(1704067200500), 1704067200);
+    assert.ok(Number.isNaN(toUnixSeconds('not a date')));
+  });
+
+  it('counts days back from now in seconds', () => {
+    const now = toUnixSeconds(Date.now());
+    assert.ok(Math.abs(daysAgoInSeconds(30) - (now - 30 * DAY)) <= 1);
+  });
+});
+
+describe('retention cleanup', () => {
+  const now = toUnixSeconds(Date.now());
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await groupRegistry.update(GROUP_ID, { enabled: true, retention_days: 30, archive_before_delete: false });
+
+    const handler = new MessageHandler(fakeClient(fakeChat()));
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+    await handler.processMessages([
+      fakeMessage('old', now - 40 * DAY),
+      fakeMessage('recent', now - 10 * DAY),
+    ], GROUP_ID);
+  });
+
+  it('previews what would be deleted without deleting it', async () => {
+    const [preview] = await retentionManager.preview(GROUP_ID);
+
+    assert.equal(preview.source, 'policy');
+    assert.equal(preview.messages, 1);
+    assert.ok(Math.abs(preview.cutoff_timestamp - (now - 30 * DAY)) <= 1);
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 2);
+  });
+
+  it('deletes only messages older than the group\'s retention period', async () => {
+    const [result] = await retentionManager.run(GROUP_ID);
+
+    assert.equal(result.success, true);
+    assert.equal(result.messages, 1);
+    assert.equal(result.archive_file, null);
+    assert.equal(await dbManager.getMessage('old'), null);
+    assert.ok(await dbManager.getMessage('recent'));
+  });
+
+  it('keeps everything for groups set to 0 days', async () => {
+    await groupRegistry.update(GROUP_ID, { retention_days: 0 });
+
+    assert.deepEqual(await retentionManager.run(GROUP_ID), []);
+    assert.equal(await dbManager.getMessageCount(GROUP_ID), 2);
+  });
+
+  it('keeps a group\'s archive setting when only its retention days change', async () => {
+    await groupRegistry.update(GROUP_ID, { archive_before_delete: true });
+    await groupRegistry.update(GROUP_ID, { retention_days: 60 });
+
+    const [policy] = await retentionManager.getPolicies(GROUP_ID);
+    assert.equal(policy.retention_days, 60);
+    assert.equal(policy.archive_before_delete, true);
+
+    await groupRegistry.update(GROUP_ID, { archive_before_delete: null });
+    assert.equal((await retentionManager.getPolicies(GROUP_ID))[0].archive_before_delete, config.database.archiveBeforeDelete);
+  });
+
+  it('refuses an archive setting that is not true, false or null', () => {
+    assert.equal(groupRegistry.validate({ retention_days: 30, archive_before_delete: 'yes' }), 'archive setting must be true or false');
+    assert.equal(groupRegistry.validate({ retention_days: 30, archive_before_delete: null }), null);
+  });
+});
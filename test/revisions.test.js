@@ -0,0 +1,101 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const eventBus = require('../eventBus');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+describe('message revisions', () => {
+  let handler;
+  let events;
+
+  function record(event) {
+    events.push(event);
+  }
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true });
+    eventBus.on('message.edited', record);
+    eventBus.on('message.deleted', record);
+  });
+
+  after(async () => {
+    eventBus.off('message.edited', record);
+    eventBus.off('message.deleted', record);
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+    handler = new MessageHandler(fakeClient(fakeChat()));
+    events = [];
+  });
+
+  it('records an edit once with the body before and after', async () => {
+    const msg = fakeMessage('m1', T, { body: 'see you at 5', latestEditSenderTimestampMs: (T + 60) * 1000 });
+    await handler.handleLiveMessage(fakeMessage('m1', T, { body: 'see you at 4' }));
+
+    await handler.handleMessageEdit(msg, 'see you at 5', 'see you at 4');
+    await handler.handleMessageEdit(msg, 'see you at 5', 'see you at 4');
+
+    const revisions = await dbManager.getMessageRevisions(['m1']);
+    assert.equal(revisions.length, 1);
+    assert.equal(revisions[0].revision_type, 'edit');
+    assert.equal(revisions[0].previous_body, 'see you at 4');
+    assert.equal(revisions[0].new_body, 'see you at 5');
+
+    const stored = await dbManager.getMessage('m1');
+    assert.equal(stored.message_body, 'see you at 5');
+    assert.ok(stored.edited_at);
+
+    assert.deepEqual(events.map(event => event.type), ['message.edited']);
+    assert.equal(events[0].data.message.message_body, 'see you at 5');
+  });
+
+  it('stores an unseen original with its pre-edit body, so the edit is still recorded', async () => {
+    const msg = fakeMessage('m2', T, { body: 'new text', latestEditSenderTimestampMs: (T + 60) * 1000 });
+
+    await handler.handleMessageEdit(msg, 'new text', 'old text');
+
+    const [revision] = await dbManager.getMessageRevisions(['m2']);
+    assert.equal(revision.previous_body, 'old text');
+    assert.equal(revision.new_body, 'new text');
+  });
+
+  it('marks a revoked message deleted and keeps its last body', async () => {
+    const original = fakeMessage('m3', T, { body: 'oops' });
+    await handler.handleLiveMessage(original);
+
+    const revoked = fakeMessage('m3', T, { type: 'revoked', body: '' });
+    await handler.handleMessageRevoke(revoked, original);
+    await handler.handleMessageRevoke(revoked, original);
+
+    const stored = await dbManager.getMessage('m3');
+    assert.equal(stored.is_deleted, true);
+    assert.equal(stored.message_body, 'oops');
+
+    const revisions = await dbManager.getMessageRevisions(['m3']);
+    assert.equal(revisions.length, 1);
+    assert.equal(revisions[0].revision_type, 'revoke');
+    assert.equal(revisions[0].previous_body, 'oops');
+    assert.deepEqual(events.map(event => event.type), ['message.deleted']);
+  });
+
+  it('picks up edits and deletions of stored messages when they are scraped again', async () => {
+    await handler.processMessages([fakeMessage('m4', T, { body: 'draft' }), fakeMessage('m5', T + 1)], GROUP_ID);
+
+    await handler.processMessages([
+      fakeMessage('m4', T, { body: 'final', latestEditSenderTimestampMs: (T + 60) * 1000 }),
+      fakeMessage('m5', T + 1, { type: 'revoked', body: '' }),
+    ], GROUP_ID);
+
+    assert.equal((await dbManager.getMessage('m4')).message_body, 'final');
+    assert.equal((await dbManager.getMessage('m5')).is_deleted, true);
+    assert.deepEqual(events.map(event => event.type), ['message.edited', 'message.deleted']);
+  });
+});
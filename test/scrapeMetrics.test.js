@@ -0,0 +1,77 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+describe('scrape metrics', () => {
+  const history = [];
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await groupRegistry.update(GROUP_ID, { enabled: true, message_limit: 3, scrape_media: true });
+    handler = new MessageHandler(fakeClient(fakeChat(history)));
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  it('records what one run fetched, stored, skipped and failed', async () => {
+    history.push(
+      fakeMessage('m1', T + 1),
+      fakeMessage('m2', T + 2, {
+        type: 'image',
+        hasMedia: true,
+        downloadMedia: async () => {
+          throw new Error('media expired');
+        },
+      }),
+      fakeMessage('m3', T + 3, {
+        getContact: async () => {
+          throw new Error('contact lookup failed');
+        },
+      })
+    );
+
+    const result = await handler.scrapeGroup(GROUP_ID);
+    assert.equal(result.messagesInserted, 2);
+    assert.equal(result.messagesFailed, 1);
+
+    const [run] = await dbManager.getScrapeHistory(GROUP_ID, 1);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.messages_fetched, 3);
+    assert.equal(run.messages_inserted, 2);
+    assert.equal(run.messages_duplicate, 0);
+    assert.equal(run.messages_failed, 1);
+    assert.equal(run.media_downloaded, 0);
+    assert.equal(run.media_failed, 1);
+    assert.equal(run.oldest_message_timestamp, T + 1);
+    assert.equal(run.newest_message_timestamp, T + 3);
+    assert.equal(typeof run.duration_ms, 'number');
+  });
+
+  it('sums runs per group and counts those that hit the group\'s message limit', async () => {
+    // m3 is fetched again because the cursor stopped before it
+    history[2] = fakeMessage('m3', T + 3);
+    await handler.scrapeGroup(GROUP_ID);
+
+    const since = new Date(Date.now() - 60 * 1000);
+    const [summary] = await dbManager.getScrapeSummary(since, { [GROUP_ID]: 3 }, 100);
+
+    assert.equal(summary.group_id, GROUP_ID);
+    assert.equal(summary.runs, 2);
+    assert.equal(summary.completed_runs, 2);
+    assert.equal(summary.messages_fetched, 4);
+    assert.equal(summary.messages_inserted, 3);
+    assert.equal(summary.messages_failed, 1);
+    assert.equal(summary.runs_at_message_limit, 1);
+
+    const [withDefault] = await dbManager.getScrapeSummary(since, {}, 100);
+    assert.equal(withDefault.runs_at_message_limit, 0);
+  });
+});
@@ -0,0 +1,75 @@
+const { GROUP_ID, setupDatabase, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const dbManager = require('../database');
+const MessageHandler = require('../messageHandler');
+const ScrapeQueue = require('../scrapeQueue');
+
+const OTHER_GROUP_ID = '94770000001-1600000001@g.us';
+
+describe('scrape queue', () => {
+  const concurrency = config.scraper.concurrency;
+  let handler;
+  let queue;
+
+  before(async () => {
+    await setupDatabase();
+    // Nothing is started in the background; the tests claim jobs themselves
+    config.scraper.concurrency = 0;
+  });
+
+  after(async () => {
+    config.scraper.concurrency = concurrency;
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    handler = new MessageHandler(fakeClient(fakeChat()));
+    queue = new ScrapeQueue(handler);
+  });
+
+  it('queues one job for requests that arrive together', async () => {
+    const jobs = await Promise.all([
+      queue.enqueue(GROUP_ID, 'cron'),
+      queue.enqueue(GROUP_ID, 'manual'),
+      queue.enqueue(GROUP_ID, 'manual'),
+    ]);
+
+    assert.equal(new Set(jobs.map(job => job.id)).size, 1);
+    assert.equal((await dbManager.getQueuedScrapeJobs()).length, 1);
+  });
+
+  it('returns the waiting job until it starts', async () => {
+    const first = await queue.enqueue(GROUP_ID);
+    assert.equal((await queue.enqueue(GROUP_ID)).id, first.id);
+
+    await queue.claimNext();
+    assert.notEqual((await queue.enqueue(GROUP_ID)).id, first.id);
+  });
+
+  it('skips groups that are being scraped', async () => {
+    const locked = await queue.enqueue(GROUP_ID);
+    const other = await queue.enqueue(OTHER_GROUP_ID);
+
+    handler.lockGroup(GROUP_ID);
+    try {
+      assert.equal((await queue.claimNext()).id, other.id);
+      assert.equal(await queue.claimNext(), null);
+    } finally {
+      handler.unlockGroup(GROUP_ID);
+    }
+
+    assert.equal((await queue.claimNext()).id, locked.id);
+  });
+
+  it('cancels a job that has not started', async () => {
+    const job = await queue.enqueue(GROUP_ID);
+
+    assert.equal((await queue.cancel(job.id)).status, 'cancelled');
+    assert.equal((await queue.wait(job.id)).status, 'cancelled');
+    assert.equal(await queue.claimNext(), null);
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mediaPath = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-storage-'));
+process.env.MEDIA_PATH = mediaPath;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStorage } = require('../storage');
+const S3Storage = require('../storage/s3Storage');
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('local storage', () => {
+  const storage = getStorage('local');
+
+  after(() => {
+    fs.rmSync(mediaPath, { recursive: true, force: true });
+  });
+
+  it('writes, reads and deletes files under the media path', async () => {
+    await storage.put('ab/abcdef.txt', Buffer.from('hello'));
+
+    assert.equal(await storage.exists('ab/abcdef.txt'), true);
+    assert.equal(fs.readFileSync(path.join(mediaPath, 'ab', 'abcdef.txt'), 'utf8'), 'hello');
+    assert.equal(await readAll(await storage.getStream('ab/abcdef.txt')), 'hello');
+    assert.equal(await storage.getSignedUrl('ab/abcdef.txt'), null);
+
+    await storage.delete('ab/abcdef.txt');
+    assert.equal(await storage.exists('ab/abcdef.txt'), false);
+  });
+
+  it('refuses keys outside the media path', async () => {
+    await assert.rejects(storage.put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.exists('/etc/passwd'), /Invalid storage key/);
+  });
+
+  it('keeps one adapter per backend', () => {
+    assert.equal(getStorage(), storage);
+    assert.throws(() => getStorage('ftp'), /Unknown storage backend: ftp/);
+  });
+});
+
+describe('S3 storage', () => {
+  const options = {
+    bucket: 'media',
+    region: 'us-east-1',
+    endpoint: 'http://localhost:9000',
+    accessKeyId: 'key',
+    secretAccessKey: 'secret',
+    forcePathStyle: true,
+    prefix: 'whatsapp/',
+    signedUrlExpiry: 900,
+  };
+
+  it('needs a bucket', () => {
+    assert.throws(() => new S3Storage({ ...options, bucket: '' }), /S3_BUCKET is required/);
+  });
+
+  it('signs download URLs for the prefixed key', async () => {
+    const storage = new S3Storage(options);
+
+    const url = new URL(await storage.getSignedUrl('ab/abcdef.jpg', { contentType: 'image/jpeg', filename: 'a"b.jpg' }));
+
+    assert.equal(url.origin, 'http://localhost:9000');
+    assert.equal(url.pathname, '/media/whatsapp/ab/abcdef.jpg');
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '900');
+    assert.equal(url.searchParams.get('response-content-type'), 'image/jpeg');
+    assert.equal(url.searchParams.get('response-content-disposition'), 'inline; filename="ab.jpg"');
+  });
+});
@@ -0,0 +1,137 @@
+const { GROUP_ID, setupDatabase } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const dbManager = require('../database');
+const eventBus = require('../eventBus');
+const streamManager = require('../streamManager');
+
+const OTHER_GROUP_ID = '94770000001-1600000001@g.us';
+
+/**
+ * Stands in for an Express response; events() parses what was written
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.writableLength = 0;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    return true;
+  }
+
+  events() {
+    return this.chunks
+      .map(chunk => chunk.match(/^id: (\d+)\nevent: (message\.\w+|scrape\.\w+)\ndata: (.*)\n\n$/))
+      .filter(Boolean)
+      .map(([, cursor, type, data]) => ({ cursor: Number(cursor), type, data: JSON.parse(data).data }));
+  }
+}
+
+function publishMessage(id, fields = {}) {
+  eventBus.publish('message.created', { message: { id, group_id: GROUP_ID, message_type: 'chat', ...fields } });
+}
+
+describe('stream filters', () => {
+  const row = fields => ({ group_id: GROUP_ID, event_type: 'message.created', message_type: 'chat', ...fields });
+
+  it('filters by group, event type and message type', () => {
+    assert.equal(streamManager.matches({}, row()), true);
+    assert.equal(streamManager.matches({ groupIds: [OTHER_GROUP_ID] }, row()), false);
+    assert.equal(streamManager.matches({ eventTypes: ['message.edited'] }, row()), false);
+    assert.equal(streamManager.matches({ messageTypes: ['image'] }, row()), false);
+    assert.equal(streamManager.matches({ messageTypes: ['chat'] }, row()), true);
+  });
+
+  it('only applies message type filters to message events', () => {
+    const job = row({ event_type: 'scrape.job_updated', message_type: null });
+
+    assert.equal(streamManager.matches({ messageTypes: ['image'] }, job), true);
+    assert.equal(streamManager.matches({ messageTypes: ['image'], groupIds: [OTHER_GROUP_ID] }, job), false);
+  });
+
+  it('refuses unknown event types', () => {
+    assert.equal(streamManager.validate({ eventTypes: ['message.created'] }), null);
+    assert.match(streamManager.validate({ eventTypes: ['client.disconnected'] }), /^events must be a list of/);
+  });
+});
+
+describe('event stream', () => {
+  before(async () => {
+    await setupDatabase();
+    eventBus.on('event', streamManager.handleEvent);
+  });
+
+  after(async () => {
+    eventBus.off('event', streamManager.handleEvent);
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+  });
+
+  // Close every client the test opened, so later events are not written to it
+  const close = (...responses) => responses.forEach(res => res.emit('close'));
+
+  it('sends new events to a client that connected without a cursor', async () => {
+    publishMessage('m1');
+    await streamManager.saving;
+
+    const res = new FakeResponse();
+    await streamManager.subscribe(res);
+    publishMessage('m2');
+    eventBus.publish('client.disconnected', { reason: 'LOGOUT' });
+    await streamManager.saving;
+    close(res);
+
+    assert.match(res.chunks[1], /^id: \d+\nevent: ready\n/);
+    assert.deepEqual(res.events().map(event => event.data.message.id), ['m2']);
+  });
+
+  it('replays what a reconnecting client missed, then carries on live', async () => {
+    publishMessage('m1');
+    await streamManager.saving;
+    const { latest } = await dbManager.getStreamEventBounds();
+    publishMessage('m2');
+    publishMessage('m3');
+    await streamManager.saving;
+
+    const res = new FakeResponse();
+    await streamManager.subscribe(res, { cursor: latest });
+    publishMessage('m4');
+    await streamManager.saving;
+    close(res);
+
+    const events = res.events();
+    assert.deepEqual(events.map(event => event.data.message.id), ['m2', 'm3', 'm4']);
+    assert.deepEqual(events.map(event => event.cursor), [latest + 1, latest + 2, latest + 3]);
+  });
+
+  it('applies the same filters to replayed and live events', async () => {
+    const { latest } = await dbManager.getStreamEventBounds();
+    publishMessage('m1', { message_type: 'image' });
+    publishMessage('m2');
+    eventBus.publish('scrape.job_updated', { groupId: GROUP_ID, job: { id: 1 } });
+    publishMessage('m3', { group_id: OTHER_GROUP_ID, message_type: 'image' });
+    await streamManager.saving;
+
+    const filters = { groupIds: [GROUP_ID], messageTypes: ['image'] };
+    const replayed = new FakeResponse();
+    await streamManager.subscribe(replayed, { cursor: latest || 0, filters });
+
+    const live = new FakeResponse();
+    await streamManager.subscribe(live, { filters });
+    publishMessage('m4', { message_type: 'image' });
+    publishMessage('m5');
+    await streamManager.saving;
+    close(replayed, live);
+
+    assert.deepEqual(replayed.events().map(event => event.type), ['message.created', 'scrape.job_updated', 'message.created']);
+    assert.deepEqual(live.events().map(event => event.data.message.id), ['m4']);
+  });
+});
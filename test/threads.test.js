@@ -0,0 +1,80 @@
+const { GROUP_ID, T, setupDatabase, fakeMessage, fakeChat, fakeClient } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dbManager = require('../database');
+const contactResolver = require('../contactResolver');
+const groupRegistry = require('../groupRegistry');
+const MessageHandler = require('../messageHandler');
+
+const MENTIONED_LID = '201234567890123@lid';
+
+function reply(id, timestamp, quoted, fields = {}) {
+  return fakeMessage(id, timestamp, {
+    hasQuotedMsg: true,
+    getQuotedMessage: async () => quoted,
+    ...fields,
+  });
+}
+
+describe('reply threads and mentions', () => {
+  let handler;
+
+  before(async () => {
+    await setupDatabase();
+    await groupRegistry.load();
+    await contactResolver.load();
+  });
+
+  after(async () => {
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await dbManager.insertGroup({ id: GROUP_ID, name: 'Test group', participants_count: 1 });
+    handler = new MessageHandler(fakeClient(fakeChat()));
+  });
+
+  it('links replies to the message they quote', async () => {
+    const root = fakeMessage('m1', T);
+    const first = reply('m2', T + 1, root);
+    const second = reply('m3', T + 2, first);
+    await handler.processMessages([root, first, second], GROUP_ID);
+
+    assert.equal((await dbManager.getMessage('m3')).quoted_message_id, 'm2');
+    assert.deepEqual((await dbManager.getReplyChain('m3')).map(row => row.id), ['m1', 'm2']);
+    assert.deepEqual((await dbManager.getReplies('m1')).map(row => row.id), ['m2']);
+  });
+
+  it('stores a reply whose quoted message cannot be loaded, without the link', async () => {
+    const msg = fakeMessage('m4', T, {
+      hasQuotedMsg: true,
+      getQuotedMessage: async () => {
+        throw new Error('message not found');
+      },
+    });
+
+    await handler.processMessages([msg], GROUP_ID);
+
+    assert.equal((await dbManager.getMessage('m4')).quoted_message_id, null);
+  });
+
+  it('stores mentions with the phone numbers known for them', async () => {
+    await contactResolver.learn([MENTIONED_LID, '94775555555@c.us']);
+    const msg = fakeMessage('m5', T, {
+      body: '@201234567890123 @94776666666 please check',
+      mentionedIds: [MENTIONED_LID, { _serialized: '94776666666@c.us' }, '309876543210987@lid'],
+      isForwarded: true,
+      forwardingScore: 4,
+    });
+
+    await handler.processMessages([msg], GROUP_ID);
+
+    const stored = await dbManager.getMessage('m5');
+    assert.deepEqual(stored.mentioned_ids, [MENTIONED_LID, '94776666666@c.us', '309876543210987@lid']);
+    assert.deepEqual(stored.mentioned_phones, ['+94775555555', '+94776666666', null]);
+    assert.equal(stored.is_forwarded, true);
+    assert.equal(stored.forwarding_score, 4);
+  });
+});
@@ -0,0 +1,146 @@
+// Failed deliveries are retried almost at once and dead-lettered after the second attempt
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_MS = '1';
+
+const { GROUP_ID, setupDatabase, clearSettings } = require('./helpers');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const dbManager = require('../database');
+const webhookManager = require('../webhookManager');
+
+const SECRET = 'a-secret-of-at-least-16-characters';
+
+function webhook(fields = {}) {
+  return {
+    enabled: true,
+    events: ['message.created'],
+    group_ids: null,
+    keywords: null,
+    message_types: null,
+    include_backfill: false,
+    ...fields,
+  };
+}
+
+function messageEvent(message = {}, fields = {}) {
+  return {
+    id: 'event-1',
+    type: 'message.created',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    data: { message: { group_id: GROUP_ID, message_type: 'chat', message_body: 'Deploy is DONE', ...message }, ...fields },
+  };
+}
+
+describe('webhook filters', () => {
+  it('matches events by type, group, message type and keyword', () => {
+    assert.equal(webhookManager.matches(webhook(), messageEvent()), true);
+    assert.equal(webhookManager.matches(webhook({ enabled: false }), messageEvent()), false);
+    assert.equal(webhookManager.matches(webhook({ events: ['scrape.failed'] }), messageEvent()), false);
+
+    assert.equal(webhookManager.matches(webhook({ group_ids: [GROUP_ID] }), messageEvent()), true);
+    assert.equal(webhookManager.matches(webhook({ group_ids: ['other@g.us'] }), messageEvent()), false);
+    assert.equal(webhookManager.matches(webhook({ message_types: ['image'] }), messageEvent()), false);
+    assert.equal(webhookManager.matches(webhook({ keywords: ['deploy is done'] }), messageEvent()), true);
+    assert.equal(webhookManager.matches(webhook({ keywords: ['rollback'] }), messageEvent()), false);
+  });
+
+  it('applies group filters to scrape events and skips message filters for them', () => {
+    const scrape = { type: 'scrape.completed', data: { groupId: GROUP_ID } };
+    const filters = { events: ['scrape.completed'], keywords: ['rollback'], message_types: ['image'] };
+
+    assert.equal(webhookManager.matches(webhook(filters), scrape), true);
+    assert.equal(webhookManager.matches(webhook({ ...filters, group_ids: ['other@g.us'] }), scrape), false);
+  });
+
+  it('only sends backfilled messages to webhooks that include them', () => {
+    const backfilled = messageEvent({}, { backfill: true });
+
+    assert.equal(webhookManager.matches(webhook(), backfilled), false);
+    assert.equal(webhookManager.matches(webhook({ include_backfill: true }), backfilled), true);
+  });
+});
+
+describe('webhook deliveries', () => {
+  const requests = [];
+  let status = 200;
+  let server;
+  let hook;
+
+  before(async () => {
+    await setupDatabase();
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await dbManager.close();
+  });
+
+  beforeEach(async () => {
+    await dbManager.clearAllData();
+    await clearSettings();
+    requests.length = 0;
+    status = 200;
+
+    hook = await webhookManager.create({ url: `http://127.0.0.1:${server.address().port}/hook`, secret: SECRET, ...webhook() });
+  });
+
+  it('signs each payload over its timestamp and body', async () => {
+    const delivery = await dbManager.createWebhookDelivery(hook.id, 'message.created', { event: 'message.created' });
+
+    await webhookManager.deliverDue();
+
+    assert.equal(requests.length, 1);
+    const { headers, body } = requests[0];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], 'message.created');
+    assert.equal(headers['x-webhook-delivery'], String(delivery.id));
+    assert.deepEqual(JSON.parse(body), { event: 'message.created' });
+
+    const [stored] = await dbManager.getWebhookDeliveries({ webhookId: hook.id });
+    assert.equal(stored.status, 'delivered');
+    assert.equal(stored.last_status_code, 200);
+  });
+
+  it('retries a failed delivery, then moves it to the dead letters', async () => {
+    status = 500;
+    await dbManager.createWebhookDelivery(hook.id, 'message.created', { event: 'message.created' });
+
+    await webhookManager.deliverDue();
+    const [retrying] = await dbManager.getWebhookDeliveries({ webhookId: hook.id });
+    assert.equal(retrying.status, 'pending');
+    assert.equal(retrying.attempts, 1);
+    assert.equal(retrying.last_error, 'HTTP 500');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await webhookManager.deliverDue();
+
+    assert.equal(requests.length, 2);
+    const [deadLetter] = await dbManager.getWebhookDeadLetters({ webhookId: hook.id });
+    assert.equal(deadLetter.attempts, 2);
+    assert.equal(deadLetter.last_status_code, 500);
+  });
+
+  it('queues an event for matching webhooks only', async () => {
+    await webhookManager.update(hook.id, { enabled: false });
+    await webhookManager.handleEvent(messageEvent());
+
+    assert.deepEqual(await dbManager.getWebhookDeliveries({ webhookId: hook.id }), []);
+  });
+});
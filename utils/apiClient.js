@@ -0,0 +1,25 @@
+const config = require('../config');
+
+// Base URL of the running scraper API (CLI scripts talk to it instead of starting a second client)
+const baseUrl = process.env.API_URL || `http://localhost:${config.server.port}`;
+
+/**
+ * Call the running scraper API and return the parsed JSON body
+ */
+async function apiRequest(method, urlPath, body = null) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+}
+
+module.exports = { apiRequest, baseUrl };
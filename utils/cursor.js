@@ -0,0 +1,31 @@
+/**
+ * Opaque pagination cursors: the sort key of the last row, as base64url JSON
+ */
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it carries the expected sort keys
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Array<string>} keys - Keys the cursor must contain
+ * @returns {Object} - Decoded sort key values
+ */
+function decodeCursor(cursor, keys) {
+  let values;
+
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!values || typeof values !== 'object' || keys.some(key => values[key] === undefined)) {
+    throw new Error('Invalid cursor');
+  }
+
+  return values;
+}
+
+module.exports = { encodeCursor, decodeCursor };
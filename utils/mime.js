@@ -0,0 +1,60 @@
+// File extensions for mimetypes WhatsApp commonly sends
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/msword': 'doc',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'text/vcard': 'vcf',
+};
+
+/**
+ * Strip parameters from a mimetype (e.g. "audio/ogg; codecs=opus" -> "audio/ogg")
+ * @param {string} mimetype - Mimetype as reported by WhatsApp
+ * @returns {string} - Lowercase base mimetype
+ */
+function normalizeMimetype(mimetype) {
+  return (mimetype || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Pick a file extension for a media file
+ * @param {string} mimetype - Mimetype as reported by WhatsApp
+ * @param {string} filename - Original filename, if the sender attached one
+ * @returns {string} - Extension without the leading dot
+ */
+function getExtension(mimetype, filename = null) {
+  const baseType = normalizeMimetype(mimetype);
+
+  if (EXTENSIONS[baseType]) {
+    return EXTENSIONS[baseType];
+  }
+
+  // Fall back to the sender's filename, then to the mimetype subtype
+  const fromFilename = filename && filename.includes('.')
+    ? filename.split('.').pop().toLowerCase()
+    : null;
+  const candidate = fromFilename || baseType.split('/')[1] || '';
+  const sanitized = candidate.replace(/[^a-z0-9]/g, '');
+
+  return sanitized && sanitized.length <= 10 ? sanitized : 'bin';
+}
+
+module.exports = { normalizeMimetype, getExtension };
@@ -0,0 +1,60 @@
+// Case-insensitive patterns supplied through the API (alert rules, discovery rules).
+// They run against every new message, so a pattern that backtracks catastrophically
+// (e.g. "(a+)+$") must not be able to block the process.
+const vm = require('vm');
+
+// Longest pattern a rule may have
+const MAX_PATTERN_LENGTH = 200;
+
+// Time one match may take before it is abandoned
+const MATCH_TIMEOUT_MS = 50;
+
+// Matches run as a script in their own context so the timeout can interrupt them
+const context = vm.createContext(Object.create(null));
+const execScript = new vm.Script('pattern.exec(text)');
+
+/**
+ * Check a pattern before it is saved. Returns an error message, or null if it is valid.
+ * @param {string} pattern - Regular expression source
+ */
+function validatePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Run RegExp#exec with a time limit
+ * @param {RegExp} regex - Compiled pattern (without the g or y flags)
+ * @param {string} text - Text to search
+ * @returns {Array|null} - The match, or null if there is none
+ * @throws {Error} - With code PATTERN_TIMEOUT if the match took longer than MATCH_TIMEOUT_MS
+ */
+function execWithTimeout(regex, text) {
+  context.pattern = regex;
+  context.text = text;
+
+  try {
+    return execScript.runInContext(context, { timeout: MATCH_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw error;
+    }
+
+    const timeout = new Error(`Pattern /${regex.source}/ took longer than ${MATCH_TIMEOUT_MS}ms to match`);
+    timeout.code = 'PATTERN_TIMEOUT';
+    throw timeout;
+  } finally {
+    context.pattern = null;
+    context.text = null;
+  }
+}
+
+module.exports = { validatePattern, execWithTimeout };
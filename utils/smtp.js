@@ -0,0 +1,115 @@
+const net = require('net');
+const os = require('os');
+
+/**
+ * Encode a header value as RFC 2047 base64 when it is not plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the message text: headers, a blank line, then the body with CRLF line
+ * endings and leading dots doubled so no line ends the DATA section early
+ */
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Send a plain-text mail over unauthenticated SMTP, as accepted by a local relay
+ * or mail sink (MailHog, Mailpit, postfix on localhost). No TLS or AUTH.
+ * @param {Object} options - { host, port, from, to (address or list), subject, text, timeoutMs }
+ * @returns {Promise<string>} - The server's reply to the message (usually a queue ID)
+ */
+function sendMail({ host, port, from, to, subject, text, timeoutMs = 10000 }) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const message = `${buildMessage({ from, to: recipients, subject, text })}\r\n.`;
+
+  // Each command with the reply code that means it succeeded
+  const commands = [
+    [null, 220],
+    [`EHLO ${os.hostname()}`, 250],
+    [`MAIL FROM:<${from}>`, 250],
+    ...recipients.map(recipient => [`RCPT TO:<${recipient}>`, 250]),
+    ['DATA', 354],
+    [message, 250],
+    ['QUIT', 221],
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let lines = [];
+    let step = 0;
+    let accepted = null;
+
+    const fail = error => {
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(timeoutMs, () => fail(new Error(`SMTP server ${host}:${port} timed out`)));
+    socket.on('error', fail);
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        lines.push(line);
+
+        // Multiline replies continue with "250-..." and end with "250 ..."
+        if (line[3] === '-') {
+          continue;
+        }
+
+        const reply = lines.join(' ');
+        lines = [];
+
+        const [command, expected] = commands[step];
+        if (parseInt(line, 10) !== expected) {
+          const name = command === message ? 'the message' : command ? command.split(/[ :]/)[0] : 'the connection';
+          fail(new Error(`SMTP server rejected ${name}: ${reply}`));
+          return;
+        }
+
+        if (command === message) {
+          accepted = reply;
+        }
+
+        step++;
+        if (step === commands.length) {
+          socket.end();
+          resolve(accepted);
+          return;
+        }
+
+        socket.write(`${commands[step][0]}\r\n`);
+      }
+    });
+  });
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,27 @@
+// messages.timestamp and other *_timestamp columns hold Unix time in seconds (as WhatsApp reports it)
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Convert a Date, ISO string or millisecond epoch to Unix seconds
+ * @param {Date|string|number} value - Date-like value
+ * @returns {number} - Unix seconds, or NaN if the value is not a valid date
+ */
+function toUnixSeconds(value) {
+  const ms = value instanceof Date || typeof value === 'number'
+    ? Number(value)
+    : new Date(value).getTime();
+
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Unix seconds for a point a number of days before now
+ * @param {number} days - Days to go back
+ * @returns {number}
+ */
+function daysAgoInSeconds(days) {
+  return toUnixSeconds(Date.now()) - days * SECONDS_PER_DAY;
+}
+
+module.exports = { toUnixSeconds, daysAgoInSeconds };
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const config = require('./config');
+const dbManager = require('./database');
+const eventBus = require('./eventBus');
+const logger = require('./utils/logger');
+
+// Events a webhook can subscribe to (see eventBus)
+const WEBHOOK_EVENTS = [
+  'message.created', 'message.edited', 'message.deleted', 'scrape.completed', 'scrape.failed',
+  'client.disconnected', 'alert.created',
+];
+
+// How often due retries are looked for when no new delivery has been queued
+const POLL_INTERVAL_MS = 5000;
+
+// Deliveries per webhook taken in one pass, so one slow endpoint cannot hold up the others
+const DELIVERIES_PER_WEBHOOK = 10;
+
+/**
+ * Turns events into signed HTTP POSTs to the registered webhooks. Every matching
+ * event is stored in webhook_deliveries first, so deliveries survive restarts;
+ * failed attempts are retried with exponential backoff, then dead-lettered.
+ */
+class WebhookManager {
+  constructor() {
+    // Cached webhooks rows, reloaded after every change
+    this.webhooks = [];
+    this.timer = null;
+    this.sending = false;
+    this.sendAgain = false;
+    this.handleEvent = this.handleEvent.bind(this);
+  }
+
+  /**
+   * Load the webhooks, subscribe to events and start delivering (including deliveries left from before a restart)
+   */
+  async start() {
+    await this.load();
+    eventBus.on('event', this.handleEvent);
+
+    this.timer = setInterval(() => this.deliverDue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.deliverDue();
+  }
+
+  async load() {
+    this.webhooks = await dbManager.getWebhooks();
+    logger.info(`Loaded ${this.webhooks.length} webhooks`);
+  }
+
+  /**
+   * Check a complete webhook before saving it. Returns an error message, or null if it is valid.
+   */
+  validate(webhook) {
+    let url;
+    try {
+      url = new URL(webhook.url);
+    } catch (error) {
+      return 'url must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'url must use http or https';
+    }
+
+    const isList = value => Array.isArray(value) && value.length > 0
+      && value.every(item => typeof item === 'string' && item.length > 0);
+
+    if (!isList(webhook.events) || !webhook.events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    for (const [field, name] of [['group_ids', 'groupIds'], ['keywords', 'keywords'], ['message_types', 'messageTypes']]) {
+      if (webhook[field] !== null && webhook[field] !== undefined && !isList(webhook[field])) {
+        return `${name} must be a list of strings, or null for no filter`;
+      }
+    }
+    // Left out on creation to have one generated
+    if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || webhook.secret.length < 16)) {
+      return 'secret must be at least 16 characters';
+    }
+    if (webhook.description !== null && webhook.description !== undefined && typeof webhook.description !== 'string') {
+      return 'description must be text';
+    }
+    if (typeof webhook.include_backfill !== 'boolean') {
+      return 'includeBackfill must be true or false';
+    }
+    if (typeof webhook.enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+
+    return null;
+  }
+
+  /**
+   * Register a webhook; a signing secret is generated when none is given
+   */
+  async create(fields) {
+    const webhook = await dbManager.createWebhook({
+      secret: crypto.randomBytes(32).toString('hex'),
+      ...fields,
+    });
+    await this.load();
+    logger.info(`Registered webhook ${webhook.id} for ${webhook.url} (${webhook.events.join(', ')})`);
+    return webhook;
+  }
+
+  async update(webhookId, fields) {
+    const webhook = await dbManager.updateWebhook(webhookId, fields);
+    await this.load();
+
+    // Re-enabling a webhook releases the deliveries that waited for it
+    if (webhook && webhook.enabled) {
+      this.deliverDue();
+    }
+    return webhook;
+  }
+
+  async remove(webhookId) {
+    const removed = await dbManager.deleteWebhook(webhookId);
+    await this.load();
+    return removed;
+  }
+
+  /**
+   * Whether an event passes a webhook's filters. Group filters apply to message, scrape
+   * and alert events; keyword and message type filters only to message events.
+   * Messages stored by a backfill are only sent to webhooks that include them.
+   */
+  matches(webhook, event) {
+    if (!webhook.enabled || !webhook.events.includes(event.type)) {
+      return false;
+    }
+    if (event.data.backfill && !webhook.include_backfill) {
+      return false;
+    }
+
+    const message = event.data.message;
+    const groupId = message ? message.group_id : event.data.groupId;
+
+    if (webhook.group_ids && groupId && !webhook.group_ids.includes(groupId)) {
+      return false;
+    }
+
+    if (message) {
+      if (webhook.message_types && !webhook.message_types.includes(message.message_type)) {
+        return false;
+      }
+
+      const body = (message.message_body || '').toLowerCase();
+      if (webhook.keywords && !webhook.keywords.some(keyword => body.includes(keyword.toLowerCase()))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Queue a delivery of an event to every webhook whose filters it passes
+   */
+  async handleEvent(event) {
+    const targets = this.webhooks.filter(webhook => this.matches(webhook, event));
+
+    if (targets.length === 0) {
+      return;
+    }
+
+    const payload = {
+      id: event.id,
+      event: event.type,
+      timestamp: event.timestamp,
+      data: event.data,
+    };
+
+    try {
+      for (const webhook of targets) {
+        await dbManager.createWebhookDelivery(webhook.id, event.type, payload);
+      }
+      this.deliverDue();
+    } catch (error) {
+      logger.error(`Error queueing webhook deliveries for ${event.type}:`, error);
+    }
+  }
+
+  /**
+   * Send due deliveries until none are left or no webhook is accepting them.
+   * Webhooks are served side by side; each one's deliveries go out in order and
+   * stop at the first failure.
+   */
+  async deliverDue() {
+    if (this.sending) {
+      this.sendAgain = true;
+      return;
+    }
+
+    this.sending = true;
+
+    try {
+      let progressed;
+      do {
+        this.sendAgain = false;
+
+        const due = await dbManager.getDueWebhookDeliveries(DELIVERIES_PER_WEBHOOK);
+        const byWebhook = new Map();
+        for (const delivery of due) {
+          byWebhook.set(delivery.webhook_id, [...(byWebhook.get(delivery.webhook_id) || []), delivery]);
+        }
+
+        const delivered = await Promise.all([...byWebhook.values()].map(async deliveries => {
+          let count = 0;
+          for (const delivery of deliveries) {
+            if (!await this.send(delivery)) {
+              break;
+            }
+            count++;
+          }
+          return count;
+        }));
+
+        progressed = delivered.some(count => count > 0);
+      } while (progressed || this.sendAgain);
+    } catch (error) {
+      logger.error('Error delivering webhooks:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome. Returns whether it was delivered.
+   */
+  async send(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    // Signed over "<timestamp>.<body>" so a captured request cannot be replayed with a new timestamp
+    const signature = crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${body}`).digest('hex');
+    const attempts = delivery.attempts + 1;
+
+    let statusCode = null;
+    let error;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': String(delivery.webhook_id),
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signature}`,
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      });
+
+      statusCode = response.status;
+      if (response.body) {
+        await response.body.cancel();
+      }
+
+      if (response.ok) {
+        await dbManager.updateWebhookDelivery(delivery.id, {
+          status: 'delivered',
+          attempts,
+          last_status_code: statusCode,
+          last_error: null,
+          delivered_at: new Date(),
+        });
+        return true;
+      }
+
+      error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    if (attempts >= config.webhooks.maxAttempts) {
+      await dbManager.deadLetterWebhookDelivery(delivery.id, {
+        attempts,
+        last_status_code: statusCode,
+        last_error: error,
+      });
+      logger.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed ${attempts} times (${error}); moved to dead letters`);
+      return false;
+    }
+
+    const delay = Math.min(config.webhooks.retryBaseMs * 2 ** (attempts - 1), config.webhooks.retryMaxMs);
+    await dbManager.updateWebhookDelivery(delivery.id, {
+      attempts,
+      last_status_code: statusCode,
+      last_error: error,
+      next_attempt_at: new Date(Date.now() + delay),
+    });
+    logger.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (${error}); retrying in ${Math.round(delay / 1000)}s`);
+    return false;
+  }
+
+  /**
+   * Move a dead letter back into the delivery queue
+   */
+  async retryDeadLetter(deadLetterId) {
+    const delivery = await dbManager.retryWebhookDeadLetter(deadLetterId);
+
+    if (delivery) {
+      logger.info(`Requeued webhook delivery ${delivery.id} from dead letter ${deadLetterId}`);
+      this.deliverDue();
+    }
+    return delivery;
+  }
+}
+
+// Export singleton instance
+const webhookManager = new WebhookManager();
+module.exports = webhookManager;